@@ -192,6 +192,7 @@ contract RPS_Tournament is ReentrancyGuard {
     event MoveRevealed(uint256 indexed tournamentId, uint256 round, uint256 matchIndex, uint8 rpsRound, address player, RPSChoice choice);
     event MatchResolved(uint256 indexed tournamentId, uint256 round, uint256 matchIndex, uint8 rpsRound, address winner);
     event MatchReplayed(uint256 indexed tournamentId, uint256 round, uint256 matchIndex, uint8 newRpsRound, uint256 commitEndBlock, uint256 revealEndBlock);
+    event TiebreakSeedRefreshed(uint256 indexed tournamentId, uint256 round, uint256 matchIndex, uint64 newSeedRound);
     event RoundAdvanced(uint256 indexed tournamentId, uint256 newRound);
     event TournamentCompleted(uint256 indexed tournamentId, address winner);
     event PrizeClaimed(uint256 indexed tournamentId, address winner, uint256 amount);
@@ -559,17 +560,15 @@ contract RPS_Tournament is ReentrancyGuard {
 
         address winner_;
         if (!committedA && !committedB) {
-            (bool drandOk, bytes32 rand) = _loadTiebreakRandomness(m, cfg);
-            if (!drandOk) revert DrandUnavailable();
-            winner_ = (uint256(rand) % 2 == 0) ? m.playerA : m.playerB;
+            winner_ = _tiebreakWinner(_tournamentId, _round, _matchIndex, m, cfg);
+            if (winner_ == address(0)) return;
         } else if (!committedA) {
             winner_ = m.playerB;
         } else if (!committedB) {
             winner_ = m.playerA;
         } else if (!hasA && !hasB) {
-            (bool drandOk, bytes32 rand) = _loadTiebreakRandomness(m, cfg);
-            if (!drandOk) revert DrandUnavailable();
-            winner_ = (uint256(rand) % 2 == 0) ? m.playerA : m.playerB;
+            winner_ = _tiebreakWinner(_tournamentId, _round, _matchIndex, m, cfg);
+            if (winner_ == address(0)) return;
         } else if (!hasA) {
             winner_ = m.playerB;
         } else if (!hasB) {
@@ -594,9 +593,8 @@ contract RPS_Tournament is ReentrancyGuard {
                     emit MatchReplayed(_tournamentId, _round, _matchIndex, m.rpsRound, newCommitEnd, newRevealEnd);
                     return;
                 }
-                (bool drandOk, bytes32 rand) = _loadTiebreakRandomness(m, cfg);
-                if (!drandOk) revert DrandUnavailable();
-                winner_ = (uint256(rand) % 2 == 0) ? m.playerA : m.playerB;
+                winner_ = _tiebreakWinner(_tournamentId, _round, _matchIndex, m, cfg);
+                if (winner_ == address(0)) return;
             }
         }
 
@@ -618,6 +616,30 @@ contract RPS_Tournament is ReentrancyGuard {
         return address(0);
     }
 
+    /**
+     * @dev Drand tiebreak winner, or address(0) when a compromised seed was just moved to a future round
+     * (announced with TiebreakSeedRefreshed). The refresh must persist: reverting with DrandUnavailable would
+     * roll it back on every call, and a seed recomputed from the current round on each retry is never available.
+     */
+    function _tiebreakWinner(
+        uint256 _tournamentId,
+        uint256 _round,
+        uint256 _matchIndex,
+        Match storage m,
+        TournamentConfig storage cfg
+    ) internal returns (address) {
+        bool wasCompromised = m.seedCompromised;
+        (bool drandOk, bytes32 rand) = _loadTiebreakRandomness(m, cfg);
+        if (!drandOk) {
+            if (wasCompromised && !m.seedCompromised) {
+                emit TiebreakSeedRefreshed(_tournamentId, _round, _matchIndex, m.seedRound);
+                return address(0);
+            }
+            revert DrandUnavailable();
+        }
+        return (uint256(rand) % 2 == 0) ? m.playerA : m.playerB;
+    }
+
     function _loadTiebreakRandomness(Match storage m, TournamentConfig storage cfg) internal returns (bool exists, bytes32 randomness) {
         uint64 seedRound = m.seedRound;
         if (m.seedCompromised) {
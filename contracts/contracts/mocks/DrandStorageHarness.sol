@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../TAO_Colosseum.sol";
+import "../RPS_Tournament.sol";
+
+/**
+ * @dev Test harnesses: expose each contract's drand storage internals (pure-Solidity blake2b keys, SCALE pulse
+ * decoding, lastStoredRound) under the same names, for differential tests against lib/drand-storage.js.
+ */
+contract TAOColosseumDrandHarness is TAOColosseum {
+    function buildDrandPulseKeys(uint64[] calldata rounds) external pure returns (bytes[] memory keys) {
+        keys = new bytes[](rounds.length);
+        for (uint256 i = 0; i < rounds.length; i++) keys[i] = _buildDrandPulseKey(rounds[i]);
+    }
+
+    function drandRandomness(uint64 round) external view returns (bool exists, bytes32 randomness) {
+        return _getDrandRandomness(round);
+    }
+
+    function lastStoredRound() external view returns (uint64) {
+        return _getLastStoredRound();
+    }
+}
+
+contract RPSTournamentDrandHarness is RPS_Tournament {
+    constructor() RPS_Tournament(bytes32(0)) {}
+
+    function buildDrandPulseKeys(uint64[] calldata rounds) external pure returns (bytes[] memory keys) {
+        keys = new bytes[](rounds.length);
+        for (uint256 i = 0; i < rounds.length; i++) keys[i] = _buildDrandPulseKey(rounds[i]);
+    }
+
+    function drandRandomness(uint64 round) external view returns (bool exists, bytes32 randomness) {
+        return _getDrandRandomness(round);
+    }
+
+    function lastStoredRound() external view returns (uint64) {
+        return _getLastStoredRound();
+    }
+}
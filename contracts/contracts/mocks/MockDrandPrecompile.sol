@@ -1,17 +1,72 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "./RecordedPrecompile.sol";
+
 /**
  * @dev Test helper: mimics the optional drand precompile interface used by the contracts.
  * Deployed in tests and its runtime bytecode is installed at the precompile address via hardhat_setCode.
+ * The last stored round starts at 1_000_000; tests call advanceRounds on the precompile address to
+ * make later pulses (as read by getPulse) available.
+ *
+ * Once the devnet drand feeder (lib/drand-feeder.js) calls setLastStoredRound, the mock follows the fed
+ * round instead (0 = drand not available) and behaves like the real pallet: rounds above it and skipped
+ * rounds have no pulse, through getRandomness as well as getPulse.
+ *
+ * A RecordedPrecompile: a response recorded for a precompile call overrides the computed answer.
  */
-contract MockDrandPrecompile {
-    function getLastStoredRound() external pure returns (uint64) {
-        return 1_000_000;
+contract MockDrandPrecompile is RecordedPrecompile {
+    uint64 private constant BASE_ROUND = 1_000_000;
+
+    uint64 public advancedRounds;
+    uint64 public fedRound;
+    bool public fed;
+    mapping(uint64 => bool) public skippedRounds;
+
+    function advanceRounds(uint64 rounds) external {
+        advancedRounds += rounds;
+    }
+
+    function setLastStoredRound(uint64 round) external {
+        fed = true;
+        fedRound = round;
+    }
+
+    function setRoundSkipped(uint64 round, bool skipped) external {
+        skippedRounds[round] = skipped;
+    }
+
+    /// @dev Storage at a precompile address survives hardhat_setCode; the devnet bootstrap resets it.
+    function reset() public override {
+        super.reset();
+        advancedRounds = 0;
+        fedRound = 0;
+        fed = false;
     }
 
-    function getRandomness(uint64 round) external pure returns (bytes32) {
+    function getLastStoredRound() external view returns (uint64) {
+        _replayIfRecordedView();
+        return _lastStoredRound();
+    }
+
+    function getRandomness(uint64 round) external view returns (bytes32) {
+        _replayIfRecordedView();
+        return _randomness(round);
+    }
+
+    function getPulse(uint64 round) external view returns (bool exists, bytes32 randomness) {
+        _replayIfRecordedView();
+        if (round > _lastStoredRound() || skippedRounds[round]) return (false, bytes32(0));
+        return (true, _randomness(round));
+    }
+
+    function _lastStoredRound() private view returns (uint64) {
+        if (fed) return fedRound;
+        return BASE_ROUND + advancedRounds;
+    }
+
+    function _randomness(uint64 round) private view returns (bytes32) {
+        if (fed && (round == 0 || round > fedRound || skippedRounds[round])) return bytes32(0);
         return keccak256(abi.encodePacked("mock-drand", round));
     }
 }
-
@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @dev Test helper: a contract account that forwards calls (bets, claims, owner calls) to a target and can be
+ * told to refuse incoming TAO, so tests reach the contracts' TransferFailed paths. Reverts bubble up unchanged.
+ */
+contract MockRejectingReceiver {
+    bool public accepting = true;
+
+    function setAccepting(bool _accepting) external {
+        accepting = _accepting;
+    }
+
+    function execute(address target, bytes calldata data) external payable returns (bytes memory) {
+        (bool ok, bytes memory result) = target.call{value: msg.value}(data);
+        if (!ok) {
+            assembly ("memory-safe") {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    receive() external payable {
+        require(accepting, "MockRejectingReceiver: rejecting");
+    }
+}
@@ -0,0 +1,88 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./RecordedPrecompile.sol";
+
+/**
+ * @dev Devnet stand-in for the subtensor storage-query precompile (0x0807), installed via hardhat_setCode.
+ * Like the real precompile it takes a raw Substrate storage key as calldata and returns the raw SCALE value
+ * (empty when the key is absent). It answers the two drand keys the contracts read:
+ *   - drand.lastStoredRound: u64 little-endian, as set by the drand feeder (lib/drand-feeder.js)
+ *   - drand.pulses(round):   Pulse { round, randomness, signature } for every round <= lastStoredRound that
+ *                            was not skipped, with the same derived randomness as MockDrandPrecompile.
+ * The Blake2_128Concat part of a pulse key is checked against the EIP-152 blake2f precompile (0x09), so a
+ * wrong key built by the contracts' pure-Solidity blake2b reads as a missing pulse, as it would on chain.
+ * Any other key can be answered with setRaw. A RecordedPrecompile: recorded responses take precedence.
+ */
+contract MockStoragePrecompile is RecordedPrecompile {
+    bytes32 private constant DRAND_LAST_ROUND_KEY = 0xa285cdb66e8b8524ea70b1693c7b1e05087f3dd6e0ceded0e388dd34f810a73d;
+    bytes32 private constant DRAND_PULSES_PREFIX = 0xa285cdb66e8b8524ea70b1693c7b1e050d8e70fd32bfb1639703f9a23d15b15e;
+    address private constant BLAKE2F = address(0x09);
+
+    uint64 public lastStoredRound;
+    mapping(uint64 => bool) public skippedRounds;
+    mapping(bytes32 => bytes) private _raw;
+
+    function setLastStoredRound(uint64 round) external {
+        lastStoredRound = round;
+    }
+
+    function setRoundSkipped(uint64 round, bool skipped) external {
+        skippedRounds[round] = skipped;
+    }
+
+    function setRaw(bytes calldata key, bytes calldata value) external {
+        _raw[keccak256(key)] = value;
+    }
+
+    /// @dev Storage at a precompile address survives hardhat_setCode; the devnet bootstrap resets it.
+    function reset() public override {
+        super.reset();
+        lastStoredRound = 0;
+    }
+
+    function getRandomness(uint64 round) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked("mock-drand", round));
+    }
+
+    fallback(bytes calldata key) external override returns (bytes memory) {
+        _replayIfRecordedView();
+        bytes memory raw = _raw[keccak256(key)];
+        if (raw.length > 0) return raw;
+        if (key.length == 32 && bytes32(key) == DRAND_LAST_ROUND_KEY) {
+            if (lastStoredRound == 0) return "";
+            return abi.encodePacked(_le64(lastStoredRound));
+        }
+        if (key.length == 56 && bytes32(key[0:32]) == DRAND_PULSES_PREFIX) {
+            uint64 round = _fromLe64(key[48:56]);
+            if (bytes16(key[32:48]) != _blake2b128(key[48:56])) return "";
+            if (round == 0 || round > lastStoredRound || skippedRounds[round]) return "";
+            // SCALE Pulse: round u64 LE, compact(32) ++ randomness, compact(0) (no signature in the mock)
+            return abi.encodePacked(_le64(round), uint8(32 << 2), getRandomness(round), uint8(0));
+        }
+        return "";
+    }
+
+    function _le64(uint64 v) private pure returns (bytes8 out) {
+        for (uint256 i = 0; i < 8; i++) out |= bytes8(uint64(uint8(v >> uint64(8 * i))) << uint64(8 * (7 - i)));
+    }
+
+    function _fromLe64(bytes calldata b) private pure returns (uint64 v) {
+        for (uint256 i = 0; i < 8; i++) v |= uint64(uint8(b[i])) << uint64(8 * i);
+    }
+
+    /// @dev blake2b-128 of an 8-byte message: one final compression with the EIP-152 precompile.
+    function _blake2b128(bytes calldata data) private view returns (bytes16) {
+        // Parameter block: digest length 16, no key, fanout 1, depth 1
+        uint64[8] memory h = [
+            uint64(0x6a09e667f3bcc908) ^ 0x01010010, 0xbb67ae8584caa73b, 0x3c6ef372fe94f82b, 0xa54ff53a5f1d36f1,
+            0x510e527fade682d1, 0x9b05688c2b3e6c1f, 0x1f83d9abfb41bd6b, 0x5be0cd19137e2179
+        ];
+        bytes memory state;
+        for (uint256 i = 0; i < 8; i++) state = abi.encodePacked(state, _le64(h[i]));
+        bytes memory input = abi.encodePacked(uint32(12), state, data, new bytes(120), _le64(8), bytes8(0), uint8(1));
+        (bool ok, bytes memory out) = BLAKE2F.staticcall(input);
+        require(ok && out.length == 64, "blake2f failed");
+        return bytes16(out);
+    }
+}
@@ -0,0 +1,95 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @dev Replays precompile responses captured from a real node (lib/precompile-recorder.js), installed at a
+ * precompile address via hardhat_setCode, so a Hardhat network sees what the staking, storage and drand
+ * precompiles actually returned instead of an empty account.
+ *
+ * Responses are keyed by exact calldata. Calls to state-changing precompile functions (addStake, burnAlpha)
+ * count as writes; a response recorded with afterWrites = n answers once n writes have happened (falling
+ * back to the latest earlier answer), so a view such as getTotalAlphaStaked can return one value before a
+ * stake and another after it. Calldata nobody recorded reverts with UnrecordedCall, as a missing precompile
+ * function would.
+ *
+ * The devnet stand-ins (MockStakingPrecompile, MockStoragePrecompile, MockDrandPrecompile) derive from this
+ * contract: each of their precompile functions serves a recorded response first and only computes its own
+ * answer for calldata nobody recorded.
+ */
+contract RecordedPrecompile {
+    struct Response {
+        bool recorded;
+        bool success;
+        bool mutating;
+        bytes output;
+    }
+
+    uint256 public writes;
+    uint256 public maxAfterWrites;
+    uint256 public generation;
+    mapping(bytes32 => Response) private _responses;
+
+    error UnrecordedCall(bytes input);
+
+    function setResponse(bytes calldata input, uint256 afterWrites, bool success, bool mutating, bytes calldata output) external {
+        _responses[_key(afterWrites, input)] = Response(true, success, mutating, output);
+        if (afterWrites > maxAfterWrites) maxAfterWrites = afterWrites;
+    }
+
+    /// @dev Storage at a precompile address survives hardhat_setCode; a new generation drops every response.
+    function reset() public virtual {
+        generation++;
+        writes = 0;
+        maxAfterWrites = 0;
+    }
+
+    fallback(bytes calldata input) external virtual returns (bytes memory) {
+        _replayIfRecorded(false);
+        revert UnrecordedCall(input);
+    }
+
+    /**
+     * @dev Serve the recorded response for msg.data, if any: returns (or reverts) the whole call with the
+     * recorded bytes and does not come back. `mutating` marks the caller as a state-changing function, which
+     * counts as a write whether or not its answer was recorded.
+     */
+    function _replayIfRecorded(bool mutating) internal {
+        (bool found, bytes32 key) = _lookup(msg.data);
+        Response storage r = _responses[key];
+        // A recorded revert undoes the increment with the rest of the call
+        if (mutating || (found && r.mutating)) writes++;
+        if (found) _serve(r);
+    }
+
+    /// @dev _replayIfRecorded for view functions, which are never recorded as mutating.
+    function _replayIfRecordedView() internal view {
+        (bool found, bytes32 key) = _lookup(msg.data);
+        if (found) _serve(_responses[key]);
+    }
+
+    function _lookup(bytes calldata input) private view returns (bool found, bytes32 key) {
+        uint256 w = writes < maxAfterWrites ? writes : maxAfterWrites;
+        while (true) {
+            key = _key(w, input);
+            if (_responses[key].recorded) return (true, key);
+            if (w == 0) return (false, key);
+            w--;
+        }
+    }
+
+    function _serve(Response storage r) private view {
+        bytes memory output = r.output;
+        if (!r.success) {
+            assembly ("memory-safe") {
+                revert(add(output, 32), mload(output))
+            }
+        }
+        assembly ("memory-safe") {
+            return(add(output, 32), mload(output))
+        }
+    }
+
+    function _key(uint256 afterWrites, bytes calldata input) private view returns (bytes32) {
+        return keccak256(abi.encode(generation, afterWrites, input));
+    }
+}
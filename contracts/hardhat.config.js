@@ -1,5 +1,14 @@
 require("@nomicfoundation/hardhat-toolbox");
 require('dotenv').config({ path: '../.env' });
+const { extendEnvironment } = require("hardhat/config");
+
+// RECORD_PRECOMPILES=<file>: record every eth_call a script makes to the subtensor precompiles into a
+// replayable fixture (lib/precompile-recorder.js)
+extendEnvironment((hre) => {
+  if (process.env.RECORD_PRECOMPILES) {
+    require("./lib/precompile-recorder").recordPrecompileCallsToFile(hre, process.env.RECORD_PRECOMPILES);
+  }
+});
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -15,7 +24,17 @@ module.exports = {
   },
   networks: {
     hardhat: {
-      chainId: 1337
+      chainId: 1337,
+      // Bittensor's EVM (Frontier) caps a transaction only by the block gas limit; Osaka's 2^24 per-transaction
+      // cap (EIP-7825) would hide calls that fit a Bittensor block but not 16.7M (scripts/gas-bounds.js)
+      hardfork: "prague",
+      // Fork rehearsals (scripts/migrate-colosseum.js): FORK_URL=<archive RPC> [FORK_BLOCK=<n>]
+      ...(process.env.FORK_URL && {
+        forking: {
+          url: process.env.FORK_URL,
+          blockNumber: process.env.FORK_BLOCK ? parseInt(process.env.FORK_BLOCK, 10) : undefined
+        }
+      })
     },
     // Bittensor EVM (Subtensor)
     bittensor: {
@@ -0,0 +1,255 @@
+/**
+ * Human-readable ABIs for the deployed contracts, so clients do not need Hardhat artifacts.
+ * Regenerate from artifacts after changing a contract interface; test/sdk.test.js checks they match.
+ */
+
+const COLOSSEUM_ABI = [
+  // Constructor
+  "constructor()",
+
+  // Functions
+  "function BETTING_BLOCKS() view returns (uint256)",
+  "function BLOCK_TIME_SECONDS() view returns (uint256)",
+  "function CHAIN_LAG_GRACE_SECONDS() view returns (uint256)",
+  "function DRAND_FREQUENCY_SECONDS() view returns (uint256)",
+  "function DRAND_LAST_ROUND_KEY() view returns (bytes32)",
+  "function DRAND_PRECOMPILE() view returns (address)",
+  "function DRAND_PULSES_PREFIX() view returns (bytes)",
+  "function DRAND_ROUND_BUFFER() view returns (uint256)",
+  "function EMERGENCY_TIMEOUT() view returns (uint256)",
+  "function FEE_DENOMINATOR() view returns (uint256)",
+  "function FINAL_CALL_BLOCKS() view returns (uint256)",
+  "function MAX_BETTORS_PER_GAME() view returns (uint256)",
+  "function MAX_BET_ENTRIES() view returns (uint256)",
+  "function MAX_LEADERBOARD_SIZE() view returns (uint256)",
+  "function MIN_BET_AMOUNT() view returns (uint256)",
+  "function MIN_POOL_SIZE() view returns (uint256)",
+  "function PLATFORM_FEE() view returns (uint256)",
+  "function STORAGE_PRECOMPILE() view returns (address)",
+  "function accumulatedFees() view returns (uint256)",
+  "function betEntries(uint256) view returns (address bettor, uint8 side, uint256 amount, uint256 blockNumber)",
+  "function calculatePotentialPayout(uint256 _gameId, address _user, uint8 _side, uint256 _amount) view returns (uint256)",
+  "function claimAllWinnings(uint256 _gameId)",
+  "function claimWinnings(uint256 _gameId, uint8 _side)",
+  "function currentGameId() view returns (uint256)",
+  "function emergencyWithdrawalsUsed(uint256) view returns (bool)",
+  "function gameBalance(uint256) view returns (uint256)",
+  "function gameBettors(uint256, uint256) view returns (address)",
+  "function gameFees(uint256) view returns (uint256)",
+  "function games(uint256) view returns (uint256 id, uint8 phase, uint256 redPool, uint256 bluePool, uint256 redBettors, uint256 blueBettors, uint256 startBlock, uint256 endBlock, uint256 resolvedBlock, uint8 winningSide, uint256 totalLiquidity, bool hasWinner, uint64 targetDrandRound, uint256 predictedDrandTimestamp, uint256 actualEndBlock, uint256 validRedPool, uint256 validBluePool, uint256 validLiquidity)",
+  "function getAccumulatedFees() view returns (uint256)",
+  "function getBlocksRemaining(uint256 _gameId) view returns (uint256)",
+  "function getCurrentGame() view returns ((uint256 id, uint8 phase, uint256 redPool, uint256 bluePool, uint256 redBettors, uint256 blueBettors, uint256 startBlock, uint256 endBlock, uint256 resolvedBlock, uint8 winningSide, uint256 totalLiquidity, bool hasWinner, uint64 targetDrandRound, uint256 predictedDrandTimestamp, uint256 actualEndBlock, uint256 validRedPool, uint256 validBluePool, uint256 validLiquidity))",
+  "function getCurrentMultiplier(uint256 _gameId, uint8 _side) view returns (uint256)",
+  "function getDrandRandomness(uint64 round) view returns (bool exists, bytes32 randomness)",
+  "function getDrandStatus() view returns (uint64 lastRound, bool isAvailable)",
+  "function getGame(uint256 _gameId) view returns ((uint256 id, uint8 phase, uint256 redPool, uint256 bluePool, uint256 redBettors, uint256 blueBettors, uint256 startBlock, uint256 endBlock, uint256 resolvedBlock, uint8 winningSide, uint256 totalLiquidity, bool hasWinner, uint64 targetDrandRound, uint256 predictedDrandTimestamp, uint256 actualEndBlock, uint256 validRedPool, uint256 validBluePool, uint256 validLiquidity))",
+  "function getGameBalance(uint256 _gameId) view returns (uint256)",
+  "function getGameBettors(uint256 _gameId) view returns (address[])",
+  "function getGameCount() view returns (uint256)",
+  "function getGameFees(uint256 _gameId) view returns (uint256)",
+  "function getLastDrandRound() view returns (uint64)",
+  "function getLeaderboard() view returns (address[])",
+  "function getLeaderboardWithStats(uint256 _limit) view returns (address[] addresses, uint256[] winnings, uint256[] wins)",
+  "function getResolutionStatus(uint256 _gameId) view returns (uint8 phase, uint64 targetDrandRound, uint256 actualEndBlock, bool canFinalize)",
+  "function getUserBets(uint256 _gameId, address _user) view returns (((uint256 amount, bool claimed, bool isLateBet, uint256 lateAmount) redBet, (uint256 amount, bool claimed, bool isLateBet, uint256 lateAmount) blueBet))",
+  "function getUserSideBet(uint256 _gameId, address _user, uint8 _side) view returns ((uint256 amount, bool claimed, bool isLateBet, uint256 lateAmount))",
+  "function getUserStats(address _user) view returns ((uint256 totalBets, uint256 totalWins, uint256 totalWinnings, uint256 totalLosses))",
+  "function hasAnyBet(uint256, address) view returns (bool)",
+  "function isBetLate(uint256 _gameId, address _user, uint8 _side) view returns (bool)",
+  "function isDrandRoundAvailable(uint64 round) view returns (bool)",
+  "function isGameCompromised(uint256 _gameId) view returns (bool)",
+  "function isInFinalCall(uint256 _gameId) view returns (bool)",
+  "function leaderboard(uint256) view returns (address)",
+  "function nextGameId() view returns (uint256)",
+  "function owner() view returns (address)",
+  "function placeBet(uint256 _gameId, uint8 _side) payable",
+  "function renounceOwnership()",
+  "function resolveGame(uint256 _gameId)",
+  "function sideBets(uint256, address, uint8) view returns (uint256 amount, bool claimed, bool isLateBet, uint256 lateAmount)",
+  "function startNewGame()",
+  "function transferOwnership(address newOwner)",
+  "function userStats(address) view returns (uint256 totalBets, uint256 totalWins, uint256 totalWinnings, uint256 totalLosses)",
+  "function voidCompromisedGame(uint256 _gameId)",
+  "function withdrawEmergency(uint256 _gameId)",
+  "function withdrawFees()",
+
+  // Events
+  "event ActualEndBlockSet(uint256 indexed gameId, uint256 actualEndBlock, uint256 validRedPool, uint256 validBluePool)",
+  "event BetPlaced(uint256 indexed gameId, address indexed bettor, uint8 side, uint256 amount, uint256 newPoolTotal)",
+  "event EmergencyWithdraw(uint256 indexed gameId, address indexed user, uint256 redAmount, uint256 blueAmount)",
+  "event FeesReleased(uint256 indexed gameId, uint256 platformFees)",
+  "event GameCancelled(uint256 indexed gameId, string reason)",
+  "event GameCreated(uint256 indexed gameId, uint256 startBlock, uint256 endBlock)",
+  "event GameResolved(uint256 indexed gameId, uint8 winningSide, uint256 redPool, uint256 bluePool, uint256 redBettors, uint256 blueBettors)",
+  "event GameTied(uint256 indexed gameId, uint256 redPool, uint256 bluePool)",
+  "event GameVoided(uint256 indexed gameId, string reason)",
+  "event LateBetRefunded(uint256 indexed gameId, address indexed bettor, uint8 side, uint256 amount)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "event RandomnessUsed(uint256 indexed gameId, uint64 drandRound, bytes32 randomness)",
+  "event RefundClaimed(uint256 indexed gameId, address indexed bettor, uint8 side, uint256 amount)",
+  "event WinningsClaimed(uint256 indexed gameId, address indexed bettor, uint8 side, uint256 betAmount, uint256 winnings)",
+
+  // Custom errors
+  "error AlreadyClaimed()",
+  "error BetTooSmall()",
+  "error BettingPeriodEnded()",
+  "error BettingPeriodNotEnded()",
+  "error ChainLaggingBehindRealTime()",
+  "error DrandPrecompileCallFailed()",
+  "error DrandPulseNotAvailable()",
+  "error EmergencyTimeoutNotReached()",
+  "error EmergencyWithdrawalsUsed()",
+  "error GameAlreadyResolved()",
+  "error GameNotCompromised()",
+  "error GameNotFound()",
+  "error GameNotInBettingPhase()",
+  "error GameNotResolved()",
+  "error GameStillActive()",
+  "error InsufficientFeesForRefund()",
+  "error InsufficientGameBalance()",
+  "error InvalidBetAmount()",
+  "error LateBetRefundOnly()",
+  "error NoActiveGame()",
+  "error NoBetToClaim()",
+  "error NothingToWithdraw()",
+  "error RandomnessAlreadyLeaked()",
+  "error TooManyBettors()",
+  "error TransferFailed()",
+  "error WaitingForRandomness()",
+];
+
+const RPS_TOURNAMENT_ABI = [
+  // Constructor
+  "constructor(bytes32 _sn38OwnerHotkey)",
+
+  // Functions
+  "function COMMIT_BLOCKS() view returns (uint256)",
+  "function DRAND_LAST_ROUND_KEY() view returns (bytes32)",
+  "function DRAND_PRECOMPILE() view returns (address)",
+  "function DRAND_PULSES_PREFIX() view returns (bytes)",
+  "function DRAND_ROUNDS_PER_BLOCK_ESTIMATE() view returns (uint64)",
+  "function FEE_DENOMINATOR() view returns (uint256)",
+  "function MAX_REG_BLOCKS() view returns (uint256)",
+  "function MAX_RPS_ROUNDS_PER_MATCH() view returns (uint8)",
+  "function MIN_ENTRY() view returns (uint256)",
+  "function NETUID_SN38() view returns (uint256)",
+  "function PLATFORM_FEE() view returns (uint256)",
+  "function REVEAL_BLOCKS() view returns (uint256)",
+  "function SEED_ROUND_BUFFER_ROUNDS() view returns (uint64)",
+  "function STAKING_PRECOMPILE() view returns (address)",
+  "function STALL_BLOCKS() view returns (uint256)",
+  "function STORAGE_PRECOMPILE() view returns (address)",
+  "function WEI_PER_RAO() view returns (uint256)",
+  "function accumulatedFees() view returns (uint256)",
+  "function cancelStalledTournament(uint256 _tournamentId)",
+  "function cancelTournament(uint256 _tournamentId)",
+  "function cancelUnstartableTournament(uint256 _tournamentId)",
+  "function claimPrize(uint256 _tournamentId)",
+  "function commitHash(uint256, uint256, uint256, uint256, address) view returns (bytes32)",
+  "function commitMove(uint256 _tournamentId, uint256 _round, uint256 _matchIndex, bytes32 _commitHash)",
+  "function createTournament(uint8 _maxPlayers, uint256 _maxRegBlocks, uint256 _minEntry, uint256 _commitBlocks, uint256 _revealBlocks, uint8 _maxRPSRoundsPerMatch) returns (uint256 tournamentId)",
+  "function createTournament(uint8 _maxPlayers, uint256 _maxRegBlocks, uint256 _minEntry) returns (uint256 tournamentId)",
+  "function flushFeesToSubnetAndBurn()",
+  "function matches(uint256, uint256, uint256) view returns (address playerA, address playerB, uint256 commitEndBlock, uint256 revealEndBlock, uint8 rpsRound, uint64 seedRound, bool seedCompromised, address winner)",
+  "function nextTournamentId() view returns (uint256)",
+  "function pendingWithdrawals(address) view returns (uint256)",
+  "function register(uint256 _tournamentId) payable",
+  "function revealMove(uint256 _tournamentId, uint256 _round, uint256 _matchIndex, uint8 _choice, bytes32 _salt)",
+  "function revealedChoice(uint256, uint256, uint256, uint256, address) view returns (uint8)",
+  "function sn38OwnerHotkey() view returns (bytes32)",
+  "function startTournament(uint256 _tournamentId)",
+  "function totalPendingWithdrawalLiability() view returns (uint256)",
+  "function totalPrizeLiability() view returns (uint256)",
+  "function tournamentAdvancingPlayers(uint256, uint256) view returns (address)",
+  "function tournamentByePlayer(uint256, uint256) view returns (address)",
+  "function tournamentConfig(uint256) view returns (uint8 maxPlayers, uint256 maxRegBlocks, uint256 minEntry, uint256 commitBlocks, uint256 revealBlocks, uint8 maxRPSRoundsPerMatch)",
+  "function tournamentMatchCount(uint256, uint256) view returns (uint256)",
+  "function tournamentPlayers(uint256, uint256) view returns (address)",
+  "function tournaments(uint256) view returns (uint256 id, uint8 phase, address creator, uint256 registrationEndBlock, uint256 prizePool, uint256 currentRound, uint256 roundStartBlock, address winner, bool prizeClaimed)",
+  "function tryRevealMatch(uint256 _tournamentId, uint256 _round, uint256 _matchIndex)",
+  "function unregister(uint256 _tournamentId)",
+  "function withdrawPending()",
+
+  // Events
+  "event FeesFlushedToSn38AndBurned(uint256 taoAmount, uint256 alphaBurned)",
+  "event MatchCreated(uint256 indexed tournamentId, uint256 round, uint256 matchIndex, address playerA, address playerB)",
+  "event MatchReplayed(uint256 indexed tournamentId, uint256 round, uint256 matchIndex, uint8 newRpsRound, uint256 commitEndBlock, uint256 revealEndBlock)",
+  "event MatchResolved(uint256 indexed tournamentId, uint256 round, uint256 matchIndex, uint8 rpsRound, address winner)",
+  "event MoveCommitted(uint256 indexed tournamentId, uint256 round, uint256 matchIndex, uint8 rpsRound, address player, bytes32 commitHash)",
+  "event MoveRevealed(uint256 indexed tournamentId, uint256 round, uint256 matchIndex, uint8 rpsRound, address player, uint8 choice)",
+  "event PlayerRegistered(uint256 indexed tournamentId, address player, uint256 entry)",
+  "event PrizeClaimed(uint256 indexed tournamentId, address winner, uint256 amount)",
+  "event RoundAdvanced(uint256 indexed tournamentId, uint256 newRound)",
+  "event TiebreakSeedRefreshed(uint256 indexed tournamentId, uint256 round, uint256 matchIndex, uint64 newSeedRound)",
+  "event TournamentCanceled(uint256 indexed tournamentId)",
+  "event TournamentCompleted(uint256 indexed tournamentId, address winner)",
+  "event TournamentCreated(uint256 indexed tournamentId, address creator, uint8 maxPlayers, uint256 minEntry, uint256 registrationEndBlock)",
+  "event TournamentStarted(uint256 indexed tournamentId, uint256 playerCount)",
+  "event WithdrawalAccrued(address indexed to, uint256 amount)",
+
+  // Custom errors
+  "error AlreadyRegistered()",
+  "error CannotCancel()",
+  "error CannotStart()",
+  "error CommitAlreadySet()",
+  "error CommitPhaseEnded()",
+  "error DirectETHNotAccepted()",
+  "error DrandStillAvailable()",
+  "error DrandUnavailable()",
+  "error InsufficientContractBalance()",
+  "error InsufficientEntry()",
+  "error InsufficientFeesForRefund()",
+  "error InsufficientOrExcessEntry()",
+  "error InvalidChoice()",
+  "error InvalidCommitHash()",
+  "error InvalidCommitOrRevealBlocks()",
+  "error InvalidConfig()",
+  "error InvalidMatchIndex()",
+  "error InvalidMaxPlayers()",
+  "error InvalidMaxRegBlocks()",
+  "error InvalidMinEntry()",
+  "error InvalidRound()",
+  "error MatchAlreadyResolved()",
+  "error MatchNotInitialized()",
+  "error NotActive()",
+  "error NotCancelableYet()",
+  "error NotCompleted()",
+  "error NotRegistered()",
+  "error NotRegistrationPhase()",
+  "error NotWinner()",
+  "error NotYourMatch()",
+  "error PrizeAlreadyClaimed()",
+  "error RegistrationEnded()",
+  "error RevealPhaseEnded()",
+  "error RevealPhaseNotEnded()",
+  "error RevealPhaseNotStarted()",
+  "error StakingOrBurnFailed()",
+  "error TournamentFull()",
+  "error TournamentNotFound()",
+  "error TransferFailed()",
+
+  // Receive
+  "receive() payable",
+];
+
+// Subtensor staking precompile (0x0805), subset used by RPS_Tournament fee flush
+const STAKING_ABI = [
+  "function getTotalAlphaStaked(bytes32 hotkey, uint256 netuid) view returns (uint256)",
+  "function addStake(bytes32 hotkey, uint256 amount, uint256 netuid) payable",
+  "function burnAlpha(bytes32 hotkey, uint256 amount, uint256 netuid) payable",
+];
+
+// Drand precompile (0x080D for TAOColosseum, 0x080E for RPS_Tournament; subtensor PR #2445)
+const DRAND_PRECOMPILE_ABI = [
+  "function getLastStoredRound() view returns (uint64)",
+  "function getPulse(uint64 round) view returns (bool exists, bytes32 randomness)",
+  "function getRandomness(uint64 round) view returns (bytes32)",
+];
+
+module.exports = {
+  COLOSSEUM_ABI,
+  RPS_TOURNAMENT_ABI,
+  STAKING_ABI,
+  DRAND_PRECOMPILE_ABI,
+};
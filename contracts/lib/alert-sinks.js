@@ -0,0 +1,82 @@
+/**
+ * Alert sinks for lib/drand-monitor.js and lib/solvency-monitor.js: each is { name, send(event) } and receives a monitor's
+ * "alert" / "resolved" events, serialized with toJson (bigints as strings).
+ * Node only (fs); not re-exported from lib/index.js.
+ *
+ *   stdout                one JSON line per event
+ *   webhook=<url>         POST the event as JSON (Slack/Discord relays, PagerDuty bridges, ...)
+ *   file=<path>           append one JSON line per event
+ *
+ * Usage:
+ *   const sinks = parseSinks(process.env.ALERT_SINKS || "stdout");   // "stdout,file=./alerts.jsonl"
+ */
+const fs = require("fs");
+const path = require("path");
+const { toJson } = require("./format");
+
+/** @param {{ stream?: NodeJS.WritableStream }} [opts] */
+function createStdoutSink({ stream = process.stdout } = {}) {
+  return {
+    name: "stdout",
+    async send(event) {
+      stream.write(toJson(event) + "\n");
+    },
+  };
+}
+
+/**
+ * @param {string} url
+ * @param {{ headers?: Record<string, string>, timeoutMs?: number, fetch?: typeof fetch }} [opts]
+ */
+function createWebhookSink(url, { headers = {}, timeoutMs = 10000, fetch = globalThis.fetch } = {}) {
+  return {
+    name: `webhook ${new URL(url).host}`,
+    async send(event) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "content-type": "application/json", ...headers },
+        body: toJson(event),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!res.ok) throw new Error(`webhook responded ${res.status}`);
+    },
+  };
+}
+
+/** @param {string} file JSON lines, created with its directory on the first event */
+function createFileSink(file) {
+  return {
+    name: `file ${file}`,
+    async send(event) {
+      await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+      await fs.promises.appendFile(file, toJson(event) + "\n");
+    },
+  };
+}
+
+/**
+ * Build sinks from a comma-separated spec: "stdout", "webhook=<url>", "file=<path>".
+ * @param {string} spec
+ */
+function parseSinks(spec) {
+  return spec
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const eq = entry.indexOf("=");
+      const kind = eq === -1 ? entry : entry.slice(0, eq);
+      const arg = eq === -1 ? "" : entry.slice(eq + 1);
+      if (kind === "stdout") return createStdoutSink();
+      if (kind === "webhook" && arg) return createWebhookSink(arg);
+      if (kind === "file" && arg) return createFileSink(arg);
+      throw new Error(`Unknown alert sink "${entry}" (expected stdout, webhook=<url> or file=<path>)`);
+    });
+}
+
+module.exports = {
+  createStdoutSink,
+  createWebhookSink,
+  createFileSink,
+  parseSinks,
+};
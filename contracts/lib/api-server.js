@@ -0,0 +1,256 @@
+/**
+ * Read-only HTTP/JSON API over live contract state and the event index. Node only (http); required by
+ * path. Routes are documented in docs/api.md.
+ *
+ * Live routes (current game, positions, brackets, leaderboard) read the chain through the SDK clients;
+ * history routes read the event DB (lib/event-db.js) and answer 503 when no index is configured.
+ * Every 200 response carries a weak ETag of its body; a matching If-None-Match gets 304.
+ */
+const crypto = require("crypto");
+const http = require("http");
+const { isAddress, getAddress } = require("ethers");
+const { createColosseumClient } = require("./colosseum-client");
+const { createRpsClient } = require("./rps-client");
+const { loadBracket } = require("./rps-bracket");
+const { summarizeGame, summarizeTournament } = require("./history");
+const { fmtErr, revertName, toJson } = require("./format");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+function parseId(value, what) {
+  if (!/^\d+$/.test(value)) throw httpError(400, `Invalid ${what}: ${value}`);
+  return BigInt(value);
+}
+
+function parseAccount(value) {
+  if (!isAddress(value)) throw httpError(400, `Invalid address: ${value}`);
+  return getAddress(value);
+}
+
+function parsePage(query) {
+  const limit = query.has("limit") ? Number(query.get("limit")) : DEFAULT_PAGE_SIZE;
+  const offset = query.has("offset") ? Number(query.get("offset")) : 0;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) throw httpError(400, `limit must be 1..${MAX_PAGE_SIZE}`);
+  if (!Number.isInteger(offset) || offset < 0) throw httpError(400, "offset must be a non-negative integer");
+  return { limit, offset };
+}
+
+function page(all, { limit, offset }) {
+  return { items: all.slice(offset, offset + limit), total: all.length, limit, offset };
+}
+
+/**
+ * @param {object} opts
+ * @param {import("ethers").Provider} opts.provider
+ * @param {string} [opts.colosseumAddress]
+ * @param {string} [opts.rpsAddress]
+ * @param {Awaited<ReturnType<import("./event-db").openEventDb>>} [opts.db] event index for history routes
+ * @param {number} [opts.cacheSeconds=2] Cache-Control max-age (about one block is plenty for live data)
+ * @returns {(req: http.IncomingMessage, res: http.ServerResponse) => Promise<void>}
+ */
+function createApiHandler({ provider, colosseumAddress, rpsAddress, db, cacheSeconds = 2 }) {
+  const colosseum = colosseumAddress ? createColosseumClient(colosseumAddress, provider) : null;
+  const rps = rpsAddress ? createRpsClient(rpsAddress, provider) : null;
+
+  function needColosseum() {
+    if (!colosseum) throw httpError(404, "TAOColosseum is not configured on this server");
+    return colosseum;
+  }
+
+  function needRps() {
+    if (!rps) throw httpError(404, "RPS_Tournament is not configured on this server");
+    return rps;
+  }
+
+  function needDb() {
+    if (!db) throw httpError(503, "Event index is not configured on this server");
+    return db;
+  }
+
+  /** getGame() reverts GameNotFound for ids never created; surface that as 404. */
+  async function loadGame(c, gameId) {
+    try {
+      return await c.getGame(gameId);
+    } catch (e) {
+      if (revertName(e) === "GameNotFound") throw httpError(404, `Game ${gameId} not found`);
+      throw e;
+    }
+  }
+
+  function eventPage(filter, query) {
+    const p = parsePage(query);
+    const d = needDb();
+    return { items: d.getEvents({ ...filter, ...p, order: "desc" }), total: d.countEvents(filter), ...p };
+  }
+
+  // ---------- handlers ----------
+
+  async function health() {
+    const [network, blockNumber] = await Promise.all([provider.getNetwork(), provider.getBlockNumber()]);
+    return {
+      chainId: network.chainId,
+      blockNumber,
+      indexedBlock: db ? db.getLastBlock() : null,
+      colosseum: colosseumAddress || null,
+      rps: rpsAddress || null,
+    };
+  }
+
+  async function currentGame() {
+    const c = needColosseum();
+    const [game, blockNumber] = await Promise.all([c.getCurrentGame(), provider.getBlockNumber()]);
+    if (!game) throw httpError(404, "No game has been started yet");
+    return { blockNumber, game: await c.getGameView(game.id) };
+  }
+
+  async function listGames(_, query) {
+    const d = needDb();
+    const ids = d.listGameIds().reverse();
+    const p = page(ids, parsePage(query));
+    return { ...p, items: p.items.map((id) => summarizeGame(d.getEvents({ contract: "colosseum", gameId: id }))) };
+  }
+
+  async function getGame({ id }) {
+    const c = needColosseum();
+    const gameId = parseId(id, "game id");
+    const blockNumber = await provider.getBlockNumber();
+    await loadGame(c, gameId);
+    const view = await c.getGameView(gameId);
+    const summary = db ? summarizeGame(db.getEvents({ contract: "colosseum", gameId })) : null;
+    return { blockNumber, game: view, summary };
+  }
+
+  async function gameEvents({ id }, query) {
+    return eventPage({ contract: "colosseum", gameId: parseId(id, "game id") }, query);
+  }
+
+  async function leaderboard(_, query) {
+    return page(await needColosseum().getLeaderboard(), parsePage(query));
+  }
+
+  async function user({ address }) {
+    const account = parseAccount(address);
+    const out = { address: account, stats: colosseum ? await colosseum.getUserStats(account) : null, games: null, tournaments: null };
+    if (rps) out.pendingWithdrawal = await rps.getPendingWithdrawal(account);
+    if (db) {
+      out.games = [...new Set(db.getEvents({ contract: "colosseum", name: "BetPlaced", account }).map((e) => e.gameId))];
+      out.tournaments = [...new Set(db.getEvents({ contract: "rps", name: "PlayerRegistered", account }).map((e) => e.tournamentId))];
+    }
+    return out;
+  }
+
+  async function userGame({ address, id }) {
+    const c = needColosseum();
+    const gameId = parseId(id, "game id");
+    await loadGame(c, gameId);
+    return c.getUserPosition(gameId, parseAccount(address));
+  }
+
+  async function userEvents({ address }, query) {
+    return eventPage({ account: parseAccount(address) }, query);
+  }
+
+  async function listTournaments(_, query) {
+    const d = needDb();
+    const ids = d.listTournamentIds().reverse();
+    const p = page(ids, parsePage(query));
+    return { ...p, items: p.items.map((id) => summarizeTournament(d.getEvents({ contract: "rps", tournamentId: id }))) };
+  }
+
+  async function tournament({ id }) {
+    const r = needRps();
+    const tournamentId = parseId(id, "tournament id");
+    const bracket = await loadBracket(r, tournamentId, { blockNumber: await provider.getBlockNumber() });
+    if (!bracket) throw httpError(404, `Tournament ${id} not found`);
+    return bracket;
+  }
+
+  async function tournamentEvents({ id }, query) {
+    return eventPage({ contract: "rps", tournamentId: parseId(id, "tournament id") }, query);
+  }
+
+  const routes = [
+    ["/v1/health", health],
+    ["/v1/games/current", currentGame],
+    ["/v1/games", listGames],
+    ["/v1/games/:id", getGame],
+    ["/v1/games/:id/events", gameEvents],
+    ["/v1/leaderboard", leaderboard],
+    ["/v1/users/:address", user],
+    ["/v1/users/:address/games/:id", userGame],
+    ["/v1/users/:address/events", userEvents],
+    ["/v1/tournaments", listTournaments],
+    ["/v1/tournaments/:id", tournament],
+    ["/v1/tournaments/:id/events", tournamentEvents],
+  ].map(([pattern, handler]) => {
+    const names = [];
+    const re = new RegExp(`^${pattern.replace(/:(\w+)/g, (_, n) => {
+      names.push(n);
+      return "([^/]+)";
+    })}/?$`);
+    return { re, names, handler };
+  });
+
+  function send(req, res, status, body) {
+    const json = toJson(body);
+    const headers = { "Content-Type": "application/json; charset=utf-8", "Access-Control-Allow-Origin": "*" };
+    if (status === 200) {
+      const etag = `W/"${crypto.createHash("sha1").update(json).digest("base64url")}"`;
+      headers.ETag = etag;
+      headers["Cache-Control"] = `public, max-age=${cacheSeconds}`;
+      if (req.headers["if-none-match"] === etag) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+      }
+    }
+    res.writeHead(status, headers);
+    res.end(req.method === "HEAD" ? undefined : json);
+  }
+
+  function decodeParam(name, raw) {
+    try {
+      return decodeURIComponent(raw);
+    } catch {
+      throw httpError(400, `Malformed ${name} in path`);
+    }
+  }
+
+  return async function handle(req, res) {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      send(req, res, 405, { error: "Method not allowed" });
+      return;
+    }
+    const url = new URL(req.url, "http://localhost");
+    for (const route of routes) {
+      const m = route.re.exec(url.pathname);
+      if (!m) continue;
+      try {
+        const params = Object.fromEntries(route.names.map((n, i) => [n, decodeParam(n, m[i + 1])]));
+        send(req, res, 200, await route.handler(params, url.searchParams));
+      } catch (e) {
+        if (e.status) send(req, res, e.status, { error: e.message });
+        else send(req, res, 502, { error: `Upstream RPC error: ${fmtErr(e)}` });
+      }
+      return;
+    }
+    send(req, res, 404, { error: `No route for ${url.pathname}` });
+  };
+}
+
+/** http.Server wrapping createApiHandler; call .listen(port, host) on it. */
+function createApiServer(opts) {
+  return http.createServer(createApiHandler(opts));
+}
+
+module.exports = {
+  createApiHandler,
+  createApiServer,
+};
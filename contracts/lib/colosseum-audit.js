@@ -0,0 +1,250 @@
+/**
+ * Outcome auditor for TAOColosseum (Underdog) games: replays a game from its BetPlaced events and drand
+ * randomness (colosseum-math replayGame) and diffs the result against what the contract stored — getGame
+ * pools, counts, actualEndBlock, valid pools and outcome, every bettor's SideBet (amount, late refund) and,
+ * for claimed positions, what was actually paid. One report per game, rendered as markdown or kept as JSON.
+ *
+ * Usage:
+ *   const record = await loadGameRecord(createColosseumClient(address, provider), 7);
+ *   const report = auditGame(record);               // pure; record may come from a saved JSON file
+ *   console.log(renderAuditMarkdown([report]));
+ */
+const { formatTao, sideName, revertName } = require("./format");
+const { estimateClaim, positionKey, replayGame } = require("./colosseum-math");
+
+const PHASE_RESOLVED = 3;
+const PHASE_FINALIZED = 4;
+
+/**
+ * @typedef {object} GameRecord everything the audit needs, JSON-serializable (toJson) for offline re-runs
+ * @property {import("./colosseum-client").Game} game
+ * @property {{ bettor: string, side: number, amount: bigint, blockNumber: number, txHash: string }[]} bets
+ * @property {{ drandRound: bigint, randomness: string }|null} randomness RandomnessUsed, if resolved with drand
+ * @property {string|null} cancelReason GameCancelled reason
+ * @property {boolean} voided GameVoided emitted
+ * @property {{ bettor: string, redAmount: bigint, blueAmount: bigint }[]} emergency EmergencyWithdraw events
+ * @property {{ bettor: string, side: number, amount: bigint, event: string }[]} payouts claim events
+ * @property {{ bettor: string, side: number, amount: bigint, claimed: boolean, isLateBet: boolean, lateAmount: bigint }[]} sideBets
+ */
+
+/**
+ * @typedef {object} AuditCheck
+ * @property {string} name
+ * @property {string} expected recomputed value
+ * @property {string} actual on-chain value
+ * @property {boolean} ok
+ */
+
+/**
+ * Read a game and all of its events. Logs are queried from the game's startBlock; pass toBlock to pin the
+ * audit to a block (default latest).
+ * @param {ReturnType<import("./colosseum-client").createColosseumClient>} client
+ * @returns {Promise<GameRecord|null>} null when the game does not exist
+ */
+async function loadGameRecord(client, gameId, { toBlock = "latest" } = {}) {
+  let game;
+  try {
+    game = await client.getGame(gameId);
+  } catch (e) {
+    if (revertName(e) === "GameNotFound") return null;
+    throw e;
+  }
+  const c = client.contract;
+  const query = (filter) => c.queryFilter(filter, Number(game.startBlock), toBlock);
+  const [placed, used, cancelled, voided, emergency, won, lateRefunds, refunds] = await Promise.all([
+    query(c.filters.BetPlaced(game.id)),
+    query(c.filters.RandomnessUsed(game.id)),
+    query(c.filters.GameCancelled(game.id)),
+    query(c.filters.GameVoided(game.id)),
+    query(c.filters.EmergencyWithdraw(game.id)),
+    query(c.filters.WinningsClaimed(game.id)),
+    query(c.filters.LateBetRefunded(game.id)),
+    query(c.filters.RefundClaimed(game.id)),
+  ]);
+
+  const bets = placed.map((e) => ({
+    bettor: e.args.bettor,
+    side: Number(e.args.side),
+    amount: e.args.amount,
+    blockNumber: e.blockNumber,
+    txHash: e.transactionHash,
+  }));
+  const payout = (event, amount) => (e) => ({ bettor: e.args.bettor, side: Number(e.args.side), amount: amount(e), event });
+  const bettors = [...new Set(bets.map((b) => b.bettor))];
+  const userBets = await Promise.all(bettors.map((b) => client.getUserBets(game.id, b)));
+
+  return {
+    game,
+    bets,
+    randomness: used.length > 0 ? { drandRound: used[0].args.drandRound, randomness: used[0].args.randomness } : null,
+    cancelReason: cancelled.length > 0 ? cancelled[0].args.reason : null,
+    voided: voided.length > 0,
+    emergency: emergency.map((e) => ({ bettor: e.args.user, redAmount: e.args.redAmount, blueAmount: e.args.blueAmount })),
+    payouts: [
+      ...won.map(payout("WinningsClaimed", (e) => e.args.winnings)),
+      ...lateRefunds.map(payout("LateBetRefunded", (e) => e.args.amount)),
+      ...refunds.map(payout("RefundClaimed", (e) => e.args.amount)),
+    ],
+    sideBets: bettors.flatMap((bettor, i) =>
+      [userBets[i].red, userBets[i].blue].map((b, side) => ({ bettor, side, ...b })).filter((b) => b.amount > 0n || b.claimed),
+    ),
+  };
+}
+
+/** How the contract left the game: pending | resolved | cancelled | tied | voided. */
+function onChainOutcome(game, record) {
+  const phase = Number(game.phase);
+  if (phase === PHASE_RESOLVED || (phase === PHASE_FINALIZED && game.hasWinner)) return "resolved";
+  if (phase !== PHASE_FINALIZED) return "pending";
+  if (record.voided) return "voided";
+  return record.cancelReason && record.cancelReason.startsWith("Exact tie") ? "tied" : "cancelled";
+}
+
+function outcomeLabel(outcome, winningSide) {
+  return outcome === "resolved" ? `resolved (${sideName(winningSide)} wins)` : outcome;
+}
+
+/**
+ * Recompute a game from its record and compare every derived value with the chain.
+ * @param {GameRecord} record
+ */
+function auditGame(record) {
+  const game = record.game;
+  const bets = record.bets.map((b) => ({ ...b, amount: BigInt(b.amount) }));
+  const replay = replayGame({ endBlock: game.endBlock, bets, randomness: record.randomness ? record.randomness.randomness : null });
+  const r = replay.resolution;
+
+  const chainOutcome = onChainOutcome(game, record);
+  let outcome;
+  if (r) outcome = r.outcome;
+  else if (record.voided) outcome = "voided";
+  else outcome = "pending";
+  const refunded = outcome === "cancelled" || outcome === "tied" || outcome === "voided";
+
+  const checks = [];
+  const check = (name, expected, actual) => checks.push({ name, expected: String(expected), actual: String(actual), ok: String(expected) === String(actual) });
+  check("redPool", replay.redPool, BigInt(game.redPool));
+  check("bluePool", replay.bluePool, BigInt(game.bluePool));
+  check("redBettors", replay.redBettors, BigInt(game.redBettors));
+  check("blueBettors", replay.blueBettors, BigInt(game.blueBettors));
+  check("totalLiquidity", refunded ? replay.redPool + replay.bluePool : replay.netLiquidity, BigInt(game.totalLiquidity));
+  if (r) {
+    check("actualEndBlock", r.actualEndBlock, BigInt(game.actualEndBlock));
+    check("validRedPool", r.validRedPool, BigInt(game.validRedPool));
+    check("validBluePool", r.validBluePool, BigInt(game.validBluePool));
+    check("validLiquidity", r.validLiquidity, BigInt(game.validLiquidity));
+  }
+  check("outcome", outcomeLabel(outcome, r && r.winningSide), outcomeLabel(chainOutcome, Number(game.winningSide)));
+
+  // What claimWinnings pays under the recomputed outcome (estimateClaim on the replayed game)
+  const replayedGame = {
+    phase: outcome === "resolved" ? PHASE_RESOLVED : refunded ? PHASE_FINALIZED : Number(game.phase),
+    hasWinner: outcome === "resolved",
+    winningSide: r && r.winningSide !== null ? r.winningSide : 0,
+    validRedPool: r ? r.validRedPool : 0n,
+    validBluePool: r ? r.validBluePool : 0n,
+    validLiquidity: r ? r.validLiquidity : 0n,
+  };
+  const stored = new Map(record.sideBets.map((b) => [positionKey(b.bettor, b.side), b]));
+  const paid = new Map();
+  for (const p of record.payouts) {
+    const key = positionKey(p.bettor, p.side);
+    paid.set(key, (paid.get(key) || 0n) + BigInt(p.amount));
+  }
+  const withdrawn = new Map(record.emergency.map((e) => [e.bettor.toLowerCase(), e]));
+
+  const positions = [...replay.positions.values()].map((p) => {
+    const key = positionKey(p.bettor, p.side);
+    const onChain = stored.get(key) || { amount: 0n, claimed: false, isLateBet: false, lateAmount: 0n };
+    const problems = [];
+    const emergency = withdrawn.get(p.bettor.toLowerCase());
+    let expected;
+    let actual = paid.get(key) || 0n;
+    if (emergency) {
+      // withdrawEmergency zeroes the SideBet and pays back the gross amount (net + fee)
+      expected = { kind: "emergency", payout: p.amount };
+      actual = BigInt(p.side === 0 ? emergency.redAmount : emergency.blueAmount);
+      if (BigInt(onChain.amount) !== 0n) problems.push("SideBet.amount not zeroed");
+    } else {
+      expected = estimateClaim(replayedGame, { amount: p.amount, claimed: false, isLateBet: p.lateAmount > 0n, lateAmount: p.lateAmount }, p.side);
+      if (BigInt(onChain.amount) !== p.amount) problems.push(`SideBet.amount ${onChain.amount}`);
+      if (r && BigInt(onChain.lateAmount) !== p.lateAmount) problems.push(`SideBet.lateAmount ${onChain.lateAmount}`);
+      if (r && Boolean(onChain.isLateBet) !== p.lateAmount > 0n) problems.push(`SideBet.isLateBet ${onChain.isLateBet}`);
+    }
+    const claimed = Boolean(onChain.claimed) || Boolean(emergency);
+    if (claimed && actual !== expected.payout) problems.push(`paid ${actual}`);
+    if (!claimed && actual > 0n) problems.push(`paid ${actual} while unclaimed`);
+    return {
+      bettor: p.bettor,
+      side: p.side,
+      amount: p.amount,
+      lateAmount: p.lateAmount,
+      kind: expected.kind,
+      expectedPayout: expected.payout,
+      claimed,
+      paid: claimed ? actual : null,
+      problems,
+      ok: problems.length === 0,
+    };
+  });
+  const orphaned = record.sideBets.filter((b) => !replay.positions.has(positionKey(b.bettor, b.side)));
+  for (const b of orphaned) check(`SideBet ${b.bettor} ${sideName(b.side)}`, "no BetPlaced", `amount ${b.amount}`);
+
+  return {
+    gameId: BigInt(game.id),
+    outcome,
+    chainOutcome,
+    drandRound: record.randomness ? BigInt(record.randomness.drandRound) : null,
+    randomness: record.randomness ? record.randomness.randomness : null,
+    recomputed: {
+      redPool: replay.redPool,
+      bluePool: replay.bluePool,
+      ...(r ? { actualEndBlock: r.actualEndBlock, validRedPool: r.validRedPool, validBluePool: r.validBluePool, validLiquidity: r.validLiquidity, lateFees: r.lateFees, winningSide: r.winningSide } : {}),
+    },
+    checks,
+    positions,
+    ok: checks.every((c) => c.ok) && positions.every((p) => p.ok),
+  };
+}
+
+const AMOUNT_CHECKS = new Set(["redPool", "bluePool", "totalLiquidity", "validRedPool", "validBluePool", "validLiquidity"]);
+
+function cell(name, value) {
+  return AMOUNT_CHECKS.has(name) && /^\d+$/.test(value) ? `${formatTao(value)} TAO` : value;
+}
+
+/**
+ * Markdown audit report: a summary table, then per game the checks and every bettor's position.
+ * @param {ReturnType<typeof auditGame>[]} reports
+ * @param {{ title?: string }} [opts]
+ */
+function renderAuditMarkdown(reports, { title = "TAOColosseum outcome audit" } = {}) {
+  const mark = (ok) => (ok ? "ok" : "**MISMATCH**");
+  const lines = [`# ${title}`, ""];
+  const failed = reports.filter((r) => !r.ok);
+  lines.push(`${reports.length} game(s) audited, ${failed.length} with mismatches.`, "");
+  lines.push("| Game | Outcome | drand round | Result |", "|---|---|---|---|");
+  for (const r of reports) {
+    lines.push(`| ${r.gameId} | ${outcomeLabel(r.outcome, r.recomputed.winningSide)} | ${r.drandRound ?? "-"} | ${mark(r.ok)} |`);
+  }
+  for (const r of reports) {
+    lines.push("", `## Game ${r.gameId}`, "");
+    if (r.randomness) lines.push(`Randomness ${r.randomness} (drand round ${r.drandRound}).`, "");
+    lines.push("| Check | Recomputed | On chain | |", "|---|---|---|---|");
+    for (const c of r.checks) lines.push(`| ${c.name} | ${cell(c.name, c.expected)} | ${cell(c.name, c.actual)} | ${mark(c.ok)} |`);
+    if (r.positions.length === 0) continue;
+    lines.push("", "| Bettor | Side | Bet | Late | Expected | Paid | |", "|---|---|---|---|---|---|---|");
+    for (const p of r.positions) {
+      const paid = p.paid === null ? "unclaimed" : formatTao(p.paid);
+      const status = p.ok ? "ok" : `**${p.problems.join("; ")}**`;
+      lines.push(`| ${p.bettor} | ${sideName(p.side)} | ${formatTao(p.amount)} | ${formatTao(p.lateAmount)} | ${formatTao(p.expectedPayout)} (${p.kind}) | ${paid} | ${status} |`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  loadGameRecord,
+  auditGame,
+  renderAuditMarkdown,
+};
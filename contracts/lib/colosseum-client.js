@@ -0,0 +1,247 @@
+/**
+ * Client for TAOColosseum (Underdog game). Works with any ethers v6 runner (Signer or Provider),
+ * so it can be used from Node scripts, bots and the frontend without Hardhat.
+ *
+ * Usage:
+ *   const { createColosseumClient } = require("./lib");
+ *   const colosseum = createColosseumClient(address, signer);
+ *   const game = await colosseum.getCurrentGame();
+ *   await colosseum.placeBet(game.id, "Red", parseTao("0.1"));
+ */
+const { Contract } = require("ethers");
+const { COLOSSEUM_ABI } = require("./abi");
+const { COLOSSEUM } = require("./constants");
+const { gamePhaseName, sideName, parseSide, revertName } = require("./format");
+const { estimateClaim } = require("./colosseum-math");
+
+/**
+ * @typedef {object} Game
+ * @property {bigint} id
+ * @property {number} phase
+ * @property {string} phaseName
+ * @property {bigint} redPool
+ * @property {bigint} bluePool
+ * @property {bigint} redBettors
+ * @property {bigint} blueBettors
+ * @property {bigint} startBlock
+ * @property {bigint} endBlock
+ * @property {bigint} resolvedBlock
+ * @property {number} winningSide
+ * @property {string|null} winningSideName  null unless hasWinner
+ * @property {bigint} totalLiquidity
+ * @property {boolean} hasWinner
+ * @property {bigint} targetDrandRound
+ * @property {bigint} predictedDrandTimestamp
+ * @property {bigint} actualEndBlock
+ * @property {bigint} validRedPool
+ * @property {bigint} validBluePool
+ * @property {bigint} validLiquidity
+ */
+
+/**
+ * @typedef {object} SideBet
+ * @property {bigint} amount
+ * @property {boolean} claimed
+ * @property {boolean} isLateBet
+ * @property {bigint} lateAmount
+ */
+
+/** @returns {Game} */
+function decodeGame(g) {
+  return {
+    id: g.id,
+    phase: Number(g.phase),
+    phaseName: gamePhaseName(g.phase),
+    redPool: g.redPool,
+    bluePool: g.bluePool,
+    redBettors: g.redBettors,
+    blueBettors: g.blueBettors,
+    startBlock: g.startBlock,
+    endBlock: g.endBlock,
+    resolvedBlock: g.resolvedBlock,
+    winningSide: Number(g.winningSide),
+    winningSideName: g.hasWinner ? sideName(g.winningSide) : null,
+    totalLiquidity: g.totalLiquidity,
+    hasWinner: g.hasWinner,
+    targetDrandRound: g.targetDrandRound,
+    predictedDrandTimestamp: g.predictedDrandTimestamp,
+    actualEndBlock: g.actualEndBlock,
+    validRedPool: g.validRedPool,
+    validBluePool: g.validBluePool,
+    validLiquidity: g.validLiquidity,
+  };
+}
+
+/** @returns {SideBet} */
+function decodeSideBet(b) {
+  return {
+    amount: b.amount,
+    claimed: b.claimed,
+    isLateBet: b.isLateBet,
+    lateAmount: b.lateAmount,
+  };
+}
+
+/**
+ * @param {string} address TAOColosseum address
+ * @param {import("ethers").ContractRunner} runner Signer (for transactions) or Provider (read-only)
+ */
+function createColosseumClient(address, runner) {
+  const contract = new Contract(address, COLOSSEUM_ABI, runner);
+
+  // ---------- views ----------
+
+  /** @returns {Promise<Game>} */
+  async function getGame(gameId) {
+    return decodeGame(await contract.getGame(gameId));
+  }
+
+  /** @returns {Promise<Game|null>} null when no game was ever started */
+  async function getCurrentGame() {
+    try {
+      return decodeGame(await contract.getCurrentGame());
+    } catch (e) {
+      if (revertName(e) === "NoActiveGame") return null;
+      throw e;
+    }
+  }
+
+  async function getResolutionStatus(gameId) {
+    const s = await contract.getResolutionStatus(gameId);
+    return {
+      phase: Number(s.phase),
+      phaseName: gamePhaseName(s.phase),
+      targetDrandRound: s.targetDrandRound,
+      actualEndBlock: s.actualEndBlock,
+      canFinalize: s.canFinalize,
+    };
+  }
+
+  /**
+   * Game plus the live helpers the UI needs (blocks remaining, final call, multipliers).
+   * Multipliers are in basis points (10000 = 1x), as returned by getCurrentMultiplier.
+   */
+  async function getGameView(gameId) {
+    const [game, blocksRemaining, inFinalCall, redMultiplier, blueMultiplier, compromised] = await Promise.all([
+      getGame(gameId),
+      contract.getBlocksRemaining(gameId),
+      contract.isInFinalCall(gameId),
+      contract.getCurrentMultiplier(gameId, 0),
+      contract.getCurrentMultiplier(gameId, 1),
+      contract.isGameCompromised(gameId),
+    ]);
+    return { ...game, blocksRemaining, inFinalCall, redMultiplier, blueMultiplier, compromised };
+  }
+
+  async function getUserBets(gameId, user) {
+    const b = await contract.getUserBets(gameId, user);
+    return { red: decodeSideBet(b.redBet), blue: decodeSideBet(b.blueBet) };
+  }
+
+  /** User's bets for a game plus what claimWinnings would pay per side right now. */
+  async function getUserPosition(gameId, user) {
+    const [game, bets] = await Promise.all([getGame(gameId), getUserBets(gameId, user)]);
+    const red = estimateClaim(game, bets.red, 0);
+    const blue = estimateClaim(game, bets.blue, 1);
+    return { gameId: game.id, user, bets, claims: { red, blue }, totalClaimable: red.payout + blue.payout };
+  }
+
+  async function getUserStats(user) {
+    const s = await contract.getUserStats(user);
+    return { totalBets: s.totalBets, totalWins: s.totalWins, totalWinnings: s.totalWinnings, totalLosses: s.totalLosses };
+  }
+
+  async function getLeaderboard(limit = COLOSSEUM.MAX_LEADERBOARD_SIZE) {
+    const r = await contract.getLeaderboardWithStats(limit);
+    return r.addresses.map((address, i) => ({ rank: i + 1, address, winnings: r.winnings[i], wins: r.wins[i] }));
+  }
+
+  async function getDrandStatus() {
+    const [lastRound, isAvailable] = await contract.getDrandStatus();
+    return { lastRound, isAvailable };
+  }
+
+  /** True once voidCompromisedGame would succeed (chain lag or leaked randomness). */
+  function isGameCompromised(gameId) {
+    return contract.isGameCompromised(gameId);
+  }
+
+  function isDrandRoundAvailable(round) {
+    return contract.isDrandRoundAvailable(round);
+  }
+
+  async function getDrandRandomness(round) {
+    const [exists, randomness] = await contract.getDrandRandomness(round);
+    return { exists, randomness };
+  }
+
+  // ---------- transactions ----------
+
+  function startNewGame(overrides = {}) {
+    return contract.startNewGame(overrides);
+  }
+
+  /**
+   * @param {bigint|number} gameId
+   * @param {string|number} side "Red" | "Blue" | 0 | 1
+   * @param {bigint} value bet amount in wei
+   */
+  function placeBet(gameId, side, value, overrides = {}) {
+    return contract.placeBet(gameId, parseSide(side), { ...overrides, value });
+  }
+
+  function resolveGame(gameId, overrides = {}) {
+    return contract.resolveGame(gameId, overrides);
+  }
+
+  function claimWinnings(gameId, side, overrides = {}) {
+    return contract.claimWinnings(gameId, parseSide(side), overrides);
+  }
+
+  function claimAllWinnings(gameId, overrides = {}) {
+    return contract.claimAllWinnings(gameId, overrides);
+  }
+
+  function voidCompromisedGame(gameId, overrides = {}) {
+    return contract.voidCompromisedGame(gameId, overrides);
+  }
+
+  function withdrawEmergency(gameId, overrides = {}) {
+    return contract.withdrawEmergency(gameId, overrides);
+  }
+
+  function withdrawFees(overrides = {}) {
+    return contract.withdrawFees(overrides);
+  }
+
+  return {
+    address,
+    contract,
+    getGame,
+    getCurrentGame,
+    getResolutionStatus,
+    getGameView,
+    getUserBets,
+    getUserPosition,
+    getUserStats,
+    getLeaderboard,
+    getDrandStatus,
+    isGameCompromised,
+    isDrandRoundAvailable,
+    getDrandRandomness,
+    startNewGame,
+    placeBet,
+    resolveGame,
+    claimWinnings,
+    claimAllWinnings,
+    voidCompromisedGame,
+    withdrawEmergency,
+    withdrawFees,
+  };
+}
+
+module.exports = {
+  createColosseumClient,
+  decodeGame,
+  decodeSideBet,
+};
@@ -0,0 +1,146 @@
+/**
+ * Keeper for TAOColosseum: moves the current game through its lifecycle.
+ *
+ *   no game / Resolved / Finalized  -> startNewGame
+ *   Betting, block >= endBlock       -> resolveGame (phase 1: Betting -> Calculating)
+ *   Calculating, pulse available     -> resolveGame (phase 2: finalize with drand)
+ *   Betting/Calculating, compromised -> voidCompromisedGame
+ *
+ * Each tick re-reads the chain and submits at most one transaction, so a missed or reverted
+ * transaction is simply retried on the next tick (e.g. resolveGame while the drand round is not stored yet).
+ */
+const { GAME_PHASES } = require("./constants");
+const { revertName, fmtErr } = require("./format");
+
+const BETTING = GAME_PHASES.indexOf("Betting");
+const CALCULATING = GAME_PHASES.indexOf("Calculating");
+
+// Reverts that only mean another keeper (or the chain) moved first; retried on the next tick.
+const RACE_ERRORS = new Set([
+  "GameStillActive",
+  "GameAlreadyResolved",
+  "BettingPeriodNotEnded",
+  "WaitingForRandomness",
+  "GameNotCompromised",
+]);
+
+/**
+ * Decide what to do next. Pure, so it can be unit-tested and reused for status output.
+ * @param {object} state
+ * @param {import("./colosseum-client").Game|null} state.game current game (null if none was ever started)
+ * @param {bigint|number} state.blockNumber
+ * @param {boolean} state.compromised isGameCompromised(game.id)
+ * @param {boolean} state.canFinalize getResolutionStatus(game.id).canFinalize
+ * @param {boolean} state.drandAvailable isDrandRoundAvailable(game.targetDrandRound)
+ * @param {boolean} [autoStart=true] start a new game when the previous one is settled
+ * @returns {{ action: "start"|"resolve"|"finalize"|"void"|"wait"|"idle", gameId: bigint|null, reason: string }}
+ */
+function planColosseumAction(state, autoStart = true) {
+  const { game, compromised, canFinalize, drandAvailable } = state;
+  const block = BigInt(state.blockNumber);
+  const start = (reason) =>
+    autoStart ? { action: "start", gameId: null, reason } : { action: "idle", gameId: game ? game.id : null, reason: `${reason}; auto-start disabled` };
+
+  if (!game) return start("no game started yet");
+
+  if (game.phase === BETTING || game.phase === CALCULATING) {
+    if (compromised) return { action: "void", gameId: game.id, reason: "game is compromised (chain lag or leaked randomness)" };
+  }
+
+  if (game.phase === BETTING) {
+    if (block >= game.endBlock) return { action: "resolve", gameId: game.id, reason: `betting ended at block ${game.endBlock}` };
+    return { action: "wait", gameId: game.id, reason: `betting open until block ${game.endBlock} (${game.endBlock - block} left)` };
+  }
+
+  if (game.phase === CALCULATING) {
+    if (canFinalize) return { action: "finalize", gameId: game.id, reason: `drand round ${game.targetDrandRound} available` };
+    if (drandAvailable) {
+      return { action: "wait", gameId: game.id, reason: "pulse available but finalization is blocked (emergency withdrawals used); waiting for void" };
+    }
+    return { action: "wait", gameId: game.id, reason: `waiting for drand round ${game.targetDrandRound}` };
+  }
+
+  return start(`game ${game.id} is ${game.phaseName}`);
+}
+
+/**
+ * @param {object} opts
+ * @param {ReturnType<import("./colosseum-client").createColosseumClient>} opts.client read client (provider or signer)
+ * @param {ReturnType<import("./tx-sender").createTxSender>} opts.sender
+ * @param {boolean} [opts.autoStart=true]
+ * @param {(msg: string) => void} [opts.log]
+ */
+function createColosseumKeeper({ client, sender, autoStart = true, log = (msg) => console.log(msg) }) {
+  const provider = client.contract.runner.provider || client.contract.runner;
+  let stopped = false;
+
+  async function inspect() {
+    const [game, blockNumber] = await Promise.all([client.getCurrentGame(), provider.getBlockNumber()]);
+    const state = { game, blockNumber, compromised: false, canFinalize: false, drandAvailable: false };
+    if (game && (game.phase === BETTING || game.phase === CALCULATING)) {
+      const [compromised, status, drandAvailable] = await Promise.all([
+        client.isGameCompromised(game.id),
+        client.getResolutionStatus(game.id),
+        client.isDrandRoundAvailable(game.targetDrandRound),
+      ]);
+      Object.assign(state, { compromised, canFinalize: status.canFinalize, drandAvailable });
+    }
+    return state;
+  }
+
+  /**
+   * Inspect the chain and submit the one due transition, if any.
+   * @returns {Promise<{ action: string, gameId: bigint|null, reason: string, outcome: "sent"|"dry-run"|"waiting"|"raced"|"failed", error?: string }>}
+   */
+  async function tick() {
+    const plan = planColosseumAction(await inspect(), autoStart);
+    if (plan.action === "wait" || plan.action === "idle") return { ...plan, outcome: "waiting" };
+
+    const contract = client.contract;
+    const call =
+      plan.action === "start"
+        ? ["startNewGame()", "startNewGame", []]
+        : plan.action === "void"
+          ? [`voidCompromisedGame(${plan.gameId})`, "voidCompromisedGame", [plan.gameId]]
+          : [`resolveGame(${plan.gameId}) [${plan.action}]`, "resolveGame", [plan.gameId]];
+    log(`${call[0]}: ${plan.reason}`);
+    try {
+      const res = await sender.send(call[0], contract, call[1], call[2]);
+      return { ...plan, outcome: res.dryRun ? "dry-run" : "sent" };
+    } catch (e) {
+      const name = revertName(e);
+      if (RACE_ERRORS.has(name)) return { ...plan, outcome: "raced", error: name };
+      return { ...plan, outcome: "failed", error: fmtErr(e) };
+    }
+  }
+
+  /**
+   * Tick every `pollMs` until stop() is called (or maxTicks is reached).
+   * RPC errors are logged and retried; they never end the loop.
+   */
+  async function run({ pollMs = 6000, maxTicks = Infinity } = {}) {
+    stopped = false;
+    for (let i = 0; i < maxTicks && !stopped; i++) {
+      try {
+        const r = await tick();
+        if (r.outcome === "waiting") log(`game ${r.gameId ?? "-"}: ${r.reason}`);
+        else if (r.outcome === "raced") log(`${r.action} skipped (${r.error}); retrying next tick`);
+        else if (r.outcome === "failed") log(`${r.action} failed: ${r.error}`);
+      } catch (e) {
+        log(`tick failed: ${fmtErr(e)}`);
+      }
+      if (i + 1 < maxTicks && !stopped) await new Promise((resolve) => setTimeout(resolve, pollMs));
+    }
+  }
+
+  function stop() {
+    stopped = true;
+  }
+
+  return { inspect, tick, run, stop };
+}
+
+module.exports = {
+  planColosseumAction,
+  createColosseumKeeper,
+};
@@ -0,0 +1,127 @@
+/**
+ * Pure re-implementations of TAOColosseum payout math (no RPC calls).
+ * Must stay bit-for-bit equal to the Solidity integer arithmetic.
+ */
+const { COLOSSEUM } = require("./constants");
+
+const { PLATFORM_FEE, FEE_DENOMINATOR, FINAL_CALL_BLOCKS, MIN_POOL_SIZE } = COLOSSEUM;
+const PHASE_RESOLVED = 3;
+const PHASE_FINALIZED = 4;
+
+/** Fee withheld from a single bet, as in placeBet / _calculateValidPools. */
+function betFee(amount) {
+  return (BigInt(amount) * PLATFORM_FEE) / FEE_DENOMINATOR;
+}
+
+/**
+ * What _claimWinnings would pay for one (user, side) position right now.
+ * @param {object} game decoded Game (see colosseum-client decodeGame)
+ * @param {object} bet decoded SideBet
+ * @param {number} side 0 = Red, 1 = Blue
+ * @returns {{ claimable: boolean, kind: string, refund: bigint, winnings: bigint, payout: bigint }}
+ */
+function estimateClaim(game, bet, side) {
+  const none = (kind) => ({ claimable: false, kind, refund: 0n, winnings: 0n, payout: 0n });
+  const amount = BigInt(bet.amount);
+  if (amount === 0n) return none("none");
+  if (bet.claimed) return none("claimed");
+
+  const phase = Number(game.phase);
+  if (!game.hasWinner && phase === PHASE_FINALIZED) {
+    return { claimable: true, kind: "refund", refund: amount, winnings: 0n, payout: amount };
+  }
+  if (phase !== PHASE_RESOLVED && phase !== PHASE_FINALIZED) return none("pending");
+
+  const refund = bet.isLateBet ? BigInt(bet.lateAmount) : 0n;
+  if (Number(side) !== Number(game.winningSide)) {
+    return { claimable: true, kind: refund > 0n ? "late-refund" : "loss", refund, winnings: 0n, payout: refund };
+  }
+
+  const winningPool = Number(game.winningSide) === 0 ? BigInt(game.validRedPool) : BigInt(game.validBluePool);
+  const validLiquidity = BigInt(game.validLiquidity);
+  const validAmount = amount - BigInt(bet.lateAmount);
+  let winnings = 0n;
+  if (winningPool > 0n && validLiquidity > 0n) {
+    const userShare = (validAmount * 10n ** 18n) / winningPool;
+    winnings = (validLiquidity * userShare) / 10n ** 18n;
+  }
+  return { claimable: true, kind: "win", refund, winnings, payout: refund + winnings };
+}
+
+/**
+ * actualEndBlock resolveGame derives from the drand randomness: a block in the final call window.
+ * @param {bigint|number} endBlock
+ * @param {string|bigint} randomness bytes32
+ */
+function colosseumActualEndBlock(endBlock, randomness) {
+  const finalCall = BigInt(FINAL_CALL_BLOCKS);
+  return BigInt(endBlock) - finalCall + (BigInt(randomness) % finalCall);
+}
+
+/** Key of one (bettor, side) position in replayGame results. */
+function positionKey(bettor, side) {
+  return `${bettor.toLowerCase()}:${Number(side)}`;
+}
+
+/**
+ * Replay a game from its BetPlaced events: placeBet's pool and bettor accounting and, once the drand
+ * randomness is known, resolveGame phase 2 (_calculateValidPools, minimum participation, tie, underdog).
+ * @param {object} opts
+ * @param {bigint|number} opts.endBlock
+ * @param {{ bettor: string, side: number, amount: bigint, blockNumber: number }[]} opts.bets in placement order
+ * @param {string|null} [opts.randomness] RandomnessUsed randomness; null = not resolved yet
+ * @returns {{ redPool: bigint, bluePool: bigint, redBettors: bigint, blueBettors: bigint, netLiquidity: bigint,
+ *   positions: Map<string, { bettor: string, side: number, amount: bigint, lateAmount: bigint }>,
+ *   resolution: null | { actualEndBlock: bigint, validRedPool: bigint, validBluePool: bigint, validLiquidity: bigint,
+ *     lateFees: bigint, outcome: "resolved"|"cancelled"|"tied", winningSide: number|null } }}
+ */
+function replayGame({ endBlock, bets, randomness = null }) {
+  const pools = [0n, 0n];
+  const bettors = [0n, 0n];
+  let netLiquidity = 0n;
+  const positions = new Map();
+  for (const b of bets) {
+    const side = Number(b.side);
+    const amount = BigInt(b.amount);
+    const key = positionKey(b.bettor, side);
+    if (!positions.has(key)) {
+      positions.set(key, { bettor: b.bettor, side, amount: 0n, lateAmount: 0n });
+      bettors[side] += 1n;
+    }
+    positions.get(key).amount += amount;
+    pools[side] += amount;
+    netLiquidity += amount - betFee(amount);
+  }
+  const replay = { redPool: pools[0], bluePool: pools[1], redBettors: bettors[0], blueBettors: bettors[1], netLiquidity, positions, resolution: null };
+  if (randomness == null) return replay;
+
+  const actualEndBlock = colosseumActualEndBlock(endBlock, randomness);
+  const valid = [0n, 0n];
+  let validLiquidity = 0n;
+  let lateFees = 0n;
+  for (const b of bets) {
+    const amount = BigInt(b.amount);
+    if (BigInt(b.blockNumber) < actualEndBlock) {
+      valid[Number(b.side)] += amount;
+      validLiquidity += amount - betFee(amount);
+    } else {
+      positions.get(positionKey(b.bettor, b.side)).lateAmount += amount;
+      lateFees += betFee(amount);
+    }
+  }
+  const [validRedPool, validBluePool] = valid;
+  let outcome = "resolved";
+  if (validRedPool + validBluePool < MIN_POOL_SIZE || validRedPool === 0n || validBluePool === 0n) outcome = "cancelled";
+  else if (validRedPool === validBluePool) outcome = "tied";
+  const winningSide = outcome === "resolved" ? (validRedPool < validBluePool ? 0 : 1) : null;
+  replay.resolution = { actualEndBlock, validRedPool, validBluePool, validLiquidity, lateFees, outcome, winningSide };
+  return replay;
+}
+
+module.exports = {
+  betFee,
+  estimateClaim,
+  colosseumActualEndBlock,
+  positionKey,
+  replayGame,
+};
@@ -0,0 +1,340 @@
+/**
+ * Migration tooling for moving off a TAOColosseum deployment: snapshot everything the old contract still
+ * owes or remembers (unclaimed winnings and refunds, bets in games that never settled, accumulated fees,
+ * leaderboard and userStats), wind it down to a terminal state with the keeper (no new games, settle the
+ * current one, withdraw fees), report what each user still has to claim on it, and keep its leaderboard and
+ * userStats as an off-chain record (the new deployment starts with empty stats; its owner cannot write them).
+ *
+ * The old contract is never emptied: claims have no deadline, so after the wind-down its balance is exactly
+ * what users can still claim (plus rounding dust), and the claims report tells them how.
+ *
+ * Usage:
+ *   const old = createColosseumClient(oldAddress, provider);
+ *   const before = await snapshotColosseum(old);
+ *   await windDownColosseum({ client: old, sender: createTxSender({ signer: owner }), advance: () => sleep(6000) });
+ *   const after = await snapshotColosseum(old);      // migrationStatus(after).terminal
+ *   console.log(renderClaimsMarkdown(buildClaimsReport(after)));
+ *   fs.writeFileSync("legacy-stats.json", toJson(buildLegacyStats(after), 2));  // read back with loadImportedStats
+ */
+const { COLOSSEUM, GAME_PHASES } = require("./constants");
+const { formatTao, sideName } = require("./format");
+const { decodeGame, decodeSideBet } = require("./colosseum-client");
+const { estimateClaim } = require("./colosseum-math");
+const { createColosseumKeeper } = require("./colosseum-keeper");
+
+const BETTING = GAME_PHASES.indexOf("Betting");
+const CALCULATING = GAME_PHASES.indexOf("Calculating");
+
+/**
+ * @typedef {object} MigrationPosition one (bettor, side) with a bet still on the books
+ * @property {string} bettor
+ * @property {number} side
+ * @property {bigint} amount
+ * @property {boolean} claimed
+ * @property {bigint} lateAmount
+ * @property {string} kind estimateClaim kind ("win", "refund", "late-refund", "loss", "claimed"), or "pending"
+ *   while the game has not settled
+ * @property {bigint} owed what claimWinnings pays now, or the gross bet while pending (what withdrawEmergency returns)
+ */
+
+/**
+ * @typedef {object} MigrationSnapshot JSON-serializable (toJson); amounts come back as strings from a file
+ * @property {string} address
+ * @property {number} chainId
+ * @property {number} blockNumber
+ * @property {number} timestamp
+ * @property {string} owner
+ * @property {bigint} balance
+ * @property {bigint} accumulatedFees
+ * @property {{ id: bigint, phase: number, phaseName: string, hasWinner: boolean, winningSide: number,
+ *   endBlock: bigint, emergencyUnlockAt: number, emergencyUsed: boolean, positions: MigrationPosition[] }[]} games
+ * @property {string[]} leaderboard
+ * @property {{ user: string, totalBets: bigint, totalWins: bigint, totalWinnings: bigint, totalLosses: bigint }[]} userStats
+ * @property {{ claimable: bigint, pending: bigint, accumulatedFees: bigint, liabilities: bigint, surplus: bigint }} totals
+ */
+
+function isSettled(phase) {
+  return Number(phase) !== BETTING && Number(phase) !== CALCULATING;
+}
+
+/** withdrawEmergency's unlock time: EMERGENCY_TIMEOUT after the (predicted) game start. */
+function emergencyUnlockAt(game) {
+  return Number(game.predictedDrandTimestamp) + COLOSSEUM.EMERGENCY_TIMEOUT_SECONDS - COLOSSEUM.BETTING_BLOCKS * COLOSSEUM.BLOCK_TIME_SECONDS;
+}
+
+/**
+ * Read the whole contract at one block: every game's bettors and SideBets, balance, fees, leaderboard and
+ * the userStats of every address that ever bet. One getUserBets call per bettor per game, so pin blockTag
+ * on long histories to keep the snapshot consistent.
+ * @param {ReturnType<import("./colosseum-client").createColosseumClient>} client
+ * @param {{ blockTag?: number|string, log?: (msg: string) => void }} [opts]
+ * @returns {Promise<MigrationSnapshot>}
+ */
+async function snapshotColosseum(client, { blockTag = "latest", log = () => {} } = {}) {
+  const c = client.contract;
+  const provider = c.runner.provider || c.runner;
+  const block = await provider.getBlock(blockTag);
+  const at = { blockTag: block.number };
+  const [network, owner, balance, accumulatedFees, nextGameId, leaderboard, address] = await Promise.all([
+    provider.getNetwork(),
+    c.owner(at),
+    provider.getBalance(client.address, block.number),
+    c.accumulatedFees(at),
+    c.nextGameId(at),
+    c.getLeaderboard(at),
+    c.getAddress(),
+  ]);
+
+  const games = [];
+  const users = new Map();
+  for (let id = 1n; id < nextGameId; id++) {
+    log(`Reading game ${id}/${nextGameId - 1n}...`);
+    const game = decodeGame(await c.getGame(id, at));
+    const bettors = await c.getGameBettors(id, at);
+    const [bets, emergencyUsed] = await Promise.all([
+      Promise.all(bettors.map((b) => c.getUserBets(id, b, at))),
+      c.emergencyWithdrawalsUsed(id, at),
+    ]);
+    const positions = [];
+    bettors.forEach((bettor, i) => {
+      users.set(bettor.toLowerCase(), bettor);
+      [bets[i].redBet, bets[i].blueBet].forEach((raw, side) => {
+        const bet = decodeSideBet(raw);
+        if (bet.amount === 0n) return; // never bet this side, or withdrawn through withdrawEmergency
+        const claim = isSettled(game.phase) ? estimateClaim(game, bet, side) : null;
+        positions.push({
+          bettor,
+          side,
+          amount: bet.amount,
+          claimed: bet.claimed,
+          lateAmount: bet.lateAmount,
+          kind: claim ? claim.kind : "pending",
+          owed: claim ? claim.payout : bet.amount,
+        });
+      });
+    });
+    games.push({
+      id: game.id,
+      phase: game.phase,
+      phaseName: game.phaseName,
+      hasWinner: game.hasWinner,
+      winningSide: game.winningSide,
+      endBlock: game.endBlock,
+      emergencyUnlockAt: emergencyUnlockAt(game),
+      emergencyUsed,
+      positions,
+    });
+  }
+  for (const user of leaderboard) users.set(user.toLowerCase(), user);
+
+  const userStats = [];
+  for (const user of users.values()) {
+    const s = await c.getUserStats(user, at);
+    userStats.push({ user, totalBets: s.totalBets, totalWins: s.totalWins, totalWinnings: s.totalWinnings, totalLosses: s.totalLosses });
+  }
+
+  const snapshot = {
+    address,
+    chainId: Number(network.chainId),
+    blockNumber: block.number,
+    timestamp: block.timestamp,
+    owner,
+    balance,
+    accumulatedFees,
+    games,
+    leaderboard: [...leaderboard],
+    userStats,
+  };
+  return { ...snapshot, totals: snapshotTotals(snapshot) };
+}
+
+/**
+ * What the contract owes against what it holds. Unsettled bets count at their gross amount (their fee is
+ * still in gameFees until resolution); surplus is the rounding dust of winner payouts, never negative on a
+ * solvent contract.
+ */
+function snapshotTotals(snapshot) {
+  let claimable = 0n;
+  let pending = 0n;
+  for (const game of snapshot.games) {
+    for (const p of game.positions) {
+      if (p.kind === "pending") pending += BigInt(p.owed);
+      else claimable += BigInt(p.owed);
+    }
+  }
+  const accumulatedFees = BigInt(snapshot.accumulatedFees);
+  const liabilities = claimable + pending + accumulatedFees;
+  return { claimable, pending, accumulatedFees, liabilities, surplus: BigInt(snapshot.balance) - liabilities };
+}
+
+/**
+ * Whether the old contract has reached its terminal state: no game left to settle, no fees left to
+ * withdraw, and a balance that covers every remaining claim.
+ * @param {MigrationSnapshot} snapshot
+ * @returns {{ terminal: boolean, blockers: string[] }}
+ */
+function migrationStatus(snapshot) {
+  const blockers = [];
+  for (const game of snapshot.games) {
+    if (!isSettled(game.phase)) blockers.push(`game ${game.id} is still ${game.phaseName}`);
+  }
+  const totals = snapshotTotals(snapshot);
+  if (totals.accumulatedFees > 0n) blockers.push(`${formatTao(totals.accumulatedFees)} TAO of fees not withdrawn`);
+  if (totals.surplus < 0n) blockers.push(`balance is ${formatTao(-totals.surplus)} TAO short of what users can claim`);
+  return { terminal: blockers.length === 0, blockers };
+}
+
+/**
+ * Drive the old contract to its terminal state with the keeper in no-auto-start mode: the current game is
+ * resolved, finalized or voided (compromised games become voidable once the chain-lag grace has passed),
+ * then the owner withdraws accumulated fees. Stops as soon as the keeper has nothing left to do.
+ * @param {object} opts
+ * @param {ReturnType<import("./colosseum-client").createColosseumClient>} opts.client read client
+ * @param {ReturnType<import("./tx-sender").createTxSender>} opts.sender the owner (withdrawFees is onlyOwner)
+ * @param {() => Promise<unknown>} opts.advance waits between ticks (sleep on a live chain, mine on a fork)
+ * @param {number} [opts.maxTicks=600]
+ * @param {boolean} [opts.withdrawFees=true]
+ * @param {(msg: string) => void} [opts.log]
+ * @returns {Promise<{ settled: boolean, ticks: number, last: object|null, feesWithdrawn: bigint }>}
+ */
+async function windDownColosseum({ client, sender, advance, maxTicks = 600, withdrawFees = true, log = (msg) => console.log(msg) }) {
+  const keeper = createColosseumKeeper({ client, sender, autoStart: false, log });
+  let last = null;
+  let ticks = 0;
+  while (ticks < maxTicks) {
+    last = await keeper.tick();
+    ticks++;
+    if (last.action === "idle") break;
+    if (last.outcome === "waiting") log(`game ${last.gameId}: ${last.reason}`);
+    else if (last.outcome === "failed") log(`${last.action} failed: ${last.error}`);
+    await advance();
+  }
+  const settled = last !== null && last.action === "idle";
+
+  // Fees of settled games are the owner's either way; withdrawing them never touches user funds
+  let feesWithdrawn = 0n;
+  const fees = await client.contract.accumulatedFees();
+  if (withdrawFees && fees > 0n) {
+    await sender.send("withdrawFees()", client.contract, "withdrawFees");
+    feesWithdrawn = fees;
+  }
+  return { settled, ticks, last, feesWithdrawn };
+}
+
+/**
+ * Per-user "still to claim" list from a snapshot: unclaimed winnings and refunds (claimWinnings /
+ * claimAllWinnings) and bets in unsettled games (withdrawEmergency once unlocked, or a claim once the game
+ * settles). Users are sorted by total owed, largest first.
+ * @param {MigrationSnapshot} snapshot
+ * @returns {{ address: string, chainId: number, blockNumber: number, totals: object, users: { user: string,
+ *   total: bigint, claimable: bigint, pending: bigint, items: { gameId: bigint, side: number, kind: string,
+ *   amount: bigint, action: string }[] }[] }}
+ */
+function buildClaimsReport(snapshot) {
+  const users = new Map();
+  for (const game of snapshot.games) {
+    for (const p of game.positions) {
+      const amount = BigInt(p.owed);
+      if (amount === 0n) continue;
+      const key = p.bettor.toLowerCase();
+      if (!users.has(key)) users.set(key, { user: p.bettor, total: 0n, claimable: 0n, pending: 0n, items: [] });
+      const entry = users.get(key);
+      const pending = p.kind === "pending";
+      const action = pending
+        ? `withdrawEmergency(${game.id}) from ${new Date(game.emergencyUnlockAt * 1000).toISOString()}`
+        : `claimWinnings(${game.id}, ${p.side})`;
+      entry.items.push({ gameId: BigInt(game.id), side: p.side, kind: p.kind, amount, action });
+      entry.total += amount;
+      if (pending) entry.pending += amount;
+      else entry.claimable += amount;
+    }
+  }
+  const sorted = [...users.values()].sort((a, b) => (a.total === b.total ? 0 : a.total > b.total ? -1 : 1));
+  return { address: snapshot.address, chainId: snapshot.chainId, blockNumber: snapshot.blockNumber, totals: snapshotTotals(snapshot), users: sorted };
+}
+
+/** @param {ReturnType<typeof buildClaimsReport>} report */
+function renderClaimsMarkdown(report, { title = "TAOColosseum claims still open" } = {}) {
+  const t = report.totals;
+  const lines = [`# ${title}`, ""];
+  lines.push(`Contract ${report.address} (chainId ${report.chainId}) at block ${report.blockNumber}.`, "");
+  lines.push(`- Claimable now: ${formatTao(t.claimable)} TAO`);
+  lines.push(`- In unsettled games: ${formatTao(t.pending)} TAO`);
+  lines.push(`- Fees not withdrawn: ${formatTao(t.accumulatedFees)} TAO`);
+  lines.push(`- Surplus (rounding dust): ${formatTao(t.surplus)} TAO`, "");
+  if (report.users.length === 0) {
+    lines.push("Nothing left to claim.");
+    return lines.join("\n") + "\n";
+  }
+  lines.push(`${report.users.length} user(s) with open claims.`, "");
+  lines.push("| User | Claimable | Pending | Total |", "|---|---|---|---|");
+  for (const u of report.users) lines.push(`| ${u.user} | ${formatTao(u.claimable)} | ${formatTao(u.pending)} | ${formatTao(u.total)} |`);
+  for (const u of report.users) {
+    lines.push("", `## ${u.user}`, "", "| Game | Side | Kind | Amount | How |", "|---|---|---|---|---|");
+    for (const i of u.items) lines.push(`| ${i.gameId} | ${sideName(i.side)} | ${i.kind} | ${formatTao(i.amount)} | \`${i.action}\` |`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * @typedef {object} LegacyStats the old deployment's leaderboard and userStats, kept off-chain
+ * @property {string} address old contract
+ * @property {number} chainId
+ * @property {number} blockNumber snapshot block
+ * @property {string[]} leaderboard in rank order
+ * @property {{ user: string, totalBets: bigint, totalWins: bigint, totalWinnings: bigint, totalLosses: bigint }[]} userStats
+ *   leaderboard members first in rank order, then every other user with bets, by winnings
+ */
+
+/**
+ * History to publish next to the new deployment, from a snapshot of the old one (JSON-serializable with toJson).
+ * @param {MigrationSnapshot} snapshot
+ * @returns {LegacyStats}
+ */
+function buildLegacyStats(snapshot) {
+  const byUser = new Map(snapshot.userStats.map((s) => [s.user.toLowerCase(), s]));
+  const ranked = snapshot.leaderboard.map((u) => byUser.get(u.toLowerCase())).filter(Boolean);
+  const onBoard = new Set(ranked.map((s) => s.user.toLowerCase()));
+  const rest = snapshot.userStats
+    .filter((s) => !onBoard.has(s.user.toLowerCase()))
+    .sort((a, b) => (BigInt(a.totalWinnings) === BigInt(b.totalWinnings) ? 0 : BigInt(a.totalWinnings) > BigInt(b.totalWinnings) ? -1 : 1));
+
+  return {
+    address: snapshot.address,
+    chainId: snapshot.chainId,
+    blockNumber: snapshot.blockNumber,
+    leaderboard: [...snapshot.leaderboard],
+    userStats: [...ranked, ...rest]
+      .filter((s) => BigInt(s.totalBets) > 0n)
+      .map((s) => ({
+        user: s.user,
+        totalBets: BigInt(s.totalBets),
+        totalWins: BigInt(s.totalWins),
+        totalWinnings: BigInt(s.totalWinnings),
+        totalLosses: BigInt(s.totalLosses),
+      })),
+  };
+}
+
+/**
+ * Read legacy stats saved from buildLegacyStats (a JSON string or parsed object) back with bigint amounts.
+ * @returns {LegacyStats}
+ */
+function loadImportedStats(json) {
+  const record = typeof json === "string" ? JSON.parse(json) : json;
+  if (record == null || !Array.isArray(record.leaderboard) || !Array.isArray(record.userStats)) {
+    throw new Error("Legacy stats need leaderboard and userStats");
+  }
+  return buildLegacyStats(record);
+}
+
+module.exports = {
+  snapshotColosseum,
+  snapshotTotals,
+  migrationStatus,
+  windDownColosseum,
+  buildClaimsReport,
+  renderClaimsMarkdown,
+  buildLegacyStats,
+  loadImportedStats,
+};
@@ -0,0 +1,90 @@
+/**
+ * Shared constants for TAOColosseum / RPS_Tournament clients and scripts.
+ * Values mirror the Solidity constants; keep them in sync when the contracts change.
+ */
+
+// Subtensor precompiles
+const STAKING_PRECOMPILE = "0x0000000000000000000000000000000000000805";
+const STORAGE_PRECOMPILE = "0x0000000000000000000000000000000000000807";
+// TAOColosseum probes 0x080D, RPS_Tournament probes 0x080e (subtensor PR #2445)
+const COLOSSEUM_DRAND_PRECOMPILE = "0x000000000000000000000000000000000000080D";
+const RPS_DRAND_PRECOMPILE = "0x000000000000000000000000000000000000080E";
+
+// Raw Substrate storage keys the contracts read through the storage precompile (drand pallet)
+const DRAND_LAST_ROUND_KEY = "0xa285cdb66e8b8524ea70b1693c7b1e05087f3dd6e0ceded0e388dd34f810a73d";
+// drand.pulses(round) = prefix || blake2_128(round_le) || round_le (Blake2_128Concat)
+const DRAND_PULSES_PREFIX = "0xa285cdb66e8b8524ea70b1693c7b1e050d8e70fd32bfb1639703f9a23d15b15e";
+
+const NETUID_SN38 = 38n;
+
+// Bittensor EVM mainnet (hardhat.config.js network "bittensor"); offline transaction bundles pin it
+const BITTENSOR_CHAIN_ID = 964;
+
+// Bittensor EVM block gas limit (subtensor runtime BLOCK_GAS_LIMIT, the Frontier default); the live value is the
+// gasLimit of any block. There is no separate per-transaction cap.
+const BITTENSOR_BLOCK_GAS_LIMIT = 75_000_000n;
+
+// Units: EVM native balance uses 1e18 wei per TAO, the staking precompile expects RAO (1e9 per TAO)
+const TAO_DECIMALS = 18;
+const RAO_DECIMALS = 9;
+const WEI_PER_RAO = 10n ** 9n;
+
+// Enum order must match the Solidity enums
+const GAME_PHASES = ["NotStarted", "Betting", "Calculating", "Resolved", "Finalized"];
+const SIDES = ["Red", "Blue"];
+const TOURNAMENT_PHASES = ["Registration", "Active", "Canceled", "Completed"];
+const RPS_CHOICES = ["None", "Rock", "Paper", "Scissors"];
+
+// TAOColosseum timing (see TAO_Colosseum.sol)
+const COLOSSEUM = {
+  PLATFORM_FEE: 150n,
+  FEE_DENOMINATOR: 10000n,
+  MIN_BET_AMOUNT: 10n ** 15n,        // 0.001 TAO
+  MIN_POOL_SIZE: 5n * 10n ** 17n,    // 0.5 TAO
+  BETTING_BLOCKS: 100,
+  FINAL_CALL_BLOCKS: 25,
+  MAX_BETTORS_PER_GAME: 500,
+  MAX_BET_ENTRIES: 5000,
+  MAX_LEADERBOARD_SIZE: 100,
+  DRAND_ROUND_BUFFER: 3,
+  DRAND_FREQUENCY_SECONDS: 3,
+  BLOCK_TIME_SECONDS: 12,
+  EMERGENCY_TIMEOUT_SECONDS: 7 * 24 * 60 * 60,
+  CHAIN_LAG_GRACE_SECONDS: 10 * 60,
+};
+
+// RPS_Tournament timing (see RPS_Tournament.sol)
+const RPS = {
+  MIN_ENTRY: 5n * 10n ** 17n,        // 0.5 TAO
+  MAX_PLAYERS: 16,                   // createTournament accepts 4, 8 or 16
+  STALL_BLOCKS: 1000,
+  MAX_REG_BLOCKS: 50,
+  COMMIT_BLOCKS: 10,
+  REVEAL_BLOCKS: 10,
+  MAX_RPS_ROUNDS_PER_MATCH: 3,
+  SEED_ROUND_BUFFER_ROUNDS: 20,
+  DRAND_ROUNDS_PER_BLOCK_ESTIMATE: 8,
+  PLATFORM_FEE: 150n,
+  FEE_DENOMINATOR: 10000n,
+};
+
+module.exports = {
+  STAKING_PRECOMPILE,
+  STORAGE_PRECOMPILE,
+  COLOSSEUM_DRAND_PRECOMPILE,
+  RPS_DRAND_PRECOMPILE,
+  DRAND_LAST_ROUND_KEY,
+  DRAND_PULSES_PREFIX,
+  NETUID_SN38,
+  BITTENSOR_CHAIN_ID,
+  BITTENSOR_BLOCK_GAS_LIMIT,
+  TAO_DECIMALS,
+  RAO_DECIMALS,
+  WEI_PER_RAO,
+  GAME_PHASES,
+  SIDES,
+  TOURNAMENT_PHASES,
+  RPS_CHOICES,
+  COLOSSEUM,
+  RPS,
+};
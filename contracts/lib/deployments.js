@@ -0,0 +1,271 @@
+/**
+ * Deployment registry: one versioned JSON file per network (deployments/<network>.json) recording every
+ * deployment of each contract — chainId, address, constructor args (e.g. RPS sn38OwnerHotkey), tx hash,
+ * block, deployer, init code hash and compiler settings hash — with earlier deployments kept in `history`.
+ * Scripts resolve addresses from it by network name; the CONTRACT_ADDRESS / RPS_CONTRACT_ADDRESS env vars
+ * still take precedence. Node only (fs, Hardhat runtime); not re-exported from lib/index.js.
+ *
+ *   {
+ *     "version": 1, "network": "bittensor", "chainId": 964,
+ *     "contracts": {
+ *       "RPS_Tournament": { "address", "constructorArgs", "txHash", "blockNumber", "deployer", "initCodeHash",
+ *                           "solcVersion", "settingsHash", "deployedAt", "verified", "history": [...] }
+ *     }
+ *   }
+ *
+ * Redeploys are idempotent: findDeployment returns the recorded entry when the same init code (bytecode +
+ * constructor args) is already live at the recorded address, so deploy scripts only deploy what changed.
+ *
+ * Usage:
+ *   const { findDeployment, recordDeployment, verifyDeployment } = require("../lib/deployments");
+ *   const existing = await findDeployment(hre, "RPS_Tournament", [hotkey]);
+ *   if (!existing) { const rps = await factory.deploy(hotkey); await recordDeployment(hre, "RPS_Tournament", [hotkey], rps); }
+ *   const address = resolveAddress(hre.network.name, "RPS_Tournament");
+ */
+const fs = require("fs");
+const path = require("path");
+const { keccak256, toUtf8Bytes } = require("ethers");
+const { toJson } = require("./format");
+
+const REGISTRY_VERSION = 1;
+const DEFAULT_DIR = path.join(__dirname, "..", "deployments");
+
+/** Env var that overrides the registry address of each contract. */
+const ADDRESS_ENV = {
+  TAOColosseum: "CONTRACT_ADDRESS",
+  RPS_Tournament: "RPS_CONTRACT_ADDRESS",
+};
+
+function registryFile(network, dir = DEFAULT_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+/**
+ * @param {string} network Hardhat network name
+ * @param {{ dir?: string, chainId?: number }} [opts]
+ */
+function loadRegistry(network, { dir = DEFAULT_DIR, chainId = null } = {}) {
+  const file = registryFile(network, dir);
+  if (!fs.existsSync(file)) return { version: REGISTRY_VERSION, network, chainId, contracts: {} };
+  const registry = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (registry.version > REGISTRY_VERSION) {
+    throw new Error(`${file} is registry version ${registry.version}; this checkout reads up to ${REGISTRY_VERSION}`);
+  }
+  if (chainId != null && registry.chainId != null && registry.chainId !== chainId) {
+    throw new Error(`${file} is for chainId ${registry.chainId}, but network ${network} is chainId ${chainId}`);
+  }
+  return registry;
+}
+
+function saveRegistry(registry, { dir = DEFAULT_DIR } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(registryFile(registry.network, dir), toJson({ ...registry, version: REGISTRY_VERSION }, 2) + "\n");
+}
+
+/** Make `entry` the current deployment of `name`, moving the previous one into its history. */
+function addDeployment(registry, name, entry) {
+  const previous = registry.contracts[name];
+  let history = [];
+  if (previous) {
+    const { history: older = [], ...current } = previous;
+    history = [...older, current];
+  }
+  registry.contracts[name] = { ...entry, history };
+  return registry.contracts[name];
+}
+
+/**
+ * Address of a contract on a network: its env var (ADDRESS_ENV) if set, else the registry's current entry,
+ * else `fallback` (a script's known deployment, until one is recorded for the network).
+ * @param {{ env?: object, dir?: string, fallback?: string|null }} [opts]
+ * @returns {string|null}
+ */
+function resolveAddress(network, name, { env = process.env, dir = DEFAULT_DIR, fallback = null } = {}) {
+  if (ADDRESS_ENV[name] && env[ADDRESS_ENV[name]]) return env[ADDRESS_ENV[name]];
+  const entry = loadRegistry(network, { dir }).contracts[name];
+  return entry ? entry.address : fallback;
+}
+
+/** Same as resolveAddress, but throws a message naming both sources when neither has an address. */
+function requireAddress(network, name, opts) {
+  const address = resolveAddress(network, name, opts);
+  if (!address) {
+    const envVar = ADDRESS_ENV[name] ? `${ADDRESS_ENV[name]} is not set and ` : "";
+    throw new Error(`${envVar}no ${name} deployment is recorded for network ${network} (${registryFile(network, (opts && opts.dir) || DEFAULT_DIR)})`);
+  }
+  return address;
+}
+
+/** JSON with object keys sorted, so equal settings always hash the same. */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/** Compiler version and a hash of the exact solc settings (optimizer, viaIR, ...) the artifact was built with. */
+async function compilerInfo(hre, name) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  if (!buildInfo) return { solcVersion: null, settingsHash: null };
+  return { solcVersion: buildInfo.solcVersion, settingsHash: keccak256(toUtf8Bytes(canonicalJson(buildInfo.input.settings))) };
+}
+
+async function initCodeHash(hre, name, args) {
+  const tx = await (await hre.ethers.getContractFactory(name)).getDeployTransaction(...args);
+  return keccak256(tx.data);
+}
+
+/** Registries are written for every network except the throwaway in-process one. */
+function persists(hre) {
+  return hre.network.name !== "hardhat";
+}
+
+/**
+ * The recorded deployment of `name` if it was built from the same init code (bytecode + constructor args)
+ * and still has code on chain; null means a deploy is needed.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} name
+ * @param {unknown[]} args constructor args
+ * @param {{ dir?: string }} [opts]
+ */
+async function findDeployment(hre, name, args, { dir = DEFAULT_DIR } = {}) {
+  const entry = loadRegistry(hre.network.name, { dir, chainId: hre.network.config.chainId }).contracts[name];
+  if (!entry) return null;
+  if (entry.initCodeHash !== (await initCodeHash(hre, name, args))) return null;
+  if ((await hre.ethers.provider.getCode(entry.address)) === "0x") return null;
+  return entry;
+}
+
+/**
+ * Record a freshly deployed contract (waits for its deployment receipt) and save the registry.
+ * @param {import("ethers").BaseContract} contract as returned by factory.deploy()
+ * @param {{ dir?: string, persist?: boolean }} [opts] persist defaults to false on the in-process hardhat network
+ * @returns {Promise<object>} the new registry entry
+ */
+async function recordDeployment(hre, name, args, contract, { dir = DEFAULT_DIR, persist = persists(hre) } = {}) {
+  const tx = contract.deploymentTransaction();
+  const receipt = await tx.wait();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const registry = loadRegistry(hre.network.name, { dir, chainId: Number(chainId) });
+  registry.chainId = Number(chainId);
+  const entry = addDeployment(registry, name, {
+    address: await contract.getAddress(),
+    constructorArgs: args,
+    txHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    deployer: tx.from,
+    initCodeHash: await initCodeHash(hre, name, args),
+    ...(await compilerInfo(hre, name)),
+    deployedAt: new Date().toISOString(),
+    verified: null,
+  });
+  if (persist) saveRegistry(registry, { dir });
+  return entry;
+}
+
+/**
+ * Record a contract deployed outside these scripts (older deploys, another tool). With txHash, the block,
+ * deployer and init code hash come from the creation transaction.
+ * @param {{ address: string, txHash?: string, constructorArgs?: unknown[] }} deployment
+ * @param {{ dir?: string, persist?: boolean }} [opts]
+ */
+async function importDeployment(hre, name, { address, txHash, constructorArgs = [] }, { dir = DEFAULT_DIR, persist = persists(hre) } = {}) {
+  const provider = hre.ethers.provider;
+  if ((await provider.getCode(address)) === "0x") throw new Error(`No contract code at ${address} on network ${hre.network.name}`);
+  const entry = { address, constructorArgs, txHash: txHash || null, blockNumber: null, deployer: null, initCodeHash: null };
+  if (txHash) {
+    const [tx, receipt] = await Promise.all([provider.getTransaction(txHash), provider.getTransactionReceipt(txHash)]);
+    if (!tx || !receipt) throw new Error(`Transaction ${txHash} not found on network ${hre.network.name}`);
+    if (receipt.contractAddress && receipt.contractAddress.toLowerCase() !== address.toLowerCase()) {
+      throw new Error(`Transaction ${txHash} created ${receipt.contractAddress}, not ${address}`);
+    }
+    Object.assign(entry, { blockNumber: receipt.blockNumber, deployer: tx.from, initCodeHash: keccak256(tx.data) });
+  }
+  const { chainId } = await provider.getNetwork();
+  const registry = loadRegistry(hre.network.name, { dir, chainId: Number(chainId) });
+  registry.chainId = Number(chainId);
+  const recorded = addDeployment(registry, name, {
+    ...entry,
+    solcVersion: null,
+    settingsHash: null,
+    deployedAt: null,
+    importedAt: new Date().toISOString(),
+    verified: null,
+  });
+  if (persist) saveRegistry(registry, { dir });
+  return recorded;
+}
+
+/**
+ * Block explorer configured for the selected network: the hardhat.config.js `etherscan.customChains` entry
+ * whose chainId matches (taostats for Bittensor mainnet), or null.
+ */
+function explorerFor(hre) {
+  const chains = (hre.config.etherscan && hre.config.etherscan.customChains) || [];
+  return chains.find((c) => c.chainId === hre.network.config.chainId) || null;
+}
+
+/**
+ * Verify the recorded deployment of `name` on the network's explorer (hardhat-verify's verify:verify) and
+ * store the result. An explorer that already has the source counts as verified.
+ * @param {{ dir?: string, persist?: boolean, run?: (task: string, args: object) => Promise<unknown> }} [opts]
+ * @returns {Promise<{ verified: boolean, explorer: string|null, url: string|null, error?: string }>}
+ */
+async function verifyDeployment(hre, name, { dir = DEFAULT_DIR, persist = persists(hre), run = (task, args) => hre.run(task, args) } = {}) {
+  const explorer = explorerFor(hre);
+  if (!explorer) return { verified: false, explorer: null, url: null, error: `no explorer configured for chainId ${hre.network.config.chainId}` };
+  const registry = loadRegistry(hre.network.name, { dir });
+  const entry = registry.contracts[name];
+  if (!entry) throw new Error(`No ${name} deployment is recorded for network ${hre.network.name}`);
+
+  const url = `${explorer.urls.browserURL}/address/${entry.address}`;
+  let error;
+  try {
+    await run("verify:verify", { address: entry.address, constructorArguments: entry.constructorArgs });
+  } catch (e) {
+    if (!/already verified/i.test(e.message)) error = e.message;
+  }
+  if (error) return { verified: false, explorer: explorer.network, url, error };
+  entry.verified = { explorer: explorer.network, url, at: new Date().toISOString() };
+  if (persist) saveRegistry(registry, { dir });
+  return { verified: true, explorer: explorer.network, url };
+}
+
+/**
+ * Deploy scripts' verification step: after `deployTx` (if any) has VERIFY_CONFIRMATIONS confirmations (default 5),
+ * run verifyDeployment and report the result. No-op without an explorer for the network or with NO_VERIFY=1.
+ * @param {{ env?: object, log?: (msg: string) => void }} [opts]
+ */
+async function verifyOnExplorer(hre, name, deployTx, { env = process.env, log = console.log, ...opts } = {}) {
+  const explorer = explorerFor(hre);
+  if (!explorer || env.NO_VERIFY === "1") return;
+  if (deployTx) {
+    const confirmations = env.VERIFY_CONFIRMATIONS ? parseInt(env.VERIFY_CONFIRMATIONS, 10) : 5;
+    log(`Waiting for ${confirmations} confirmations before verifying on ${explorer.network}...`);
+    await deployTx.wait(confirmations);
+  }
+  const result = await verifyDeployment(hre, name, opts);
+  if (result.verified) log(`✅ Verified on ${result.explorer}: ${result.url}\n`);
+  else log(`⚠️  Verification failed: ${result.error}\n   Retry: ACTION=verify npx hardhat run scripts/deployments.js --network ${hre.network.name}\n`);
+}
+
+module.exports = {
+  REGISTRY_VERSION,
+  DEFAULT_DIR,
+  ADDRESS_ENV,
+  registryFile,
+  loadRegistry,
+  saveRegistry,
+  addDeployment,
+  resolveAddress,
+  requireAddress,
+  findDeployment,
+  recordDeployment,
+  importDeployment,
+  explorerFor,
+  verifyDeployment,
+  verifyOnExplorer,
+};
@@ -0,0 +1,150 @@
+/**
+ * Local devnet bootstrap: installs stand-ins for the subtensor precompiles on a Hardhat network (in-process
+ * or `npx hardhat node`) and drives drand and block time so both contracts run their real resolution paths.
+ * Hardhat only: takes the Hardhat runtime environment as an argument; required by path.
+ *
+ *   0x0805  MockStakingPrecompile   addStake / burnAlpha / getTotalAlphaStaked
+ *   0x0807  MockStoragePrecompile   drand.lastStoredRound and drand.pulses(round) by raw storage key
+ *   0x080D  MockDrandPrecompile     TAOColosseum's drand precompile (omit with drandPrecompile: false to make
+ *   0x080E  MockDrandPrecompile     RPS_Tournament's          the contracts fall back to 0x0807)
+ *
+ * Usage:
+ *   const devnet = await startDevnet(hre);
+ *   await devnet.mine(100);      // 100 blocks, BLOCK_TIME_SECONDS apart, feeding drand in the last one
+ *   devnet.feeder.pause();       // drand outage; see lib/drand-feeder.js
+ *   await devnet.stop();         // remove the stand-ins again (tests)
+ */
+const {
+  STAKING_PRECOMPILE,
+  STORAGE_PRECOMPILE,
+  COLOSSEUM_DRAND_PRECOMPILE,
+  RPS_DRAND_PRECOMPILE,
+  COLOSSEUM,
+} = require("./constants");
+const { createDrandFeeder } = require("./drand-feeder");
+
+const STAND_INS = [
+  ["MockStakingPrecompile", [STAKING_PRECOMPILE]],
+  ["MockStoragePrecompile", [STORAGE_PRECOMPILE]],
+  ["MockDrandPrecompile", [COLOSSEUM_DRAND_PRECOMPILE, RPS_DRAND_PRECOMPILE]],
+];
+
+/**
+ * Copy each stand-in's runtime code to its precompile address(es) and reset the state left there (including
+ * recorded responses; every stand-in is a RecordedPrecompile). Drand starts uninitialized (lastStoredRound 0)
+ * until the feeder's first tick.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {{ drandPrecompile?: boolean }} [opts] drandPrecompile=false leaves 0x080D/0x080E empty
+ * @returns {Promise<{ drandTargets: string[] }>} addresses the drand feeder has to update
+ */
+async function installPrecompileStandIns(hre, { drandPrecompile = true } = {}) {
+  const { ethers } = hre;
+  const drandTargets = [];
+  for (const [name, addresses] of STAND_INS) {
+    if (name === "MockDrandPrecompile" && !drandPrecompile) {
+      for (const address of addresses) await ethers.provider.send("hardhat_setCode", [address, "0x"]);
+      continue;
+    }
+    const mock = await (await ethers.getContractFactory(name)).deploy();
+    await mock.waitForDeployment();
+    const runtimeCode = await ethers.provider.getCode(mock.target);
+    for (const address of addresses) {
+      await ethers.provider.send("hardhat_setCode", [address, runtimeCode]);
+      const standIn = await ethers.getContractAt(name, address);
+      await (await standIn.reset()).wait();
+      if (name === "MockStakingPrecompile") continue;
+      if (name === "MockDrandPrecompile") await (await standIn.setLastStoredRound(0)).wait();
+      drandTargets.push(address);
+    }
+  }
+  return { drandTargets };
+}
+
+/**
+ * Remove every stand-in. Fed drand state and recorded responses are reset first: storage at these addresses
+ * outlives the code, and tests that install a plain MockDrandPrecompile afterwards must not inherit a fed round.
+ */
+async function removePrecompileStandIns(hre) {
+  const { ethers } = hre;
+  for (const [name, addresses] of STAND_INS) {
+    for (const address of addresses) {
+      if ((await ethers.provider.getCode(address)) !== "0x") {
+        await (await (await ethers.getContractAt(name, address)).reset()).wait();
+      }
+      await ethers.provider.send("hardhat_setCode", [address, "0x"]);
+    }
+  }
+}
+
+/**
+ * Mine `count` blocks `blockTime` seconds apart, so block-based windows and drand time stay in the same
+ * ratio as on chain (the contracts assume BLOCK_TIME_SECONDS per block).
+ */
+async function mineBlocks(hre, count, blockTime = COLOSSEUM.BLOCK_TIME_SECONDS) {
+  const provider = hre.ethers.provider;
+  for (let i = 0; i < count; i++) {
+    const latest = await provider.getBlock("latest");
+    await provider.send("evm_setNextBlockTimestamp", [latest.timestamp + blockTime]);
+    await provider.send("evm_mine", []);
+  }
+}
+
+/**
+ * Install the stand-ins and a drand feeder, and feed the first round (unless paused: drand then stays
+ * uninitialized until feeder.resume()).
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} [opts]
+ * @param {boolean} [opts.drandPrecompile=true]
+ * @param {import("ethers").Signer} [opts.signer] sends feeder updates (default: first account)
+ * @param {number} [opts.blockTime] seconds per mined block (default BLOCK_TIME_SECONDS)
+ * @param {number} [opts.lagSeconds=0]
+ * @param {boolean} [opts.paused=false]
+ * @param {(msg: string) => void} [opts.log]
+ */
+async function startDevnet(hre, { drandPrecompile = true, signer, blockTime = COLOSSEUM.BLOCK_TIME_SECONDS, lagSeconds = 0, paused = false, log = () => {} } = {}) {
+  const { drandTargets } = await installPrecompileStandIns(hre, { drandPrecompile });
+  const feeder = createDrandFeeder({
+    provider: hre.ethers.provider,
+    signer: signer || (await hre.ethers.getSigners())[0],
+    targets: drandTargets,
+    lagSeconds,
+    log,
+  });
+  if (paused) feeder.pause();
+  else await feeder.tick();
+
+  /**
+   * Mine blocks at devnet block time; the last one also carries the drand update for its timestamp, so
+   * feeding never adds blocks of its own (which would skew the block/drand-time ratio).
+   */
+  async function mine(count = 1) {
+    const provider = hre.ethers.provider;
+    await mineBlocks(hre, count - 1, blockTime);
+    const timestamp = (await provider.getBlock("latest")).timestamp + blockTime;
+    await provider.send("evm_setAutomine", [false]);
+    let fed;
+    try {
+      fed = await feeder.tick({ timestamp, wait: false });
+      await provider.send("evm_setNextBlockTimestamp", [timestamp]);
+      await provider.send("evm_mine", []);
+    } finally {
+      await provider.send("evm_setAutomine", [true]);
+    }
+    for (const tx of fed.txs) await tx.wait();
+    return fed;
+  }
+
+  async function stop() {
+    feeder.stop();
+    await removePrecompileStandIns(hre);
+  }
+
+  return { feeder, drandTargets, mine, stop };
+}
+
+module.exports = {
+  installPrecompileStandIns,
+  removePrecompileStandIns,
+  mineBlocks,
+  startDevnet,
+};
@@ -0,0 +1,180 @@
+/**
+ * Drand pulse feeder for local devnets: moves the last stored drand round of the precompile stand-ins
+ * (MockDrandPrecompile at 0x080D/0x080E, MockStoragePrecompile at 0x0807) forward with block time, the way
+ * the drand pallet follows quicknet on chain. Pulses themselves are derived by the stand-ins, so one
+ * transaction per stand-in advances any number of rounds.
+ *
+ * The fed round at block timestamp T is drandRoundAt(T - lag): quicknet numbering by default, one round
+ * every DRAND_FREQUENCY_SECONDS. Faults for testing keepers and contracts:
+ *   pause() / resume()  stop advancing (an outage; rounds catch up on resume)
+ *   setLag(seconds)     feed rounds this far behind block time (a slow relayer)
+ *   skip(count)         the next `count` rounds get no pulse (missed beacons), though later rounds do
+ *   skipRound(round)    that (not yet fed) round gets no pulse, e.g. a game's target round
+ *   wipe()              lastStoredRound back to 0 (drand never initialized / storage lost); pauses until resume()
+ *
+ * Usage:
+ *   const feeder = createDrandFeeder({ provider, signer, targets: [STORAGE_PRECOMPILE, COLOSSEUM_DRAND_PRECOMPILE] });
+ *   await feeder.tick();                 // after mining, or
+ *   await feeder.run({ pollMs: 1000 });
+ */
+const { Contract } = require("ethers");
+const { COLOSSEUM } = require("./constants");
+const { fmtErr } = require("./format");
+
+// drand quicknet (the beacon subtensor relays)
+const QUICKNET_GENESIS_TIME = 1692803367;
+const QUICKNET_PERIOD_SECONDS = COLOSSEUM.DRAND_FREQUENCY_SECONDS;
+
+const FEEDER_ABI = [
+  "function setLastStoredRound(uint64 round)",
+  "function setRoundSkipped(uint64 round, bool skipped)",
+];
+
+/**
+ * Latest drand round emitted at or before `timestamp` (0 before genesis), per drand's round numbering.
+ * @param {number} timestamp unix seconds
+ */
+function drandRoundAt(timestamp, genesisTime = QUICKNET_GENESIS_TIME, period = QUICKNET_PERIOD_SECONDS) {
+  if (timestamp < genesisTime) return 0;
+  return Math.floor((timestamp - genesisTime) / period) + 1;
+}
+
+/**
+ * @param {object} opts
+ * @param {import("ethers").Provider} opts.provider
+ * @param {import("ethers").Signer} opts.signer sends the stand-in updates (any funded devnet account)
+ * @param {string[]} opts.targets stand-in addresses to feed
+ * @param {number} [opts.genesisTime] default quicknet genesis
+ * @param {number} [opts.period] seconds per round (default DRAND_FREQUENCY_SECONDS)
+ * @param {number} [opts.lagSeconds=0]
+ * @param {(msg: string) => void} [opts.log]
+ */
+function createDrandFeeder({
+  provider,
+  signer,
+  targets,
+  genesisTime = QUICKNET_GENESIS_TIME,
+  period = QUICKNET_PERIOD_SECONDS,
+  lagSeconds = 0,
+  log = (msg) => console.log(msg),
+}) {
+  if (!targets || targets.length === 0) throw new Error("createDrandFeeder: at least one target is required");
+  const contracts = targets.map((address) => new Contract(address, FEEDER_ABI, signer));
+  let lastFed = 0;
+  let paused = false;
+  let lag = lagSeconds;
+  let pendingSkips = 0;
+  const pendingRounds = new Set();
+  const skipped = [];
+  let stopped = false;
+
+  /**
+   * Feed up to the round due at the latest block's timestamp, or at `timestamp` when the caller is about
+   * to mine a block with it. With wait=false the updates are only sent (for a caller that mines them
+   * itself, e.g. with automine off) and their responses are returned in `txs`.
+   * @param {{ timestamp?: number, wait?: boolean }} [opts]
+   * @returns {Promise<{ blockTimestamp: number, round: number, advanced: boolean, paused: boolean, txs: import("ethers").TransactionResponse[] }>}
+   */
+  async function tick({ timestamp, wait = true } = {}) {
+    const blockTimestamp = timestamp != null ? timestamp : (await provider.getBlock("latest")).timestamp;
+    const due = drandRoundAt(blockTimestamp - lag, genesisTime, period);
+    const txs = [];
+    const result = { blockTimestamp, round: lastFed, advanced: false, paused, txs };
+    if (paused || due <= lastFed) return result;
+
+    async function sendAll(method, args) {
+      for (const c of contracts) {
+        const tx = await c[method](...args);
+        if (wait) await tx.wait();
+        txs.push(tx);
+      }
+    }
+
+    // Skips apply to the rounds right after the last fed one, never to the round fed now, so a skip
+    // shows up as a gap below the head rather than as a head without randomness
+    const toSkip = [];
+    for (let round = lastFed + 1; pendingSkips > 0 && lastFed > 0 && round < due; round++, pendingSkips--) toSkip.push(round);
+    for (const round of pendingRounds) {
+      if (round < due) {
+        toSkip.push(round);
+        pendingRounds.delete(round);
+      }
+    }
+    for (const round of toSkip) {
+      await sendAll("setRoundSkipped", [round, true]);
+      skipped.push(round);
+      log(`drand feeder: skipped round ${round}`);
+    }
+    await sendAll("setLastStoredRound", [due]);
+    lastFed = due;
+    return { ...result, round: due, advanced: true };
+  }
+
+  /** tick() every `pollMs` until stop() (or maxTicks). Errors are logged and retried. */
+  async function run({ pollMs = 1000, maxTicks = Infinity } = {}) {
+    stopped = false;
+    for (let i = 0; i < maxTicks && !stopped; i++) {
+      try {
+        await tick();
+      } catch (e) {
+        log(`drand feeder tick failed: ${fmtErr(e)}`);
+      }
+      if (i + 1 < maxTicks && !stopped) await new Promise((resolve) => setTimeout(resolve, pollMs));
+    }
+  }
+
+  function stop() {
+    stopped = true;
+  }
+
+  function pause() {
+    paused = true;
+  }
+
+  function resume() {
+    paused = false;
+  }
+
+  function setLag(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) throw new Error(`Invalid lag: ${seconds}`);
+    lag = seconds;
+  }
+
+  function skip(count = 1) {
+    if (!Number.isInteger(count) || count < 1) throw new Error(`Invalid skip count: ${count}`);
+    pendingSkips += count;
+  }
+
+  function skipRound(round) {
+    if (!Number.isInteger(round) || round <= lastFed) throw new Error(`Round ${round} is not ahead of the fed round ${lastFed}`);
+    pendingRounds.add(round);
+  }
+
+  /** Set every target back to lastStoredRound 0 and pause; resume() feeds the round due at that time. */
+  async function wipe() {
+    paused = true;
+    for (const c of contracts) await (await c.setLastStoredRound(0)).wait();
+    lastFed = 0;
+    log("drand feeder: wiped (lastStoredRound = 0)");
+  }
+
+  function status() {
+    return {
+      lastFedRound: lastFed,
+      paused,
+      lagSeconds: lag,
+      pendingSkips,
+      pendingRounds: [...pendingRounds].sort((a, b) => a - b),
+      skippedRounds: [...skipped],
+    };
+  }
+
+  return { tick, run, stop, pause, resume, setLag, skip, skipRound, wipe, status };
+}
+
+module.exports = {
+  QUICKNET_GENESIS_TIME,
+  QUICKNET_PERIOD_SECONDS,
+  drandRoundAt,
+  createDrandFeeder,
+};
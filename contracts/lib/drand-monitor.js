@@ -0,0 +1,419 @@
+/**
+ * Drand health monitor: follows drand.lastStoredRound against the round quicknet should be at by the clock,
+ * and raises alerts that sinks (lib/alert-sinks.js: stdout JSON, webhook, file) forward to operators.
+ *
+ *   drand-unavailable  no round stored at all (lastStoredRound 0 / unreadable)
+ *   drand-stalled      lastStoredRound has not advanced for more than graceSeconds
+ *   drand-lag          stored round behind the clock by more than graceSeconds (critical beyond lagSeconds,
+ *                      CHAIN_LAG_GRACE_SECONDS by default)
+ *   chain-lag          latest block older than graceSeconds (critical beyond lagSeconds)
+ *   blake2f-failure    a contract drand read reverted in blake2f (pulse keys cannot be hashed)
+ *   drand-read-failed  any other contract drand read revert
+ *   pulse-mismatch     the read paths disagree: drand precompile 0x080D (getPulse), 0x080E (getRandomness)
+ *                      and the storage precompile 0x0807 (raw drand.pulses key, lib/drand-storage.js)
+ *   at-risk            a live TAOColosseum game or RPS match whose target / seed round is not stored although it
+ *                      is overdue or drand is down; critical once the game is past its void deadline
+ *
+ * Alerts are edge-triggered: an "alert" event when a condition starts (or changes severity), a "resolved"
+ * event when it clears. Pure assessment (assessDrandHealth) is separate from the chain reads so it can be
+ * unit-tested and reused for status output.
+ *
+ * Usage:
+ *   const monitor = createDrandMonitor({ provider, colosseum, rps, sinks: [createStdoutSink()] });
+ *   await monitor.check();               // one snapshot + assessment, or
+ *   await monitor.run({ pollMs: 15000 });
+ */
+const { Contract, ZeroHash, getBytes } = require("ethers");
+const {
+  COLOSSEUM_DRAND_PRECOMPILE,
+  RPS_DRAND_PRECOMPILE,
+  STORAGE_PRECOMPILE,
+  DRAND_LAST_ROUND_KEY,
+  GAME_PHASES,
+  TOURNAMENT_PHASES,
+  COLOSSEUM,
+} = require("./constants");
+const { DRAND_PRECOMPILE_ABI } = require("./abi");
+const { fmtErr } = require("./format");
+const { drandRoundAt, QUICKNET_PERIOD_SECONDS } = require("./drand-feeder");
+const { drandPulseKey, decodePulse } = require("./drand-storage");
+
+const BETTING = GAME_PHASES.indexOf("Betting");
+const CALCULATING = GAME_PHASES.indexOf("Calculating");
+const ACTIVE = TOURNAMENT_PHASES.indexOf("Active");
+
+/**
+ * @typedef {{ exists: boolean, randomness: string|null }} PulseRead
+ * @typedef {{ colosseumPrecompile: PulseRead|null, rpsPrecompile: PulseRead|null, storage: PulseRead|null }} PulsePaths
+ *   null = the path did not answer (no precompile at that address / no storage precompile)
+ */
+
+/**
+ * @typedef {object} LiveItem
+ * @property {string} key e.g. "colosseum-game:3" or "rps-match:1:0:2"
+ * @property {string} label
+ * @property {bigint} round drand round the game / match waits for
+ * @property {boolean} stored
+ * @property {number|null} voidAt unix time after which a TAOColosseum game is compromised (null for RPS)
+ */
+
+/**
+ * @typedef {object} DrandSnapshot
+ * @property {number} now unix seconds (wall clock, or the latest block's timestamp with chainClock)
+ * @property {number} blockNumber
+ * @property {number} blockTimestamp
+ * @property {bigint} expectedRound quicknet round at `now`
+ * @property {bigint} lastRound as the contracts see it (drand precompile first, storage fallback); 0 if none
+ * @property {{ colosseumPrecompile: bigint|null, rpsPrecompile: bigint|null, storage: bigint|null }} lastRounds
+ * @property {number} secondsSinceAdvance since lastRound last changed (0 on the first check)
+ * @property {{ round: bigint, paths: PulsePaths }[]} pulses rounds read through every path
+ * @property {{ contract: string, call: string, error: string, blake2f: boolean }[]} readErrors
+ * @property {LiveItem[]} live
+ */
+
+/** u64 little-endian at the start of a SCALE value (drand.lastStoredRound). */
+function decodeLeU64(data) {
+  const bytes = getBytes(data);
+  if (bytes.length < 8) return null;
+  let v = 0n;
+  for (let i = 7; i >= 0; i--) v = (v << 8n) | BigInt(bytes[i]);
+  return v;
+}
+
+/** True when every path that answered reports the same pulse. */
+function pulsesAgree(paths) {
+  const reads = Object.values(paths).filter((r) => r !== null);
+  return reads.every(
+    (r) => r.exists === reads[0].exists && (!r.exists || r.randomness.toLowerCase() === reads[0].randomness.toLowerCase()),
+  );
+}
+
+/**
+ * Turn a snapshot into alerts. Pure.
+ * @param {DrandSnapshot} s
+ * @param {object} [opts]
+ * @param {number} [opts.graceSeconds=60] how long drand may stand still or trail the clock before alerting
+ * @param {number} [opts.lagSeconds=CHAIN_LAG_GRACE_SECONDS] lag beyond which drand-lag / chain-lag are critical
+ * @param {number} [opts.period] seconds per drand round
+ * @returns {{ healthy: boolean, outage: boolean, drandLagSeconds: number, chainLagSeconds: number,
+ *   alerts: Array<{ key: string, type: string, severity: "warning"|"critical", message: string, details: object }>,
+ *   atRisk: LiveItem[] }}
+ */
+function assessDrandHealth(s, { graceSeconds = 60, lagSeconds = COLOSSEUM.CHAIN_LAG_GRACE_SECONDS, period = QUICKNET_PERIOD_SECONDS } = {}) {
+  const alerts = [];
+  const alert = (key, severity, message, details = {}) => alerts.push({ key, type: key.split(":")[0], severity, message, details });
+  const lastRound = BigInt(s.lastRound);
+  const expected = BigInt(s.expectedRound);
+  const drandLagSeconds = lastRound > 0n && expected > lastRound ? Number(expected - lastRound) * period : 0;
+  const chainLagSeconds = Math.max(0, s.now - s.blockTimestamp);
+
+  let outage = false;
+  if (lastRound === 0n) {
+    outage = true;
+    alert("drand-unavailable", "critical", "no drand round stored on chain (lastStoredRound is 0)", { lastRounds: s.lastRounds });
+  } else {
+    if (s.secondsSinceAdvance > graceSeconds) {
+      outage = true;
+      alert("drand-stalled", "critical", `drand stuck at round ${lastRound} for ${s.secondsSinceAdvance}s`, {
+        round: lastRound,
+        seconds: s.secondsSinceAdvance,
+      });
+    }
+    if (drandLagSeconds > graceSeconds) {
+      outage = true;
+      alert(
+        "drand-lag",
+        drandLagSeconds > lagSeconds ? "critical" : "warning",
+        `stored round ${lastRound} is ${drandLagSeconds}s behind the clock (round ${expected} expected)`,
+        { round: lastRound, expectedRound: expected, seconds: drandLagSeconds },
+      );
+    }
+  }
+  if (chainLagSeconds > graceSeconds) {
+    alert("chain-lag", chainLagSeconds > lagSeconds ? "critical" : "warning", `latest block ${s.blockNumber} is ${chainLagSeconds}s old`, {
+      blockNumber: s.blockNumber,
+      seconds: chainLagSeconds,
+    });
+  }
+
+  const blake2f = s.readErrors.filter((e) => e.blake2f);
+  if (blake2f.length > 0) {
+    alert("blake2f-failure", "critical", `blake2f failed in ${blake2f.map((e) => `${e.contract}.${e.call}`).join(", ")}; pulse keys cannot be hashed`, {
+      errors: blake2f,
+    });
+  }
+  const failed = s.readErrors.filter((e) => !e.blake2f);
+  if (failed.length > 0) {
+    alert("drand-read-failed", "critical", failed.map((e) => `${e.contract}.${e.call}: ${e.error}`).join("; "), { errors: failed });
+  }
+
+  const known = Object.entries(s.lastRounds).filter(([, v]) => v !== null);
+  const roundsDiffer = known.some(([, v]) => v !== known[0][1]);
+  const mismatched = s.pulses.filter((p) => !pulsesAgree(p.paths));
+  if (roundsDiffer || mismatched.length > 0) {
+    const what = [];
+    if (roundsDiffer) what.push(`lastStoredRound (${known.map(([k, v]) => `${k} ${v}`).join(", ")})`);
+    if (mismatched.length > 0) what.push(`pulse for round ${mismatched.map((p) => p.round).join(", ")}`);
+    alert("pulse-mismatch", "critical", `drand read paths disagree on ${what.join(" and ")}`, { lastRounds: s.lastRounds, pulses: mismatched });
+  }
+
+  const atRisk = s.live.filter((item) => {
+    if (item.stored) return false;
+    if (outage) return true;
+    return expected > item.round && Number(expected - item.round) * period > graceSeconds;
+  });
+  for (const item of atRisk) {
+    const left = item.voidAt === null ? null : item.voidAt - s.blockTimestamp;
+    let message = `${item.label} waits for drand round ${item.round}, which is not stored`;
+    if (left !== null) message += left > 0 ? `; compromised in ${left}s` : "; past its void deadline";
+    alert(`at-risk:${item.key}`, left !== null && left <= 0 ? "critical" : "warning", message, item);
+  }
+
+  return { healthy: alerts.length === 0, outage, drandLagSeconds, chainLagSeconds, alerts, atRisk };
+}
+
+/**
+ * @param {object} opts
+ * @param {import("ethers").Provider} opts.provider
+ * @param {ReturnType<import("./colosseum-client").createColosseumClient>} [opts.colosseum] watch its current game
+ * @param {ReturnType<import("./rps-client").createRpsClient>} [opts.rps] watch the seed rounds of active matches
+ * @param {Array<{ name: string, send: (event: object) => Promise<void> }>} [opts.sinks]
+ * @param {(round: bigint) => string} [opts.pulseKey] raw drand.pulses(round) storage key (default drandPulseKey)
+ * @param {number} [opts.graceSeconds] see assessDrandHealth
+ * @param {number} [opts.lagSeconds]
+ * @param {boolean} [opts.chainClock=false] measure against the latest block's timestamp instead of the wall clock
+ *   (devnets, whose block time runs ahead of real time)
+ * @param {() => number} [opts.now] wall clock in unix seconds
+ * @param {(msg: string) => void} [opts.log]
+ */
+function createDrandMonitor({
+  provider,
+  colosseum,
+  rps,
+  sinks = [],
+  pulseKey = drandPulseKey,
+  graceSeconds,
+  lagSeconds,
+  chainClock = false,
+  now = () => Math.floor(Date.now() / 1000),
+  log = (msg) => console.log(msg),
+}) {
+  const colosseumDrand = new Contract(COLOSSEUM_DRAND_PRECOMPILE, DRAND_PRECOMPILE_ABI, provider);
+  const rpsDrand = new Contract(RPS_DRAND_PRECOMPILE, DRAND_PRECOMPILE_ABI, provider);
+  const finished = new Set(); // Completed/Canceled tournament ids never change again
+  const active = new Map(); // alert key -> alert
+  let advance = null; // { round, at }
+  let stopped = false;
+
+  // null when the path does not answer: no precompile there (empty result fails to decode) or it reverted
+  async function tryRead(fn) {
+    try {
+      return await fn();
+    } catch (_) {
+      return null;
+    }
+  }
+
+  async function readStorage(key, blockTag) {
+    const data = await provider.call({ to: STORAGE_PRECOMPILE, data: key, blockTag });
+    return data === "0x" ? null : data;
+  }
+
+  async function readLastRounds(blockTag) {
+    const [colosseumPrecompile, rpsPrecompile, storage] = await Promise.all([
+      tryRead(() => colosseumDrand.getLastStoredRound({ blockTag })),
+      tryRead(() => rpsDrand.getLastStoredRound({ blockTag })),
+      tryRead(async () => {
+        const data = await readStorage(DRAND_LAST_ROUND_KEY, blockTag);
+        return data === null ? null : decodeLeU64(data);
+      }),
+    ]);
+    return { colosseumPrecompile, rpsPrecompile, storage };
+  }
+
+  /** One round through every path (RPS_Tournament's order on 0x080E: getRandomness, then getPulse). */
+  async function readPulsePaths(round, blockTag, storagePresent) {
+    const [colosseumPrecompile, rpsPrecompile, storage] = await Promise.all([
+      tryRead(async () => {
+        const [exists, randomness] = await colosseumDrand.getPulse(round, { blockTag });
+        return { exists, randomness: exists ? randomness : null };
+      }),
+      tryRead(async () => {
+        const r = await rpsDrand.getRandomness(round, { blockTag });
+        return { exists: r !== ZeroHash, randomness: r !== ZeroHash ? r : null };
+      }).then(
+        (r) =>
+          r ||
+          tryRead(async () => {
+            const [exists, randomness] = await rpsDrand.getPulse(round, { blockTag });
+            return { exists, randomness: exists ? randomness : null };
+          }),
+      ),
+      storagePresent ? tryRead(async () => decodePulse((await readStorage(pulseKey(BigInt(round)), blockTag)) || "0x")) : null,
+    ]);
+    return { colosseumPrecompile, rpsPrecompile, storage };
+  }
+
+  async function readLive(blockTag, storagePresent, readErrors) {
+    const live = [];
+    if (colosseum) {
+      const contract = colosseum.contract;
+      try {
+        await contract.getDrandStatus({ blockTag });
+      } catch (e) {
+        readErrors.push(readError("TAOColosseum", "getDrandStatus()", e));
+      }
+      const game = await colosseum.getCurrentGame();
+      if (game && (game.phase === BETTING || game.phase === CALCULATING)) {
+        let stored = false;
+        try {
+          stored = await contract.isDrandRoundAvailable(game.targetDrandRound, { blockTag });
+        } catch (e) {
+          readErrors.push(readError("TAOColosseum", `isDrandRoundAvailable(${game.targetDrandRound})`, e));
+        }
+        live.push({
+          key: `colosseum-game:${game.id}`,
+          label: `TAOColosseum game ${game.id} (${game.phaseName})`,
+          round: game.targetDrandRound,
+          stored,
+          voidAt: Number(game.predictedDrandTimestamp) + COLOSSEUM.CHAIN_LAG_GRACE_SECONDS,
+        });
+      }
+    }
+    if (rps) {
+      const count = await rps.getTournamentCount();
+      for (let id = 1; id <= count; id++) {
+        if (finished.has(id)) continue;
+        const t = await rps.getTournament(id);
+        if (t.phase !== ACTIVE) {
+          if (t.phaseName === "Completed" || t.phaseName === "Canceled") finished.add(id);
+          continue;
+        }
+        for (const m of await rps.getRoundMatches(id, t.currentRound)) {
+          if (m.winner) continue;
+          const paths = await readPulsePaths(m.seedRound, blockTag, storagePresent);
+          const read = paths.rpsPrecompile || paths.storage;
+          live.push({
+            key: `rps-match:${id}:${m.round}:${m.matchIndex}`,
+            label: `RPS tournament ${id} round ${m.round} match ${m.matchIndex}`,
+            round: m.seedRound,
+            stored: Boolean(read && read.exists),
+            voidAt: null,
+          });
+        }
+      }
+    }
+    return live;
+  }
+
+  /** @returns {Promise<DrandSnapshot>} */
+  async function readSnapshot() {
+    const block = await provider.getBlock("latest");
+    const blockTag = block.number;
+    const at = chainClock ? block.timestamp : Math.floor(now());
+    const lastRounds = await readLastRounds(blockTag);
+    const known = Object.values(lastRounds).filter((v) => v !== null);
+    const lastRound = lastRounds.colosseumPrecompile ?? lastRounds.rpsPrecompile ?? lastRounds.storage ?? 0n;
+    const storagePresent = lastRounds.storage !== null;
+
+    const readErrors = [];
+    const live = await readLive(blockTag, storagePresent, readErrors);
+
+    // Compare paths at the newest round all of them should have, and at every stored round a live game needs
+    const rounds = new Set();
+    const sampleRound = known.length > 0 ? known.reduce((a, b) => (b < a ? b : a)) : 0n;
+    if (sampleRound > 0n) rounds.add(sampleRound);
+    for (const item of live) if (item.round <= sampleRound) rounds.add(item.round);
+    const pulses = [];
+    for (const round of rounds) pulses.push({ round, paths: await readPulsePaths(round, blockTag, storagePresent) });
+
+    if (advance === null || advance.round !== lastRound) advance = { round: lastRound, at };
+    return {
+      now: at,
+      blockNumber: block.number,
+      blockTimestamp: block.timestamp,
+      expectedRound: BigInt(drandRoundAt(at)),
+      lastRound,
+      lastRounds,
+      secondsSinceAdvance: at - advance.at,
+      pulses,
+      readErrors,
+      live,
+    };
+  }
+
+  async function publish(event) {
+    await Promise.all(
+      sinks.map((sink) =>
+        sink.send(event).catch((e) => {
+          log(`${sink.name} sink failed: ${fmtErr(e)}`);
+        }),
+      ),
+    );
+  }
+
+  /**
+   * Read, assess and publish the alerts that started, escalated or cleared since the last check.
+   * @returns {Promise<ReturnType<typeof assessDrandHealth> & { snapshot: DrandSnapshot, events: object[] }>}
+   */
+  async function check() {
+    const snapshot = await readSnapshot();
+    const assessment = assessDrandHealth(snapshot, { graceSeconds, lagSeconds });
+    const at = new Date(snapshot.now * 1000).toISOString();
+    const events = [];
+    const current = new Map(assessment.alerts.map((a) => [a.key, a]));
+    for (const [key, a] of current) {
+      const prev = active.get(key);
+      if (!prev || prev.severity !== a.severity) events.push({ event: "alert", ...a, at, lastRound: snapshot.lastRound });
+    }
+    for (const [key, a] of active) {
+      if (!current.has(key)) events.push({ event: "resolved", key, type: a.type, severity: a.severity, message: a.message, at, lastRound: snapshot.lastRound });
+    }
+    active.clear();
+    for (const [key, a] of current) active.set(key, a);
+    for (const event of events) await publish(event);
+    return { snapshot, ...assessment, events };
+  }
+
+  /**
+   * Check every `pollMs` until stop() is called (or maxTicks is reached).
+   * RPC errors are logged and retried; they never end the loop.
+   */
+  async function run({ pollMs = 15000, maxTicks = Infinity } = {}) {
+    stopped = false;
+    for (let i = 0; i < maxTicks && !stopped; i++) {
+      try {
+        const r = await check();
+        const s = r.snapshot;
+        log(
+          `round ${s.lastRound} (expected ${s.expectedRound}, ${r.drandLagSeconds}s behind) · block ${s.blockNumber} · ` +
+            `${r.alerts.length} alert(s) · ${r.atRisk.length} at risk`,
+        );
+      } catch (e) {
+        log(`check failed: ${fmtErr(e)}`);
+      }
+      if (i + 1 < maxTicks && !stopped) await new Promise((resolve) => setTimeout(resolve, pollMs));
+    }
+  }
+
+  function stop() {
+    stopped = true;
+  }
+
+  /** Alerts raised by the last check. */
+  function activeAlerts() {
+    return [...active.values()];
+  }
+
+  return { readSnapshot, check, run, stop, activeAlerts };
+}
+
+function readError(contract, call, e) {
+  const error = fmtErr(e);
+  return { contract, call, error, blake2f: /blake2f/i.test(`${error} ${e?.message || ""}`) };
+}
+
+module.exports = {
+  assessDrandHealth,
+  createDrandMonitor,
+};
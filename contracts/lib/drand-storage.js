@@ -0,0 +1,190 @@
+/**
+ * Subtensor drand pallet storage as the contracts read it through the storage precompile (0x0807):
+ * the drand.pulses(round) key built like _buildDrandPulseKey, the SCALE Pulse value decoded like
+ * _getDrandRandomness and drand.lastStoredRound read like _getLastStoredRound. Pure JS (blake2b from
+ * @noble/hashes), so it runs offline and in browsers; test/drand-storage.test.js checks it against both
+ * contracts' pure-Solidity blake2b and decoders.
+ */
+const { concat, getBytes, hexlify, toBeHex } = require("ethers");
+const { blake2b } = require("@noble/hashes/blake2b");
+const { STORAGE_PRECOMPILE, DRAND_LAST_ROUND_KEY, DRAND_PULSES_PREFIX } = require("./constants");
+
+function u64le(value) {
+  const out = new Uint8Array(8);
+  let v = BigInt(value);
+  for (let i = 0; i < 8; i++) {
+    out[i] = Number(v & 0xffn);
+    v >>= 8n;
+  }
+  return out;
+}
+
+/**
+ * Storage key of drand.pulses(round): prefix (32) || blake2_128(round_le) (16) || round_le (8).
+ * @param {number|bigint} round
+ * @returns {string} 56-byte hex key
+ */
+function drandPulseKey(round) {
+  const roundLe = u64le(round);
+  return concat([DRAND_PULSES_PREFIX, blake2b(roundLe, { dkLen: 16 }), roundLe]);
+}
+
+/**
+ * Randomness of a SCALE Pulse { round: u64, randomness: BoundedVec<u8, 32>, signature }, with the same
+ * acceptance rules as the contracts (compact length in 1- or 2-byte mode, exactly 32 bytes).
+ * @param {string|Uint8Array} data raw storage value ("0x" when the key is absent)
+ * @returns {{ exists: boolean, randomness: string|null }}
+ */
+function decodePulse(data) {
+  const bytes = getBytes(data);
+  const missing = { exists: false, randomness: null };
+  if (bytes.length < 9) return missing;
+  let len;
+  let start;
+  if ((bytes[8] & 0x03) === 0) {
+    len = bytes[8] >> 2;
+    start = 9;
+  } else if ((bytes[8] & 0x03) === 1 && bytes.length >= 10) {
+    len = (bytes[8] | (bytes[9] << 8)) >> 2;
+    start = 10;
+  } else return missing;
+  if (len !== 32 || bytes.length < start + 32) return missing;
+  return { exists: true, randomness: hexlify(bytes.slice(start, start + 32)) };
+}
+
+/**
+ * drand.lastStoredRound as _getLastStoredRound reads it: the first 8 bytes as a little-endian u64, 0 when the
+ * value is absent or shorter.
+ * @param {string|Uint8Array} data raw storage value
+ * @returns {bigint}
+ */
+function decodeLastStoredRound(data) {
+  const bytes = getBytes(data);
+  if (bytes.length < 8) return 0n;
+  let v = 0n;
+  for (let i = 7; i >= 0; i--) v = (v << 8n) | BigInt(bytes[i]);
+  return v;
+}
+
+// SCALE compact integer at `offset`, in any of the four modes; like parity-scale-codec, a value encoded in a
+// longer mode than it needs is rejected
+function decodeCompact(bytes, offset) {
+  const need = (n) => {
+    if (offset + n > bytes.length) throw new Error(`Malformed drand pulse: compact length truncated at byte ${offset}`);
+  };
+  need(1);
+  const mode = bytes[offset] & 0x03;
+  let value;
+  let size;
+  if (mode === 0) {
+    value = bytes[offset] >> 2;
+    size = 1;
+  } else if (mode === 1) {
+    need(2);
+    value = (bytes[offset] | (bytes[offset + 1] << 8)) >> 2;
+    size = 2;
+  } else if (mode === 2) {
+    need(4);
+    value = Math.floor((bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] * 2 ** 24)) / 4);
+    size = 4;
+  } else {
+    size = (bytes[offset] >> 2) + 5;
+    need(size);
+    let v = 0n;
+    for (let i = size - 1; i >= 1; i--) v = (v << 8n) | BigInt(bytes[offset + i]);
+    if (v > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error(`Malformed drand pulse: compact length ${v} at byte ${offset}`);
+    value = Number(v);
+  }
+  const min = [0, 1 << 6, 1 << 14, 2 ** 30][mode];
+  if (value < min) throw new Error(`Malformed drand pulse: non-canonical compact length ${value} at byte ${offset}`);
+  return { value, size };
+}
+
+function encodeCompact(n) {
+  if (n < 1 << 6) return Uint8Array.of(n << 2);
+  if (n < 1 << 14) return Uint8Array.of(((n << 2) | 1) & 0xff, n >> 6);
+  if (n < 2 ** 30) return getBytes(toBeHex(n * 4 + 2, 4)).reverse();
+  throw new Error(`Compact length ${n} out of range`);
+}
+
+/**
+ * Strict SCALE decoding of the whole Pulse { round: u64, randomness: BoundedVec<u8, 32>, signature:
+ * BoundedVec<u8, 144> }. Unlike decodePulse (what the contracts accept) it rejects truncated values, trailing
+ * bytes and randomness that is not 32 bytes.
+ * @param {string|Uint8Array} data raw storage value
+ * @returns {{ round: bigint, randomness: string, signature: string } | null} null when the key is absent ("0x")
+ */
+function decodePulseScale(data) {
+  const bytes = getBytes(data);
+  if (bytes.length === 0) return null;
+  if (bytes.length < 8) throw new Error(`Malformed drand pulse: ${bytes.length} bytes, round needs 8`);
+  const round = decodeLastStoredRound(bytes.slice(0, 8));
+  let offset = 8;
+  const vec = (name) => {
+    const { value, size } = decodeCompact(bytes, offset);
+    offset += size;
+    if (offset + value > bytes.length) throw new Error(`Malformed drand pulse: ${name} of ${value} bytes truncated`);
+    const out = hexlify(bytes.slice(offset, offset + value));
+    offset += value;
+    return out;
+  };
+  const randomness = vec("randomness");
+  const signature = vec("signature");
+  if (offset !== bytes.length) throw new Error(`Malformed drand pulse: ${bytes.length - offset} trailing bytes`);
+  if (randomness.length !== 66) throw new Error(`Malformed drand pulse: randomness is ${(randomness.length - 2) / 2} bytes, expected 32`);
+  return { round, randomness, signature };
+}
+
+/**
+ * SCALE encoding of a Pulse as the drand pallet stores it (compact lengths in the shortest mode).
+ * @param {{ round: number|bigint, randomness: string|Uint8Array, signature?: string|Uint8Array }} pulse
+ * @returns {string} hex
+ */
+function encodePulse({ round, randomness, signature = "0x" }) {
+  const r = getBytes(randomness);
+  const sig = getBytes(signature);
+  return concat([u64le(round), encodeCompact(r.length), r, encodeCompact(sig.length), sig]);
+}
+
+/**
+ * Reads drand.pulses(round) straight from the storage precompile with the JS key, bypassing the contracts.
+ * `exists`/`randomness` are what the contracts would conclude from the value; `pulse` is its strict decoding
+ * (null with `error` set when the value is not a well-formed Pulse).
+ * @param {import("ethers").Provider} provider
+ * @param {number|bigint} round
+ * @param {string|number} [blockTag]
+ * @returns {Promise<{ key: string, raw: string, exists: boolean, randomness: string|null, pulse: object|null, error: string|null }>}
+ */
+async function readDrandPulse(provider, round, blockTag) {
+  const key = drandPulseKey(round);
+  const raw = await provider.call({ to: STORAGE_PRECOMPILE, data: key, blockTag });
+  const { exists, randomness } = decodePulse(raw);
+  let pulse = null;
+  let error = null;
+  try {
+    pulse = decodePulseScale(raw);
+  } catch (err) {
+    error = err.message;
+  }
+  return { key, raw, exists, randomness, pulse, error };
+}
+
+/**
+ * drand.lastStoredRound straight from the storage precompile (0n when absent).
+ * @param {import("ethers").Provider} provider
+ * @param {string|number} [blockTag]
+ * @returns {Promise<bigint>}
+ */
+async function readLastStoredRound(provider, blockTag) {
+  return decodeLastStoredRound(await provider.call({ to: STORAGE_PRECOMPILE, data: DRAND_LAST_ROUND_KEY, blockTag }));
+}
+
+module.exports = {
+  drandPulseKey,
+  decodePulse,
+  decodeLastStoredRound,
+  decodePulseScale,
+  encodePulse,
+  readDrandPulse,
+  readLastStoredRound,
+};
@@ -0,0 +1,203 @@
+/**
+ * Offline verification of the drand randomness behind published outcomes, from saved quicknet beacon JSON
+ * (`curl https://api.drand.sh/<QUICKNET_CHAIN_HASH>/public/<round>`; extra fields are ignored):
+ *
+ *   TAOColosseum game  beacon round == targetDrandRound, BLS signature, randomness == sha256(signature),
+ *                      RandomnessUsed randomness, actualEndBlock = endBlock - FINAL_CALL_BLOCKS + randomness % FINAL_CALL_BLOCKS
+ *   RPS tiebreak       beacon round == match seedRound, BLS signature, randomness == sha256(signature),
+ *                      winner = randomness even ? playerA : playerB (when the match went to the drand tiebreak)
+ *
+ * Quicknet signs sha256(round as u64 big-endian) on G1 (bls-unchained-g1-rfc9380); the public key is on G2.
+ * The drand.pulses(round) storage key the contracts read is rebuilt for reference, and checked against the
+ * pulse actually stored on chain when one is supplied.
+ */
+const { getBytes, hexlify, toBeHex, zeroPadValue } = require("ethers");
+const { bls12_381: bls } = require("@noble/curves/bls12-381");
+const { sha256 } = require("@noble/hashes/sha2");
+const { colosseumActualEndBlock } = require("./colosseum-math");
+const { drandPulseKey, decodePulse } = require("./drand-storage");
+
+const QUICKNET_CHAIN_HASH = "52db9ba70e0cc0f6eaf7803dd07447a1f5477735fd3f661792ba94600c84e971";
+const QUICKNET_PUBLIC_KEY =
+  "0x83cf0f2896adee7eb8b5f01fcad3912212c437e0073e911fb90022d3e760183c8c4b450b6a0a6c3ac6a5776a2d1064510d1fec758c921cc22b0e17e63aaf4bcb5ed66304de9cf809bd274ca73bab4af5a6e9c76a4bc09e76eae8991ef5ece45a";
+const QUICKNET_DST = "BLS_SIG_BLS12381G1_XMD:SHA-256_SSWU_RO_NUL_";
+
+/**
+ * @typedef {object} Beacon
+ * @property {bigint} round
+ * @property {string} randomness 0x-prefixed, 32 bytes
+ * @property {string} signature 0x-prefixed, 48-byte compressed G1 point
+ */
+
+/**
+ * @typedef {object} Check
+ * @property {string} name
+ * @property {boolean|null} ok null when skipped (input not supplied)
+ * @property {string} detail
+ */
+
+function hex(value) {
+  return hexlify(typeof value === "string" && !value.startsWith("0x") ? `0x${value}` : value).toLowerCase();
+}
+
+/**
+ * Normalize a drand HTTP API beacon ({ round, randomness, signature, ... }, hex with or without 0x).
+ * @returns {Beacon}
+ */
+function parseBeacon(json) {
+  const b = typeof json === "string" ? JSON.parse(json) : json;
+  if (b == null || b.round == null || !b.randomness || !b.signature) throw new Error("Beacon JSON needs round, randomness and signature");
+  return { round: BigInt(b.round), randomness: hex(b.randomness), signature: hex(b.signature) };
+}
+
+/** Message quicknet signs for a round: sha256(round as u64 big-endian). */
+function beaconMessage(round) {
+  return sha256(getBytes(zeroPadValue(toBeHex(BigInt(round)), 8)));
+}
+
+/**
+ * Check a beacon's BLS signature and that its randomness is sha256(signature).
+ * @param {Beacon} beacon
+ * @param {{ publicKey?: string }} [opts] G2 public key (default quicknet)
+ * @returns {{ signatureValid: boolean, randomnessValid: boolean }}
+ */
+function verifyBeacon(beacon, { publicKey = QUICKNET_PUBLIC_KEY } = {}) {
+  let signatureValid;
+  try {
+    const msg = bls.shortSignatures.hash(beaconMessage(beacon.round), QUICKNET_DST);
+    signatureValid = bls.shortSignatures.verify(getBytes(beacon.signature), msg, getBytes(publicKey));
+  } catch (_) {
+    signatureValid = false; // not a valid curve point
+  }
+  const randomnessValid = hexlify(sha256(getBytes(beacon.signature))) === beacon.randomness.toLowerCase();
+  return { signatureValid, randomnessValid };
+}
+
+function beaconChecks(beacon, round, { publicKey, storedPulse }) {
+  const { signatureValid, randomnessValid } = verifyBeacon(beacon, { publicKey });
+  const checks = [
+    { name: "beacon round", ok: beacon.round === BigInt(round), detail: `beacon ${beacon.round}, contract expects ${round}` },
+    { name: "BLS signature", ok: signatureValid, detail: signatureValid ? "valid for the drand public key" : "does not verify" },
+    { name: "randomness = sha256(signature)", ok: randomnessValid, detail: beacon.randomness },
+  ];
+  if (storedPulse == null) {
+    checks.push({ name: "stored pulse", ok: null, detail: "not supplied (offline)" });
+  } else {
+    const stored = decodePulse(storedPulse);
+    if (!stored.exists) checks.push({ name: "stored pulse", ok: null, detail: "no pulse under the key (pruned, or no storage precompile)" });
+    else checks.push({ name: "stored pulse", ok: stored.randomness === beacon.randomness.toLowerCase(), detail: `chain stores ${stored.randomness}` });
+  }
+  return checks;
+}
+
+function report(subject, beacon, storageKey, checks, extra) {
+  const failed = checks.filter((c) => c.ok === false);
+  return { ...subject, round: beacon.round, storageKey, randomness: beacon.randomness, ...extra, checks, ok: failed.length === 0 };
+}
+
+/**
+ * @param {object} opts
+ * @param {{ id: bigint|number, endBlock: bigint|number, targetDrandRound: bigint|number, actualEndBlock?: bigint|number,
+ *   randomness?: string }} opts.game from getGame (actualEndBlock 0 = not finalized) and RandomnessUsed
+ * @param {Beacon} opts.beacon
+ * @param {string} [opts.publicKey]
+ * @param {string} [opts.storedPulse] raw value under the storage key, if read from chain
+ */
+function verifyColosseumOutcome({ game, beacon, publicKey, storedPulse }) {
+  const storageKey = drandPulseKey(game.targetDrandRound);
+  const checks = beaconChecks(beacon, game.targetDrandRound, { publicKey, storedPulse });
+  const actualEndBlock = colosseumActualEndBlock(game.endBlock, beacon.randomness);
+  if (game.randomness) {
+    const ok = hex(game.randomness) === beacon.randomness.toLowerCase();
+    checks.push({ name: "RandomnessUsed", ok, detail: `event ${hex(game.randomness)}` });
+  } else {
+    checks.push({ name: "RandomnessUsed", ok: null, detail: "no event supplied" });
+  }
+  if (game.actualEndBlock != null && BigInt(game.actualEndBlock) !== 0n) {
+    const ok = actualEndBlock === BigInt(game.actualEndBlock);
+    checks.push({ name: "actualEndBlock", ok, detail: `recomputed ${actualEndBlock}, contract ${game.actualEndBlock}` });
+  } else {
+    checks.push({ name: "actualEndBlock", ok: null, detail: `recomputed ${actualEndBlock}; game not finalized` });
+  }
+  return report({ kind: "colosseum-game", gameId: BigInt(game.id) }, beacon, storageKey, checks, { actualEndBlock });
+}
+
+/**
+ * Whether a match was decided by the drand tiebreak, from its final rpsRound's moves (same order of rules
+ * as tryRevealMatch: no commits, commits but no reveals, or a tie in the last allowed rpsRound).
+ * @param {{ committed: boolean, choice: number }} a
+ * @param {{ committed: boolean, choice: number }} b
+ * @param {number} rpsRound
+ * @param {number} maxRPSRoundsPerMatch
+ */
+function decidedByTiebreak(a, b, rpsRound, maxRPSRoundsPerMatch) {
+  if (!a.committed && !b.committed) return true;
+  if (!a.committed || !b.committed) return false;
+  const hasA = a.choice !== 0;
+  const hasB = b.choice !== 0;
+  if (!hasA && !hasB) return true;
+  if (!hasA || !hasB) return false;
+  return a.choice === b.choice && rpsRound + 1 >= maxRPSRoundsPerMatch;
+}
+
+/**
+ * @param {object} opts
+ * @param {{ tournamentId: bigint|number, round: bigint|number, matchIndex: number, playerA: string, playerB: string,
+ *   seedRound: bigint|number, winner: string|null, rpsRound?: number }} opts.match
+ * @param {Beacon} opts.beacon beacon of match.seedRound (the round actually used once the match is resolved)
+ * @param {{ playerA: { committed: boolean, choice: number }, playerB: { committed: boolean, choice: number },
+ *   maxRPSRoundsPerMatch: number }} [opts.moves] final rpsRound's moves, to confirm the tiebreak applied
+ * @param {string} [opts.publicKey]
+ * @param {string} [opts.storedPulse]
+ */
+function verifyRpsTiebreak({ match, beacon, moves, publicKey, storedPulse }) {
+  const storageKey = drandPulseKey(match.seedRound);
+  const checks = beaconChecks(beacon, match.seedRound, { publicKey, storedPulse });
+  const tiebreakWinner = BigInt(beacon.randomness) % 2n === 0n ? match.playerA : match.playerB;
+  let tiebreak = null;
+  if (moves) {
+    tiebreak = decidedByTiebreak(moves.playerA, moves.playerB, Number(match.rpsRound || 0), moves.maxRPSRoundsPerMatch);
+    checks.push({ name: "decided by drand", ok: tiebreak ? true : null, detail: tiebreak ? "no decisive moves" : "decided by the moves; randomness unused" });
+  }
+  if (!match.winner) {
+    checks.push({ name: "tiebreak winner", ok: null, detail: `would be ${tiebreakWinner}; match not resolved` });
+  } else if (tiebreak === false) {
+    checks.push({ name: "tiebreak winner", ok: null, detail: `not applicable (winner ${match.winner} by moves)` });
+  } else {
+    const ok = tiebreakWinner.toLowerCase() === match.winner.toLowerCase();
+    checks.push({ name: "tiebreak winner", ok, detail: `recomputed ${tiebreakWinner}, contract ${match.winner}` });
+  }
+  return report(
+    { kind: "rps-tiebreak", tournamentId: BigInt(match.tournamentId), matchRound: BigInt(match.round), matchIndex: Number(match.matchIndex) },
+    beacon,
+    storageKey,
+    checks,
+    { tiebreakWinner },
+  );
+}
+
+/** Checklist lines for a report from verifyColosseumOutcome / verifyRpsTiebreak. */
+function renderVerification(r) {
+  const title =
+    r.kind === "colosseum-game"
+      ? `TAOColosseum game ${r.gameId} · drand round ${r.round}`
+      : `RPS tournament ${r.tournamentId} round ${r.matchRound} match ${r.matchIndex} · drand round ${r.round}`;
+  const mark = (ok) => (ok === true ? "PASS" : ok === false ? "FAIL" : "SKIP");
+  return [
+    title,
+    `  storage key ${r.storageKey}`,
+    ...r.checks.map((c) => `  [${mark(c.ok)}] ${c.name}: ${c.detail}`),
+    r.ok ? "VERIFIED" : "NOT VERIFIED",
+  ].join("\n");
+}
+
+module.exports = {
+  QUICKNET_CHAIN_HASH,
+  QUICKNET_PUBLIC_KEY,
+  parseBeacon,
+  verifyBeacon,
+  decidedByTiebreak,
+  verifyColosseumOutcome,
+  verifyRpsTiebreak,
+  renderVerification,
+};
@@ -0,0 +1,285 @@
+/**
+ * Embedded SQLite store for indexed TAOColosseum / RPS_Tournament events (sql.js, no native build).
+ * Node only; required by path, not re-exported from lib/index.js.
+ *
+ * Every decoded log is one row in `events`; per-game / per-tournament / per-address history is a
+ * query over it. Nothing is derived in place, so rolling back a reorg is a DELETE by block number.
+ *
+ * Amounts are kept as decimal strings in `args` (wei does not fit in SQLite integers); aggregate in JS
+ * with BigInt.
+ */
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS blocks (
+  number INTEGER PRIMARY KEY,
+  hash TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  block_number INTEGER NOT NULL,
+  block_hash TEXT NOT NULL,
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  contract TEXT NOT NULL,
+  name TEXT NOT NULL,
+  game_id INTEGER,
+  tournament_id INTEGER,
+  args TEXT NOT NULL,
+  UNIQUE (tx_hash, log_index)
+);
+CREATE INDEX IF NOT EXISTS events_block ON events (block_number);
+CREATE INDEX IF NOT EXISTS events_game ON events (game_id);
+CREATE INDEX IF NOT EXISTS events_tournament ON events (tournament_id);
+CREATE INDEX IF NOT EXISTS events_name ON events (contract, name);
+CREATE TABLE IF NOT EXISTS event_accounts (
+  event_id INTEGER NOT NULL,
+  account TEXT NOT NULL,
+  PRIMARY KEY (event_id, account)
+);
+CREATE INDEX IF NOT EXISTS event_accounts_account ON event_accounts (account);
+`;
+
+/**
+ * @typedef {object} IndexedEvent
+ * @property {number} id
+ * @property {number} blockNumber
+ * @property {string} blockHash
+ * @property {string} txHash
+ * @property {number} logIndex
+ * @property {"colosseum"|"rps"} contract
+ * @property {string} name
+ * @property {number|null} gameId
+ * @property {number|null} tournamentId
+ * @property {Record<string, string|boolean>} args bigints as decimal strings, addresses checksummed
+ */
+
+function rowToEvent(r) {
+  return {
+    id: r.id,
+    blockNumber: r.block_number,
+    blockHash: r.block_hash,
+    txHash: r.tx_hash,
+    logIndex: r.log_index,
+    contract: r.contract,
+    name: r.name,
+    gameId: r.game_id,
+    tournamentId: r.tournament_id,
+    args: JSON.parse(r.args),
+  };
+}
+
+/**
+ * Open (or create) the event database.
+ * @param {string|null} filePath null for an in-memory database (tests)
+ */
+async function openEventDb(filePath) {
+  const SQL = await initSqlJs();
+  const db = filePath && fs.existsSync(filePath) ? new SQL.Database(fs.readFileSync(filePath)) : new SQL.Database();
+  db.run(SCHEMA);
+
+  function all(sql, params = []) {
+    const stmt = db.prepare(sql);
+    try {
+      stmt.bind(params);
+      const rows = [];
+      while (stmt.step()) rows.push(stmt.getAsObject());
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  function one(sql, params = []) {
+    return all(sql, params)[0] || null;
+  }
+
+  function getMeta(key) {
+    const r = one("SELECT value FROM meta WHERE key = ?", [key]);
+    return r ? r.value : null;
+  }
+
+  function setMeta(key, value) {
+    db.run("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value", [key, String(value)]);
+  }
+
+  if (getMeta("schema_version") == null) setMeta("schema_version", SCHEMA_VERSION);
+  if (Number(getMeta("schema_version")) !== SCHEMA_VERSION) {
+    throw new Error(`Event DB schema ${getMeta("schema_version")} not supported (expected ${SCHEMA_VERSION}); reindex into a new file`);
+  }
+
+  /** Last fully indexed block, or null before the first sync. */
+  function getLastBlock() {
+    const v = getMeta("last_block");
+    return v == null ? null : Number(v);
+  }
+
+  /**
+   * Atomically append a batch of events and advance the cursor.
+   * @param {Array<Omit<IndexedEvent, "id"> & { accounts: string[] }>} events
+   * @param {Array<{ number: number, hash: string }>} blocks block hashes to remember for reorg detection
+   * @param {number} lastBlock
+   */
+  function appendBatch(events, blocks, lastBlock) {
+    db.run("BEGIN");
+    try {
+      for (const e of events) {
+        db.run(
+          `INSERT OR IGNORE INTO events (block_number, block_hash, tx_hash, log_index, contract, name, game_id, tournament_id, args)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [e.blockNumber, e.blockHash, e.txHash, e.logIndex, e.contract, e.name, e.gameId, e.tournamentId, JSON.stringify(e.args)]
+        );
+        const id = one("SELECT id FROM events WHERE tx_hash = ? AND log_index = ?", [e.txHash, e.logIndex]).id;
+        for (const a of e.accounts) db.run("INSERT OR IGNORE INTO event_accounts (event_id, account) VALUES (?, ?)", [id, a.toLowerCase()]);
+      }
+      for (const b of blocks) {
+        db.run("INSERT INTO blocks (number, hash) VALUES (?, ?) ON CONFLICT (number) DO UPDATE SET hash = excluded.hash", [b.number, b.hash]);
+      }
+      setMeta("last_block", lastBlock);
+      db.run("COMMIT");
+    } catch (e) {
+      db.run("ROLLBACK");
+      throw e;
+    }
+  }
+
+  /** Remembered block hashes at or below `beforeOrAt`, newest first. */
+  function getBlockHashes(beforeOrAt, limit = 100) {
+    return all("SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC LIMIT ?", [beforeOrAt, limit]);
+  }
+
+  /** Drop everything above `blockNumber` (reorg) and move the cursor back to it. */
+  function rollbackTo(blockNumber) {
+    db.run("BEGIN");
+    try {
+      db.run("DELETE FROM event_accounts WHERE event_id IN (SELECT id FROM events WHERE block_number > ?)", [blockNumber]);
+      db.run("DELETE FROM events WHERE block_number > ?", [blockNumber]);
+      db.run("DELETE FROM blocks WHERE number > ?", [blockNumber]);
+      setMeta("last_block", blockNumber);
+      db.run("COMMIT");
+    } catch (e) {
+      db.run("ROLLBACK");
+      throw e;
+    }
+  }
+
+  function buildFilter(f) {
+    const where = [];
+    const params = [];
+    let from = "events e";
+    if (f.account) {
+      from += " JOIN event_accounts a ON a.event_id = e.id";
+      where.push("a.account = ?");
+      params.push(f.account.toLowerCase());
+    }
+    if (f.contract) {
+      where.push("e.contract = ?");
+      params.push(f.contract);
+    }
+    if (f.name) {
+      const names = Array.isArray(f.name) ? f.name : [f.name];
+      where.push(`e.name IN (${names.map(() => "?").join(", ")})`);
+      params.push(...names);
+    }
+    if (f.gameId != null) {
+      where.push("e.game_id = ?");
+      params.push(Number(f.gameId));
+    }
+    if (f.tournamentId != null) {
+      where.push("e.tournament_id = ?");
+      params.push(Number(f.tournamentId));
+    }
+    if (f.fromBlock != null) {
+      where.push("e.block_number >= ?");
+      params.push(f.fromBlock);
+    }
+    if (f.toBlock != null) {
+      where.push("e.block_number <= ?");
+      params.push(f.toBlock);
+    }
+    return { sql: `FROM ${from}${where.length ? ` WHERE ${where.join(" AND ")}` : ""}`, params };
+  }
+
+  /**
+   * Query events, oldest first unless order is "desc".
+   * @param {object} [f]
+   * @param {"colosseum"|"rps"} [f.contract]
+   * @param {string|string[]} [f.name]
+   * @param {number|bigint} [f.gameId]
+   * @param {number|bigint} [f.tournamentId]
+   * @param {string} [f.account] any address argument of the event
+   * @param {number} [f.fromBlock]
+   * @param {number} [f.toBlock]
+   * @param {number} [f.limit]
+   * @param {number} [f.offset]
+   * @param {"asc"|"desc"} [f.order]
+   * @returns {IndexedEvent[]}
+   */
+  function getEvents(f = {}) {
+    const { sql, params } = buildFilter(f);
+    const dir = f.order === "desc" ? "DESC" : "ASC";
+    let query = `SELECT e.* ${sql} ORDER BY e.block_number ${dir}, e.log_index ${dir}`;
+    if (f.limit != null) {
+      query += " LIMIT ? OFFSET ?";
+      params.push(f.limit, f.offset || 0);
+    }
+    return all(query, params).map(rowToEvent);
+  }
+
+  /** Number of events matching the same filter as getEvents (limit/offset/order ignored). */
+  function countEvents(f = {}) {
+    const { sql, params } = buildFilter(f);
+    return one(`SELECT COUNT(*) AS n ${sql}`, params).n;
+  }
+
+  /** Ids of every game seen (GameCreated), ascending. */
+  function listGameIds() {
+    return all("SELECT DISTINCT game_id FROM events WHERE contract = 'colosseum' AND name = 'GameCreated' ORDER BY game_id").map((r) => r.game_id);
+  }
+
+  /** Ids of every tournament seen (TournamentCreated), ascending. */
+  function listTournamentIds() {
+    return all("SELECT DISTINCT tournament_id FROM events WHERE contract = 'rps' AND name = 'TournamentCreated' ORDER BY tournament_id").map((r) => r.tournament_id);
+  }
+
+  /** Persist to disk (write-then-rename). No-op for in-memory databases. */
+  function save() {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, Buffer.from(db.export()));
+    fs.renameSync(tmp, filePath);
+  }
+
+  function close() {
+    db.close();
+  }
+
+  return {
+    path: filePath,
+    getMeta,
+    setMeta,
+    getLastBlock,
+    appendBatch,
+    getBlockHashes,
+    rollbackTo,
+    getEvents,
+    countEvents,
+    listGameIds,
+    listTournamentIds,
+    save,
+    close,
+  };
+}
+
+module.exports = {
+  openEventDb,
+};
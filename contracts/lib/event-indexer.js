@@ -0,0 +1,179 @@
+/**
+ * Event indexer for TAOColosseum and RPS_Tournament: pulls logs in block ranges, decodes them with the
+ * SDK ABIs and appends them to an event DB (lib/event-db.js). Resumes from the DB's last block.
+ *
+ * Reorgs: the hash of every batch-end block and every block with events is remembered. Before each
+ * sync the newest remembered hash is compared with the chain; on mismatch the indexer walks back to the
+ * newest block that still matches, drops everything above it and re-indexes from there.
+ *
+ * Usage:
+ *   const db = await openEventDb("data/events.sqlite");
+ *   const indexer = createEventIndexer({ provider, db, colosseumAddress, rpsAddress, startBlock });
+ *   await indexer.sync();                 // index up to head (minus confirmations)
+ *   await indexer.run({ pollMs: 6000 });  // follow the chain
+ */
+const { Interface, getAddress } = require("ethers");
+const { COLOSSEUM_ABI, RPS_TOURNAMENT_ABI } = require("./abi");
+const { fmtErr } = require("./format");
+
+const INTERFACES = {
+  colosseum: new Interface(COLOSSEUM_ABI),
+  rps: new Interface(RPS_TOURNAMENT_ABI),
+};
+
+/** Plain JSON-safe args: bigints as decimal strings, named by the event's inputs. */
+function normalizeArgs(parsed) {
+  const out = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const v = parsed.args[i];
+    out[input.name] = typeof v === "bigint" ? v.toString() : v;
+  });
+  return out;
+}
+
+/**
+ * Decode one raw log into an event row (or null if it's not one of ours).
+ * @param {"colosseum"|"rps"} contract
+ * @param {import("ethers").Log} log
+ */
+function decodeLog(contract, log) {
+  let parsed;
+  try {
+    parsed = INTERFACES[contract].parseLog(log);
+  } catch (_) {
+    return null;
+  }
+  if (!parsed) return null;
+  const args = normalizeArgs(parsed);
+  const accounts = parsed.fragment.inputs.filter((input) => input.type === "address").map((input) => args[input.name]);
+  return {
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    txHash: log.transactionHash,
+    logIndex: log.index,
+    contract,
+    name: parsed.name,
+    gameId: args.gameId != null ? Number(args.gameId) : null,
+    tournamentId: args.tournamentId != null ? Number(args.tournamentId) : null,
+    args,
+    accounts,
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {import("ethers").Provider} opts.provider
+ * @param {Awaited<ReturnType<import("./event-db").openEventDb>>} opts.db
+ * @param {string} [opts.colosseumAddress]
+ * @param {string} [opts.rpsAddress]
+ * @param {number} [opts.startBlock=0] first block to index (deployment block) when the DB is empty
+ * @param {number} [opts.batchSize=2000] blocks per eth_getLogs call
+ * @param {number} [opts.confirmations=0] stay this many blocks behind head
+ * @param {(msg: string) => void} [opts.log]
+ */
+function createEventIndexer({
+  provider,
+  db,
+  colosseumAddress,
+  rpsAddress,
+  startBlock = 0,
+  batchSize = 2000,
+  confirmations = 0,
+  log = (msg) => console.log(msg),
+}) {
+  const sources = {};
+  if (colosseumAddress) sources[getAddress(colosseumAddress)] = "colosseum";
+  if (rpsAddress) sources[getAddress(rpsAddress)] = "rps";
+  if (Object.keys(sources).length === 0) throw new Error("createEventIndexer: at least one contract address is required");
+
+  // One DB indexes one set of contracts; refuse to mix.
+  const key = JSON.stringify({ colosseum: colosseumAddress ? getAddress(colosseumAddress) : null, rps: rpsAddress ? getAddress(rpsAddress) : null });
+  const stored = db.getMeta("contracts");
+  if (stored && stored !== key) throw new Error(`Event DB was built for ${stored}, not ${key}`);
+  if (!stored) db.setMeta("contracts", key);
+
+  let stopped = false;
+
+  /**
+   * Compare remembered hashes with the chain and roll back to the newest matching block.
+   * @returns {Promise<number|null>} block rolled back to, or null if no reorg
+   */
+  async function checkReorg() {
+    const last = db.getLastBlock();
+    if (last == null) return null;
+    let cursor = last;
+    for (;;) {
+      const known = db.getBlockHashes(cursor);
+      if (known.length === 0) break;
+      for (const b of known) {
+        const block = await provider.getBlock(b.number);
+        if (block && block.hash === b.hash) {
+          if (b.number === last) return null;
+          log(`reorg detected: rolling back from block ${last} to ${b.number}`);
+          db.rollbackTo(b.number);
+          return b.number;
+        }
+      }
+      cursor = known[known.length - 1].number - 1;
+    }
+    log(`reorg deeper than remembered history: re-indexing from block ${startBlock}`);
+    db.rollbackTo(startBlock - 1);
+    return startBlock - 1;
+  }
+
+  /**
+   * Index from the last processed block up to `toBlock` (default: head - confirmations).
+   * Each batch is committed and saved before the next one, so an interrupted sync resumes cleanly.
+   * @returns {Promise<{ fromBlock: number, toBlock: number, events: number, reorgedTo: number|null }>}
+   */
+  async function sync({ toBlock } = {}) {
+    const reorgedTo = await checkReorg();
+    const head = toBlock != null ? toBlock : (await provider.getBlockNumber()) - confirmations;
+    const last = db.getLastBlock();
+    const fromBlock = last == null ? startBlock : last + 1;
+    let count = 0;
+
+    for (let from = fromBlock; from <= head; from += batchSize) {
+      const to = Math.min(from + batchSize - 1, head);
+      const endBlock = await provider.getBlock(to);
+      const logs = await provider.getLogs({ address: Object.keys(sources), fromBlock: from, toBlock: to });
+      const events = [];
+      const blocks = new Map([[to, endBlock.hash]]);
+      for (const l of logs) {
+        const e = decodeLog(sources[getAddress(l.address)], l);
+        if (!e) continue;
+        events.push(e);
+        blocks.set(l.blockNumber, l.blockHash);
+      }
+      db.appendBatch(events, [...blocks].map(([number, hash]) => ({ number, hash })), to);
+      db.save();
+      count += events.length;
+      if (events.length > 0) log(`indexed blocks ${from}..${to}: ${events.length} event(s)`);
+    }
+    return { fromBlock, toBlock: head, events: count, reorgedTo };
+  }
+
+  /** sync() every `pollMs` until stop() is called (or maxTicks is reached). Errors are logged and retried. */
+  async function run({ pollMs = 6000, maxTicks = Infinity } = {}) {
+    stopped = false;
+    for (let i = 0; i < maxTicks && !stopped; i++) {
+      try {
+        await sync();
+      } catch (e) {
+        log(`sync failed: ${fmtErr(e)}`);
+      }
+      if (i + 1 < maxTicks && !stopped) await new Promise((resolve) => setTimeout(resolve, pollMs));
+    }
+  }
+
+  function stop() {
+    stopped = true;
+  }
+
+  return { sync, run, stop, checkReorg };
+}
+
+module.exports = {
+  decodeLog,
+  createEventIndexer,
+};
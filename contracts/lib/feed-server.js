@@ -0,0 +1,130 @@
+/**
+ * WebSocket fan-out for lib/live-feed.js messages. Node only (ws); required by path. Protocol in docs/api.md.
+ *
+ * Clients choose topics with `?topics=game:1,address:0x...` on connect and/or by sending
+ *   { "op": "subscribe", "topics": ["tournament:3"] }    { "op": "unsubscribe", "topics": [...] }
+ * Topics: game:<id>, tournament:<id>, address:<0x address>, or game:* / tournament:* for everything
+ * of one contract. A client gets each message whose topics it subscribed to, once; `block` messages go
+ * to every client with at least one subscription.
+ */
+const { WebSocketServer } = require("ws");
+const { isAddress } = require("ethers");
+
+const MAX_TOPICS = 50;
+
+/**
+ * Canonical form of a topic string, or null if it is not one.
+ * @param {string} topic
+ * @returns {string|null}
+ */
+function parseTopic(topic) {
+  const m = /^(game|tournament|address):(.+)$/.exec(String(topic).trim());
+  if (!m) return null;
+  const [, kind, value] = m;
+  if (kind === "address") return isAddress(value) ? `address:${value.toLowerCase()}` : null;
+  if (value === "*" || /^\d+$/.test(value)) return `${kind}:${value === "*" ? "*" : BigInt(value)}`;
+  return null;
+}
+
+/** Whether a message should go to a client subscribed to `topics` (Set of canonical topics). */
+function wantsMessage(topics, msg) {
+  if (topics.size === 0) return false;
+  if (msg.topics.length === 0) return true;
+  return msg.topics.some((t) => topics.has(t) || topics.has(`${t.split(":")[0]}:*`));
+}
+
+/**
+ * @param {object} opts
+ * @param {import("http").Server} opts.server HTTP server to attach to (upgrade requests on `path`)
+ * @param {ReturnType<import("./live-feed").createLiveFeed>} opts.feed
+ * @param {string} [opts.path="/v1/ws"]
+ * @param {number} [opts.heartbeatMs=30000] ping interval; clients that miss a pong are dropped
+ * @returns {{ wss: WebSocketServer, clientCount: () => number, close: () => Promise<void> }}
+ */
+function attachFeedServer({ server, feed, path = "/v1/ws", heartbeatMs = 30000 }) {
+  const wss = new WebSocketServer({ server, path });
+  const clients = new Map(); // ws -> { topics: Set<string>, alive: boolean }
+
+  function reply(ws, body) {
+    ws.send(JSON.stringify(body));
+  }
+
+  function change(ws, op, topics) {
+    const state = clients.get(ws);
+    if (!Array.isArray(topics)) return reply(ws, { type: "error", error: "topics must be an array" });
+    const parsed = topics.map((t) => [t, parseTopic(t)]);
+    const bad = parsed.filter(([, t]) => !t).map(([t]) => t);
+    if (bad.length > 0) return reply(ws, { type: "error", error: `Invalid topic(s): ${bad.join(", ")}` });
+    const names = parsed.map(([, t]) => t);
+    if (op === "unsubscribe") {
+      for (const t of names) state.topics.delete(t);
+      return reply(ws, { type: "subscribed", topics: [...state.topics] });
+    }
+    if (new Set([...state.topics, ...names]).size > MAX_TOPICS) {
+      return reply(ws, { type: "error", error: `At most ${MAX_TOPICS} topics per connection` });
+    }
+    for (const t of names) {
+      state.topics.add(t);
+      // Follow the match windows of tournaments a client asks for, even before their next event
+      if (/^tournament:\d+$/.test(t)) feed.track(t.split(":")[1]);
+    }
+    return reply(ws, { type: "subscribed", topics: [...state.topics] });
+  }
+
+  wss.on("connection", (ws, req) => {
+    clients.set(ws, { topics: new Set(), alive: true });
+    ws.on("pong", () => {
+      clients.get(ws).alive = true;
+    });
+    ws.on("message", (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data.toString());
+      } catch (_) {
+        reply(ws, { type: "error", error: "Messages must be JSON" });
+        return;
+      }
+      if (msg && (msg.op === "subscribe" || msg.op === "unsubscribe")) change(ws, msg.op, msg.topics);
+      else reply(ws, { type: "error", error: 'Expected { "op": "subscribe" | "unsubscribe", "topics": [...] }' });
+    });
+    ws.on("close", () => clients.delete(ws));
+
+    const initial = new URL(req.url, "http://localhost").searchParams.get("topics");
+    if (initial) change(ws, "subscribe", initial.split(","));
+  });
+
+  const off = feed.onMessage((msg) => {
+    const json = JSON.stringify(msg);
+    for (const [ws, state] of clients) {
+      if (ws.readyState === ws.OPEN && wantsMessage(state.topics, msg)) ws.send(json);
+    }
+  });
+
+  const heartbeat = setInterval(() => {
+    for (const [ws, state] of clients) {
+      if (!state.alive) {
+        ws.terminate();
+        continue;
+      }
+      state.alive = false;
+      ws.ping();
+    }
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  /** Detach from the feed and drop all clients; the HTTP server itself is left to the caller. */
+  function close() {
+    off();
+    clearInterval(heartbeat);
+    for (const ws of clients.keys()) ws.terminate();
+    return new Promise((resolve) => wss.close(() => resolve()));
+  }
+
+  return { wss, clientCount: () => clients.size, close };
+}
+
+module.exports = {
+  parseTopic,
+  wantsMessage,
+  attachFeedServer,
+};
@@ -0,0 +1,369 @@
+/**
+ * Mainnet-fork rehearsals: fork bittensor / bittensorArchive at a block into the in-process Hardhat network,
+ * replace the subtensor precompiles (an EVM fork cannot execute them) with RecordedPrecompile stand-ins that
+ * answer what the archive node returned, impersonate the owner and players, and run a scripted scenario
+ * against the real contract state (replay: lib/precompile-recorder.js). Hardhat only (takes the runtime environment); required by path.
+ *
+ *   resolve-game   TAOColosseum: end the current game's betting, resolve it with the recorded drand pulse,
+ *                  claim every bettor's winnings or refund and withdraw fees as the owner
+ *   flush-fees     RPS_Tournament: flushFeesToSubnetAndBurn against the recorded staking precompile; the burn
+ *                  path needs a post-stake alpha answer (postStakeAlpha), which eth_call cannot capture
+ *   claim-prizes   RPS_Tournament: claimPrize for every unclaimed winner, withdrawPending for every refund
+ *
+ * Capture talks to the archive node once and writes a fixture (version, fork and capture blocks, addresses,
+ * responses). Staking answers are read at the fork block; drand answers at a later capture block, so the
+ * pulse a live game waits for is already there. Replaying a fixture needs no archive access beyond the fork
+ * itself, which Hardhat caches under cache/hardhat-network-fork for a pinned block: re-runs are offline.
+ *
+ * Usage:
+ *   await forkNetwork(hre, { network: "bittensorArchive", blockNumber: 4812345 });
+ *   const fixture = await capturePrecompileFixture(hre, { scenario: "flush-fees", provider: archive, forkBlock, captureBlock, addresses });
+ *   const result = await runRehearsal(hre, { scenario: "flush-fees", fixture });   // { scenario, ok, steps }
+ */
+const { Interface, getAddress, toBeHex, toQuantity, parseEther } = require("ethers");
+const {
+  STAKING_PRECOMPILE,
+  STORAGE_PRECOMPILE,
+  COLOSSEUM_DRAND_PRECOMPILE,
+  DRAND_LAST_ROUND_KEY,
+  NETUID_SN38,
+  WEI_PER_RAO,
+  GAME_PHASES,
+  TOURNAMENT_PHASES,
+  RPS,
+} = require("./constants");
+const { STAKING_ABI, DRAND_PRECOMPILE_ABI } = require("./abi");
+const { formatTao, fmtErr, revertData } = require("./format");
+const { createColosseumClient } = require("./colosseum-client");
+const { createRpsClient } = require("./rps-client");
+const { drandPulseKey } = require("./drand-storage");
+const { mineBlocks } = require("./devnet");
+const { FIXTURE_VERSION, installRecordedPrecompiles, removeRecordedPrecompiles } = require("./precompile-recorder");
+
+const BETTING = GAME_PHASES.indexOf("Betting");
+const CALCULATING = GAME_PHASES.indexOf("Calculating");
+const COMPLETED = TOURNAMENT_PHASES.indexOf("Completed");
+const CANCELED = TOURNAMENT_PHASES.indexOf("Canceled");
+
+const staking = new Interface(STAKING_ABI);
+const drand = new Interface(DRAND_PRECOMPILE_ABI);
+
+/**
+ * @typedef {object} PrecompileCall one call to capture
+ * @property {string} label
+ * @property {string} address precompile address
+ * @property {string} input calldata
+ * @property {string} [from] caller the precompile sees (e.g. RPS_Tournament for addStake)
+ * @property {"fork"|"capture"} [at="fork"] read at the fork block or at the later capture block
+ * @property {boolean} [mutating=false] state-changing precompile function (addStake, burnAlpha)
+ * @property {number} [afterWrites=0] served once the stand-in has seen this many mutating calls
+ * @property {string} [output] answer supplied instead of captured (e.g. what the precompile returns after addStake)
+ */
+
+/**
+ * @typedef {object} PostStakeAlpha alpha the flush's addStake yields, for the getTotalAlphaStaked answer after it
+ * @property {bigint} [alphaReceived] supplied by the operator
+ * @property {{ txHash: string, taoAmount: bigint, alphaBurned: bigint }} [fromFlush] a real flush's
+ *   FeesFlushedToSn38AndBurned; its alpha per TAO is applied to the amount this flush stakes
+ */
+
+/**
+ * Reset the in-process Hardhat network to a fork of `network` (its url in hardhat.config.js) at blockNumber
+ * (default: the node's latest block).
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {{ network?: string, url?: string, blockNumber?: number }} [opts]
+ * @returns {Promise<{ url: string, blockNumber: number }>}
+ */
+async function forkNetwork(hre, { network = "bittensorArchive", url, blockNumber } = {}) {
+  if (hre.network.name !== "hardhat") throw new Error(`Fork rehearsals run on the in-process hardhat network, not ${hre.network.name}`);
+  const jsonRpcUrl = url || (hre.config.networks[network] && hre.config.networks[network].url);
+  if (!jsonRpcUrl) throw new Error(`Network ${network} has no url in hardhat.config.js`);
+  await hre.network.provider.request({
+    method: "hardhat_reset",
+    params: [{ forking: { jsonRpcUrl, blockNumber: blockNumber == null ? undefined : Number(blockNumber) } }],
+  });
+  return { url: jsonRpcUrl, blockNumber: await hre.ethers.provider.getBlockNumber() };
+}
+
+/** Signer for any address (owner, players), topped up with `gas` TAO on top of its real balance. */
+async function impersonate(hre, address, { gas = parseEther("10") } = {}) {
+  const provider = hre.ethers.provider;
+  await provider.send("hardhat_impersonateAccount", [address]);
+  await provider.send("hardhat_setBalance", [address, toQuantity((await provider.getBalance(address)) + gas)]);
+  return hre.ethers.getSigner(address);
+}
+
+/** The four reads TAOColosseum can make for one drand round: 0x080D first, then the storage precompile. */
+function colosseumDrandCalls(round) {
+  return [
+    { label: "0x080D getLastStoredRound()", address: COLOSSEUM_DRAND_PRECOMPILE, input: drand.encodeFunctionData("getLastStoredRound"), at: "capture" },
+    { label: `0x080D getPulse(${round})`, address: COLOSSEUM_DRAND_PRECOMPILE, input: drand.encodeFunctionData("getPulse", [round]), at: "capture" },
+    { label: "drand.lastStoredRound", address: STORAGE_PRECOMPILE, input: DRAND_LAST_ROUND_KEY, at: "capture" },
+    { label: `drand.pulses(${round})`, address: STORAGE_PRECOMPILE, input: drandPulseKey(round), at: "capture" },
+  ];
+}
+
+/** RAO flushFeesToSubnetAndBurn would stake right now (0 = the flush is a no-op), as computed on chain. */
+async function rpsFlushAmountRao(rps, provider) {
+  const [l, balance] = await Promise.all([rps.getLiabilities(), provider.getBalance(rps.address)]);
+  const liabilities = l.totalPrizeLiability + l.totalPendingWithdrawalLiability;
+  if (l.accumulatedFees === 0n || balance <= liabilities) return 0n;
+  const free = balance - liabilities;
+  return (free < l.accumulatedFees ? free : l.accumulatedFees) / WEI_PER_RAO;
+}
+
+async function balanceDelta(hre, address, fn) {
+  const before = await hre.ethers.provider.getBalance(address);
+  const receipt = await (await fn()).wait();
+  return (await hre.ethers.provider.getBalance(address)) - before + receipt.fee;
+}
+
+function step(name, ok, detail) {
+  return { name, ok, detail };
+}
+
+const SCENARIOS = {
+  "resolve-game": {
+    contract: "TAOColosseum",
+    async calls({ hre, addresses }) {
+      const game = await createColosseumClient(addresses.TAOColosseum, hre.ethers.provider).getCurrentGame();
+      if (!game || (game.phase !== BETTING && game.phase !== CALCULATING)) throw new Error("TAOColosseum has no game to resolve at the fork block");
+      return colosseumDrandCalls(game.targetDrandRound);
+    },
+    async run({ hre, addresses, log }) {
+      const provider = hre.ethers.provider;
+      const colosseum = createColosseumClient(addresses.TAOColosseum, provider);
+      const [keeper] = await hre.ethers.getSigners();
+      let game = await colosseum.getCurrentGame();
+      const steps = [];
+
+      if (game.phase === BETTING) {
+        const block = await provider.getBlockNumber();
+        if (block < game.endBlock) await mineBlocks(hre, Number(game.endBlock) - block);
+        await (await colosseum.contract.connect(keeper).resolveGame(game.id)).wait();
+        steps.push(step(`resolveGame(${game.id}) phase 1`, true, `betting closed at block ${game.endBlock}`));
+      }
+      try {
+        await (await colosseum.contract.connect(keeper).resolveGame(game.id)).wait();
+      } catch (e) {
+        steps.push(step(`resolveGame(${game.id}) phase 2`, false, fmtErr(e)));
+        return steps;
+      }
+      game = await colosseum.getGame(game.id);
+      const outcome = game.hasWinner ? `${game.winningSideName} wins` : "cancelled, refunds";
+      steps.push(step(`resolveGame(${game.id}) phase 2`, true, `${game.phaseName}: ${outcome} (drand round ${game.targetDrandRound})`));
+
+      for (const bettor of await colosseum.contract.getGameBettors(game.id)) {
+        const position = await colosseum.getUserPosition(game.id, bettor);
+        if (position.totalClaimable === 0n) continue;
+        const signer = await impersonate(hre, bettor);
+        log(`claimAllWinnings(${game.id}) as ${bettor}`);
+        try {
+          const paid = await balanceDelta(hre, bettor, () => colosseum.contract.connect(signer).claimAllWinnings(game.id));
+          const ok = paid === position.totalClaimable;
+          steps.push(step(`claim ${bettor}`, ok, `paid ${formatTao(paid)} TAO${ok ? "" : `, expected ${formatTao(position.totalClaimable)}`}`));
+        } catch (e) {
+          steps.push(step(`claim ${bettor}`, false, fmtErr(e)));
+        }
+      }
+
+      const owner = await colosseum.contract.owner();
+      const fees = await colosseum.contract.accumulatedFees();
+      try {
+        const signer = await impersonate(hre, owner);
+        const paid = await balanceDelta(hre, owner, () => colosseum.contract.connect(signer).withdrawFees());
+        steps.push(step("withdrawFees as owner", paid === fees, `${formatTao(paid)} of ${formatTao(fees)} TAO to ${owner}`));
+      } catch (e) {
+        steps.push(step("withdrawFees as owner", false, fmtErr(e)));
+      }
+      return steps;
+    },
+  },
+
+  "flush-fees": {
+    contract: "RPS_Tournament",
+    async calls({ hre, addresses, provider, forkBlock, postStakeAlpha }) {
+      const rps = createRpsClient(addresses.RPS_Tournament, hre.ethers.provider);
+      const hotkey = await rps.contract.sn38OwnerHotkey();
+      const amountRao = await rpsFlushAmountRao(rps, hre.ethers.provider);
+      if (amountRao === 0n) return [];
+      const from = getAddress(addresses.RPS_Tournament);
+      const alphaQuery = staking.encodeFunctionData("getTotalAlphaStaked", [hotkey, NETUID_SN38]);
+      const calls = [
+        { label: "getTotalAlphaStaked(sn38 hotkey, 38)", address: STAKING_PRECOMPILE, input: alphaQuery, from },
+        { label: `addStake(sn38 hotkey, ${amountRao} RAO, 38)`, address: STAKING_PRECOMPILE, input: staking.encodeFunctionData("addStake", [hotkey, amountRao, NETUID_SN38]), from, mutating: true },
+      ];
+      if (!postStakeAlpha) return calls;
+
+      const received = postStakeAlpha.alphaReceived != null
+        ? BigInt(postStakeAlpha.alphaReceived)
+        : (BigInt(postStakeAlpha.fromFlush.alphaBurned) * amountRao * WEI_PER_RAO) / BigInt(postStakeAlpha.fromFlush.taoAmount);
+      const source = postStakeAlpha.alphaReceived != null ? "supplied" : `as in flush ${postStakeAlpha.fromFlush.txHash}`;
+      const before = BigInt(await provider.call({ to: STAKING_PRECOMPILE, from, data: alphaQuery, blockTag: forkBlock }));
+      calls.push(
+        { label: `getTotalAlphaStaked after addStake: +${received} alpha (${source})`, address: STAKING_PRECOMPILE, input: alphaQuery, from, afterWrites: 1, output: toBeHex(before + received, 32) },
+        // eth_call at the fork block cannot see the new stake, so burnAlpha would only capture "insufficient alpha"
+        { label: `burnAlpha(sn38 hotkey, ${received}, 38) succeeds (${source})`, address: STAKING_PRECOMPILE, input: staking.encodeFunctionData("burnAlpha", [hotkey, received, NETUID_SN38]), from, mutating: true, afterWrites: 1, output: "0x" },
+      );
+      return calls;
+    },
+    async run({ hre, addresses, fixture }) {
+      const rps = createRpsClient(addresses.RPS_Tournament, hre.ethers.provider);
+      const [caller] = await hre.ethers.getSigners();
+      const before = await rps.getLiabilities();
+      const synthetic = fixture.responses.filter((r) => r.synthetic).length;
+      const amountRao = await rpsFlushAmountRao(rps, hre.ethers.provider);
+      if (amountRao === 0n) return [step("flushFeesToSubnetAndBurn", true, `no-op: ${formatTao(before.accumulatedFees)} TAO of fees, nothing free to stake`)];
+      try {
+        const receipt = await (await rps.contract.connect(caller).flushFeesToSubnetAndBurn()).wait();
+        const burned = receipt.logs.map((l) => rps.contract.interface.parseLog(l)).find((e) => e && e.name === "FeesFlushedToSn38AndBurned");
+        if (burned) {
+          // The burn path ran on answers supplied at capture (postStakeAlpha), not ones the node gave: say so
+          const replayed = synthetic > 0 ? ` (against ${synthetic} synthetic precompile answer(s), not a captured replay)` : "";
+          return [step("flushFeesToSubnetAndBurn", true, `staked ${formatTao(burned.args.taoAmount)} TAO, burned ${burned.args.alphaBurned} alpha${replayed}`)];
+        }
+        // Without a post-stake alpha answer the replay sees no new alpha, so burnAlpha never ran: not verified
+        const after = await rps.getLiabilities();
+        const detail = `staked ${formatTao(before.accumulatedFees - after.accumulatedFees)} TAO, no alpha received: burnAlpha not rehearsed (capture with a post-stake alpha answer)`;
+        return [step("flushFeesToSubnetAndBurn", false, detail)];
+      } catch (e) {
+        return [step("flushFeesToSubnetAndBurn", false, fmtErr(e))];
+      }
+    },
+  },
+
+  "claim-prizes": {
+    contract: "RPS_Tournament",
+    async calls() {
+      return [];
+    },
+    async run({ hre, addresses, log }) {
+      const rps = createRpsClient(addresses.RPS_Tournament, hre.ethers.provider);
+      const steps = [];
+      const refunds = new Set();
+      const count = await rps.getTournamentCount();
+      for (let id = 1; id <= count; id++) {
+        const t = await rps.getTournament(id);
+        if (t.phase === COMPLETED && t.winner && !t.prizeClaimed) {
+          const expected = t.prizePool - (t.prizePool * RPS.PLATFORM_FEE) / RPS.FEE_DENOMINATOR;
+          log(`claimPrize(${id}) as ${t.winner}`);
+          try {
+            const signer = await impersonate(hre, t.winner);
+            const paid = await balanceDelta(hre, t.winner, () => rps.contract.connect(signer).claimPrize(id));
+            steps.push(step(`claimPrize(${id}) ${t.winner}`, paid === expected, `paid ${formatTao(paid)} TAO, expected ${formatTao(expected)}`));
+          } catch (e) {
+            steps.push(step(`claimPrize(${id}) ${t.winner}`, false, fmtErr(e)));
+          }
+        }
+        if (t.phase === CANCELED) for (const p of await rps.getPlayers(id, t.config.maxPlayers)) refunds.add(p);
+      }
+      for (const player of refunds) {
+        const pending = await rps.getPendingWithdrawal(player);
+        if (pending === 0n) continue;
+        try {
+          const signer = await impersonate(hre, player);
+          const paid = await balanceDelta(hre, player, () => rps.contract.connect(signer).withdrawPending());
+          steps.push(step(`withdrawPending ${player}`, paid === pending, `paid ${formatTao(paid)} of ${formatTao(pending)} TAO`));
+        } catch (e) {
+          steps.push(step(`withdrawPending ${player}`, false, fmtErr(e)));
+        }
+      }
+      if (steps.length === 0) steps.push(step("claims", true, "no unclaimed prizes or pending refunds"));
+      return steps;
+    },
+  },
+};
+
+/**
+ * eth_call each precompile call on a real node. Reverts are recorded with their revert data; anything that
+ * is not a revert (network errors) is thrown. Calls with a supplied `output` are recorded as that answer
+ * (blockNumber null, synthetic: true) without asking the node.
+ * @param {import("ethers").Provider} provider archive node
+ * @param {PrecompileCall[]} calls
+ * @param {{ forkBlock: number, captureBlock: number }} blocks
+ * @returns {Promise<import("./precompile-recorder").RecordedResponse[]>}
+ */
+async function capturePrecompileResponses(provider, calls, { forkBlock, captureBlock }) {
+  const responses = [];
+  for (const c of calls) {
+    const blockNumber = c.at === "capture" ? captureBlock : forkBlock;
+    const afterWrites = c.afterWrites || 0;
+    const base = { label: c.label, address: getAddress(c.address), input: c.input, from: c.from || null, blockNumber, mutating: Boolean(c.mutating), afterWrites };
+    if (c.output != null) {
+      responses.push({ ...base, blockNumber: null, success: true, output: c.output, synthetic: true });
+      continue;
+    }
+    let success = true;
+    let output;
+    try {
+      output = await provider.call({ to: c.address, from: c.from, data: c.input, blockTag: blockNumber });
+    } catch (e) {
+      output = revertData(e) || (e.code === "CALL_EXCEPTION" ? "0x" : null);
+      if (output === null) throw e;
+      success = false;
+    }
+    responses.push({ ...base, success, output });
+  }
+  return responses;
+}
+
+/**
+ * Capture every precompile answer `scenario` needs from the forked state's point of view.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre already forked at forkBlock
+ * @param {object} opts
+ * @param {string} opts.scenario
+ * @param {import("ethers").Provider} opts.provider archive node
+ * @param {number} opts.forkBlock
+ * @param {number} opts.captureBlock
+ * @param {{ TAOColosseum?: string, RPS_Tournament?: string }} opts.addresses
+ * @param {string} [opts.network]
+ * @param {PostStakeAlpha} [opts.postStakeAlpha] flush-fees: answer getTotalAlphaStaked after addStake so the flush reaches burnAlpha
+ */
+async function capturePrecompileFixture(hre, { scenario, provider, forkBlock, captureBlock, addresses, network = null, postStakeAlpha = null }) {
+  const s = SCENARIOS[scenario];
+  if (!s) throw new Error(`Unknown scenario ${scenario} (expected ${Object.keys(SCENARIOS).join(", ")})`);
+  if (!addresses[s.contract]) throw new Error(`${scenario} needs a ${s.contract} address`);
+  const calls = await s.calls({ hre, addresses, provider, forkBlock, postStakeAlpha });
+  const { chainId } = await provider.getNetwork();
+  return {
+    version: FIXTURE_VERSION,
+    scenario,
+    network,
+    chainId: Number(chainId),
+    forkBlock,
+    captureBlock,
+    capturedAt: new Date().toISOString(),
+    addresses,
+    responses: await capturePrecompileResponses(provider, calls, { forkBlock, captureBlock }),
+  };
+}
+
+/**
+ * Install the fixture's precompile answers and run its scenario on the (forked) network.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {{ scenario: string, fixture: object, log?: (msg: string) => void }} opts
+ * @returns {Promise<{ scenario: string, ok: boolean, steps: { name: string, ok: boolean, detail: string }[] }>}
+ */
+async function runRehearsal(hre, { scenario, fixture, log = () => {} }) {
+  const s = SCENARIOS[scenario];
+  if (!s) throw new Error(`Unknown scenario ${scenario} (expected ${Object.keys(SCENARIOS).join(", ")})`);
+  if (fixture.scenario !== scenario) throw new Error(`Fixture was captured for ${fixture.scenario}, not ${scenario}`);
+  const installed = await installRecordedPrecompiles(hre, fixture);
+  try {
+    const steps = await s.run({ hre, addresses: fixture.addresses, fixture, log });
+    return { scenario, ok: steps.every((st) => st.ok), steps };
+  } finally {
+    await removeRecordedPrecompiles(hre, installed);
+  }
+}
+
+module.exports = {
+  FIXTURE_VERSION,
+  SCENARIOS,
+  forkNetwork,
+  impersonate,
+  colosseumDrandCalls,
+  capturePrecompileResponses,
+  capturePrecompileFixture,
+  runRehearsal,
+};
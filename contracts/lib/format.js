@@ -0,0 +1,172 @@
+/**
+ * Formatting helpers shared by scripts and clients: enum names, TAO/RAO conversion, error messages, JSON.
+ */
+const { Interface, formatUnits, parseUnits } = require("ethers");
+const { COLOSSEUM_ABI, RPS_TOURNAMENT_ABI } = require("./abi");
+const {
+  TAO_DECIMALS,
+  RAO_DECIMALS,
+  WEI_PER_RAO,
+  GAME_PHASES,
+  SIDES,
+  TOURNAMENT_PHASES,
+  RPS_CHOICES,
+} = require("./constants");
+
+function enumName(names, value) {
+  const n = Number(value);
+  return names[n] != null ? names[n] : `Unknown(${n})`;
+}
+
+/** TAOColosseum GamePhase as string. */
+function gamePhaseName(phase) {
+  return enumName(GAME_PHASES, phase);
+}
+
+/** TAOColosseum Side as string. */
+function sideName(side) {
+  return enumName(SIDES, side);
+}
+
+/** RPS_Tournament TournamentPhase as string. */
+function tournamentPhaseName(phase) {
+  return enumName(TOURNAMENT_PHASES, phase);
+}
+
+/** RPS_Tournament RPSChoice as string. */
+function choiceName(choice) {
+  return enumName(RPS_CHOICES, choice);
+}
+
+/**
+ * Parse "Red"/"Blue"/0/1 into the Side enum value.
+ * @param {string|number|bigint} side
+ * @returns {number}
+ */
+function parseSide(side) {
+  if (typeof side === "string") {
+    const idx = SIDES.findIndex((s) => s.toLowerCase() === side.toLowerCase());
+    if (idx >= 0) return idx;
+  }
+  const n = Number(side);
+  if (n === 0 || n === 1) return n;
+  throw new Error(`Invalid side: ${side} (expected Red or Blue)`);
+}
+
+/**
+ * Parse "rock"/"paper"/"scissors"/1/2/3 into the RPSChoice enum value.
+ * @param {string|number|bigint} choice
+ * @returns {number}
+ */
+function parseChoice(choice) {
+  if (typeof choice === "string") {
+    const idx = RPS_CHOICES.findIndex((c) => c.toLowerCase() === choice.toLowerCase());
+    if (idx > 0) return idx;
+  }
+  const n = Number(choice);
+  if (n >= 1 && n <= 3) return n;
+  throw new Error(`Invalid choice: ${choice} (expected Rock, Paper or Scissors)`);
+}
+
+/** wei -> "1.5" (TAO) */
+function formatTao(wei) {
+  return formatUnits(wei, TAO_DECIMALS);
+}
+
+/** "1.5" (TAO) -> wei */
+function parseTao(tao) {
+  return parseUnits(String(tao), TAO_DECIMALS);
+}
+
+/** "1.5" (TAO) -> RAO, as expected by the staking precompile */
+function parseRao(tao) {
+  return parseUnits(String(tao), RAO_DECIMALS);
+}
+
+/** RAO -> "1.5" (TAO) */
+function formatRao(rao) {
+  return formatUnits(rao, RAO_DECIMALS);
+}
+
+/** wei -> RAO, truncating sub-RAO dust like RPS_Tournament.flushFeesToSubnetAndBurn does */
+function weiToRao(wei) {
+  return BigInt(wei) / WEI_PER_RAO;
+}
+
+/** RAO -> wei */
+function raoToWei(rao) {
+  return BigInt(rao) * WEI_PER_RAO;
+}
+
+// Custom errors of both contracts, used to decode raw revert data
+const ERRORS_INTERFACE = new Interface([...new Set([...COLOSSEUM_ABI, ...RPS_TOURNAMENT_ABI].filter((f) => f.startsWith("error ")))]);
+
+function revertData(e) {
+  for (const d of [e?.data, e?.error?.data, e?.info?.error?.data, e?.error?.error?.data]) {
+    if (typeof d === "string" && /^0x[0-9a-fA-F]{8}/.test(d)) return d;
+    if (d && typeof d.data === "string" && /^0x[0-9a-fA-F]{8}/.test(d.data)) return d.data;
+  }
+  return null;
+}
+
+/**
+ * Custom error name from a revert (e.g. "WaitingForRandomness"), or null if the error is not a
+ * contract revert we can decode. Handles ethers-decoded reverts, raw revert data (JSON-RPC and the
+ * in-process Hardhat provider) and Hardhat's "reverted with custom error" messages.
+ * @returns {string|null}
+ */
+function revertName(e) {
+  if (e?.revert?.name) return e.revert.name;
+  const data = revertData(e);
+  if (data) {
+    try {
+      const parsed = ERRORS_INTERFACE.parseError(data);
+      if (parsed) return parsed.name;
+    } catch (_) {
+      // unknown selector, fall through
+    }
+  }
+  const m = /custom error '(\w+)\(/.exec(e?.message || "");
+  return m ? m[1] : null;
+}
+
+/**
+ * Short, human-readable message for an ethers/Hardhat error.
+ * Prefers the custom error name when the revert can be decoded.
+ */
+function fmtErr(e) {
+  const name = revertName(e);
+  // require()/revert("...") decodes as the built-in Error(string): its reason says more than the name
+  if (name === "Error" && (e?.revert || revertData(e))) {
+    return `Error: ${(e.revert || ERRORS_INTERFACE.parseError(revertData(e))).args[0]}`;
+  }
+  return name || e?.reason || e?.shortMessage || e?.message || String(e);
+}
+
+/**
+ * JSON with bigints as decimal strings (contract amounts, blocks and ids).
+ * @param {unknown} value
+ * @param {number} [indent]
+ */
+function toJson(value, indent) {
+  return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v), indent);
+}
+
+module.exports = {
+  gamePhaseName,
+  sideName,
+  tournamentPhaseName,
+  choiceName,
+  parseSide,
+  parseChoice,
+  formatTao,
+  parseTao,
+  parseRao,
+  formatRao,
+  weiToRao,
+  raoToWei,
+  fmtErr,
+  revertData,
+  revertName,
+  toJson,
+};
@@ -0,0 +1,331 @@
+/**
+ * Worst-case gas of the loops whose cost grows with participants, against the Bittensor EVM block gas limit.
+ * Each analysis deploys a fresh contract on the in-process Hardhat network (devnet precompile stand-ins,
+ * lib/devnet.js), has funded wallets build the adversarial state at the loop's bound, and measures the call
+ * that runs the loop. A call that needs more gas than a block holds can never be mined: whoever can build that
+ * state can make a game unresolvable. Hardhat only (takes the runtime environment); required by path.
+ *
+ *   colosseum-valid-pools   TAOColosseum.resolveGame phase 2 (_calculateValidPools): MAX_BET_ENTRIES entries
+ *                           from MAX_BETTORS_PER_GAME bettors on both sides, every one placed after the drand
+ *                           cutoff, so each (bettor, side) gets a fresh lateAmount write
+ *   colosseum-leaderboard   TAOColosseum.claimWinnings (_updateLeaderboard): a full leaderboard and a claimant
+ *                           who out-earns everyone on it, so it scans the board, replaces the last entry and
+ *                           swaps all the way to the top
+ *   rps-round-advance       RPS_Tournament.tryRevealMatch on the last open match of a 16-player round 0
+ *                           (_checkRoundAdvance): every match checked, the bracket rebuilt, round 1 created
+ *   rps-stalled-cancel      RPS_Tournament.cancelStalledTournament of a stalled 16-player tournament: a
+ *                           refund for every player in tournamentPlayers
+ *
+ * Hardhat's SSTORE and cold-access costs are Ethereum's; Frontier also meters storage growth and proof size,
+ * so treat the headroom as an upper bound and keep a margin.
+ *
+ * Usage:
+ *   const report = await analyzeGasBounds(hre, { only: ["colosseum-leaderboard"] });
+ *   console.log(renderGasBounds(report));   // report.ok: every call fits a block
+ */
+const { Interface, Wallet, id, parseEther, toBeHex, toQuantity, ZeroHash } = require("ethers");
+const { COLOSSEUM_DRAND_PRECOMPILE, BITTENSOR_BLOCK_GAS_LIMIT, COLOSSEUM, RPS } = require("./constants");
+const { DRAND_PRECOMPILE_ABI } = require("./abi");
+const { formatTao } = require("./format");
+const { startDevnet } = require("./devnet");
+const { installRecordedPrecompiles } = require("./precompile-recorder");
+
+// Room to build states and measure calls well past any real block; measured calls get an explicit gas limit
+// (the Hardhat signer would otherwise send the configured block gas limit)
+const ANALYSIS_BLOCK_GAS_LIMIT = 2_000_000_000n;
+const MEASURED = { gasLimit: 1_000_000_000n };
+// Covers a measured call's upfront gas cost as well as the stake
+const WALLET_BALANCE = parseEther("1000");
+const BATCH_TX_OVERRIDES = { gasLimit: 1_000_000n, maxFeePerGas: 100n * 10n ** 9n, maxPriorityFeePerGas: 0n };
+
+const drand = new Interface(DRAND_PRECOMPILE_ABI);
+
+/**
+ * @typedef {object} GasBound
+ * @property {string} id
+ * @property {string} contract
+ * @property {string} call
+ * @property {string} loop
+ * @property {string} bound
+ * @property {bigint} gasUsed
+ * @property {bigint} headroom blockGasLimit - gasUsed (negative: the call cannot be mined)
+ * @property {number} utilization gasUsed / blockGasLimit
+ * @property {boolean} fits
+ * @property {bigint} stake TAO the adversary had to put in to build the state
+ * @property {string} detail
+ */
+
+/** Deterministic funded wallets, so the analysis builds the same state (and gas) every run. */
+async function fundedWallets(hre, label, count) {
+  const { ethers } = hre;
+  const wallets = [];
+  for (let i = 0; i < count; i++) {
+    const wallet = new Wallet(id(`gas-bounds ${label} ${i}`), ethers.provider);
+    await ethers.provider.send("hardhat_setBalance", [wallet.address, toQuantity(WALLET_BALANCE)]);
+    wallets.push(wallet);
+  }
+  return wallets;
+}
+
+async function deploy(hre, name, args = []) {
+  const contract = await (await hre.ethers.getContractFactory(name)).deploy(...args);
+  await contract.waitForDeployment();
+  return contract;
+}
+
+/**
+ * Send every call with automine off and mine until the pool is empty: many transactions per block, so a
+ * whole batch lands inside a short window (the final call window).
+ * @param {{ signer: import("ethers").Signer, send: (overrides: object) => Promise<import("ethers").TransactionResponse> }[]} calls
+ */
+async function sendBatched(hre, calls) {
+  const provider = hre.ethers.provider;
+  const nonces = new Map();
+  const txs = [];
+  await provider.send("evm_setAutomine", [false]);
+  try {
+    for (const { signer, send } of calls) {
+      const address = await signer.getAddress();
+      const nonce = nonces.has(address) ? nonces.get(address) : await provider.getTransactionCount(address);
+      nonces.set(address, nonce + 1);
+      txs.push(await send({ ...BATCH_TX_OVERRIDES, nonce }));
+    }
+    do {
+      await provider.send("evm_mine", []);
+    } while ((await provider.send("eth_getBlockByNumber", ["pending", false])).transactions.length > 0);
+  } finally {
+    await provider.send("evm_setAutomine", [true]);
+  }
+  return Promise.all(txs.map((tx) => tx.wait()));
+}
+
+async function mineTo(hre, devnet, block) {
+  const count = block - (await hre.ethers.provider.getBlockNumber());
+  if (count > 0) await devnet.mine(count);
+}
+
+/** Answer the game's drand round with randomness that puts actualEndBlock at finalCallStart + offset. */
+async function pinCutoff(hre, game, offset) {
+  const response = {
+    address: COLOSSEUM_DRAND_PRECOMPILE,
+    input: drand.encodeFunctionData("getPulse", [game.targetDrandRound]),
+    success: true,
+    output: drand.encodeFunctionResult("getPulse", [true, toBeHex(offset, 32)]),
+    mutating: false,
+    afterWrites: 0,
+  };
+  await installRecordedPrecompiles(hre, { version: 1, responses: [response] }, { overlay: true });
+}
+
+async function startGame(hre, colosseum) {
+  await (await colosseum.startNewGame()).wait();
+  const gameId = await colosseum.currentGameId();
+  return { gameId, game: await colosseum.getGame(gameId) };
+}
+
+async function measureValidPools({ hre, devnet }) {
+  const colosseum = await deploy(hre, "TAOColosseum");
+  const maxBettors = Number(await colosseum.MAX_BETTORS_PER_GAME());
+  const maxEntries = Number(await colosseum.MAX_BET_ENTRIES());
+  const amount = await colosseum.MIN_BET_AMOUNT();
+  const bettors = await fundedWallets(hre, "bettor", maxBettors);
+
+  const { gameId, game } = await startGame(hre, colosseum);
+  const finalCallStart = Number(game.endBlock) - COLOSSEUM.FINAL_CALL_BLOCKS;
+  await pinCutoff(hre, game, 0);
+  await mineTo(hre, devnet, finalCallStart);
+  // Entry n: bettor n % maxBettors, alternating sides per pass, so the first 2 * maxBettors entries are all
+  // distinct (bettor, side) pairs
+  const calls = [];
+  for (let n = 0; n < maxEntries; n++) {
+    const signer = bettors[n % maxBettors];
+    const side = Math.floor(n / maxBettors) % 2;
+    calls.push({ signer, send: (o) => colosseum.connect(signer).placeBet(gameId, side, { ...o, value: amount }) });
+  }
+  const receipts = await sendBatched(hre, calls);
+  const lastBetBlock = Math.max(...receipts.map((r) => r.blockNumber));
+  if (lastBetBlock >= Number(game.endBlock)) throw new Error(`Bets mined past the end block (${lastBetBlock})`);
+
+  await mineTo(hre, devnet, Number(game.endBlock));
+  await (await colosseum.resolveGame(gameId)).wait();
+  const receipt = await (await colosseum.resolveGame(gameId, MEASURED)).wait();
+  const resolved = await colosseum.getGame(gameId);
+  return {
+    gasUsed: receipt.gasUsed,
+    stake: amount * BigInt(maxEntries),
+    detail: `${maxEntries} entries from ${maxBettors} bettors, ${formatTao(resolved.validRedPool + resolved.validBluePool)} TAO valid; late entries are refunded in full`,
+  };
+}
+
+async function measureLeaderboard({ hre, devnet }) {
+  const colosseum = await deploy(hre, "TAOColosseum");
+  const size = Number(await colosseum.MAX_LEADERBOARD_SIZE());
+  const unit = await colosseum.MIN_BET_AMOUNT();
+  const winners = await fundedWallets(hre, "winner", size + 1);
+  const [whale] = await fundedWallets(hre, "whale", 1);
+
+  // Red bets grow with the index and stay the underdog; claimed in that order, every claim beats the board
+  const { gameId, game } = await startGame(hre, colosseum);
+  await pinCutoff(hre, game, COLOSSEUM.FINAL_CALL_BLOCKS - 1);
+  const redPool = (unit * BigInt((size + 1) * (size + 2))) / 2n;
+  const calls = winners.map((signer, i) => ({
+    signer,
+    send: (o) => colosseum.connect(signer).placeBet(gameId, 0, { ...o, value: unit * BigInt(i + 1) }),
+  }));
+  calls.push({ signer: whale, send: (o) => colosseum.connect(whale).placeBet(gameId, 1, { ...o, value: redPool * 2n }) });
+  await sendBatched(hre, calls);
+
+  await mineTo(hre, devnet, Number(game.endBlock));
+  await (await colosseum.resolveGame(gameId)).wait();
+  await (await colosseum.resolveGame(gameId)).wait();
+  let receipt;
+  for (const winner of winners) receipt = await (await colosseum.connect(winner).claimWinnings(gameId, 0, MEASURED)).wait();
+  const top = (await colosseum.getLeaderboard())[0];
+  if (top !== winners[size].address) throw new Error("The last claimant did not reach the top of the leaderboard");
+  return {
+    gasUsed: receipt.gasUsed,
+    stake: redPool,
+    detail: `${size} entries on the board; winner no. ${size + 1} replaced the last entry and moved up ${size - 1} places`,
+  };
+}
+
+/** A full RPS tournament (RPS.MAX_PLAYERS registered), started. */
+async function startFullTournament(hre, label) {
+  const rps = await deploy(hre, "RPS_Tournament", [ZeroHash]);
+  const players = await fundedWallets(hre, label, RPS.MAX_PLAYERS);
+  await (await rps.createTournament(RPS.MAX_PLAYERS, RPS.MAX_REG_BLOCKS, RPS.MIN_ENTRY)).wait();
+  const tournamentId = (await rps.nextTournamentId()) - 1n;
+  for (const player of players) await (await rps.connect(player).register(tournamentId, { value: RPS.MIN_ENTRY })).wait();
+  await (await rps.startTournament(tournamentId)).wait();
+  return { rps, tournamentId, stake: RPS.MIN_ENTRY * BigInt(RPS.MAX_PLAYERS) };
+}
+
+async function measureRoundAdvance({ hre, devnet }) {
+  const { rps, tournamentId, stake } = await startFullTournament(hre, "rps advance");
+  const count = Number(await rps.tournamentMatchCount(tournamentId, 0));
+
+  // Nobody commits: every match goes to the drand tiebreak at its seed round
+  const m = await rps.matches(tournamentId, 0, 0);
+  await mineTo(hre, devnet, Number(m.revealEndBlock) + 1);
+  while (devnet.feeder.status().lastFedRound < Number(m.seedRound)) await devnet.mine(1);
+  for (let i = 0; i < count - 1; i++) await (await rps.tryRevealMatch(tournamentId, 0, i)).wait();
+  const receipt = await (await rps.tryRevealMatch(tournamentId, 0, count - 1, MEASURED)).wait();
+  const t = await rps.tournaments(tournamentId);
+  if (t.currentRound !== 1n) throw new Error("The last match of round 0 did not advance the tournament");
+  return {
+    gasUsed: receipt.gasUsed,
+    stake,
+    detail: `${count} matches checked, ${Number(await rps.tournamentMatchCount(tournamentId, 1))} round-1 matches created`,
+  };
+}
+
+async function measureStalledCancel({ hre, devnet }) {
+  const { rps, tournamentId, stake } = await startFullTournament(hre, "rps stall");
+  await hre.ethers.provider.send("hardhat_mine", [toQuantity(RPS.STALL_BLOCKS + 1)]);
+  await devnet.feeder.wipe();
+  try {
+    const receipt = await (await rps.cancelStalledTournament(tournamentId, MEASURED)).wait();
+    return { gasUsed: receipt.gasUsed, stake, detail: `${RPS.MAX_PLAYERS} refunds accrued` };
+  } finally {
+    devnet.feeder.resume();
+    await devnet.mine(1);
+  }
+}
+
+const BOUNDED_LOOPS = [
+  {
+    id: "colosseum-valid-pools",
+    contract: "TAOColosseum",
+    call: "resolveGame (phase 2)",
+    loop: "_calculateValidPools",
+    bound: "MAX_BET_ENTRIES entries, MAX_BETTORS_PER_GAME bettors, all late",
+    measure: measureValidPools,
+  },
+  {
+    id: "colosseum-leaderboard",
+    contract: "TAOColosseum",
+    call: "claimWinnings",
+    loop: "_updateLeaderboard",
+    bound: "MAX_LEADERBOARD_SIZE entries, claimant moves to the top",
+    measure: measureLeaderboard,
+  },
+  {
+    id: "rps-round-advance",
+    contract: "RPS_Tournament",
+    call: "tryRevealMatch (last match of round 0)",
+    loop: "_checkRoundAdvance",
+    bound: `${RPS.MAX_PLAYERS} players`,
+    measure: measureRoundAdvance,
+  },
+  {
+    id: "rps-stalled-cancel",
+    contract: "RPS_Tournament",
+    call: "cancelStalledTournament",
+    loop: "refund tournamentPlayers",
+    bound: `${RPS.MAX_PLAYERS} players`,
+    measure: measureStalledCancel,
+  },
+];
+
+/**
+ * Build each adversarial state and measure its call. Runs on the in-process Hardhat network only: installs
+ * the devnet stand-ins and raises the block gas limit for the duration (both restored afterwards).
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} [opts]
+ * @param {bigint} [opts.blockGasLimit] limit to report against (default BITTENSOR_BLOCK_GAS_LIMIT)
+ * @param {string[]} [opts.only] analysis ids (default all)
+ * @param {import("ethers").Signer} [opts.signer] sends the drand feeder updates (default: last account)
+ * @param {(msg: string) => void} [opts.log]
+ * @returns {Promise<{ network: string, blockGasLimit: bigint, ok: boolean, results: GasBound[] }>}
+ */
+async function analyzeGasBounds(hre, { blockGasLimit = BITTENSOR_BLOCK_GAS_LIMIT, only, signer, log = () => {} } = {}) {
+  if (hre.network.name !== "hardhat") throw new Error(`Gas bounds are measured on the in-process hardhat network, not ${hre.network.name}`);
+  const loops = only ? only.map((name) => BOUNDED_LOOPS.find((l) => l.id === name) || unknownLoop(name)) : BOUNDED_LOOPS;
+  const provider = hre.ethers.provider;
+  const originalGasLimit = (await provider.getBlock("latest")).gasLimit;
+  const devnet = await startDevnet(hre, { signer: signer || (await hre.ethers.getSigners()).at(-1) });
+  const results = [];
+  try {
+    await provider.send("evm_setBlockGasLimit", [toQuantity(ANALYSIS_BLOCK_GAS_LIMIT)]);
+    for (const { measure, ...loop } of loops) {
+      log(`${loop.id}: building ${loop.bound}...`);
+      const { gasUsed, stake, detail } = await measure({ hre, devnet });
+      const headroom = blockGasLimit - gasUsed;
+      const result = { ...loop, gasUsed, headroom, utilization: Number((gasUsed * 10000n) / blockGasLimit) / 10000, fits: headroom > 0n, stake, detail };
+      log(`${loop.id}: ${gasUsed} gas (${(result.utilization * 100).toFixed(2)}% of a block)`);
+      results.push(result);
+    }
+  } finally {
+    await provider.send("evm_setBlockGasLimit", [toQuantity(originalGasLimit)]);
+    await devnet.stop();
+  }
+  return { network: hre.network.name, blockGasLimit, ok: results.every((r) => r.fits), results };
+}
+
+function unknownLoop(name) {
+  throw new Error(`Unknown gas bound "${name}" (${BOUNDED_LOOPS.map((l) => l.id).join(", ")})`);
+}
+
+function gas(n) {
+  return BigInt(n).toLocaleString("en-US");
+}
+
+/** Plain-text report: one block per loop, unminable calls marked. */
+function renderGasBounds(report) {
+  const lines = [`Worst-case gas of bounded loops vs a ${gas(report.blockGasLimit)} gas block`, ""];
+  for (const r of report.results) {
+    const margin = r.fits ? `headroom ${gas(r.headroom)}` : `OVER THE LIMIT by ${gas(-r.headroom)}`;
+    lines.push(`${r.fits ? "✓" : "✗"} ${r.contract}.${r.call} · ${r.loop}`);
+    lines.push(`    ${gas(r.gasUsed)} gas (${(r.utilization * 100).toFixed(2)}% of a block), ${margin}`);
+    lines.push(`    bound: ${r.bound}; ${r.detail}; adversary stake ${formatTao(r.stake)} TAO`);
+  }
+  const over = report.results.filter((r) => !r.fits);
+  lines.push("", over.length === 0 ? "Every call fits a block." : `${over.length} call(s) cannot be mined: ${over.map((r) => r.id).join(", ")}`);
+  return lines.join("\n");
+}
+
+module.exports = {
+  BOUNDED_LOOPS,
+  analyzeGasBounds,
+  renderGasBounds,
+};
@@ -0,0 +1,143 @@
+/**
+ * Gas reports for the GasSimulation scenarios: gasUsed samples per (scenario, function), compared against a
+ * checked-in baseline with per-function tolerances. Regressions of the gated functions (resolveGame,
+ * claimWinnings: the calls whose cost grows with a game's bettors) fail the comparison; anything else that
+ * moves beyond its tolerance is reported only.
+ *
+ * Report:   { version, entries: [{ scenario, fn, count, min, max, mean }] }   (gas as numbers)
+ * Baseline: a report plus { tolerances: { default, <fn>, <scenario/fn> } } (fractions, 0.01 = 1%)
+ *
+ * Usage:
+ *   const report = createGasReport();
+ *   report.record("neutral", "resolveGame:drand", receipt.gasUsed);
+ *   const diff = compareGasReports(baseline, report.toJSON());
+ *   if (!diff.ok) throw new Error(renderGasDiff(diff));
+ */
+
+const GAS_REPORT_VERSION = 1;
+const GATED_FUNCTIONS = ["resolveGame", "claimWinnings"];
+const DEFAULT_GAS_TOLERANCE = 0.01;
+
+function entryKey(e) {
+  return `${e.scenario}/${e.fn}`;
+}
+
+/** "resolveGame:drand" -> "resolveGame": phases and variants of one contract function share its gate. */
+function baseFunction(fn) {
+  return fn.split(":")[0];
+}
+
+function createGasReport() {
+  const samples = new Map();
+  return {
+    /**
+     * @param {string} scenario
+     * @param {string} fn contract function, optionally with a variant ("resolveGame:betting")
+     * @param {bigint|number} gasUsed
+     */
+    record(scenario, fn, gasUsed) {
+      const key = entryKey({ scenario, fn });
+      if (!samples.has(key)) samples.set(key, { scenario, fn, gas: [] });
+      samples.get(key).gas.push(Number(gasUsed));
+    },
+    toJSON() {
+      const entries = [...samples.values()]
+        .map(({ scenario, fn, gas }) => ({
+          scenario,
+          fn,
+          count: gas.length,
+          min: Math.min(...gas),
+          max: Math.max(...gas),
+          mean: Math.round(gas.reduce((a, b) => a + b, 0) / gas.length),
+        }))
+        .sort((a, b) => entryKey(a).localeCompare(entryKey(b)));
+      return { version: GAS_REPORT_VERSION, entries };
+    },
+  };
+}
+
+function toleranceFor(tolerances, entry) {
+  const t = tolerances || {};
+  for (const k of [entryKey(entry), entry.fn, baseFunction(entry.fn), "default"]) {
+    if (typeof t[k] === "number") return t[k];
+  }
+  return DEFAULT_GAS_TOLERANCE;
+}
+
+/**
+ * Compare each measured entry's max gas with the baseline. Entries the baseline lacks are "new"; baseline
+ * entries this run did not measure (e.g. the stress case outside stress mode) are "not measured". Neither fails.
+ * @param {{ entries: object[], tolerances?: object }} baseline
+ * @param {{ entries: object[] }} report
+ * @param {{ tolerances?: object, gated?: string[] }} [opts] tolerances override the baseline's
+ * @returns {{ ok: boolean, rows: object[], failures: object[] }}
+ */
+function compareGasReports(baseline, report, { tolerances, gated = GATED_FUNCTIONS } = {}) {
+  const merged = { ...(baseline.tolerances || {}), ...(tolerances || {}) };
+  const before = new Map(baseline.entries.map((e) => [entryKey(e), e]));
+  const rows = [];
+  for (const e of report.entries) {
+    const base = before.get(entryKey(e));
+    before.delete(entryKey(e));
+    const tolerance = toleranceFor(merged, e);
+    const row = { scenario: e.scenario, fn: e.fn, baseline: base ? base.max : null, current: e.max, delta: null, change: null, tolerance };
+    if (!base) {
+      rows.push({ ...row, status: "new" });
+      continue;
+    }
+    row.delta = e.max - base.max;
+    row.change = base.max === 0 ? 0 : row.delta / base.max;
+    const status = row.change > tolerance ? "regressed" : row.change < -tolerance ? "improved" : "ok";
+    rows.push({ ...row, status, gated: gated.includes(baseFunction(e.fn)) });
+  }
+  for (const e of before.values()) {
+    rows.push({ scenario: e.scenario, fn: e.fn, baseline: e.max, current: null, delta: null, change: null, tolerance: toleranceFor(merged, e), status: "not measured" });
+  }
+  const failures = rows.filter((r) => r.status === "regressed" && r.gated);
+  return { ok: failures.length === 0, rows, failures };
+}
+
+function pct(x) {
+  return `${x >= 0 ? "+" : ""}${(x * 100).toFixed(2)}%`;
+}
+
+/** Plain-text diff: one line per entry, failing regressions marked. */
+function renderGasDiff(comparison) {
+  const lines = [];
+  for (const r of comparison.rows) {
+    const name = `${r.scenario}/${r.fn}`.padEnd(40);
+    if (r.status === "new") lines.push(`  new          ${name} ${r.current}`);
+    else if (r.status === "not measured") lines.push(`  not measured ${name} baseline ${r.baseline}`);
+    else {
+      const mark = r.status === "regressed" && r.gated ? "✗ regressed  " : `  ${r.status.padEnd(11)}`;
+      lines.push(`${mark}${name} ${r.baseline} -> ${r.current} (${pct(r.change)}, tolerance ${(r.tolerance * 100).toFixed(2)}%)`);
+    }
+  }
+  const { failures } = comparison;
+  lines.push(failures.length === 0 ? "Gas within baseline tolerances." : `${failures.length} gated regression(s): ${failures.map((f) => `${f.scenario}/${f.fn}`).join(", ")}`);
+  return lines.join("\n");
+}
+
+/**
+ * New baseline: the report's entries replace the baseline's, entries this run did not measure are kept,
+ * and so are the tolerances.
+ */
+function mergeGasBaseline(baseline, report) {
+  const entries = new Map(((baseline && baseline.entries) || []).map((e) => [entryKey(e), e]));
+  for (const e of report.entries) entries.set(entryKey(e), e);
+  return {
+    version: GAS_REPORT_VERSION,
+    tolerances: (baseline && baseline.tolerances) || { default: DEFAULT_GAS_TOLERANCE },
+    entries: [...entries.values()].sort((a, b) => entryKey(a).localeCompare(entryKey(b))),
+  };
+}
+
+module.exports = {
+  GAS_REPORT_VERSION,
+  GATED_FUNCTIONS,
+  DEFAULT_GAS_TOLERANCE,
+  createGasReport,
+  compareGasReports,
+  renderGasDiff,
+  mergeGasBaseline,
+};
@@ -0,0 +1,158 @@
+/**
+ * Pure projections over indexed events (lib/event-db.js rows): one summary object per game or
+ * tournament, built without any RPC call. Amounts are bigint.
+ */
+const { sideName } = require("./format");
+
+/**
+ * @param {import("./event-db").IndexedEvent[]} events all colosseum events of one game, oldest first
+ */
+function summarizeGame(events) {
+  const g = {
+    id: null,
+    status: "unknown", // betting | resolved | cancelled
+    startBlock: null,
+    endBlock: null,
+    actualEndBlock: null,
+    drandRound: null,
+    randomness: null,
+    redPool: 0n,
+    bluePool: 0n,
+    validRedPool: null,
+    validBluePool: null,
+    bets: 0,
+    bettors: 0,
+    winningSide: null,
+    cancelReason: null,
+    voided: false,
+    paidOut: 0n,
+    lastEventBlock: null,
+  };
+  const bettors = new Set();
+  for (const e of events) {
+    const a = e.args;
+    g.id = e.gameId;
+    g.lastEventBlock = e.blockNumber;
+    switch (e.name) {
+      case "GameCreated":
+        g.status = "betting";
+        g.startBlock = Number(a.startBlock);
+        g.endBlock = Number(a.endBlock);
+        break;
+      case "BetPlaced":
+        if (Number(a.side) === 0) g.redPool += BigInt(a.amount);
+        else g.bluePool += BigInt(a.amount);
+        g.bets += 1;
+        bettors.add(a.bettor);
+        break;
+      case "RandomnessUsed":
+        g.drandRound = Number(a.drandRound);
+        g.randomness = a.randomness;
+        break;
+      case "ActualEndBlockSet":
+        g.actualEndBlock = Number(a.actualEndBlock);
+        g.validRedPool = BigInt(a.validRedPool);
+        g.validBluePool = BigInt(a.validBluePool);
+        break;
+      case "GameResolved":
+        g.status = "resolved";
+        g.winningSide = sideName(a.winningSide);
+        break;
+      case "GameCancelled":
+        g.status = "cancelled";
+        g.cancelReason = a.reason;
+        break;
+      case "GameVoided":
+        g.voided = true;
+        break;
+      case "WinningsClaimed":
+        g.paidOut += BigInt(a.winnings);
+        break;
+      case "RefundClaimed":
+      case "LateBetRefunded":
+        g.paidOut += BigInt(a.amount);
+        break;
+      case "EmergencyWithdraw":
+        g.paidOut += BigInt(a.redAmount) + BigInt(a.blueAmount);
+        break;
+      default:
+        break;
+    }
+  }
+  g.bettors = bettors.size;
+  return g;
+}
+
+/**
+ * unregister() emits no tournament event, so during Registration `players` may still list players who
+ * left; once started, `playerCount` comes from TournamentStarted and is exact.
+ * @param {import("./event-db").IndexedEvent[]} events all rps events of one tournament, oldest first
+ */
+function summarizeTournament(events) {
+  const t = {
+    id: null,
+    status: "unknown", // registration | active | canceled | completed
+    creator: null,
+    maxPlayers: null,
+    minEntry: null,
+    registrationEndBlock: null,
+    players: [],
+    playerCount: 0,
+    currentRound: null,
+    matchesResolved: 0,
+    replays: 0,
+    winner: null,
+    prize: null,
+    lastEventBlock: null,
+  };
+  for (const e of events) {
+    const a = e.args;
+    t.id = e.tournamentId;
+    t.lastEventBlock = e.blockNumber;
+    switch (e.name) {
+      case "TournamentCreated":
+        t.status = "registration";
+        t.creator = a.creator;
+        t.maxPlayers = Number(a.maxPlayers);
+        t.minEntry = BigInt(a.minEntry);
+        t.registrationEndBlock = Number(a.registrationEndBlock);
+        break;
+      case "PlayerRegistered":
+        t.players.push(a.player);
+        t.playerCount = t.players.length;
+        break;
+      case "TournamentStarted":
+        t.status = "active";
+        t.playerCount = Number(a.playerCount);
+        t.currentRound = 0;
+        break;
+      case "RoundAdvanced":
+        t.currentRound = Number(a.newRound);
+        break;
+      case "MatchResolved":
+        t.matchesResolved += 1;
+        break;
+      case "MatchReplayed":
+        t.replays += 1;
+        break;
+      case "TournamentCanceled":
+        t.status = "canceled";
+        break;
+      case "TournamentCompleted":
+        t.status = "completed";
+        t.winner = a.winner;
+        break;
+      case "PrizeClaimed":
+        t.prize = BigInt(a.amount);
+        break;
+      default:
+        break;
+    }
+  }
+  return t;
+}
+
+module.exports = {
+  summarizeGame,
+  summarizeTournament,
+};
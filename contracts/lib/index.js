@@ -0,0 +1,56 @@
+/**
+ * JS client SDK for TAOColosseum and RPS_Tournament.
+ * Depends only on ethers v6 (and @noble/curves + @noble/hashes for drand storage keys and beacon
+ * verification); does not require Hardhat.
+ * Node-only helpers (lib/salt-vault.js, lib/event-db.js, lib/api-server.js, lib/feed-server.js,
+ * lib/devnet.js, lib/alert-sinks.js, lib/rps-fee-flusher.js) are required by path and not re-exported here.
+ */
+const constants = require("./constants");
+const abi = require("./abi");
+const format = require("./format");
+const colosseumMath = require("./colosseum-math");
+const colosseumClient = require("./colosseum-client");
+const colosseumAudit = require("./colosseum-audit");
+const colosseumMigration = require("./colosseum-migration");
+const rpsClient = require("./rps-client");
+const rpsCommit = require("./rps-commit");
+const txSender = require("./tx-sender");
+const colosseumKeeper = require("./colosseum-keeper");
+const rpsKeeper = require("./rps-keeper");
+const rpsBracket = require("./rps-bracket");
+const eventIndexer = require("./event-indexer");
+const history = require("./history");
+const liveFeed = require("./live-feed");
+const drandFeeder = require("./drand-feeder");
+const drandMonitor = require("./drand-monitor");
+const drandStorage = require("./drand-storage");
+const drandVerify = require("./drand-verify");
+const solvencyMonitor = require("./solvency-monitor");
+const offlineTx = require("./offline-tx");
+const gasReport = require("./gas-report");
+
+module.exports = {
+  ...constants,
+  ...abi,
+  ...format,
+  ...colosseumMath,
+  ...colosseumClient,
+  ...colosseumAudit,
+  ...colosseumMigration,
+  ...rpsClient,
+  ...rpsCommit,
+  ...txSender,
+  ...colosseumKeeper,
+  ...rpsKeeper,
+  ...rpsBracket,
+  ...eventIndexer,
+  ...history,
+  ...liveFeed,
+  ...drandFeeder,
+  ...drandMonitor,
+  ...drandStorage,
+  ...drandVerify,
+  ...solvencyMonitor,
+  ...offlineTx,
+  ...gasReport,
+};
@@ -0,0 +1,311 @@
+/**
+ * Live feed: follows new blocks and turns contract events and state changes into typed push messages
+ * for watchers of the final-call window or an RPS commit/reveal window. Transport-agnostic; the
+ * WebSocket server in lib/feed-server.js fans the messages out per topic.
+ *
+ * Every message is `{ type, blockNumber, topics, ...data }` with amounts as decimal strings. Topics:
+ *   game:<id>, tournament:<id>, address:<lowercase 0x address>
+ *
+ * Message types:
+ *   block            new head                                 { timestamp }
+ *   pool             BetPlaced                                { gameId, bettor, side, amount, sidePool, redPool, bluePool }
+ *   phase            current game phase changed (or new game) { gameId, from, to }
+ *   finalCall        current game entered FINAL_CALL_BLOCKS   { gameId, blocksRemaining, endBlock }
+ *   actualEndBlock   ActualEndBlockSet                        { gameId, actualEndBlock, validRedPool, validBluePool }
+ *   tournamentPhase  TournamentStarted/Canceled/Completed     { tournamentId, to, winner }
+ *   matchWindow      tracked match changed window             { tournamentId, round, matchIndex, from, to, commitEndBlock, revealEndBlock }
+ *   moveCommitted    MoveCommitted                            { tournamentId, round, matchIndex, rpsRound, player }
+ *   moveRevealed     MoveRevealed                             { tournamentId, round, matchIndex, rpsRound, player, choice }
+ *   matchReplayed    MatchReplayed                            { tournamentId, round, matchIndex, rpsRound, commitEndBlock, revealEndBlock }
+ *   seedRefreshed    TiebreakSeedRefreshed                    { tournamentId, round, matchIndex, seedRound }
+ *   matchResolved    MatchResolved                            { tournamentId, round, matchIndex, rpsRound, winner }
+ *   roundAdvanced    RoundAdvanced                            { tournamentId, round }
+ *
+ * Usage:
+ *   const feed = createLiveFeed({ provider, colosseumAddress, rpsAddress });
+ *   const off = feed.onMessage((msg) => console.log(msg));
+ *   await feed.run({ pollMs: 2000 });
+ */
+const { getAddress } = require("ethers");
+const { createColosseumClient } = require("./colosseum-client");
+const { createRpsClient, matchWindow } = require("./rps-client");
+const { decodeLog } = require("./event-indexer");
+const { sideName, choiceName, fmtErr } = require("./format");
+
+const TOURNAMENT_PHASE_EVENTS = {
+  TournamentStarted: "Active",
+  TournamentCanceled: "Canceled",
+  TournamentCompleted: "Completed",
+};
+
+function addressTopic(address) {
+  return `address:${address.toLowerCase()}`;
+}
+
+/**
+ * Typed message for one decoded event row (lib/event-indexer.js decodeLog), or null for events the
+ * feed does not push. Pool totals of both sides are filled in later from contract state.
+ */
+function eventMessage(e) {
+  const a = e.args;
+  const base = { blockNumber: e.blockNumber, txHash: e.txHash };
+  const gameTopics = () => [`game:${e.gameId}`, ...e.accounts.map(addressTopic)];
+  const tournamentTopics = () => [`tournament:${e.tournamentId}`, ...e.accounts.map(addressTopic)];
+  const match = () => ({ tournamentId: e.tournamentId, round: Number(a.round), matchIndex: Number(a.matchIndex) });
+
+  switch (e.name) {
+    case "BetPlaced":
+      return {
+        type: "pool",
+        ...base,
+        topics: gameTopics(),
+        gameId: e.gameId,
+        bettor: a.bettor,
+        side: sideName(a.side),
+        amount: a.amount,
+        sidePool: a.newPoolTotal,
+        redPool: null,
+        bluePool: null,
+      };
+    case "ActualEndBlockSet":
+      return {
+        type: "actualEndBlock",
+        ...base,
+        topics: gameTopics(),
+        gameId: e.gameId,
+        actualEndBlock: Number(a.actualEndBlock),
+        validRedPool: a.validRedPool,
+        validBluePool: a.validBluePool,
+      };
+    case "TournamentStarted":
+    case "TournamentCanceled":
+    case "TournamentCompleted":
+      return {
+        type: "tournamentPhase",
+        ...base,
+        topics: tournamentTopics(),
+        tournamentId: e.tournamentId,
+        to: TOURNAMENT_PHASE_EVENTS[e.name],
+        winner: a.winner || null,
+      };
+    case "MoveCommitted":
+      return { type: "moveCommitted", ...base, topics: tournamentTopics(), ...match(), rpsRound: Number(a.rpsRound), player: a.player };
+    case "MoveRevealed":
+      return {
+        type: "moveRevealed",
+        ...base,
+        topics: tournamentTopics(),
+        ...match(),
+        rpsRound: Number(a.rpsRound),
+        player: a.player,
+        choice: choiceName(a.choice),
+      };
+    case "MatchReplayed":
+      return {
+        type: "matchReplayed",
+        ...base,
+        topics: tournamentTopics(),
+        ...match(),
+        rpsRound: Number(a.newRpsRound),
+        commitEndBlock: Number(a.commitEndBlock),
+        revealEndBlock: Number(a.revealEndBlock),
+      };
+    case "TiebreakSeedRefreshed":
+      return { type: "seedRefreshed", ...base, topics: tournamentTopics(), ...match(), seedRound: Number(a.newSeedRound) };
+    case "MatchResolved":
+      return { type: "matchResolved", ...base, topics: tournamentTopics(), ...match(), rpsRound: Number(a.rpsRound), winner: a.winner };
+    case "RoundAdvanced":
+      return { type: "roundAdvanced", ...base, topics: tournamentTopics(), tournamentId: e.tournamentId, round: Number(a.newRound) };
+    default:
+      return null;
+  }
+}
+
+/**
+ * @param {object} opts
+ * @param {import("ethers").Provider} opts.provider
+ * @param {string} [opts.colosseumAddress]
+ * @param {string} [opts.rpsAddress]
+ * @param {number} [opts.fromBlock] first block to report (default: the head at the first poll, i.e. live only)
+ * @param {number} [opts.maxBlocksPerPoll=500] catch up in slices of this size after downtime
+ * @param {(msg: string) => void} [opts.log]
+ */
+function createLiveFeed({ provider, colosseumAddress, rpsAddress, fromBlock, maxBlocksPerPoll = 500, log = (msg) => console.log(msg) }) {
+  const sources = {};
+  if (colosseumAddress) sources[getAddress(colosseumAddress)] = "colosseum";
+  if (rpsAddress) sources[getAddress(rpsAddress)] = "rps";
+  if (Object.keys(sources).length === 0) throw new Error("createLiveFeed: at least one contract address is required");
+  const colosseum = colosseumAddress ? createColosseumClient(colosseumAddress, provider) : null;
+  const rps = rpsAddress ? createRpsClient(rpsAddress, provider) : null;
+
+  const listeners = new Set();
+  let lastBlock = fromBlock != null ? fromBlock - 1 : null;
+  let game = null; // { id, phaseName, inFinalCall } of the current game at the last poll
+  const windows = new Map(); // tournamentId -> Map("round:matchIndex" -> window)
+  let stopped = false;
+
+  function emit(msg) {
+    for (const fn of listeners) {
+      try {
+        fn(msg);
+      } catch (e) {
+        log(`feed listener failed: ${fmtErr(e)}`);
+      }
+    }
+  }
+
+  /** @returns {() => void} unsubscribe */
+  function onMessage(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  /**
+   * Follow the match windows of an RPS tournament (tournaments seen in events are tracked automatically).
+   * Ids are kept as BigInt; ids that do not exist yet are dropped at the next poll.
+   */
+  function track(tournamentId) {
+    let id;
+    try {
+      id = BigInt(tournamentId);
+    } catch (_) {
+      return;
+    }
+    if (id >= 1n && !windows.has(id)) windows.set(id, null);
+  }
+
+  async function gameMessages(head) {
+    const current = await colosseum.getCurrentGame();
+    if (!current) return [];
+    const out = [];
+    const topics = [`game:${current.id}`];
+    const id = Number(current.id);
+    const inFinalCall = current.phaseName === "Betting" && (await colosseum.contract.isInFinalCall(current.id));
+    if (!game || game.id !== id || game.phaseName !== current.phaseName) {
+      const from = game && game.id === id ? game.phaseName : null;
+      out.push({ type: "phase", blockNumber: head, topics, gameId: id, from, to: current.phaseName });
+    }
+    if (inFinalCall && !(game && game.id === id && game.inFinalCall)) {
+      const blocksRemaining = Number(await colosseum.contract.getBlocksRemaining(current.id));
+      out.push({ type: "finalCall", blockNumber: head, topics, gameId: id, blocksRemaining, endBlock: Number(current.endBlock) });
+    }
+    game = { id, phaseName: current.phaseName, inFinalCall, redPool: current.redPool, bluePool: current.bluePool };
+    return out;
+  }
+
+  async function matchWindowMessages(head) {
+    const out = [];
+    if (windows.size === 0) return out;
+    const count = BigInt(await rps.getTournamentCount());
+    for (const [id, previous] of windows) {
+      if (id > count) {
+        windows.delete(id);
+        continue;
+      }
+      try {
+        out.push(...(await tournamentWindowMessages(id, previous, head)));
+      } catch (e) {
+        // one unreadable tournament must not stall the feed for every other watcher
+        log(`tournament ${id}: ${fmtErr(e)}; no longer tracked`);
+        windows.delete(id);
+      }
+    }
+    return out;
+  }
+
+  /** matchWindow messages of one tracked tournament; untracks it once it is over. */
+  async function tournamentWindowMessages(id, previous, head) {
+    const out = [];
+    const t = await rps.getTournament(id);
+    if (!t || t.phaseName === "Canceled" || t.phaseName === "Completed") {
+      windows.delete(id);
+      return out;
+    }
+    if (t.phaseName !== "Active") return out;
+    const next = new Map();
+    for (const m of await rps.getRoundMatches(id, t.currentRound)) {
+      const key = `${m.round}:${m.matchIndex}`;
+      const to = matchWindow(m, head);
+      next.set(key, to);
+      const from = previous ? previous.get(key) || null : null;
+      if (from === to) continue;
+      out.push({
+        type: "matchWindow",
+        blockNumber: head,
+        topics: [`tournament:${id}`, addressTopic(m.playerA), addressTopic(m.playerB)],
+        tournamentId: Number(id),
+        round: Number(m.round),
+        matchIndex: m.matchIndex,
+        from,
+        to,
+        commitEndBlock: Number(m.commitEndBlock),
+        revealEndBlock: Number(m.revealEndBlock),
+      });
+    }
+    windows.set(id, next);
+    return out;
+  }
+
+  /**
+   * Process blocks since the last poll (at most maxBlocksPerPoll), emit and return their messages:
+   * block, then event messages in log order, then state transitions observed at the new head.
+   * @returns {Promise<object[]>}
+   */
+  async function poll() {
+    const chainHead = await provider.getBlockNumber();
+    if (lastBlock == null) lastBlock = chainHead - 1;
+    if (chainHead <= lastBlock) return [];
+    const from = lastBlock + 1;
+    const head = Math.min(chainHead, lastBlock + maxBlocksPerPoll);
+
+    const [block, logs] = await Promise.all([
+      provider.getBlock(head),
+      provider.getLogs({ address: Object.keys(sources), fromBlock: from, toBlock: head }),
+    ]);
+    const messages = [{ type: "block", blockNumber: head, topics: [], timestamp: block.timestamp }];
+    for (const l of logs) {
+      const e = decodeLog(sources[getAddress(l.address)], l);
+      const msg = e && eventMessage(e);
+      if (!msg) continue;
+      if (msg.tournamentId != null && rps) track(msg.tournamentId);
+      messages.push(msg);
+    }
+    if (colosseum) messages.push(...(await gameMessages(head)));
+    if (rps) messages.push(...(await matchWindowMessages(head)));
+
+    // Both pools as of the new head for the current game's bets
+    for (const msg of messages) {
+      if (msg.type === "pool" && game && game.id === msg.gameId) {
+        msg.redPool = game.redPool.toString();
+        msg.bluePool = game.bluePool.toString();
+      }
+    }
+    lastBlock = head;
+    for (const msg of messages) emit(msg);
+    return messages;
+  }
+
+  /** poll() every `pollMs` until stop() is called (or maxTicks is reached). Errors are logged and retried. */
+  async function run({ pollMs = 2000, maxTicks = Infinity } = {}) {
+    stopped = false;
+    for (let i = 0; i < maxTicks && !stopped; i++) {
+      try {
+        await poll();
+      } catch (e) {
+        log(`feed poll failed: ${fmtErr(e)}`);
+      }
+      if (i + 1 < maxTicks && !stopped) await new Promise((resolve) => setTimeout(resolve, pollMs));
+    }
+  }
+
+  function stop() {
+    stopped = true;
+  }
+
+  return { onMessage, track, poll, run, stop };
+}
+
+module.exports = {
+  eventMessage,
+  createLiveFeed,
+};
@@ -0,0 +1,304 @@
+/**
+ * Offline signing for owner and treasury operations: build unsigned transactions on a networked machine,
+ * sign them with an encrypted keystore on an air-gapped one, broadcast and track them from any machine.
+ *
+ *   build      resolveOfflineOps + buildOfflineBundle: calldata, nonce, gas limit, gas price and chainId pinned
+ *              into a portable JSON bundle (bigints as decimal strings)
+ *   sign       signOfflineBundle: checks the pins (chainId 964 unless told otherwise, consecutive nonces,
+ *              the keystore's address is the bundle's `from`) and adds `signed` raw transactions; no RPC
+ *   broadcast  broadcastOfflineBundle: checks every raw transaction still matches its unsigned entry, sends them
+ *              in nonce order and waits for receipts; re-running skips what is already mined
+ *   Safe       toSafeBatch: the same calls as a Safe Transaction Builder batch, for a multisig that holds Ownable
+ *
+ * Operations (OPS, comma-separated): withdrawFees, flush, transferOwnership=<address>, deploy=<contract>.
+ *
+ * Usage:
+ *   const calls = await resolveOfflineOps(parseOfflineOps("withdrawFees,transferOwnership=0x..."), { addresses });
+ *   const bundle = await buildOfflineBundle({ provider, from, network: "bittensor", calls });
+ *   const signed = await signOfflineBundle(bundle, await Wallet.fromEncryptedJson(keystore, password));
+ *   const results = await broadcastOfflineBundle({ provider, bundle: signed });
+ */
+const { Interface, Transaction, getAddress, getCreateAddress } = require("ethers");
+const { BITTENSOR_CHAIN_ID } = require("./constants");
+const { COLOSSEUM_ABI, RPS_TOURNAMENT_ABI } = require("./abi");
+const { fmtErr } = require("./format");
+
+const OFFLINE_BUNDLE_VERSION = 1;
+const SAFE_TX_BUILDER_VERSION = "1.16.5";
+
+const colosseumInterface = new Interface(COLOSSEUM_ABI);
+const rpsInterface = new Interface(RPS_TOURNAMENT_ABI);
+
+// op -> contract it targets and the calldata it sends (deploy is handled separately)
+const CALL_OPS = {
+  withdrawFees: { contract: "TAOColosseum", encode: () => colosseumInterface.encodeFunctionData("withdrawFees") },
+  flush: { contract: "RPS_Tournament", encode: () => rpsInterface.encodeFunctionData("flushFeesToSubnetAndBurn") },
+  transferOwnership: { contract: "TAOColosseum", encode: (arg) => colosseumInterface.encodeFunctionData("transferOwnership", [getAddress(arg)]) },
+};
+const DEPLOYABLE = ["TAOColosseum", "RPS_Tournament"];
+
+/**
+ * @typedef {object} OfflineCall
+ * @property {string} label e.g. "TAOColosseum.withdrawFees()"
+ * @property {string|null} to null for a contract creation
+ * @property {string} data
+ * @property {bigint} value
+ * @property {{ name: string, constructorArgs: unknown[] }} [deploy]
+ * @property {bigint} [gasLimit] skip estimateGas (e.g. a call that depends on an earlier transaction of the bundle)
+ */
+
+/**
+ * @param {string} spec "withdrawFees,transferOwnership=0x...,deploy=RPS_Tournament"
+ * @returns {Array<{ op: string, arg: string|null }>}
+ */
+function parseOfflineOps(spec) {
+  return spec
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => {
+      const [op, ...rest] = s.split("=");
+      const arg = rest.length > 0 ? rest.join("=") : null;
+      if (op === "deploy" ? !DEPLOYABLE.includes(arg) : !(op in CALL_OPS) || (op === "transferOwnership") !== (arg !== null)) {
+        throw new Error(`Unknown offline operation "${s}" (withdrawFees, flush, transferOwnership=<address>, deploy=${DEPLOYABLE.join("|")})`);
+      }
+      return { op, arg };
+    });
+}
+
+/**
+ * Turn parsed operations into calls.
+ * @param {Array<{ op: string, arg: string|null }>} ops
+ * @param {object} opts
+ * @param {Record<string, string|null>} opts.addresses contract name -> address (resolveAddress)
+ * @param {(name: string) => Promise<{ data: string, constructorArgs: unknown[] }>} [opts.deployTransaction]
+ *   init code of a contract to deploy (Hardhat: getContractFactory(name).getDeployTransaction(...args))
+ * @returns {Promise<OfflineCall[]>}
+ */
+async function resolveOfflineOps(ops, { addresses, deployTransaction }) {
+  const calls = [];
+  for (const { op, arg } of ops) {
+    if (op === "deploy") {
+      if (!deployTransaction) throw new Error(`deploy=${arg} needs the contract artifacts (run the build under Hardhat)`);
+      const { data, constructorArgs } = await deployTransaction(arg);
+      calls.push({ label: `deploy ${arg}`, to: null, data, value: 0n, deploy: { name: arg, constructorArgs } });
+      continue;
+    }
+    const { contract, encode } = CALL_OPS[op];
+    const to = addresses[contract];
+    if (!to) throw new Error(`${op} needs the ${contract} address (env or deployments registry)`);
+    const data = encode(arg);
+    const label = `${contract}.${op}(${arg ? getAddress(arg) : ""})`;
+    calls.push({ label, to: getAddress(to), data, value: 0n });
+  }
+  return calls;
+}
+
+/**
+ * Estimate and pin every call into an unsigned bundle. Legacy (type 0) transactions with the network's
+ * gas price, as scripts/deploy.js sends them; the gas limit carries `gasBufferPercent` on top of the estimate.
+ * @param {object} opts
+ * @param {import("ethers").Provider} opts.provider must be on `chainId`
+ * @param {string} opts.from the address that will sign (the owner for owner-only calls)
+ * @param {string} opts.network Hardhat network name, recorded for the broadcast step
+ * @param {OfflineCall[]} opts.calls
+ * @param {number} [opts.chainId=BITTENSOR_CHAIN_ID]
+ * @param {number} [opts.gasBufferPercent=20]
+ * @param {bigint} [opts.gasPrice] default: the provider's current gas price
+ * @param {number} [opts.nonce] default: the pending nonce of `from`
+ */
+async function buildOfflineBundle({ provider, from, network, calls, chainId = BITTENSOR_CHAIN_ID, gasBufferPercent = 20, gasPrice, nonce }) {
+  const connected = Number((await provider.getNetwork()).chainId);
+  if (connected !== chainId) throw new Error(`Provider is on chainId ${connected}; the bundle pins chainId ${chainId}`);
+  const sender = getAddress(from);
+  let next = nonce ?? (await provider.getTransactionCount(sender, "pending"));
+  const price = gasPrice ?? (await provider.getFeeData()).gasPrice;
+  if (price == null) throw new Error("Provider reports no gas price; pass gasPrice");
+
+  const transactions = [];
+  for (const call of calls) {
+    let gasLimit = call.gasLimit;
+    if (gasLimit == null) {
+      let estimate;
+      try {
+        estimate = await provider.estimateGas({ from: sender, to: call.to, data: call.data, value: call.value });
+      } catch (e) {
+        throw new Error(`${call.label}: estimateGas failed from ${sender}: ${fmtErr(e)}`);
+      }
+      gasLimit = (estimate * BigInt(100 + gasBufferPercent)) / 100n;
+    }
+    const tx = { label: call.label, type: 0, chainId, nonce: next, to: call.to, value: BigInt(call.value), data: call.data, gasLimit: BigInt(gasLimit), gasPrice: BigInt(price) };
+    if (call.deploy) tx.deploy = { ...call.deploy, address: getCreateAddress({ from: sender, nonce: next }) };
+    transactions.push(tx);
+    next++;
+  }
+  return { version: OFFLINE_BUNDLE_VERSION, network, chainId, from: sender, createdAt: new Date().toISOString(), transactions };
+}
+
+/** Fields of one bundle entry as an ethers TransactionLike (JSON strings back to bigints). */
+function txRequest(tx) {
+  return {
+    type: 0,
+    chainId: BigInt(tx.chainId),
+    nonce: Number(tx.nonce),
+    to: tx.to,
+    value: BigInt(tx.value),
+    data: tx.data,
+    gasLimit: BigInt(tx.gasLimit),
+    gasPrice: BigInt(tx.gasPrice),
+  };
+}
+
+/**
+ * Throw unless the bundle is one this checkout understands and its pins hold.
+ * @param {object} bundle unsigned or signed bundle (parsed JSON)
+ * @param {{ chainId?: number }} [opts] chain the operator expects (default BITTENSOR_CHAIN_ID)
+ */
+function checkOfflineBundle(bundle, { chainId = BITTENSOR_CHAIN_ID } = {}) {
+  if (bundle.version !== OFFLINE_BUNDLE_VERSION) throw new Error(`Bundle version ${bundle.version}; this checkout reads version ${OFFLINE_BUNDLE_VERSION}`);
+  if (Number(bundle.chainId) !== chainId) throw new Error(`Bundle pins chainId ${bundle.chainId}, expected ${chainId}`);
+  if (bundle.transactions.length === 0) throw new Error("Bundle has no transactions");
+  bundle.transactions.forEach((tx, i) => {
+    if (Number(tx.chainId) !== chainId) throw new Error(`${tx.label}: chainId ${tx.chainId} differs from the bundle's ${chainId}`);
+    if (Number(tx.nonce) !== Number(bundle.transactions[0].nonce) + i) throw new Error(`${tx.label}: nonce ${tx.nonce} breaks the sequence`);
+  });
+}
+
+/**
+ * Sign every transaction of an unsigned bundle. Needs no provider: run it on the air-gapped machine.
+ * @param {object} bundle
+ * @param {import("ethers").Wallet} wallet e.g. Wallet.fromEncryptedJson(keystoreJson, password)
+ * @param {{ chainId?: number }} [opts] see checkOfflineBundle
+ * @returns {Promise<object>} the bundle plus `signed: [{ label, nonce, hash, raw }]`
+ */
+async function signOfflineBundle(bundle, wallet, opts) {
+  checkOfflineBundle(bundle, opts);
+  if (getAddress(wallet.address) !== getAddress(bundle.from)) throw new Error(`Keystore is ${wallet.address}, but the bundle was built for ${bundle.from}`);
+  const signed = [];
+  for (const tx of bundle.transactions) {
+    const raw = await wallet.signTransaction(txRequest(tx));
+    signed.push({ label: tx.label, nonce: Number(tx.nonce), hash: Transaction.from(raw).hash, raw });
+  }
+  return { ...bundle, signer: wallet.address, signedAt: new Date().toISOString(), signed };
+}
+
+/** Throw unless `raw` is the signed form of `tx` from `from` (a swapped or edited file is caught before sending). */
+function checkSignedTx(tx, raw, from) {
+  const parsed = Transaction.from(raw);
+  const want = txRequest(tx);
+  const mismatched = ["chainId", "nonce", "value", "data", "gasLimit", "gasPrice"].filter((k) => String(parsed[k]) !== String(want[k]));
+  if ((parsed.to || null) !== (want.to ? getAddress(want.to) : null)) mismatched.push("to");
+  if (mismatched.length > 0) throw new Error(`${tx.label}: signed transaction differs from the bundle in ${mismatched.join(", ")}`);
+  if (getAddress(parsed.from) !== getAddress(from)) throw new Error(`${tx.label}: signed by ${parsed.from}, not ${from}`);
+  return parsed;
+}
+
+/**
+ * Send a signed bundle in nonce order and wait for each receipt. Stops at the first transaction that cannot be
+ * sent (its nonce was used by another transaction, or an earlier one is missing); a reverted transaction still
+ * uses its nonce, so the rest are sent. Already-mined transactions are reported, not resent.
+ * @param {object} opts
+ * @param {import("ethers").Provider} opts.provider
+ * @param {object} opts.bundle signed bundle
+ * @param {number} [opts.confirmations=1]
+ * @param {number} [opts.timeoutMs] per transaction
+ * @param {(result: object) => void} [opts.onResult] called after every transaction (e.g. to persist tracking state)
+ * @returns {Promise<Array<{ label: string, nonce: number, hash: string, status: "mined"|"already-mined"|"reverted"|"failed"|"skipped",
+ *   blockNumber?: number, gasUsed?: bigint, contractAddress?: string|null, error?: string }>>}
+ */
+async function broadcastOfflineBundle({ provider, bundle, confirmations = 1, timeoutMs, onResult = () => {} }) {
+  if (!bundle.signed || bundle.signed.length !== bundle.transactions.length) throw new Error("Bundle is not signed (run the sign step)");
+  const connected = Number((await provider.getNetwork()).chainId);
+  checkOfflineBundle(bundle, { chainId: connected });
+  bundle.transactions.forEach((tx, i) => checkSignedTx(tx, bundle.signed[i].raw, bundle.from));
+
+  const results = [];
+  let blocked = null;
+  for (const [i, tx] of bundle.transactions.entries()) {
+    const { hash, raw } = bundle.signed[i];
+    const result = { label: tx.label, nonce: Number(tx.nonce), hash };
+    results.push(result);
+    if (blocked) {
+      Object.assign(result, { status: "skipped", error: blocked });
+      onResult(result);
+      continue;
+    }
+    let receipt = await provider.getTransactionReceipt(hash);
+    if (receipt) {
+      result.status = "already-mined";
+    } else {
+      const next = await provider.getTransactionCount(bundle.from, "latest");
+      if (next !== result.nonce) {
+        const error =
+          next > result.nonce
+            ? `nonce ${result.nonce} of ${bundle.from} was used by another transaction; rebuild the bundle`
+            : `${bundle.from} is at nonce ${next}; an earlier transaction is missing`;
+        blocked = `not sent: ${tx.label} failed`;
+        Object.assign(result, { status: "failed", error });
+        onResult(result);
+        continue;
+      }
+      try {
+        const response = await provider.broadcastTransaction(raw);
+        // wait() throws on a revert (CALL_EXCEPTION) after the receipt is in; that receipt is still the outcome
+        receipt = await response.wait(confirmations, timeoutMs).catch((e) => {
+          if (e.receipt) return e.receipt;
+          throw e;
+        });
+      } catch (e) {
+        blocked = `not sent: ${tx.label} failed`;
+        Object.assign(result, { status: "failed", error: fmtErr(e) });
+        onResult(result);
+        continue;
+      }
+      result.status = receipt.status === 1 ? "mined" : "reverted";
+    }
+    if (receipt.status !== 1) result.status = "reverted";
+    Object.assign(result, { blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed, contractAddress: receipt.contractAddress || null });
+    if (tx.deploy && receipt.contractAddress && getAddress(receipt.contractAddress) !== getAddress(tx.deploy.address)) {
+      result.error = `created ${receipt.contractAddress}, bundle expected ${tx.deploy.address}`;
+    }
+    onResult(result);
+  }
+  return results;
+}
+
+/**
+ * The calls as a Safe Transaction Builder batch (Safe{Wallet} app: Transaction Builder -> drag and drop), for a
+ * Safe that holds the Ownable role. A Safe cannot create contracts from a batch, so deploy calls are rejected.
+ * @param {OfflineCall[]} calls
+ * @param {object} opts
+ * @param {string} opts.safeAddress
+ * @param {number} [opts.chainId=BITTENSOR_CHAIN_ID]
+ * @param {string} [opts.name]
+ * @param {string} [opts.description]
+ * @param {number} [opts.createdAt] ms since epoch
+ */
+function toSafeBatch(calls, { safeAddress, chainId = BITTENSOR_CHAIN_ID, name = "TAO Colosseum operations", description, createdAt = Date.now() }) {
+  const deploys = calls.filter((c) => c.to === null);
+  if (deploys.length > 0) throw new Error(`A Safe batch cannot deploy contracts (${deploys.map((c) => c.label).join(", ")})`);
+  return {
+    version: "1.0",
+    chainId: String(chainId),
+    createdAt,
+    meta: {
+      name,
+      description: description ?? calls.map((c) => c.label).join(", "),
+      txBuilderVersion: SAFE_TX_BUILDER_VERSION,
+      createdFromSafeAddress: getAddress(safeAddress),
+      createdFromOwnerAddress: "",
+    },
+    transactions: calls.map((c) => ({ to: c.to, value: BigInt(c.value).toString(), data: c.data, contractMethod: null, contractInputsValues: null })),
+  };
+}
+
+module.exports = {
+  OFFLINE_BUNDLE_VERSION,
+  parseOfflineOps,
+  resolveOfflineOps,
+  buildOfflineBundle,
+  checkOfflineBundle,
+  signOfflineBundle,
+  broadcastOfflineBundle,
+  toSafeBatch,
+};
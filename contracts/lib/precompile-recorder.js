@@ -0,0 +1,236 @@
+/**
+ * Precompile recorder and replayer. An EVM fork or a local Hardhat network cannot execute the subtensor
+ * precompiles, so what staking (0x0805), storage (0x0807) and drand (0x080D / 0x080E) answered on a live
+ * chain is recorded once and replayed offline by RecordedPrecompile stand-ins installed via hardhat_setCode.
+ * Hardhat only (the loader takes the runtime environment); required by path.
+ *
+ *   record   wrap an EIP-1193 provider (hre.network.provider) and log every eth_call to a precompile address
+ *            with its calldata, caller, block and output (or revert data). Any script can be recorded with
+ *            RECORD_PRECOMPILES=<file> (hook in hardhat.config.js); the fixture is written when it exits.
+ *            Only direct eth_calls are seen: precompile calls a contract makes inside a transaction are not.
+ *   replay   installRecordedPrecompiles(hre, fixture): one RecordedPrecompile per address, loaded with the
+ *            fixture's latest answer per calldata (or the latest at or before `atBlock`). With overlay, the
+ *            answers are loaded into the devnet stand-ins already there (lib/devnet.js), which derive from
+ *            RecordedPrecompile and compute everything nobody recorded.
+ *
+ * Fixture: { version, network, chainId, capturedAt, responses: RecordedResponse[] }; lib/fork-rehearsal.js
+ * adds its scenario, fork and capture blocks and contract addresses.
+ *
+ * Usage:
+ *   RECORD_PRECOMPILES=./fixtures/drand.json npx hardhat run scripts/check-drand.js --network bittensor
+ *   const installed = await installRecordedPrecompiles(hre, loadPrecompileFixture("./fixtures/drand.json"));
+ *   ...
+ *   await removeRecordedPrecompiles(hre, installed);
+ */
+const fs = require("fs");
+const { Interface, getAddress, getBytes } = require("ethers");
+const {
+  STAKING_PRECOMPILE,
+  STORAGE_PRECOMPILE,
+  COLOSSEUM_DRAND_PRECOMPILE,
+  RPS_DRAND_PRECOMPILE,
+  DRAND_LAST_ROUND_KEY,
+  DRAND_PULSES_PREFIX,
+} = require("./constants");
+const { STAKING_ABI, DRAND_PRECOMPILE_ABI } = require("./abi");
+const { revertData, toJson } = require("./format");
+
+const FIXTURE_VERSION = 1;
+
+const PRECOMPILE_ADDRESSES = [STAKING_PRECOMPILE, STORAGE_PRECOMPILE, COLOSSEUM_DRAND_PRECOMPILE, RPS_DRAND_PRECOMPILE].map(getAddress);
+
+const INTERFACES = {
+  [getAddress(STAKING_PRECOMPILE)]: new Interface(STAKING_ABI),
+  [getAddress(COLOSSEUM_DRAND_PRECOMPILE)]: new Interface(DRAND_PRECOMPILE_ABI),
+  [getAddress(RPS_DRAND_PRECOMPILE)]: new Interface(DRAND_PRECOMPILE_ABI),
+};
+
+/**
+ * @typedef {object} RecordedResponse
+ * @property {string} label
+ * @property {string} address
+ * @property {string} input
+ * @property {string|null} from
+ * @property {number|null} blockNumber
+ * @property {boolean} success
+ * @property {string} output return data, or revert data when !success
+ * @property {boolean} mutating
+ * @property {number} afterWrites served once the stand-in has seen this many mutating calls (0 = from the start)
+ * @property {boolean} [synthetic] answer supplied at capture instead of read from a node (blockNumber null)
+ */
+
+/**
+ * Readable label and state-mutability of a precompile call, e.g. "0x080D getPulse(4812345)" or
+ * "drand.pulses(4812345)".
+ * @returns {{ label: string, mutating: boolean }}
+ */
+function describePrecompileCall(address, input) {
+  const to = getAddress(address);
+  const iface = INTERFACES[to];
+  if (iface) {
+    const tx = iface.parseTransaction({ data: input });
+    if (tx) {
+      const prefix = to === getAddress(STAKING_PRECOMPILE) ? "" : `0x${to.slice(-4).toUpperCase()} `;
+      const mutating = tx.fragment.stateMutability !== "view" && tx.fragment.stateMutability !== "pure";
+      return { label: `${prefix}${tx.name}(${tx.args.map(String).join(", ")})`, mutating };
+    }
+  } else if (to === getAddress(STORAGE_PRECOMPILE)) {
+    const data = input.toLowerCase();
+    if (data === DRAND_LAST_ROUND_KEY) return { label: "drand.lastStoredRound", mutating: false };
+    if (data.startsWith(DRAND_PULSES_PREFIX) && getBytes(data).length === 56) {
+      const round = Buffer.from(getBytes(data).slice(48)).readBigUInt64LE();
+      return { label: `drand.pulses(${round})`, mutating: false };
+    }
+    return { label: `storage ${input.slice(0, 18)}…`, mutating: false };
+  }
+  return { label: `0x${to.slice(-4).toUpperCase()} ${input.slice(0, 10)}`, mutating: false };
+}
+
+/**
+ * Record every eth_call to a precompile address made through `provider`. Patches its request/send in place,
+ * so everything already holding the provider (hre.ethers.provider, contracts) is recorded too.
+ * @param {{ request: Function, send?: Function }} provider EIP-1193 provider, e.g. hre.network.provider
+ * @param {{ addresses?: string[] }} [opts]
+ */
+function recordPrecompileCalls(provider, { addresses = PRECOMPILE_ADDRESSES } = {}) {
+  const watched = new Set(addresses.map(getAddress));
+  const responses = [];
+  const original = { request: provider.request, send: provider.send };
+  const request = (args) => original.request.call(provider, args);
+  let chainId = null;
+
+  async function blockOf(tag) {
+    if (typeof tag === "string" && tag.startsWith("0x")) return Number(tag);
+    if (typeof tag === "number") return tag;
+    return Number(await request({ method: "eth_blockNumber", params: [] }));
+  }
+
+  async function observe(method, params, call) {
+    const tx = params && params[0];
+    if (method !== "eth_call" || !tx || !tx.to || !watched.has(getAddress(tx.to))) return call();
+    if (chainId === null) chainId = Number(await request({ method: "eth_chainId", params: [] }));
+    const input = tx.data || tx.input || "0x";
+    const blockNumber = await blockOf(params[1]);
+    const { label, mutating } = describePrecompileCall(tx.to, input);
+    const base = { label, address: getAddress(tx.to), input, from: tx.from ? getAddress(tx.from) : null, blockNumber };
+    try {
+      const output = await call();
+      responses.push({ ...base, success: true, output, mutating, afterWrites: 0 });
+      return output;
+    } catch (e) {
+      const output = revertData(e) || (/revert/i.test(e.message || "") ? "0x" : null);
+      // Network errors are not answers
+      if (output !== null) responses.push({ ...base, success: false, output, mutating, afterWrites: 0 });
+      throw e;
+    }
+  }
+
+  provider.request = (args) => observe(args.method, args.params, () => request(args));
+  if (typeof original.send === "function") {
+    provider.send = (method, params) => observe(method, params, () => original.send.call(provider, method, params));
+  }
+
+  return {
+    responses,
+    /** @param {{ network?: string|null }} [meta] */
+    fixture({ network = null } = {}) {
+      return { version: FIXTURE_VERSION, network, chainId, capturedAt: new Date().toISOString(), responses: [...responses] };
+    },
+    stop() {
+      provider.request = original.request;
+      if (typeof original.send === "function") provider.send = original.send;
+    },
+  };
+}
+
+/**
+ * Record the current Hardhat run (scripts: RECORD_PRECOMPILES) and write the fixture to `file` when the
+ * process exits, however the script ends.
+ * @param {{ log?: (msg: string) => void }} [opts] log defaults to stderr, so script output stays parseable
+ */
+function recordPrecompileCallsToFile(hre, file, { log = (msg) => console.error(msg) } = {}) {
+  const recorder = recordPrecompileCalls(hre.network.provider);
+  process.on("exit", () => {
+    fs.writeFileSync(file, toJson(recorder.fixture({ network: hre.network.name }), 2) + "\n");
+    log(`Recorded ${recorder.responses.length} precompile call(s) into ${file}`);
+  });
+  return recorder;
+}
+
+function checkFixtureVersion(fixture) {
+  if (!fixture || !Array.isArray(fixture.responses)) throw new Error("Not a precompile fixture (no responses)");
+  if (fixture.version > FIXTURE_VERSION) throw new Error(`Fixture version ${fixture.version}; this checkout reads up to ${FIXTURE_VERSION}`);
+  return fixture;
+}
+
+function loadPrecompileFixture(file) {
+  return checkFixtureVersion(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+/**
+ * One response per (address, calldata, afterWrites): the one from the latest block, or the latest at or
+ * before `atBlock`. Among responses from the same block the last recorded wins.
+ * @param {RecordedResponse[]} responses
+ * @param {{ atBlock?: number }} [opts]
+ */
+function selectResponses(responses, { atBlock } = {}) {
+  const latest = new Map();
+  for (const r of responses) {
+    if (atBlock != null && r.blockNumber != null && r.blockNumber > atBlock) continue;
+    const key = `${getAddress(r.address)}:${r.input.toLowerCase()}:${r.afterWrites || 0}`;
+    const prev = latest.get(key);
+    if (!prev || (r.blockNumber ?? -1) >= (prev.blockNumber ?? -1)) latest.set(key, r);
+  }
+  return [...latest.values()];
+}
+
+/**
+ * Install the fixture's answers at every address it has responses for.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {{ responses: RecordedResponse[] }} fixture
+ * @param {{ atBlock?: number, overlay?: boolean }} [opts] overlay: load into the stand-ins already installed
+ *   (devnet) instead of replacing them; addresses without code still get a RecordedPrecompile
+ * @returns {Promise<string[]>} addresses given a fresh RecordedPrecompile (for removeRecordedPrecompiles)
+ */
+async function installRecordedPrecompiles(hre, fixture, { atBlock, overlay = false } = {}) {
+  const { ethers } = hre;
+  checkFixtureVersion(fixture);
+  const responses = selectResponses(fixture.responses, { atBlock });
+  const installed = [];
+  let runtimeCode = null;
+  for (const address of new Set(responses.map((r) => getAddress(r.address)))) {
+    if (overlay && (await ethers.provider.getCode(address)) !== "0x") continue;
+    if (runtimeCode === null) {
+      const template = await (await ethers.getContractFactory("RecordedPrecompile")).deploy();
+      await template.waitForDeployment();
+      runtimeCode = await ethers.provider.getCode(template.target);
+    }
+    await ethers.provider.send("hardhat_setCode", [address, runtimeCode]);
+    await (await (await ethers.getContractAt("RecordedPrecompile", address)).reset()).wait();
+    installed.push(address);
+  }
+  for (const r of responses) {
+    const standIn = await ethers.getContractAt("RecordedPrecompile", r.address);
+    await (await standIn.setResponse(r.input, r.afterWrites || 0, r.success, Boolean(r.mutating), r.output)).wait();
+  }
+  return installed;
+}
+
+async function removeRecordedPrecompiles(hre, addresses) {
+  for (const address of addresses) {
+    await (await (await hre.ethers.getContractAt("RecordedPrecompile", address)).reset()).wait();
+    await hre.ethers.provider.send("hardhat_setCode", [address, "0x"]);
+  }
+}
+
+module.exports = {
+  FIXTURE_VERSION,
+  PRECOMPILE_ADDRESSES,
+  describePrecompileCall,
+  recordPrecompileCalls,
+  recordPrecompileCallsToFile,
+  loadPrecompileFixture,
+  selectResponses,
+  installRecordedPrecompiles,
+  removeRecordedPrecompiles,
+};
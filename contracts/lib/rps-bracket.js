@@ -0,0 +1,160 @@
+/**
+ * Bracket explorer for RPS_Tournament: everything about one tournament's bracket in a single JSON-friendly
+ * object (rounds, byes, matches and their windows, each rpsRound's commit/reveal state, replays, drand seed
+ * round), and a terminal tree rendering of it. Feeds scripts/rps-bracket.js and GET /v1/tournaments/:id.
+ *
+ * Usage:
+ *   const bracket = await loadBracket(createRpsClient(address, provider), 1);
+ *   console.log(renderBracket(bracket));        // or toJson(bracket, 2) for dashboards
+ */
+const { matchWindow } = require("./rps-client");
+const { formatTao } = require("./format");
+
+/**
+ * @typedef {object} PlayerMove
+ * @property {string} player
+ * @property {boolean} committed
+ * @property {string} commitHash
+ * @property {number} choice
+ * @property {string} choiceName "None" until revealed
+ */
+
+/**
+ * @typedef {import("./rps-client").Match & {
+ *   state: "commit"|"reveal"|"resolvable"|"resolved",
+ *   commitBlocksLeft: number,
+ *   revealBlocksLeft: number,
+ *   replays: number,
+ *   moves: { rpsRound: number, playerA: PlayerMove, playerB: PlayerMove }[] | null,
+ * }} BracketMatch
+ */
+
+/**
+ * @typedef {object} Bracket
+ * @property {number} blockNumber block the state was read at
+ * @property {import("./rps-client").Tournament} tournament
+ * @property {string[]} players registration order
+ * @property {{ round: bigint, bye: string|null, matches: BracketMatch[] }[]} rounds
+ */
+
+function blocksLeft(endBlock, blockNumber) {
+  const left = BigInt(endBlock) - BigInt(blockNumber);
+  return left > 0n ? Number(left) : 0;
+}
+
+/**
+ * Read the whole bracket at one block (blockNumber, default the current head). Rounds are 0..currentRound (none
+ * while in Registration); each match lists every rpsRound played so far (replays after ties keep the earlier
+ * rounds' commits and reveals).
+ * @param {ReturnType<import("./rps-client").createRpsClient>} client
+ * @param {number|bigint} tournamentId
+ * @param {{ blockNumber?: number, moves?: boolean }} [opts] moves=false skips the commit/reveal reads
+ * @returns {Promise<Bracket|null>} null if the tournament does not exist
+ */
+async function loadBracket(client, tournamentId, { blockNumber, moves = true } = {}) {
+  const block = blockNumber != null ? blockNumber : await client.contract.runner.provider.getBlockNumber();
+  const at = { blockTag: block };
+  const t = await client.getTournament(tournamentId, at);
+  if (!t) return null;
+  const players = await client.getPlayers(tournamentId, t.config.maxPlayers, at);
+
+  async function loadMoves(m) {
+    const out = [];
+    for (let rr = 0; rr <= m.rpsRound; rr++) {
+      const [playerA, playerB] = await Promise.all([
+        client.getPlayerMove(tournamentId, m.round, m.matchIndex, rr, m.playerA, at),
+        client.getPlayerMove(tournamentId, m.round, m.matchIndex, rr, m.playerB, at),
+      ]);
+      out.push({ rpsRound: rr, playerA, playerB });
+    }
+    return out;
+  }
+
+  const rounds = [];
+  if (t.phaseName !== "Registration") {
+    for (let round = 0n; round <= t.currentRound; round++) {
+      const [matches, bye] = await Promise.all([client.getRoundMatches(tournamentId, round, at), client.getByePlayer(tournamentId, round, at)]);
+      if (matches.length === 0) break;
+      const detailed = [];
+      for (const m of matches) {
+        detailed.push({
+          ...m,
+          state: matchWindow(m, block),
+          commitBlocksLeft: blocksLeft(m.commitEndBlock, block),
+          revealBlocksLeft: blocksLeft(m.revealEndBlock, block),
+          replays: m.rpsRound,
+          moves: moves ? await loadMoves(m) : null,
+        });
+      }
+      rounds.push({ round, bye, matches: detailed });
+    }
+  }
+  return { blockNumber: Number(block), tournament: t, players, rounds };
+}
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+function moveLabel(move, addr) {
+  if (move.choiceName !== "None") return `${addr(move.player)} ${move.choiceName}`;
+  return `${addr(move.player)} ${move.committed ? "committed" : "no commit"}`;
+}
+
+function matchNode(m, addr) {
+  let state;
+  if (m.state === "resolved") state = `won by ${addr(m.winner)}`;
+  else if (m.state === "commit") state = `commit, ${m.commitBlocksLeft} blocks left`;
+  else if (m.state === "reveal") state = `reveal, ${m.revealBlocksLeft} blocks left`;
+  else state = "reveal window over, awaiting tryRevealMatch";
+  const children = (m.moves || []).map(({ rpsRound, playerA, playerB }) => {
+    const tie = playerA.choice !== 0 && playerA.choice === playerB.choice;
+    return { label: `rps ${rpsRound}: ${moveLabel(playerA, addr)}, ${moveLabel(playerB, addr)}${tie ? " (tie)" : ""}` };
+  });
+  if (m.state !== "resolved") {
+    children.push({ label: `drand seed round ${m.seedRound}${m.seedCompromised ? " (known during commit; refreshed at tiebreak)" : ""}` });
+  }
+  const replays = m.replays > 0 ? ` · ${m.replays} replay${m.replays === 1 ? "" : "s"}` : "";
+  return { label: `Match ${m.matchIndex}: ${addr(m.playerA)} vs ${addr(m.playerB)} · ${state}${replays}`, children };
+}
+
+function drawTree(nodes, prefix = "") {
+  const lines = [];
+  nodes.forEach((node, i) => {
+    const last = i === nodes.length - 1;
+    lines.push(`${prefix}${last ? "└─ " : "├─ "}${node.label}`);
+    if (node.children && node.children.length) lines.push(...drawTree(node.children, prefix + (last ? "   " : "│  ")));
+  });
+  return lines;
+}
+
+/**
+ * Terminal tree of a bracket from loadBracket.
+ * @param {Bracket} bracket
+ * @param {{ fullAddresses?: boolean }} [opts] addresses are shortened to 0x1234…abcd by default
+ * @returns {string}
+ */
+function renderBracket(bracket, { fullAddresses = false } = {}) {
+  const addr = (a) => (a ? (fullAddresses ? a : shortAddress(a)) : "-");
+  const { tournament: t, players, rounds } = bracket;
+  const cfg = t.config;
+  const header = [
+    `Tournament ${t.id} · ${t.phaseName} · round ${t.currentRound} · block ${bracket.blockNumber}`,
+    `  prize ${formatTao(t.prizePool)} TAO · entry ${formatTao(cfg.minEntry)} TAO · ${players.length}/${cfg.maxPlayers} players · ` +
+      `commit ${cfg.commitBlocks} / reveal ${cfg.revealBlocks} blocks · up to ${cfg.maxRPSRoundsPerMatch} RPS rounds per match`,
+  ];
+  if (t.winner) header.push(`  winner ${addr(t.winner)}${t.prizeClaimed ? " (prize claimed)" : ""}`);
+  const nodes = [{ label: `players: ${players.map(addr).join(", ") || "-"}` }];
+  for (const r of rounds) {
+    nodes.push({
+      label: `Round ${r.round}${r.bye ? ` · bye ${addr(r.bye)}` : ""}`,
+      children: r.matches.map((m) => matchNode(m, addr)),
+    });
+  }
+  return [...header, ...drawTree(nodes)].join("\n");
+}
+
+module.exports = {
+  loadBracket,
+  renderBracket,
+};
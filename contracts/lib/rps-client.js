@@ -0,0 +1,295 @@
+/**
+ * Client for RPS_Tournament. Works with any ethers v6 runner (Signer or Provider).
+ *
+ * Usage:
+ *   const { createRpsClient } = require("./lib");
+ *   const rps = createRpsClient(address, signer);
+ *   await rps.register(1);                        // pays the tournament's exact minEntry
+ *   const t = await rps.getTournament(1);
+ *   const matches = await rps.getRoundMatches(1, t.currentRound);
+ */
+const { Contract, ZeroAddress, ZeroHash } = require("ethers");
+const { RPS_TOURNAMENT_ABI } = require("./abi");
+const { RPS } = require("./constants");
+const { tournamentPhaseName, choiceName, parseChoice } = require("./format");
+
+/**
+ * @typedef {object} Tournament
+ * @property {bigint} id
+ * @property {number} phase
+ * @property {string} phaseName
+ * @property {string} creator
+ * @property {bigint} registrationEndBlock
+ * @property {bigint} prizePool
+ * @property {bigint} currentRound
+ * @property {bigint} roundStartBlock
+ * @property {string|null} winner
+ * @property {boolean} prizeClaimed
+ * @property {{ maxPlayers: number, maxRegBlocks: bigint, minEntry: bigint, commitBlocks: bigint, revealBlocks: bigint, maxRPSRoundsPerMatch: number }} config
+ */
+
+/**
+ * @typedef {object} Match
+ * @property {bigint} tournamentId
+ * @property {bigint} round
+ * @property {number} matchIndex
+ * @property {string} playerA
+ * @property {string} playerB
+ * @property {bigint} commitEndBlock
+ * @property {bigint} revealEndBlock
+ * @property {number} rpsRound
+ * @property {bigint} seedRound
+ * @property {boolean} seedCompromised
+ * @property {string|null} winner
+ */
+
+function orNull(address) {
+  return address === ZeroAddress ? null : address;
+}
+
+function decodeTournament(t, cfg) {
+  return {
+    id: t.id,
+    phase: Number(t.phase),
+    phaseName: tournamentPhaseName(t.phase),
+    creator: t.creator,
+    registrationEndBlock: t.registrationEndBlock,
+    prizePool: t.prizePool,
+    currentRound: t.currentRound,
+    roundStartBlock: t.roundStartBlock,
+    winner: orNull(t.winner),
+    prizeClaimed: t.prizeClaimed,
+    config: cfg && {
+      maxPlayers: Number(cfg.maxPlayers),
+      maxRegBlocks: cfg.maxRegBlocks,
+      minEntry: cfg.minEntry,
+      commitBlocks: cfg.commitBlocks,
+      revealBlocks: cfg.revealBlocks,
+      maxRPSRoundsPerMatch: Number(cfg.maxRPSRoundsPerMatch),
+    },
+  };
+}
+
+/** @returns {Match} */
+function decodeMatch(tournamentId, round, matchIndex, m) {
+  return {
+    tournamentId: BigInt(tournamentId),
+    round: BigInt(round),
+    matchIndex: Number(matchIndex),
+    playerA: m.playerA,
+    playerB: m.playerB,
+    commitEndBlock: m.commitEndBlock,
+    revealEndBlock: m.revealEndBlock,
+    rpsRound: Number(m.rpsRound),
+    seedRound: m.seedRound,
+    seedCompromised: m.seedCompromised,
+    winner: orNull(m.winner),
+  };
+}
+
+/**
+ * Which window a match is in at `blockNumber`, using the same boundaries as commitMove / revealMove / tryRevealMatch.
+ * @returns {"commit"|"reveal"|"resolvable"|"resolved"}
+ */
+function matchWindow(match, blockNumber) {
+  const b = BigInt(blockNumber);
+  if (match.winner) return "resolved";
+  if (b <= BigInt(match.commitEndBlock)) return "commit";
+  if (b <= BigInt(match.revealEndBlock)) return "reveal";
+  return "resolvable";
+}
+
+/**
+ * @param {string} address RPS_Tournament address
+ * @param {import("ethers").ContractRunner} runner Signer (for transactions) or Provider (read-only)
+ */
+function createRpsClient(address, runner) {
+  const contract = new Contract(address, RPS_TOURNAMENT_ABI, runner);
+
+  // ---------- views ----------
+
+  /** Number of tournaments created so far (ids are 1..count). */
+  async function getTournamentCount() {
+    return Number(await contract.nextTournamentId()) - 1;
+  }
+
+  // Reads take call overrides as their last argument, e.g. { blockTag } to read several of them at one block.
+
+  /** @returns {Promise<Tournament|null>} null if the id was never created */
+  async function getTournament(tournamentId, overrides = {}) {
+    const [t, cfg] = await Promise.all([contract.tournaments(tournamentId, overrides), contract.tournamentConfig(tournamentId, overrides)]);
+    if (t.id === 0n) return null;
+    return decodeTournament(t, cfg);
+  }
+
+  /** Read an address[] public getter (no length getter exists); stops at the first revert or after maxLen. */
+  async function readAddressArray(method, tournamentId, maxLen, overrides) {
+    const out = [];
+    for (let i = 0; i < maxLen; i++) {
+      try {
+        const value = await contract[method](tournamentId, i, overrides);
+        if (value === ZeroAddress) break;
+        out.push(value);
+      } catch (_) {
+        break;
+      }
+    }
+    return out;
+  }
+
+  async function getPlayers(tournamentId, maxPlayers = 16, overrides = {}) {
+    return readAddressArray("tournamentPlayers", tournamentId, maxPlayers, overrides);
+  }
+
+  async function getAdvancingPlayers(tournamentId, maxPlayers = 16, overrides = {}) {
+    return readAddressArray("tournamentAdvancingPlayers", tournamentId, maxPlayers, overrides);
+  }
+
+  async function getByePlayer(tournamentId, round, overrides = {}) {
+    return orNull(await contract.tournamentByePlayer(tournamentId, round, overrides));
+  }
+
+  /** @returns {Promise<Match>} */
+  async function getMatch(tournamentId, round, matchIndex, overrides = {}) {
+    return decodeMatch(tournamentId, round, matchIndex, await contract.matches(tournamentId, round, matchIndex, overrides));
+  }
+
+  /** @returns {Promise<Match[]>} */
+  async function getRoundMatches(tournamentId, round, overrides = {}) {
+    const count = Number(await contract.tournamentMatchCount(tournamentId, round, overrides));
+    return Promise.all(Array.from({ length: count }, (_, i) => getMatch(tournamentId, round, i, overrides)));
+  }
+
+  /** One player's commit hash and revealed choice for an rpsRound of a match. */
+  async function getPlayerMove(tournamentId, round, matchIndex, rpsRound, player, overrides = {}) {
+    const [hash, choice] = await Promise.all([
+      contract.commitHash(tournamentId, round, matchIndex, rpsRound, player, overrides),
+      contract.revealedChoice(tournamentId, round, matchIndex, rpsRound, player, overrides),
+    ]);
+    return { player, committed: hash !== ZeroHash, commitHash: hash, choice: Number(choice), choiceName: choiceName(choice) };
+  }
+
+  /**
+   * Commit/reveal status of both players for the match's current (or given) rpsRound.
+   * Commit hashes are zero until committed; choices are "None" until revealed.
+   */
+  async function getMoveStatus(tournamentId, round, matchIndex, rpsRound) {
+    const m = await getMatch(tournamentId, round, matchIndex);
+    const rr = rpsRound != null ? rpsRound : m.rpsRound;
+    const [a, b] = await Promise.all([
+      getPlayerMove(tournamentId, round, matchIndex, rr, m.playerA),
+      getPlayerMove(tournamentId, round, matchIndex, rr, m.playerB),
+    ]);
+    return { match: m, rpsRound: rr, playerA: a, playerB: b };
+  }
+
+  async function getLiabilities() {
+    const [accumulatedFees, totalPrizeLiability, totalPendingWithdrawalLiability] = await Promise.all([
+      contract.accumulatedFees(),
+      contract.totalPrizeLiability(),
+      contract.totalPendingWithdrawalLiability(),
+    ]);
+    return { accumulatedFees, totalPrizeLiability, totalPendingWithdrawalLiability };
+  }
+
+  async function getPendingWithdrawal(user) {
+    return contract.pendingWithdrawals(user);
+  }
+
+  // ---------- transactions ----------
+
+  /** Uses the 3-arg createTournament overload (commit/reveal windows are fixed by the contract). */
+  function createTournament(maxPlayers, maxRegBlocks = RPS.MAX_REG_BLOCKS, minEntry = RPS.MIN_ENTRY, overrides = {}) {
+    return contract["createTournament(uint8,uint256,uint256)"](maxPlayers, maxRegBlocks, minEntry, overrides);
+  }
+
+  /** Registers with the exact entry the contract requires (looked up unless overrides.value is given). */
+  async function register(tournamentId, overrides = {}) {
+    const value = overrides.value != null ? overrides.value : (await contract.tournamentConfig(tournamentId)).minEntry;
+    return contract.register(tournamentId, { ...overrides, value });
+  }
+
+  function unregister(tournamentId, overrides = {}) {
+    return contract.unregister(tournamentId, overrides);
+  }
+
+  function startTournament(tournamentId, overrides = {}) {
+    return contract.startTournament(tournamentId, overrides);
+  }
+
+  function commitMove(tournamentId, round, matchIndex, commitHash, overrides = {}) {
+    return contract.commitMove(tournamentId, round, matchIndex, commitHash, overrides);
+  }
+
+  /**
+   * @param {string|number} choice "Rock" | "Paper" | "Scissors" | 1..3
+   * @param {string} salt bytes32 used when building the commit hash
+   */
+  function revealMove(tournamentId, round, matchIndex, choice, salt, overrides = {}) {
+    return contract.revealMove(tournamentId, round, matchIndex, parseChoice(choice), salt, overrides);
+  }
+
+  function tryRevealMatch(tournamentId, round, matchIndex, overrides = {}) {
+    return contract.tryRevealMatch(tournamentId, round, matchIndex, overrides);
+  }
+
+  function claimPrize(tournamentId, overrides = {}) {
+    return contract.claimPrize(tournamentId, overrides);
+  }
+
+  function withdrawPending(overrides = {}) {
+    return contract.withdrawPending(overrides);
+  }
+
+  function cancelTournament(tournamentId, overrides = {}) {
+    return contract.cancelTournament(tournamentId, overrides);
+  }
+
+  function cancelUnstartableTournament(tournamentId, overrides = {}) {
+    return contract.cancelUnstartableTournament(tournamentId, overrides);
+  }
+
+  function cancelStalledTournament(tournamentId, overrides = {}) {
+    return contract.cancelStalledTournament(tournamentId, overrides);
+  }
+
+  function flushFeesToSubnetAndBurn(overrides = {}) {
+    return contract.flushFeesToSubnetAndBurn(overrides);
+  }
+
+  return {
+    address,
+    contract,
+    getTournamentCount,
+    getTournament,
+    getPlayers,
+    getAdvancingPlayers,
+    getByePlayer,
+    getMatch,
+    getRoundMatches,
+    getPlayerMove,
+    getMoveStatus,
+    getLiabilities,
+    getPendingWithdrawal,
+    createTournament,
+    register,
+    unregister,
+    startTournament,
+    commitMove,
+    revealMove,
+    tryRevealMatch,
+    claimPrize,
+    withdrawPending,
+    cancelTournament,
+    cancelUnstartableTournament,
+    cancelStalledTournament,
+    flushFeesToSubnetAndBurn,
+  };
+}
+
+module.exports = {
+  createRpsClient,
+  decodeTournament,
+  decodeMatch,
+  matchWindow,
+};
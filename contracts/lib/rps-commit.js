@@ -0,0 +1,192 @@
+/**
+ * RPS commit-reveal helpers. The hash must be built exactly like RPS_Tournament.revealMove checks it:
+ *   keccak256(abi.encode(tournamentId, round, matchIndex, rpsRound, player, uint8(choice), salt))
+ */
+const { AbiCoder, keccak256, hexlify, randomBytes, getAddress } = require("ethers");
+const { parseChoice, choiceName, revertName } = require("./format");
+const { matchWindow } = require("./rps-client");
+
+const COMMIT_TYPES = ["uint256", "uint256", "uint256", "uint256", "address", "uint8", "bytes32"];
+
+/** Fresh 32-byte salt as 0x-hex. */
+function randomSalt() {
+  return hexlify(randomBytes(32));
+}
+
+/**
+ * @param {object} p
+ * @param {bigint|number} p.tournamentId
+ * @param {bigint|number} p.round tournament round (Tournament.currentRound)
+ * @param {bigint|number} p.matchIndex
+ * @param {bigint|number} p.rpsRound replay counter of the match (Match.rpsRound)
+ * @param {string} p.player address that will call commitMove / revealMove
+ * @param {string|number} p.choice "Rock" | "Paper" | "Scissors" | 1..3
+ * @param {string} p.salt bytes32
+ * @returns {string} bytes32 commit hash
+ */
+function computeCommitHash({ tournamentId, round, matchIndex, rpsRound, player, choice, salt }) {
+  return keccak256(
+    AbiCoder.defaultAbiCoder().encode(COMMIT_TYPES, [
+      tournamentId,
+      round,
+      matchIndex,
+      rpsRound,
+      getAddress(player),
+      parseChoice(choice),
+      salt,
+    ])
+  );
+}
+
+/**
+ * Vault key for one commit slot. Includes contract and player so one vault can serve several of both.
+ */
+function commitKey({ contract, player, tournamentId, round, matchIndex, rpsRound }) {
+  return [getAddress(contract), getAddress(player), tournamentId, round, matchIndex, rpsRound].map(String).join(":");
+}
+
+/**
+ * Commit now, reveal later without ever losing the salt.
+ * The vault entry is written before the commit transaction is sent, so a crash between the two
+ * still leaves enough to reveal. Vault is any object with has/get/add/update/remove/entries
+ * (see lib/salt-vault.js).
+ *
+ * @param {object} opts
+ * @param {ReturnType<import("./rps-client").createRpsClient>} opts.rps client bound to the player's signer
+ * @param {object} opts.vault
+ * @param {string} opts.player address of the rps client's signer
+ * @param {number} [opts.warnBlocks=3] warn when the commit would land this close to commitEndBlock
+ * @param {(msg: string) => void} [opts.warn]
+ */
+function createMoveManager({ rps, vault, player, warnBlocks = 3, warn = (msg) => console.warn(msg) }) {
+  player = getAddress(player);
+  const contractAddress = getAddress(rps.address);
+  const provider = rps.contract.runner.provider || rps.contract.runner;
+
+  /** Current-round match index of `player`, or null if they have no match (bye or eliminated). */
+  async function findMatchIndex(tournamentId, round) {
+    const matches = await rps.getRoundMatches(tournamentId, round);
+    const mine = matches.find((m) => m.playerA === player || m.playerB === player);
+    return mine ? mine.matchIndex : null;
+  }
+
+  /**
+   * Commit `choice` for the player's match. Round defaults to the tournament's current round and
+   * matchIndex to the player's match in it. Refuses to commit twice for the same slot.
+   * @returns {Promise<{ key: string, commitHash: string, tx: import("ethers").TransactionResponse }>}
+   */
+  async function commit(tournamentId, choice, { round, matchIndex, overrides = {} } = {}) {
+    if (round == null) round = (await rps.getTournament(tournamentId)).currentRound;
+    if (matchIndex == null) matchIndex = await findMatchIndex(tournamentId, round);
+    if (matchIndex == null) throw new Error(`${player} has no match in tournament ${tournamentId} round ${round}`);
+
+    const status = await rps.getMoveStatus(tournamentId, round, matchIndex);
+    const match = status.match;
+    if (match.playerA !== player && match.playerB !== player) throw new Error(`${player} is not in match ${matchIndex}`);
+    const slot = { contract: contractAddress, player, tournamentId, round, matchIndex: Number(matchIndex), rpsRound: match.rpsRound };
+    const key = commitKey(slot);
+    if (vault.has(key)) throw new Error(`Already committed for ${key} (vault entry exists)`);
+    if ((match.playerA === player ? status.playerA : status.playerB).committed) {
+      throw new Error(`Already committed on-chain for ${key}`);
+    }
+
+    // the transaction lands in the next block at the earliest
+    const blocksLeft = match.commitEndBlock - BigInt(await provider.getBlockNumber()) - 1n;
+    if (blocksLeft < 0n) throw new Error(`Commit window closed at block ${match.commitEndBlock}`);
+    if (blocksLeft < BigInt(warnBlocks)) {
+      warn(`Warning: only ${blocksLeft} block(s) left before commitEndBlock ${match.commitEndBlock}; commit may miss the window`);
+    }
+
+    const salt = randomSalt();
+    const commitHash = computeCommitHash({ ...slot, choice, salt });
+    vault.add(key, {
+      ...slot,
+      tournamentId: String(tournamentId),
+      round: String(round),
+      choice: choiceName(parseChoice(choice)),
+      salt,
+      commitHash,
+      commitEndBlock: String(match.commitEndBlock),
+      revealEndBlock: String(match.revealEndBlock),
+      createdAt: new Date().toISOString(),
+    });
+    let tx;
+    try {
+      tx = await rps.commitMove(tournamentId, round, matchIndex, commitHash, overrides);
+    } catch (e) {
+      // a decoded revert comes from gas estimation, so nothing was broadcast and the slot is still free
+      if (revertName(e)) vault.remove(key);
+      throw e;
+    }
+    vault.update(key, { commitTx: tx.hash });
+    return { key, commitHash, tx };
+  }
+
+  /**
+   * Reveal every unrevealed vault entry of this player/contract whose match is in its reveal window.
+   * Entries whose match moved on (resolved, replayed or reveal window missed) are marked stale.
+   * @returns {Promise<Array<{ key: string, status: "revealed"|"waiting"|"stale"|"failed", txHash?: string, error?: Error }>>}
+   */
+  async function revealDue() {
+    const results = [];
+    const block = await provider.getBlockNumber();
+    for (const [key, e] of vault.entries()) {
+      if (!isPending(e)) continue;
+      let status;
+      try {
+        status = await rps.getMoveStatus(e.tournamentId, e.round, e.matchIndex, e.rpsRound);
+      } catch (error) {
+        // left pending: the next call retries it
+        results.push({ key, status: "failed", error });
+        continue;
+      }
+      const mine = status.match.playerA === player ? status.playerA : status.playerB;
+      if (mine.choice !== 0) {
+        // revealed by another process or by hand
+        vault.update(key, { revealed: true });
+        results.push({ key, status: "revealed" });
+        continue;
+      }
+      // a replay (tie) or resolution moves the match past this rpsRound; the salt is no longer usable
+      const window = status.match.rpsRound === Number(e.rpsRound) ? matchWindow(status.match, block) : "resolved";
+      if (window === "commit") {
+        results.push({ key, status: "waiting" });
+        continue;
+      }
+      if (window !== "reveal" || mine.commitHash !== e.commitHash) {
+        vault.update(key, { stale: true });
+        results.push({ key, status: "stale" });
+        continue;
+      }
+      try {
+        const tx = await rps.revealMove(e.tournamentId, e.round, e.matchIndex, e.choice, e.salt);
+        vault.update(key, { revealed: true, revealTx: tx.hash });
+        results.push({ key, status: "revealed", txHash: tx.hash });
+      } catch (error) {
+        results.push({ key, status: "failed", error });
+      }
+    }
+    return results;
+  }
+
+  function isPending(e) {
+    return !e.revealed && !e.stale && e.contract === contractAddress && e.player === player;
+  }
+
+  /** Vault entries of this player/contract that still need a reveal. */
+  function pending() {
+    return vault
+      .entries()
+      .filter(([, e]) => isPending(e))
+      .map(([key, e]) => ({ key, ...e }));
+  }
+
+  return { findMatchIndex, commit, revealDue, pending };
+}
+
+module.exports = {
+  randomSalt,
+  computeCommitHash,
+  commitKey,
+  createMoveManager,
+};
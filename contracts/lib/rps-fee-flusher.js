@@ -0,0 +1,274 @@
+/**
+ * Scheduled RPS_Tournament fee flush: calls the permissionless flushFeesToSubnetAndBurn once the fees it would
+ * stake reach a threshold, and checks that it actually did something.
+ *
+ *   below-threshold   flushable fees under the threshold; nothing recorded
+ *   blocked           fees reach the threshold but nothing is flushable (liabilities eat the balance, sub-RAO dust)
+ *   preflight-failed  getTotalAlphaStaked on the sn38 hotkey or estimateGas of the flush failed; not sent
+ *   failed            the flush transaction reverted
+ *   no-op             mined without FeesFlushedToSn38AndBurned: no alpha came back, or the flush returned early
+ *   suspicious        the event was emitted but its amounts do not add up (TAO vs fees, alpha per TAO out of range)
+ *   flushed           event emitted, fees reduced by exactly the TAO staked, alpha within range
+ *   dry-run           preflight passed; the flush was only simulated
+ *
+ * Every outcome but below-threshold is appended to a JSONL ledger. Anything other than flushed / dry-run runs
+ * the diagnose checks (diagnoseFlush, also used by scripts/diagnose-rps-flush.js) and records them with it.
+ * Node only (fs); not re-exported from lib/index.js.
+ *
+ * Usage:
+ *   const flusher = createFeeFlusher({ client, sender, thresholdWei: parseTao("1"), ledgerFile: "./rps-flush-ledger.jsonl" });
+ *   await flusher.tick();                // one check (and flush), or
+ *   await flusher.run({ pollMs: 3600000 });
+ */
+const fs = require("fs");
+const path = require("path");
+const { Contract, ZeroHash } = require("ethers");
+const { STAKING_PRECOMPILE, NETUID_SN38, WEI_PER_RAO } = require("./constants");
+const { STAKING_ABI } = require("./abi");
+const { formatTao, fmtErr, toJson } = require("./format");
+
+/**
+ * What flushFeesToSubnetAndBurn would stake right now, as computed on chain. Pure.
+ * @param {{ accumulatedFees: bigint, totalPrizeLiability: bigint, totalPendingWithdrawalLiability: bigint }} l
+ * @param {bigint} balance contract balance
+ * @returns {{ freeWei: bigint, flushableWei: bigint, amountRao: bigint }} amountRao 0 = the flush is a no-op
+ */
+function rpsFlushable(l, balance) {
+  const liabilities = l.totalPrizeLiability + l.totalPendingWithdrawalLiability;
+  const freeWei = balance > liabilities ? balance - liabilities : 0n;
+  const amountRao = (l.accumulatedFees < freeWei ? l.accumulatedFees : freeWei) / WEI_PER_RAO;
+  return { freeWei, flushableWei: amountRao * WEI_PER_RAO, amountRao };
+}
+
+/**
+ * Everything that makes flushFeesToSubnetAndBurn do nothing or revert, checked one by one.
+ * @param {object} opts
+ * @param {ReturnType<import("./rps-client").createRpsClient>} opts.client
+ * @param {string} [opts.from] caller to estimate the flush from
+ * @param {import("ethers").BlockTag} [opts.blockTag]
+ * @returns {Promise<Array<{ name: string, ok: boolean, detail: string }>>}
+ */
+async function diagnoseFlush({ client, from, blockTag = "latest" }) {
+  const contract = client.contract;
+  const provider = contract.runner.provider || contract.runner;
+  const staking = new Contract(STAKING_PRECOMPILE, STAKING_ABI, provider);
+  const checks = [];
+  const check = (name, ok, detail) => checks.push({ name, ok, detail });
+
+  const [hotkey, l, balance] = await Promise.all([
+    contract.sn38OwnerHotkey({ blockTag }),
+    client.getLiabilities(),
+    provider.getBalance(client.address, blockTag),
+  ]);
+  const { freeWei, amountRao } = rpsFlushable(l, balance);
+  check("sn38OwnerHotkey", hotkey !== ZeroHash, hotkey);
+  check("accumulatedFees", l.accumulatedFees > 0n, `${formatTao(l.accumulatedFees)} TAO`);
+  check(
+    "free balance",
+    freeWei > 0n,
+    `balance ${formatTao(balance)} TAO - prizes ${formatTao(l.totalPrizeLiability)} - pending ${formatTao(l.totalPendingWithdrawalLiability)} = ${formatTao(freeWei)} TAO`,
+  );
+  check("flushable RAO", amountRao > 0n, amountRao > 0n ? `${amountRao} RAO` : "nothing, or only sub-RAO dust");
+  try {
+    const alpha = await staking.getTotalAlphaStaked(hotkey, NETUID_SN38, { blockTag });
+    check(`getTotalAlphaStaked(hotkey, ${NETUID_SN38})`, true, alpha.toString());
+  } catch (e) {
+    check(`getTotalAlphaStaked(hotkey, ${NETUID_SN38})`, false, fmtErr(e));
+  }
+  try {
+    const gas = await contract.flushFeesToSubnetAndBurn.estimateGas(from ? { from } : {});
+    check("flushFeesToSubnetAndBurn estimateGas", true, gas.toString());
+  } catch (e) {
+    check("flushFeesToSubnetAndBurn estimateGas", false, fmtErr(e));
+  }
+  return checks;
+}
+
+/**
+ * Check a mined flush against the state around it. Pure.
+ * @param {object} f
+ * @param {bigint} f.feesBefore accumulatedFees in the block before the flush
+ * @param {bigint} f.feesAfter accumulatedFees in the flush's block
+ * @param {{ taoAmount: bigint, alphaBurned: bigint } | null} f.event FeesFlushedToSn38AndBurned, if emitted
+ * @param {{ min?: number, max?: number }} [range] sane alpha per TAO staked (alpha and TAO both counted in RAO)
+ * @returns {{ outcome: "flushed"|"suspicious"|"no-op", problems: string[], alphaPerTao: number|null }}
+ */
+function verifyFlush({ feesBefore, feesAfter, event }, { min = 0, max = Infinity } = {}) {
+  const spent = feesBefore - feesAfter;
+  if (!event) {
+    const problem =
+      spent > 0n
+        ? `no FeesFlushedToSn38AndBurned event, but accumulatedFees fell by ${formatTao(spent)} TAO: staked without alpha to burn`
+        : "no FeesFlushedToSn38AndBurned event and accumulatedFees unchanged: the flush returned early";
+    return { outcome: "no-op", problems: [problem], alphaPerTao: null };
+  }
+  const problems = [];
+  if (event.taoAmount === 0n || event.taoAmount % WEI_PER_RAO !== 0n) problems.push(`taoAmount ${event.taoAmount} wei is not a positive whole number of RAO`);
+  if (spent !== event.taoAmount) problems.push(`accumulatedFees fell by ${formatTao(spent)} TAO, event reports ${formatTao(event.taoAmount)} TAO`);
+  const alphaPerTao = event.taoAmount > 0n ? Number(event.alphaBurned) / Number(event.taoAmount / WEI_PER_RAO) : null;
+  if (event.alphaBurned === 0n || alphaPerTao === null || alphaPerTao < min || alphaPerTao > max) {
+    problems.push(`${event.alphaBurned} alpha burned for ${formatTao(event.taoAmount)} TAO (${alphaPerTao} alpha/TAO, sane range ${min}..${max})`);
+  }
+  return { outcome: problems.length === 0 ? "flushed" : "suspicious", problems, alphaPerTao };
+}
+
+/** Append one entry to a JSONL ledger (directories are created). */
+function appendFlushLedger(file, entry) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.appendFileSync(file, toJson(entry) + "\n");
+}
+
+/** Ledger entries, oldest first (amounts stay decimal strings). [] if the file does not exist yet. */
+function readFlushLedger(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim() !== "")
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * @param {object} opts
+ * @param {ReturnType<import("./rps-client").createRpsClient>} opts.client read client
+ * @param {ReturnType<import("./tx-sender").createTxSender>} opts.sender
+ * @param {bigint} opts.thresholdWei flush once at least this much is flushable
+ * @param {string} [opts.ledgerFile] JSONL ledger; omitted = entries are only returned and logged
+ * @param {{ min?: number, max?: number }} [opts.alphaPerTao] sane alpha burned per TAO staked (default: any, as long as some)
+ * @param {(msg: string) => void} [opts.log]
+ */
+function createFeeFlusher({ client, sender, thresholdWei, ledgerFile, alphaPerTao, log = (msg) => console.log(msg) }) {
+  if (thresholdWei === undefined) throw new Error("createFeeFlusher: thresholdWei is required");
+  const contract = client.contract;
+  const provider = contract.runner.provider || contract.runner;
+  const staking = new Contract(STAKING_PRECOMPILE, STAKING_ABI, provider);
+  let stopped = false;
+
+  async function finish(entry, from) {
+    if (entry.outcome !== "flushed" && entry.outcome !== "dry-run") {
+      try {
+        entry.diagnosis = await diagnoseFlush({ client, from });
+      } catch (e) {
+        entry.diagnosis = [{ name: "diagnose", ok: false, detail: fmtErr(e) }];
+      }
+    }
+    if (ledgerFile) appendFlushLedger(ledgerFile, entry);
+    log(`flush ${entry.outcome}${entry.txHash ? ` (${entry.txHash})` : ""}`);
+    for (const p of entry.problems) log(`  ${p}`);
+    for (const c of (entry.diagnosis || []).filter((x) => !x.ok)) log(`  check failed: ${c.name}: ${c.detail}`);
+    return entry;
+  }
+
+  /**
+   * Flush if due, verify and record.
+   * @returns {Promise<object>} the entry (also written to the ledger unless below-threshold)
+   */
+  async function tick() {
+    const from = await sender.getAddress();
+    const blockNumber = await provider.getBlockNumber();
+    const [l, balance, hotkey] = await Promise.all([
+      client.getLiabilities(),
+      provider.getBalance(client.address, blockNumber),
+      contract.sn38OwnerHotkey(),
+    ]);
+    const { flushableWei, amountRao } = rpsFlushable(l, balance);
+    const entry = {
+      at: new Date().toISOString(),
+      blockNumber,
+      outcome: null,
+      feesBefore: l.accumulatedFees,
+      flushableWei,
+      thresholdWei,
+      problems: [],
+    };
+
+    if (amountRao === 0n || flushableWei < thresholdWei) {
+      // Sub-RAO dust always stays behind in accumulatedFees, so only whole RAO count as blocked
+      if (l.accumulatedFees >= thresholdWei && l.accumulatedFees >= WEI_PER_RAO) {
+        entry.outcome = "blocked";
+        entry.problems.push(`${formatTao(l.accumulatedFees)} TAO of fees but only ${formatTao(flushableWei)} TAO flushable`);
+        return finish(entry, from);
+      }
+      entry.outcome = "below-threshold";
+      log(`${formatTao(flushableWei)} TAO flushable (threshold ${formatTao(thresholdWei)}); waiting`);
+      return entry;
+    }
+
+    // Preflight: the staking precompile answers for the sn38 hotkey, and the flush would not revert
+    try {
+      entry.alphaBefore = await staking.getTotalAlphaStaked(hotkey, NETUID_SN38);
+      entry.gasEstimate = await contract.flushFeesToSubnetAndBurn.estimateGas({ from });
+    } catch (e) {
+      entry.outcome = "preflight-failed";
+      entry.problems.push(fmtErr(e));
+      return finish(entry, from);
+    }
+
+    let res;
+    try {
+      res = await sender.send("flushFeesToSubnetAndBurn()", contract, "flushFeesToSubnetAndBurn");
+    } catch (e) {
+      entry.outcome = "failed";
+      entry.problems.push(fmtErr(e));
+      return finish(entry, from);
+    }
+    if (res.dryRun) {
+      entry.outcome = "dry-run";
+      return finish(entry, from);
+    }
+
+    const { receipt } = res;
+    const flushed = receipt.logs
+      .filter((log) => log.address.toLowerCase() === client.address.toLowerCase())
+      .map((log) => contract.interface.parseLog(log))
+      .find((ev) => ev && ev.name === "FeesFlushedToSn38AndBurned");
+    const event = flushed ? { taoAmount: flushed.args.taoAmount, alphaBurned: flushed.args.alphaBurned } : null;
+    const [feesBefore, feesAfter] = await Promise.all([
+      contract.accumulatedFees({ blockTag: receipt.blockNumber - 1 }),
+      contract.accumulatedFees({ blockTag: receipt.blockNumber }),
+    ]);
+    const verdict = verifyFlush({ feesBefore, feesAfter, event }, alphaPerTao);
+    Object.assign(entry, {
+      outcome: verdict.outcome,
+      problems: verdict.problems,
+      txHash: receipt.hash,
+      flushBlock: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      feesBefore,
+      feesAfter,
+      taoAmount: event ? event.taoAmount : 0n,
+      alphaBurned: event ? event.alphaBurned : 0n,
+      alphaPerTao: verdict.alphaPerTao,
+    });
+    return finish(entry, from);
+  }
+
+  /** Tick every `pollMs` until stop() is called (or maxTicks is reached). */
+  async function run({ pollMs = 3600000, maxTicks = Infinity, onTick } = {}) {
+    stopped = false;
+    for (let i = 0; i < maxTicks && !stopped; i++) {
+      try {
+        const entry = await tick();
+        if (onTick) onTick(entry);
+      } catch (e) {
+        log(`tick failed: ${fmtErr(e)}`);
+      }
+      if (i + 1 < maxTicks && !stopped) await new Promise((resolve) => setTimeout(resolve, pollMs));
+    }
+  }
+
+  function stop() {
+    stopped = true;
+  }
+
+  return { tick, run, stop };
+}
+
+module.exports = {
+  rpsFlushable,
+  diagnoseFlush,
+  verifyFlush,
+  appendFlushLedger,
+  readFlushLedger,
+  createFeeFlusher,
+};
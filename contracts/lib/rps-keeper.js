@@ -0,0 +1,234 @@
+/**
+ * Keeper for RPS_Tournament: submits every due transition so tournaments never wait on a human.
+ *
+ *   Registration, full or ended with >= 2 players  -> startTournament
+ *   Registration, ended with < 2 players           -> cancelTournament
+ *   Registration, stuck past registrationEnd + STALL_BLOCKS (drand down)  -> cancelUnstartableTournament
+ *   Active, match past revealEndBlock              -> tryRevealMatch (may resolve or replay the match, or move a
+ *                                                     compromised tiebreak seed to a future round)
+ *   Active, no progress for STALL_BLOCKS (drand down)                     -> cancelStalledTournament
+ *
+ * The cancel-on-stall transitions only succeed while drand is unavailable, so they are tried as
+ * fallbacks after a primary transition reverts with DrandUnavailable. A tournament that hit
+ * DrandUnavailable is backed off (exponentially, in wall-clock time) before it is retried.
+ */
+const { TOURNAMENT_PHASES, RPS } = require("./constants");
+const { revertName, fmtErr } = require("./format");
+
+const REGISTRATION = TOURNAMENT_PHASES.indexOf("Registration");
+const ACTIVE = TOURNAMENT_PHASES.indexOf("Active");
+
+// Reverts that only mean the state moved on since we read it; retried on the next tick.
+const RACE_ERRORS = new Set([
+  "NotRegistrationPhase",
+  "NotActive",
+  "InvalidRound",
+  "MatchAlreadyResolved",
+  "RevealPhaseNotEnded",
+  "CannotStart",
+  "CannotCancel",
+  "NotCancelableYet",
+  "DrandStillAvailable",
+]);
+
+/**
+ * Decide the due transitions of one tournament. Pure.
+ * @param {object} s
+ * @param {import("./rps-client").Tournament} s.tournament
+ * @param {number} s.playerCount
+ * @param {import("./rps-client").Match[]} s.matches current-round matches (Active only)
+ * @param {bigint|number} s.blockNumber
+ * @returns {{ actions: Array<{ label: string, method: string, args: Array, fallback: boolean }>, waitingOn: string, done: boolean }}
+ */
+function planTournament({ tournament: t, playerCount, matches = [], blockNumber }) {
+  const block = BigInt(blockNumber);
+  const stall = BigInt(RPS.STALL_BLOCKS);
+  const id = t.id;
+  const action = (method, args, fallback = false) => ({ label: `${method}(${args.join(", ")})`, method, args, fallback });
+
+  if (t.phase === REGISTRATION) {
+    const full = playerCount === t.config.maxPlayers;
+    const ended = block >= t.registrationEndBlock;
+    if (full || (ended && playerCount >= 2)) {
+      const actions = [action("startTournament", [id])];
+      if (block > t.registrationEndBlock + stall) actions.push(action("cancelUnstartableTournament", [id], true));
+      return { actions, waitingOn: `ready to start (${playerCount}/${t.config.maxPlayers} players)`, done: false };
+    }
+    if (ended) {
+      return { actions: [action("cancelTournament", [id])], waitingOn: `registration ended with ${playerCount} player(s)`, done: false };
+    }
+    return {
+      actions: [],
+      waitingOn: `registration open until block ${t.registrationEndBlock} (${playerCount}/${t.config.maxPlayers} players)`,
+      done: false,
+    };
+  }
+
+  if (t.phase === ACTIVE) {
+    const open = matches.filter((m) => !m.winner);
+    const due = open.filter((m) => block > m.revealEndBlock);
+    const actions = due.map((m) => action("tryRevealMatch", [id, t.currentRound, m.matchIndex]));
+    if (block > t.roundStartBlock + stall) actions.push(action("cancelStalledTournament", [id], true));
+
+    let waitingOn;
+    if (due.length > 0) waitingOn = `round ${t.currentRound}: ${due.length} match(es) ready to resolve`;
+    else if (open.length === 0) waitingOn = `round ${t.currentRound}: all matches resolved`;
+    else {
+      const next = open.reduce((a, m) => (m.revealEndBlock < a.revealEndBlock ? m : a));
+      const window = block <= next.commitEndBlock ? `commit until block ${next.commitEndBlock}` : `reveal until block ${next.revealEndBlock}`;
+      waitingOn = `round ${t.currentRound}: match ${next.matchIndex} in ${window}`;
+    }
+    return { actions, waitingOn, done: false };
+  }
+
+  return { actions: [], waitingOn: t.phaseName.toLowerCase(), done: true };
+}
+
+/** Human-readable summary of the RPS events in a receipt (MatchReplayed, MatchResolved, ...). */
+function describeReceipt(contract, receipt) {
+  const out = [];
+  for (const log of receipt.logs) {
+    let ev;
+    try {
+      ev = contract.interface.parseLog(log);
+    } catch (_) {
+      continue;
+    }
+    if (!ev) continue;
+    const a = ev.args;
+    if (ev.name === "MatchReplayed") {
+      out.push(`match ${a.matchIndex} tied, replayed as rpsRound ${a.newRpsRound} (commit until ${a.commitEndBlock}, reveal until ${a.revealEndBlock})`);
+    } else if (ev.name === "TiebreakSeedRefreshed") {
+      out.push(`match ${a.matchIndex} tiebreak seed was known during commit, moved to drand round ${a.newSeedRound}`);
+    } else if (ev.name === "MatchResolved") out.push(`match ${a.matchIndex} won by ${a.winner}`);
+    else if (ev.name === "RoundAdvanced") out.push(`advanced to round ${a.newRound}`);
+    else if (ev.name === "TournamentCompleted") out.push(`tournament won by ${a.winner}`);
+    else if (ev.name === "TournamentStarted") out.push(`started with ${a.playerCount} players`);
+    else if (ev.name === "TournamentCanceled") out.push("canceled; entries refundable via withdrawPending");
+  }
+  return out;
+}
+
+/**
+ * @param {object} opts
+ * @param {ReturnType<import("./rps-client").createRpsClient>} opts.client read client
+ * @param {ReturnType<import("./tx-sender").createTxSender>} opts.sender
+ * @param {number} [opts.backoffMs=30000] first delay after DrandUnavailable; doubles up to maxBackoffMs
+ * @param {number} [opts.maxBackoffMs=600000]
+ * @param {() => number} [opts.now=Date.now]
+ * @param {(msg: string) => void} [opts.log]
+ */
+function createRpsKeeper({ client, sender, backoffMs = 30000, maxBackoffMs = 600000, now = Date.now, log = (msg) => console.log(msg) }) {
+  const provider = client.contract.runner.provider || client.contract.runner;
+  const finished = new Set(); // Completed/Canceled ids never change again
+  const backoff = new Map(); // id -> { until, delay }
+  const status = new Map(); // id -> summary
+  let stopped = false;
+
+  function backOff(id) {
+    const prev = backoff.get(id);
+    const delay = prev ? Math.min(prev.delay * 2, maxBackoffMs) : backoffMs;
+    backoff.set(id, { until: now() + delay, delay });
+    return delay;
+  }
+
+  async function runAction(a) {
+    try {
+      const res = await sender.send(a.label, client.contract, a.method, a.args);
+      const events = res.receipt ? describeReceipt(client.contract, res.receipt) : [];
+      for (const e of events) log(`  ${e}`);
+      return { label: a.label, outcome: res.dryRun ? "dry-run" : "sent", events };
+    } catch (e) {
+      const name = revertName(e);
+      if (name === "DrandUnavailable") return { label: a.label, outcome: "drand-unavailable" };
+      if (RACE_ERRORS.has(name)) return { label: a.label, outcome: "raced", error: name };
+      return { label: a.label, outcome: "failed", error: fmtErr(e) };
+    }
+  }
+
+  async function processTournament(id, blockNumber) {
+    const tournament = await client.getTournament(id);
+    const [players, matches] = await Promise.all([
+      client.getPlayers(id, tournament.config.maxPlayers),
+      tournament.phase === ACTIVE ? client.getRoundMatches(id, tournament.currentRound) : [],
+    ]);
+    const plan = planTournament({ tournament, playerCount: players.length, matches, blockNumber });
+    const summary = { id, phaseName: tournament.phaseName, waitingOn: plan.waitingOn, backoffUntil: null, results: [] };
+
+    if (plan.done) {
+      finished.add(Number(id));
+      backoff.delete(id);
+    } else {
+      const b = backoff.get(id);
+      if (b && now() < b.until) {
+        summary.waitingOn = `drand unavailable; retrying in ${Math.ceil((b.until - now()) / 1000)}s (${plan.waitingOn})`;
+        summary.backoffUntil = new Date(b.until).toISOString();
+      } else {
+        const primary = plan.actions.filter((a) => !a.fallback);
+        for (const a of primary) summary.results.push(await runAction(a));
+        const drandDown = summary.results.some((r) => r.outcome === "drand-unavailable");
+        if (drandDown || primary.length === 0) {
+          for (const a of plan.actions.filter((x) => x.fallback)) summary.results.push(await runAction(a));
+        }
+        if (drandDown && !summary.results.some((r) => r.outcome === "sent")) {
+          const delay = backOff(id);
+          summary.waitingOn = `drand unavailable; backing off ${Math.round(delay / 1000)}s (${plan.waitingOn})`;
+          summary.backoffUntil = new Date(backoff.get(id).until).toISOString();
+        } else if (summary.results.some((r) => r.outcome === "sent")) {
+          backoff.delete(id);
+        }
+      }
+    }
+    status.set(id, summary);
+    return summary;
+  }
+
+  /**
+   * Scan every unfinished tournament once and submit its due transitions.
+   * @returns {Promise<Array<{ id: bigint, phaseName: string, waitingOn: string, backoffUntil: string|null, results: Array }>>}
+   */
+  async function tick() {
+    const [count, blockNumber] = await Promise.all([client.getTournamentCount(), provider.getBlockNumber()]);
+    const out = [];
+    for (let i = 1; i <= count; i++) {
+      if (finished.has(i)) continue;
+      try {
+        out.push(await processTournament(BigInt(i), blockNumber));
+      } catch (e) {
+        log(`tournament ${i}: read failed: ${fmtErr(e)}`);
+      }
+    }
+    return out;
+  }
+
+  /** Last known summary of every tournament that is not finished yet. */
+  function getStatus() {
+    return [...status.values()].filter((s) => !finished.has(Number(s.id)));
+  }
+
+  /** Tick every `pollMs` until stop() is called (or maxTicks is reached). */
+  async function run({ pollMs = 6000, maxTicks = Infinity, onTick } = {}) {
+    stopped = false;
+    for (let i = 0; i < maxTicks && !stopped; i++) {
+      try {
+        const summaries = await tick();
+        if (onTick) onTick(summaries);
+      } catch (e) {
+        log(`tick failed: ${fmtErr(e)}`);
+      }
+      if (i + 1 < maxTicks && !stopped) await new Promise((resolve) => setTimeout(resolve, pollMs));
+    }
+  }
+
+  function stop() {
+    stopped = true;
+  }
+
+  return { tick, run, stop, getStatus };
+}
+
+module.exports = {
+  planTournament,
+  describeReceipt,
+  createRpsKeeper,
+};
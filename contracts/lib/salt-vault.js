@@ -0,0 +1,104 @@
+/**
+ * Encrypted local store for RPS choice + salt, so a crashed or restarted client can still reveal.
+ * Node only (fs/crypto); not re-exported from lib/index.js so frontend bundles don't pull it in.
+ *
+ * File format (JSON): { version, kdf: { salt, N, r, p }, iv, tag, data } where data is the
+ * AES-256-GCM ciphertext of the JSON entries object and the key is scrypt(passphrase).
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const VAULT_VERSION = 1;
+const DEFAULT_VAULT_PATH = path.join(os.homedir(), ".tao-colosseum", "rps-salt-vault.json");
+const SCRYPT = { N: 16384, r: 8, p: 1 };
+
+function deriveKey(passphrase, salt, kdf) {
+  return crypto.scryptSync(passphrase, salt, 32, { N: kdf.N, r: kdf.r, p: kdf.p });
+}
+
+function encrypt(entries, passphrase) {
+  const kdfSalt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = deriveKey(passphrase, kdfSalt, SCRYPT);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(entries), "utf8"), cipher.final()]);
+  return {
+    version: VAULT_VERSION,
+    kdf: { salt: kdfSalt.toString("hex"), ...SCRYPT },
+    iv: iv.toString("hex"),
+    tag: cipher.getAuthTag().toString("hex"),
+    data: data.toString("hex"),
+  };
+}
+
+function decrypt(file, passphrase) {
+  if (file.version !== VAULT_VERSION) throw new Error(`Unsupported salt vault version: ${file.version}`);
+  const key = deriveKey(passphrase, Buffer.from(file.kdf.salt, "hex"), file.kdf);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(file.iv, "hex"));
+  decipher.setAuthTag(Buffer.from(file.tag, "hex"));
+  try {
+    const plain = Buffer.concat([decipher.update(Buffer.from(file.data, "hex")), decipher.final()]);
+    return JSON.parse(plain.toString("utf8"));
+  } catch (_) {
+    throw new Error("Cannot decrypt salt vault: wrong passphrase or corrupted file");
+  }
+}
+
+/**
+ * Open (or create on first write) an encrypted vault.
+ * @param {object} [opts]
+ * @param {string} [opts.path] defaults to ~/.tao-colosseum/rps-salt-vault.json
+ * @param {string} opts.passphrase
+ */
+function openSaltVault({ path: vaultPath = DEFAULT_VAULT_PATH, passphrase } = {}) {
+  if (!passphrase) throw new Error("Salt vault passphrase is required");
+  let entries = {};
+  if (fs.existsSync(vaultPath)) {
+    entries = decrypt(JSON.parse(fs.readFileSync(vaultPath, "utf8")), passphrase);
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(vaultPath), { recursive: true });
+    // write-then-rename so a crash never leaves a half-written vault (and a lost salt)
+    const tmp = `${vaultPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(encrypt(entries, passphrase), null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, vaultPath);
+  }
+
+  return {
+    path: vaultPath,
+    has(key) {
+      return Object.prototype.hasOwnProperty.call(entries, key);
+    },
+    get(key) {
+      return entries[key] || null;
+    },
+    /** Insert a new entry; refuses to overwrite (one commit per slot). */
+    add(key, entry) {
+      if (this.has(key)) throw new Error(`Salt vault already has an entry for ${key}`);
+      entries[key] = entry;
+      save();
+    },
+    /** Merge fields into an existing entry. */
+    update(key, fields) {
+      if (!this.has(key)) throw new Error(`Salt vault has no entry for ${key}`);
+      entries[key] = { ...entries[key], ...fields };
+      save();
+    },
+    remove(key) {
+      delete entries[key];
+      save();
+    },
+    /** @returns {Array<[string, object]>} */
+    entries() {
+      return Object.entries(entries);
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_VAULT_PATH,
+  openSaltVault,
+};
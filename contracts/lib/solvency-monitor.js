@@ -0,0 +1,325 @@
+/**
+ * Solvency monitor: reconciles what TAOColosseum and RPS_Tournament hold against what they owe, and raises alerts
+ * that sinks (lib/alert-sinks.js: stdout JSON, webhook, file) forward to operators.
+ *
+ *   TAOColosseum    owes accumulatedFees, gameBalance + gameFees of every game still in Betting / Calculating, and
+ *                   every unclaimed win / late refund / cancel refund of Resolved and Finalized games, derived from
+ *                   sideBets with estimateClaim. Rounding dust _claimWinnings strands in a resolved game is explained.
+ *   RPS_Tournament  owes totalPrizeLiability + totalPendingWithdrawalLiability + accumulatedFees; the sum of the
+ *                   tournaments' prizePool must equal totalPrizeLiability.
+ *
+ *   shortfall       contract balance below what it owes (critical): some claim or withdrawal will revert
+ *   surplus         balance above what it owes plus explained dust by more than toleranceWei (warning): forced
+ *                   transfers, or accounting that forgot a liability
+ *   game-mismatch   a game's gameBalance + gameFees differs from what its bettors can claim (critical when short:
+ *                   claims revert InsufficientGameBalance)
+ *   ledger-mismatch RPS totalPrizeLiability differs from the sum of prize pools (critical)
+ *
+ * Alerts are edge-triggered like lib/drand-monitor.js: an "alert" event when a condition starts (or changes
+ * severity), a "resolved" event when it clears. Pure assessment (assessSolvency) is separate from the chain reads.
+ *
+ * Usage:
+ *   const monitor = createSolvencyMonitor({ provider, colosseum, rps, sinks: [createStdoutSink()] });
+ *   await monitor.check();               // one snapshot + assessment, or
+ *   await monitor.run({ pollMs: 60000 });
+ */
+const { GAME_PHASES, TOURNAMENT_PHASES } = require("./constants");
+const { formatTao, fmtErr } = require("./format");
+const { decodeGame, decodeSideBet } = require("./colosseum-client");
+const { estimateClaim } = require("./colosseum-math");
+
+const BETTING = GAME_PHASES.indexOf("Betting");
+const CALCULATING = GAME_PHASES.indexOf("Calculating");
+const CANCELED = TOURNAMENT_PHASES.indexOf("Canceled");
+const COMPLETED = TOURNAMENT_PHASES.indexOf("Completed");
+
+/**
+ * @typedef {object} GameLedger
+ * @property {bigint} id
+ * @property {string} phaseName
+ * @property {boolean} open Betting or Calculating: bets are still held in gameBalance + gameFees
+ * @property {bigint} gameBalance
+ * @property {bigint} gameFees
+ * @property {bigint} owed what the bettors can still claim (open games: their unclaimed stakes)
+ * @property {bigint} dust rounding remainder of a resolved game's winnings that nobody can claim
+ * @property {number} positions (bettor, side) positions with a stake
+ * @property {number} unclaimed positions that still have a payout (or, open games, a stake)
+ */
+
+/**
+ * @typedef {object} SolvencySnapshot
+ * @property {number} blockNumber
+ * @property {null | { address: string, balance: bigint, accumulatedFees: bigint, games: GameLedger[] }} colosseum
+ * @property {null | { address: string, balance: bigint, accumulatedFees: bigint, totalPrizeLiability: bigint,
+ *   totalPendingWithdrawalLiability: bigint, prizePools: bigint, tournaments: number }} rps
+ */
+
+/**
+ * What one game's bettors can still claim, from its sideBets (pure).
+ * @param {object} game decoded Game
+ * @param {Array<{ side: number, bet: object }>} positions decoded SideBets with a stake
+ * @returns {{ owed: bigint, dust: bigint, unclaimed: number }}
+ */
+function gameLiability(game, positions) {
+  let owed = 0n;
+  let unclaimed = 0;
+  let paidOrOwedWinnings = 0n;
+  for (const { side, bet } of positions) {
+    if (game.phase === BETTING || game.phase === CALCULATING) {
+      if (!bet.claimed && bet.amount > 0n) {
+        owed += bet.amount;
+        unclaimed++;
+      }
+      continue;
+    }
+    const claim = estimateClaim(game, bet, side);
+    if (claim.payout > 0n) {
+      owed += claim.payout;
+      unclaimed++;
+    }
+    // Winnings of every winning position, claimed or not, to find what the floor divisions left behind
+    if (game.hasWinner) paidOrOwedWinnings += estimateClaim(game, { ...bet, claimed: false }, side).winnings;
+  }
+  const dust = game.hasWinner ? BigInt(game.validLiquidity) - paidOrOwedWinnings : 0n;
+  return { owed, dust, unclaimed };
+}
+
+/**
+ * Turn a snapshot into alerts. Pure.
+ * @param {SolvencySnapshot} s
+ * @param {object} [opts]
+ * @param {bigint} [opts.toleranceWei=0n] surplus beyond explained dust that is not alerted
+ * @returns {{ solvent: boolean, healthy: boolean,
+ *   colosseum: null | { balance: bigint, owed: bigint, dust: bigint, surplus: bigint },
+ *   rps: null | { balance: bigint, owed: bigint, surplus: bigint },
+ *   alerts: Array<{ key: string, type: string, severity: "warning"|"critical", message: string, details: object }> }}
+ */
+function assessSolvency(s, { toleranceWei = 0n } = {}) {
+  const alerts = [];
+  const alert = (key, severity, message, details = {}) => alerts.push({ key, type: key.split(":")[0], severity, message, details });
+  const tolerance = BigInt(toleranceWei);
+
+  function reconcile(name, key, balance, owed, explained, details) {
+    const surplus = balance - owed;
+    if (surplus < 0n) {
+      alert(`shortfall:${key}`, "critical", `${name} holds ${formatTao(balance)} TAO but owes ${formatTao(owed)} TAO (short ${formatTao(-surplus)})`, {
+        balance,
+        owed,
+        shortfall: -surplus,
+        ...details,
+      });
+    } else if (surplus - explained > tolerance) {
+      alert(`surplus:${key}`, "warning", `${name} holds ${formatTao(surplus - explained)} TAO more than it owes`, {
+        balance,
+        owed,
+        surplus: surplus - explained,
+        dust: explained,
+        ...details,
+      });
+    }
+    return surplus;
+  }
+
+  let colosseum = null;
+  if (s.colosseum) {
+    const c = s.colosseum;
+    let owed = BigInt(c.accumulatedFees);
+    let dust = 0n;
+    for (const g of c.games) {
+      const held = g.gameBalance + g.gameFees;
+      owed += g.open ? held : g.owed;
+      dust += g.dust;
+      const expected = g.owed + g.dust;
+      if (held !== expected) {
+        const short = held < g.owed;
+        alert(
+          `game-mismatch:colosseum:${g.id}`,
+          short ? "critical" : "warning",
+          `TAOColosseum game ${g.id} (${g.phaseName}) holds ${formatTao(held)} TAO for ${formatTao(g.owed)} TAO of claims` +
+            (g.dust > 0n ? ` and ${g.dust} wei of dust` : ""),
+          { gameId: g.id, phaseName: g.phaseName, gameBalance: g.gameBalance, gameFees: g.gameFees, owed: g.owed, dust: g.dust },
+        );
+      }
+    }
+    const surplus = reconcile("TAOColosseum", "colosseum", c.balance, owed, dust, { accumulatedFees: c.accumulatedFees });
+    colosseum = { balance: c.balance, owed, dust, surplus };
+  }
+
+  let rps = null;
+  if (s.rps) {
+    const r = s.rps;
+    const owed = r.totalPrizeLiability + r.totalPendingWithdrawalLiability + r.accumulatedFees;
+    if (r.prizePools !== r.totalPrizeLiability) {
+      alert(
+        "ledger-mismatch:rps",
+        "critical",
+        `RPS_Tournament totalPrizeLiability ${formatTao(r.totalPrizeLiability)} TAO != prize pools of ${r.tournaments} tournament(s) ${formatTao(r.prizePools)} TAO`,
+        { totalPrizeLiability: r.totalPrizeLiability, prizePools: r.prizePools },
+      );
+    }
+    const surplus = reconcile("RPS_Tournament", "rps", r.balance, owed, 0n, {
+      accumulatedFees: r.accumulatedFees,
+      totalPrizeLiability: r.totalPrizeLiability,
+      totalPendingWithdrawalLiability: r.totalPendingWithdrawalLiability,
+    });
+    rps = { balance: r.balance, owed, surplus };
+  }
+
+  const solvent = !alerts.some((a) => a.type === "shortfall" || (a.type === "game-mismatch" && a.severity === "critical"));
+  return { solvent, healthy: alerts.length === 0, colosseum, rps, alerts };
+}
+
+/**
+ * @param {object} opts
+ * @param {import("ethers").Provider} opts.provider
+ * @param {ReturnType<import("./colosseum-client").createColosseumClient>} [opts.colosseum]
+ * @param {ReturnType<import("./rps-client").createRpsClient>} [opts.rps]
+ * @param {Array<{ name: string, send: (event: object) => Promise<void> }>} [opts.sinks]
+ * @param {bigint} [opts.toleranceWei] see assessSolvency
+ * @param {(msg: string) => void} [opts.log]
+ */
+function createSolvencyMonitor({ provider, colosseum, rps, sinks = [], toleranceWei, log = (msg) => console.log(msg) }) {
+  // Settled games (resolved / cancelled, nothing left to claim) and paid-out tournaments never change their
+  // liability again; only their held balance is re-read.
+  const settledGames = new Map(); // game id -> { phaseName, dust, positions }
+  const settledTournaments = new Set();
+  const active = new Map(); // alert key -> alert
+  let stopped = false;
+
+  async function readGame(id, blockTag) {
+    const contract = colosseum.contract;
+    const [gameBalance, gameFees] = await Promise.all([contract.getGameBalance(id, { blockTag }), contract.getGameFees(id, { blockTag })]);
+    const cached = settledGames.get(id);
+    if (cached) return { id: BigInt(id), open: false, gameBalance, gameFees, owed: 0n, unclaimed: 0, ...cached };
+
+    const game = decodeGame(await contract.getGame(id, { blockTag }));
+    const positions = [];
+    for (const bettor of await contract.getGameBettors(id, { blockTag })) {
+      const bets = await contract.getUserBets(id, bettor, { blockTag });
+      for (const [side, bet] of [bets.redBet, bets.blueBet].entries()) {
+        // Emergency withdrawals zero the amount, so only stakes still in the game count
+        if (bet.amount > 0n) positions.push({ bettor, side, bet: decodeSideBet(bet) });
+      }
+    }
+    const open = game.phase === BETTING || game.phase === CALCULATING;
+    const { owed, dust, unclaimed } = gameLiability(game, positions);
+    const ledger = { id: game.id, phaseName: game.phaseName, open, gameBalance, gameFees, owed, dust, positions: positions.length, unclaimed };
+    if (!open && unclaimed === 0) settledGames.set(id, { phaseName: game.phaseName, dust, positions: positions.length });
+    return ledger;
+  }
+
+  async function readColosseum(blockTag) {
+    const contract = colosseum.contract;
+    const [balance, accumulatedFees, count] = await Promise.all([
+      provider.getBalance(colosseum.address, blockTag),
+      contract.getAccumulatedFees({ blockTag }),
+      contract.getGameCount({ blockTag }),
+    ]);
+    const games = [];
+    for (let id = 1; id <= Number(count); id++) games.push(await readGame(id, blockTag));
+    return { address: colosseum.address, balance, accumulatedFees, games };
+  }
+
+  async function readRps(blockTag) {
+    const contract = rps.contract;
+    const [balance, accumulatedFees, totalPrizeLiability, totalPendingWithdrawalLiability, next] = await Promise.all([
+      provider.getBalance(rps.address, blockTag),
+      contract.accumulatedFees({ blockTag }),
+      contract.totalPrizeLiability({ blockTag }),
+      contract.totalPendingWithdrawalLiability({ blockTag }),
+      contract.nextTournamentId({ blockTag }),
+    ]);
+    const tournaments = Number(next) - 1;
+    let prizePools = 0n;
+    for (let id = 1; id <= tournaments; id++) {
+      if (settledTournaments.has(id)) continue;
+      const t = await contract.tournaments(id, { blockTag });
+      prizePools += t.prizePool;
+      const phase = Number(t.phase);
+      if (t.prizePool === 0n && (phase === CANCELED || (phase === COMPLETED && t.prizeClaimed))) settledTournaments.add(id);
+    }
+    return { address: rps.address, balance, accumulatedFees, totalPrizeLiability, totalPendingWithdrawalLiability, prizePools, tournaments };
+  }
+
+  /** @returns {Promise<SolvencySnapshot>} every read at the same block */
+  async function readSnapshot() {
+    const blockNumber = await provider.getBlockNumber();
+    return {
+      blockNumber,
+      colosseum: colosseum ? await readColosseum(blockNumber) : null,
+      rps: rps ? await readRps(blockNumber) : null,
+    };
+  }
+
+  async function publish(event) {
+    await Promise.all(
+      sinks.map((sink) =>
+        sink.send(event).catch((e) => {
+          log(`${sink.name} sink failed: ${fmtErr(e)}`);
+        }),
+      ),
+    );
+  }
+
+  /**
+   * Read, assess and publish the alerts that started, escalated or cleared since the last check.
+   * @returns {Promise<ReturnType<typeof assessSolvency> & { snapshot: SolvencySnapshot, events: object[] }>}
+   */
+  async function check() {
+    const snapshot = await readSnapshot();
+    const assessment = assessSolvency(snapshot, { toleranceWei });
+    const at = new Date().toISOString();
+    const events = [];
+    const current = new Map(assessment.alerts.map((a) => [a.key, a]));
+    for (const [key, a] of current) {
+      const prev = active.get(key);
+      if (!prev || prev.severity !== a.severity) events.push({ event: "alert", ...a, at, blockNumber: snapshot.blockNumber });
+    }
+    for (const [key, a] of active) {
+      if (!current.has(key)) {
+        events.push({ event: "resolved", key, type: a.type, severity: a.severity, message: a.message, at, blockNumber: snapshot.blockNumber });
+      }
+    }
+    active.clear();
+    for (const [key, a] of current) active.set(key, a);
+    for (const event of events) await publish(event);
+    return { snapshot, ...assessment, events };
+  }
+
+  /**
+   * Check every `pollMs` until stop() is called (or maxTicks is reached).
+   * RPC errors are logged and retried; they never end the loop.
+   */
+  async function run({ pollMs = 60000, maxTicks = Infinity } = {}) {
+    stopped = false;
+    for (let i = 0; i < maxTicks && !stopped; i++) {
+      try {
+        const r = await check();
+        const parts = [`block ${r.snapshot.blockNumber}`];
+        if (r.colosseum) parts.push(`TAOColosseum ${formatTao(r.colosseum.balance)} held / ${formatTao(r.colosseum.owed)} owed`);
+        if (r.rps) parts.push(`RPS_Tournament ${formatTao(r.rps.balance)} held / ${formatTao(r.rps.owed)} owed`);
+        log(`${parts.join(" · ")} · ${r.alerts.length} alert(s)`);
+      } catch (e) {
+        log(`check failed: ${fmtErr(e)}`);
+      }
+      if (i + 1 < maxTicks && !stopped) await new Promise((resolve) => setTimeout(resolve, pollMs));
+    }
+  }
+
+  function stop() {
+    stopped = true;
+  }
+
+  /** Alerts raised by the last check. */
+  function activeAlerts() {
+    return [...active.values()];
+  }
+
+  return { readSnapshot, check, run, stop, activeAlerts };
+}
+
+module.exports = {
+  gameLiability,
+  assessSolvency,
+  createSolvencyMonitor,
+};
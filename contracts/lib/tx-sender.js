@@ -0,0 +1,60 @@
+/**
+ * Transaction sender shared by the keeper bots: pluggable signer, local nonce tracking and dry-run.
+ *
+ * Usage:
+ *   const sender = createTxSender({ signer, dryRun: true });
+ *   await sender.send("resolveGame(7)", colosseum.contract, "resolveGame", [7]);
+ *
+ * Any ethers v6 Signer works (Wallet, hardhat signer, JsonRpcSigner, a VoidSigner for dry-run).
+ * Outside dry-run the signer is wrapped in an ethers NonceManager so back-to-back transactions from
+ * one tick don't race on the pending nonce; the nonce is re-read from the chain after any failure.
+ */
+const { NonceManager } = require("ethers");
+const { fmtErr } = require("./format");
+
+/**
+ * @param {object} opts
+ * @param {import("ethers").Signer} opts.signer
+ * @param {boolean} [opts.dryRun=false] simulate with eth_call instead of sending
+ * @param {number} [opts.confirmations=1]
+ * @param {(msg: string) => void} [opts.log]
+ */
+function createTxSender({ signer, dryRun = false, confirmations = 1, log = (msg) => console.log(msg) }) {
+  if (!signer) throw new Error("createTxSender: signer is required");
+  const runner = dryRun || signer instanceof NonceManager ? signer : new NonceManager(signer);
+
+  /**
+   * Send (or simulate) `contract[method](...args)`.
+   * Throws on revert; the error is the original ethers error so callers can use revertName().
+   * @returns {Promise<{ dryRun: boolean, hash?: string, receipt?: import("ethers").TransactionReceipt }>}
+   */
+  async function send(label, contract, method, args = [], overrides = {}) {
+    const c = contract.connect(runner);
+    if (dryRun) {
+      await c[method].staticCall(...args, overrides);
+      log(`[dry-run] ${label} would succeed`);
+      return { dryRun: true };
+    }
+    try {
+      const tx = await c[method](...args, overrides);
+      log(`${label} sent: ${tx.hash}`);
+      const receipt = await tx.wait(confirmations);
+      log(`${label} mined in block ${receipt.blockNumber} (gas ${receipt.gasUsed})`);
+      return { dryRun: false, hash: tx.hash, receipt };
+    } catch (e) {
+      if (typeof runner.reset === "function") runner.reset();
+      log(`${label} failed: ${fmtErr(e)}`);
+      throw e;
+    }
+  }
+
+  function getAddress() {
+    return signer.getAddress();
+  }
+
+  return { dryRun, signer: runner, send, getAddress };
+}
+
+module.exports = {
+  createTxSender,
+};
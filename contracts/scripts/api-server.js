@@ -0,0 +1,83 @@
+/**
+ * Read-only HTTP/JSON API and live WebSocket feed for TAOColosseum and RPS_Tournament (docs/api.md).
+ *
+ * Usage:
+ *   CONTRACT_ADDRESS=0x... RPS_CONTRACT_ADDRESS=0x... npx hardhat run scripts/api-server.js --network bittensor
+ *   # local, offline: start `npx hardhat node`, deploy, then
+ *   CONTRACT_ADDRESS=0x... npx hardhat run scripts/api-server.js --network localhost
+ *
+ * With INDEX_DB set, the server also runs the event indexer in-process (same file as scripts/index-events.js,
+ * which must not run against it at the same time) and serves the history routes from it.
+ * The live WebSocket feed (lib/live-feed.js) is served on the same port at /v1/ws; LIVE_FEED=0 disables it.
+ * Optional: API_PORT (default 8787), API_HOST (default 127.0.0.1), START_BLOCK, POLL_MS (indexer, default 6000),
+ * FEED_POLL_MS (live feed, default 2000).
+ */
+const hre = require("hardhat");
+const { createEventIndexer, createLiveFeed, fmtErr } = require("../lib");
+const { openEventDb } = require("../lib/event-db");
+const { createApiServer } = require("../lib/api-server");
+const { attachFeedServer } = require("../lib/feed-server");
+const { resolveAddress } = require("../lib/deployments");
+
+async function main() {
+  const colosseumAddress = resolveAddress(hre.network.name, "TAOColosseum");
+  const rpsAddress = resolveAddress(hre.network.name, "RPS_Tournament");
+  if (!colosseumAddress && !rpsAddress) {
+    console.error("Usage: [CONTRACT_ADDRESS=0x...] [RPS_CONTRACT_ADDRESS=0x...] [INDEX_DB=data/events.sqlite] npx hardhat run scripts/api-server.js [--network <name>]");
+    process.exit(1);
+  }
+  const port = process.env.API_PORT ? parseInt(process.env.API_PORT, 10) : 8787;
+  const host = process.env.API_HOST || "127.0.0.1";
+  const provider = hre.ethers.provider;
+  const log = (msg) => console.log(`[${new Date().toISOString()}] ${msg}`);
+
+  let db = null;
+  let indexer = null;
+  if (process.env.INDEX_DB) {
+    db = await openEventDb(process.env.INDEX_DB);
+    indexer = createEventIndexer({
+      provider,
+      db,
+      colosseumAddress,
+      rpsAddress,
+      startBlock: process.env.START_BLOCK ? parseInt(process.env.START_BLOCK, 10) : 0,
+      log,
+    });
+  }
+
+  const server = createApiServer({ provider, colosseumAddress, rpsAddress, db });
+  const closed = new Promise((resolve) => server.on("close", resolve));
+  const feed = process.env.LIVE_FEED === "0" ? null : createLiveFeed({ provider, colosseumAddress, rpsAddress, log });
+  const feedServer = feed ? attachFeedServer({ server, feed }) : null;
+  await new Promise((resolve) => server.listen(port, host, resolve));
+
+  console.log("\n=== API server ===\n");
+  console.log("Network:", hre.network.name);
+  if (colosseumAddress) console.log("TAOColosseum:", colosseumAddress);
+  if (rpsAddress) console.log("RPS_Tournament:", rpsAddress);
+  console.log("Event index:", process.env.INDEX_DB || "(none; history routes return 503)");
+  console.log("Live feed:", feed ? `ws://${host}:${port}/v1/ws` : "(disabled)");
+  console.log(`Listening on http://${host}:${port}/v1/health\n`);
+
+  const shutdown = () => {
+    if (indexer) indexer.stop();
+    if (feed) feed.stop();
+    if (feedServer) feedServer.close();
+    server.close();
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  await Promise.all([
+    indexer && indexer.run({ pollMs: process.env.POLL_MS ? parseInt(process.env.POLL_MS, 10) : 6000 }),
+    feed && feed.run({ pollMs: process.env.FEED_POLL_MS ? parseInt(process.env.FEED_POLL_MS, 10) : 2000 }),
+    closed,
+  ]);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(fmtErr(error));
+    process.exit(1);
+  });
@@ -0,0 +1,75 @@
+/**
+ * Outcome audit for TAOColosseum games (lib/colosseum-audit.js): replays each game from its BetPlaced events
+ * and drand randomness — actualEndBlock, valid pools, late-bet refunds, winner, every bettor's payout — and
+ * diffs the result against getGame, SideBet and the claim events. Run after a release, or to answer a dispute.
+ *
+ * Usage:
+ *   CONTRACT_ADDRESS=0x... GAME_ID=7 npx hardhat run scripts/audit-outcomes.js --network bittensor
+ *   CONTRACT_ADDRESS=0x... FROM_GAME=1 TO_GAME=50 OUT_FILE=./audit.md npx hardhat run scripts/audit-outcomes.js --network bittensor
+ *   RECORD_FILE=./game-7.record.json npx hardhat run scripts/audit-outcomes.js      # offline, from a saved record
+ *
+ * Without GAME_ID / FROM_GAME every game is audited. Optional: FORMAT=markdown|json (default markdown),
+ * OUT_FILE (default stdout), RECORD_DIR (save each game's record as <id>.record.json for offline re-runs),
+ * TO_BLOCK (pin the audit to a block). Exits 1 when any game has a mismatch.
+ */
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { createColosseumClient, loadGameRecord, auditGame, renderAuditMarkdown, toJson, fmtErr } = require("../lib");
+const { resolveAddress } = require("../lib/deployments");
+
+function usage() {
+  console.error("Usage: CONTRACT_ADDRESS=0x... [GAME_ID=<id> | FROM_GAME=<id> [TO_GAME=<id>]] [FORMAT=markdown|json] [OUT_FILE=...]");
+  console.error("   or: RECORD_FILE=<file>[,<file>...] [FORMAT=markdown|json]");
+  console.error("       npx hardhat run scripts/audit-outcomes.js [--network <name>]");
+  process.exit(1);
+}
+
+async function loadRecords(address) {
+  if (process.env.RECORD_FILE) {
+    return process.env.RECORD_FILE.split(",").map((file) => JSON.parse(fs.readFileSync(file.trim(), "utf8")));
+  }
+  const colosseum = createColosseumClient(address, hre.ethers.provider);
+  const count = Number(await colosseum.contract.getGameCount());
+  let from = process.env.FROM_GAME ? parseInt(process.env.FROM_GAME, 10) : 1;
+  let to = process.env.TO_GAME ? parseInt(process.env.TO_GAME, 10) : count;
+  if (process.env.GAME_ID) from = to = parseInt(process.env.GAME_ID, 10);
+  if (isNaN(from) || isNaN(to) || from < 1 || to > count) throw new Error(`Game range ${from}-${to} is outside 1-${count}`);
+  const toBlock = process.env.TO_BLOCK ? parseInt(process.env.TO_BLOCK, 10) : await hre.ethers.provider.getBlockNumber();
+
+  const records = [];
+  for (let id = from; id <= to; id++) {
+    console.error(`Reading game ${id}...`);
+    const record = await loadGameRecord(colosseum, id, { toBlock });
+    if (!record) throw new Error(`Game ${id} does not exist`);
+    if (process.env.RECORD_DIR) {
+      fs.mkdirSync(process.env.RECORD_DIR, { recursive: true });
+      fs.writeFileSync(path.join(process.env.RECORD_DIR, `${id}.record.json`), toJson(record, 2) + "\n");
+    }
+    records.push(record);
+  }
+  return records;
+}
+
+async function main() {
+  const format = process.env.FORMAT || "markdown";
+  const address = process.env.RECORD_FILE ? null : resolveAddress(hre.network.name, "TAOColosseum");
+  if (!(process.env.RECORD_FILE || address) || !["markdown", "json"].includes(format)) usage();
+
+  const reports = (await loadRecords(address)).map(auditGame);
+  const title = process.env.RECORD_FILE ? "TAOColosseum outcome audit (saved records)" : `TAOColosseum outcome audit · ${hre.network.name} ${address}`;
+  const output = format === "json" ? toJson(reports, 2) + "\n" : renderAuditMarkdown(reports, { title });
+  if (process.env.OUT_FILE) fs.writeFileSync(process.env.OUT_FILE, output);
+  else process.stdout.write(output);
+
+  const failed = reports.filter((r) => !r.ok);
+  console.error(failed.length === 0 ? `\n=== ${reports.length} game(s) match ===\n` : `\n=== MISMATCH in game(s) ${failed.map((r) => r.gameId).join(", ")} ===\n`);
+  process.exit(failed.length === 0 ? 0 : 1);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(fmtErr(error));
+    process.exit(1);
+  });
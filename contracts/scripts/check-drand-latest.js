@@ -1,13 +1,21 @@
 /**
- * Test reading the LATEST drand round stored on chain (what games actually use).
+ * Test reading the LATEST drand round stored on chain (what games actually use). On failure the round is read
+ * straight from the storage precompile with the JS key (lib/drand-storage.js) to tell a contract key/decoder
+ * bug from a missing pulse.
  * Usage:
  *   CONTRACT_ADDRESS=0x... npx hardhat run scripts/check-drand-latest.js --network bittensor
  *   CONTRACT_ADDRESS=0x... npx hardhat run scripts/check-drand-latest.js --network bittensorArchive
+ * One-shot diagnostic; for continuous monitoring with alerts use scripts/drand-monitor.js.
  */
 const hre = require("hardhat");
+const { readDrandPulse } = require("../lib");
+const { requireAddress } = require("../lib/deployments");
+
+// Mainnet default while no TAOColosseum is recorded for the network
+const KNOWN_DEPLOYMENT = "0x3057113eBACCA66352d7BBa9B92ae09ddeD09C77";
 
 async function main() {
-  const contractAddress = process.env.CONTRACT_ADDRESS || "0x3057113eBACCA66352d7BBa9B92ae09ddeD09C77";
+  const contractAddress = requireAddress(hre.network.name, "TAOColosseum", { fallback: KNOWN_DEPLOYMENT });
 
   console.log("\n=== Drand LATEST round test ===\n");
   console.log("Contract:", contractAddress);
@@ -42,7 +50,16 @@ async function main() {
   if (exists && randomness && randomness !== "0x0000000000000000000000000000000000000000000000000000000000000000") {
     console.log("=== PASS: Latest drand round is readable; contract can use it for games ===\n");
   } else {
-    console.log("=== FAIL: Latest round not readable. Only hardcoded round 26145524 works; BLAKE2b key for other rounds does not match Substrate. ===\n");
+    const stored = await readDrandPulse(hre.ethers.provider, lastRound);
+    console.log("--- drand.pulses(lastRound) via storage precompile (JS reference) ---");
+    console.log("Storage key:", stored.key);
+    console.log("Readable:", stored.exists, stored.error ? "(not a well-formed Pulse: " + stored.error + ")" : "");
+    console.log("");
+    if (stored.exists) {
+      console.log("=== FAIL: Latest round is stored but the contract cannot read it; its BLAKE2b key or decoder does not match Substrate. ===\n");
+    } else {
+      console.log("=== FAIL: Latest round not readable, and not stored under the Substrate key either. ===\n");
+    }
     process.exit(1);
   }
 }
@@ -1,17 +1,23 @@
 /**
- * Test reading a specific drand round and expected randomness.
+ * Test reading a specific drand round and expected randomness, through the contract and straight from the
+ * storage precompile with the JS key (lib/drand-storage.js).
  * Usage:
  *   npx hardhat run scripts/check-drand-round.js --network bittensorArchive
  *   ROUND=26145524 EXPECTED=0x228ece1602ca45e06e3a43c336f62fcb8881a4d397b4daa8971f19131d32ee69 npx hardhat run scripts/check-drand-round.js --network bittensorArchive
  */
 const hre = require("hardhat");
+const { readDrandPulse } = require("../lib");
+const { requireAddress } = require("../lib/deployments");
+
+// The deployment the default ROUND / EXPECTED / LAST_ROUND were read from; used while none is recorded
+const KNOWN_DEPLOYMENT = "0x4660214Da64090Eb0982d107c950865C21bAEa65";
 
 const ROUND = process.env.ROUND ? BigInt(process.env.ROUND) : 26145524n;
 const EXPECTED_RANDOMNESS = process.env.EXPECTED || "0x228ece1602ca45e06e3a43c336f62fcb8881a4d397b4daa8971f19131d32ee69";
 const EXPECTED_LAST_ROUND = process.env.LAST_ROUND ? BigInt(process.env.LAST_ROUND) : 26147752n;
 
 async function main() {
-  const contractAddress = process.env.CONTRACT_ADDRESS || "0x4660214Da64090Eb0982d107c950865C21bAEa65";
+  const contractAddress = requireAddress(hre.network.name, "TAOColosseum", { fallback: KNOWN_DEPLOYMENT });
 
   console.log("\n=== Drand round test ===\n");
   console.log("Contract:", contractAddress);
@@ -55,6 +61,25 @@ async function main() {
   }
   console.log("");
 
+  // 4) Same round from the storage precompile, keyed and decoded in JS
+  const stored = await readDrandPulse(hre.ethers.provider, ROUND);
+  console.log("--- drand.pulses(" + ROUND + ") via storage precompile (JS reference) ---");
+  console.log("Storage key:", stored.key);
+  console.log("Stored:", stored.raw !== "0x");
+  if (stored.pulse) {
+    console.log("Pulse round:", stored.pulse.round.toString());
+    console.log("Randomness:", stored.pulse.randomness);
+    console.log("Signature bytes:", hre.ethers.dataLength(stored.pulse.signature));
+  } else if (stored.error) {
+    console.log("Not a well-formed Pulse:", stored.error);
+  }
+  if (stored.exists && !exists) {
+    console.log(">>> BUG: the pulse is stored but the contract cannot read it; its key or decoder differs from the JS reference.");
+  } else if (stored.exists && stored.randomness !== randomness) {
+    console.log(">>> Contract randomness differs from storage (it read the drand precompile):", stored.randomness);
+  }
+  console.log("");
+
   if (match) {
     console.log("=== PASS: Round " + ROUND + " randomness matches ===\n");
   } else {
@@ -2,11 +2,30 @@
  * Check if drand is stored on-chain (Bittensor EVM).
  * Run: npx hardhat run scripts/check-drand.js --network bittensor
  * Optional: CONTRACT_ADDRESS=0x... GAME_ID=1 npx hardhat run scripts/check-drand.js --network bittensor
+ * The contract defaults to the TAOColosseum recorded for the network in deployments/<network>.json, or the
+ * known mainnet deployment below while nothing is recorded.
+ * Each contract read is cross-checked against the storage precompile read with the JS key (lib/drand-storage.js).
+ * One-shot diagnostic; for continuous monitoring with alerts use scripts/drand-monitor.js.
  */
 const hre = require("hardhat");
+const { readDrandPulse, readLastStoredRound } = require("../lib");
+const { requireAddress } = require("../lib/deployments");
+
+// Used when neither CONTRACT_ADDRESS nor deployments/<network>.json names a TAOColosseum (mainnet deployment)
+const KNOWN_DEPLOYMENT = "0x016013CfE6E68590A986C519d869264faa7d2BAB";
+
+/** The pulse as stored under the JS key, and whether the contract's answer agrees with it. */
+async function checkAgainstStorage(round, contractAvailable) {
+  const stored = await readDrandPulse(hre.ethers.provider, round);
+  console.log("  Storage key (JS reference):", stored.key);
+  console.log("  Stored pulse readable:", stored.exists, stored.error ? "(not a well-formed Pulse: " + stored.error + ")" : "");
+  if (stored.exists && !contractAvailable) {
+    console.log("  >>> BUG: the pulse is stored but the contract cannot read it; its key or decoder differs from the JS reference.");
+  }
+}
 
 async function main() {
-  const contractAddress = process.env.CONTRACT_ADDRESS || "0x016013CfE6E68590A986C519d869264faa7d2BAB";
+  const contractAddress = requireAddress(hre.network.name, "TAOColosseum", { fallback: KNOWN_DEPLOYMENT });
   const gameId = process.env.GAME_ID ? parseInt(process.env.GAME_ID, 10) : null;
 
   console.log("\n=== Drand on-chain check (Bittensor EVM) ===\n");
@@ -21,6 +40,11 @@ async function main() {
   console.log("--- getDrandStatus() ---");
   console.log("Last stored round on chain:", lastRound.toString());
   console.log("Drand available (lastRound > 0):", isAvailable);
+  const storedLastRound = await readLastStoredRound(hre.ethers.provider);
+  console.log("drand.lastStoredRound in storage (JS reference):", storedLastRound.toString());
+  if (storedLastRound !== lastRound) {
+    console.log(">>> Contract and storage disagree (the contract reads the drand precompile first when it answers).");
+  }
   if (!isAvailable) {
     console.log("\n>>> Drand is NOT being stored on this chain (lastRound == 0).");
     console.log("    The chain may not have the drand pallet / offchain worker feeding pulses.");
@@ -37,6 +61,7 @@ async function main() {
     if (!lastAvailable) {
       console.log(">>> BUG: lastRound should always be readable! Key/hash may not match Substrate.");
     }
+    await checkAgainstStorage(lastRound, lastAvailable);
   } catch (e) {
     const msg = e.message || e.shortMessage || String(e);
     console.log("isDrandRoundAvailable(lastRound) failed:", msg);
@@ -77,6 +102,7 @@ async function main() {
 
     const roundAvailable = await colosseum.isDrandRoundAvailable(targetDrandRound);
     console.log("isDrandRoundAvailable(targetRound):", roundAvailable);
+    await checkAgainstStorage(targetDrandRound, roundAvailable);
     if (!roundAvailable) {
       console.log("\n>>> This game's target round is NOT on chain yet (or never will be).");
       console.log("    If lastRound on chain is much less than targetRound, drand may be lagging or not syncing.");
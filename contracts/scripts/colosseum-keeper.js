@@ -0,0 +1,68 @@
+/**
+ * Long-running keeper for TAOColosseum: starts games, resolves them (retrying until the drand round is
+ * stored) and voids compromised games.
+ *
+ * Usage:
+ *   CONTRACT_ADDRESS=0x... npx hardhat run scripts/colosseum-keeper.js --network bittensor
+ *   CONTRACT_ADDRESS=0x... DRY_RUN=1 npx hardhat run scripts/colosseum-keeper.js --network bittensor
+ *   CONTRACT_ADDRESS=0x... npx hardhat run scripts/colosseum-keeper.js --network localhost   # local node + mock drand
+ *
+ * Signer: KEEPER_PRIVATE_KEY if set, otherwise the first account of the selected network (PRIVATE_KEY).
+ * In DRY_RUN mode KEEPER_ADDRESS alone is enough (nothing is signed; calls are simulated from that address).
+ * Optional: POLL_MS (default 6000), NO_AUTO_START=1 (only resolve/void, never start new games),
+ * MAX_TICKS (stop after N ticks, useful for cron-style runs).
+ */
+const hre = require("hardhat");
+const { createColosseumClient, createColosseumKeeper, createTxSender, fmtErr } = require("../lib");
+const { resolveAddress } = require("../lib/deployments");
+
+async function resolveSigner(dryRun) {
+  const provider = hre.ethers.provider;
+  if (process.env.KEEPER_PRIVATE_KEY) return new hre.ethers.Wallet(process.env.KEEPER_PRIVATE_KEY, provider);
+  if (dryRun && process.env.KEEPER_ADDRESS) return new hre.ethers.VoidSigner(process.env.KEEPER_ADDRESS, provider);
+  const signers = await hre.ethers.getSigners();
+  if (signers.length === 0) {
+    console.error("No signer: set KEEPER_PRIVATE_KEY (or PRIVATE_KEY in .env), or KEEPER_ADDRESS with DRY_RUN=1.");
+    process.exit(1);
+  }
+  return signers[0];
+}
+
+async function main() {
+  const contractAddress = resolveAddress(hre.network.name, "TAOColosseum");
+  if (!contractAddress) {
+    console.error("Usage: CONTRACT_ADDRESS=0x... [DRY_RUN=1] npx hardhat run scripts/colosseum-keeper.js [--network <name>]");
+    process.exit(1);
+  }
+  const dryRun = process.env.DRY_RUN === "1";
+  const pollMs = process.env.POLL_MS ? parseInt(process.env.POLL_MS, 10) : 6000;
+  const maxTicks = process.env.MAX_TICKS ? parseInt(process.env.MAX_TICKS, 10) : Infinity;
+
+  const signer = await resolveSigner(dryRun);
+  const log = (msg) => console.log(`[${new Date().toISOString()}] ${msg}`);
+  const keeper = createColosseumKeeper({
+    client: createColosseumClient(contractAddress, hre.ethers.provider),
+    sender: createTxSender({ signer, dryRun, log }),
+    autoStart: process.env.NO_AUTO_START !== "1",
+    log,
+  });
+
+  console.log("\n=== TAOColosseum keeper ===\n");
+  console.log("Contract:", contractAddress);
+  console.log("Network:", hre.network.name);
+  console.log("Keeper:", await signer.getAddress(), dryRun ? "(dry-run)" : "");
+  console.log("Poll interval:", pollMs, "ms\n");
+
+  process.on("SIGINT", () => {
+    log("Stopping after the current tick...");
+    keeper.stop();
+  });
+  await keeper.run({ pollMs, maxTicks });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(fmtErr(error));
+    process.exit(1);
+  });
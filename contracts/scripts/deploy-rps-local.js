@@ -1,17 +1,31 @@
 /**
  * Deploy RPS_Tournament to local Hardhat network (no prompt, no real TAO).
- * Use with: npx hardhat run scripts/deploy-rps-local.js
+ * Use with: npx hardhat run scripts/deploy-rps-local.js [--network localhost]
  * Then: RPS_CONTRACT_ADDRESS=<address> npx hardhat run scripts/check-rps-tournaments.js
+ * With --network localhost the address is also recorded in deployments/localhost.json, so scripts run
+ * against the same node find it without RPS_CONTRACT_ADDRESS.
+ *
+ * Unless the precompile stand-ins are already there (scripts/devnet.js), installs them (lib/devnet.js) and
+ * feeds the current drand round, so tournaments can start and resolve. Rounds only keep advancing while
+ * scripts/devnet.js runs (use NO_DEPLOY=1 there to reuse this deployment).
  */
 const hre = require("hardhat");
+const { STORAGE_PRECOMPILE } = require("../lib");
+const { startDevnet } = require("../lib/devnet");
+const { recordDeployment } = require("../lib/deployments");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deployer:", deployer.address);
+  if ((await hre.ethers.provider.getCode(STORAGE_PRECOMPILE)) === "0x") {
+    const devnet = await startDevnet(hre);
+    console.log("Installed precompile stand-ins; drand round:", devnet.feeder.status().lastFedRound);
+  }
   const RPS = await hre.ethers.getContractFactory("RPS_Tournament");
   const sn38Hotkey = hre.ethers.ZeroHash; // dummy for local; use real hotkey on main/testnet
   const rps = await RPS.deploy(sn38Hotkey);
   await rps.waitForDeployment();
+  await recordDeployment(hre, "RPS_Tournament", [sn38Hotkey], rps);
   const address = await rps.getAddress();
   console.log("RPS_Tournament deployed at:", address);
   console.log("");
@@ -1,5 +1,6 @@
 const hre = require("hardhat");
 const readline = require("readline");
+const { findDeployment, recordDeployment, registryFile, verifyOnExplorer } = require("../lib/deployments");
 
 function askQuestion(question) {
   const rl = readline.createInterface({
@@ -39,6 +40,16 @@ async function main() {
   }
   const sn38OwnerHotkeyBytes32 = sn38HotkeyHex;
 
+  // Idempotent redeploys: skip when the registry already has this bytecode and hotkey live on this network
+  const existing = process.env.FORCE_REDEPLOY === "1" ? null : await findDeployment(hre, "RPS_Tournament", [sn38OwnerHotkeyBytes32]);
+  if (existing) {
+    console.log(`RPS_Tournament with this bytecode and sn38OwnerHotkey is already deployed at ${existing.address} (block ${existing.blockNumber}).`);
+    console.log("Nothing to deploy; set FORCE_REDEPLOY=1 to deploy a new instance.\n");
+    if (!existing.verified) await verifyOnExplorer(hre, "RPS_Tournament");
+    console.log("DEPLOYED_RPS_ADDRESS=" + existing.address);
+    return;
+  }
+
   const RPS = await hre.ethers.getContractFactory("RPS_Tournament");
   const deployTx = await RPS.getDeployTransaction(sn38OwnerHotkeyBytes32);
 
@@ -94,6 +105,7 @@ async function main() {
 
   const receipt = await rps.deploymentTransaction().wait();
   const actualCost = receipt.gasUsed * gasPrice;
+  await recordDeployment(hre, "RPS_Tournament", [sn38OwnerHotkeyBytes32], rps);
 
   console.log("========== DEPLOYMENT SUCCESS ==========");
   console.log("✅ RPS_Tournament deployed!");
@@ -102,8 +114,11 @@ async function main() {
   console.log("Network:", hre.network.name);
   console.log("Gas used:", receipt.gasUsed.toString());
   console.log("Actual cost:", hre.ethers.formatEther(actualCost), "TAO");
+  console.log("Registry:", registryFile(hre.network.name));
   console.log("=========================================\n");
 
+  await verifyOnExplorer(hre, "RPS_Tournament", rps.deploymentTransaction());
+
   console.log("MIN_ENTRY:", hre.ethers.formatEther(await rps.MIN_ENTRY()), "TAO");
   console.log("sn38OwnerHotkey:", await rps.sn38OwnerHotkey());
   console.log("");
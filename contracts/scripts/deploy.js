@@ -1,5 +1,6 @@
 const hre = require("hardhat");
 const readline = require("readline");
+const { findDeployment, recordDeployment, registryFile, verifyOnExplorer } = require("../lib/deployments");
 
 function askQuestion(question) {
   const rl = readline.createInterface({
@@ -30,6 +31,16 @@ async function main() {
   const balance = await hre.ethers.provider.getBalance(deployer.address);
   console.log("Balance:", hre.ethers.formatEther(balance), "TAO\n");
 
+  // Idempotent redeploys: skip when the registry already has this exact bytecode live on this network
+  const existing = process.env.FORCE_REDEPLOY === "1" ? null : await findDeployment(hre, "TAOColosseum", []);
+  if (existing) {
+    console.log(`TAOColosseum with this bytecode is already deployed at ${existing.address} (block ${existing.blockNumber}).`);
+    console.log("Nothing to deploy; set FORCE_REDEPLOY=1 to deploy a new instance.\n");
+    if (!existing.verified) await verifyOnExplorer(hre, "TAOColosseum");
+    console.log("DEPLOYED_ADDRESS=" + existing.address);
+    return;
+  }
+
   // Get contract factory
   const TAOColosseum = await hre.ethers.getContractFactory("TAOColosseum");
   
@@ -104,6 +115,7 @@ async function main() {
   const receipt = await taoColosseum.deploymentTransaction().wait();
   const actualGasUsed = receipt.gasUsed;
   const actualCost = actualGasUsed * gasPrice;
+  await recordDeployment(hre, "TAOColosseum", [], taoColosseum);
   
   console.log("========== DEPLOYMENT SUCCESS ==========");
   console.log("✅ Contract deployed!");
@@ -114,8 +126,11 @@ async function main() {
   console.log("");
   console.log("Gas used:", actualGasUsed.toString());
   console.log("Actual cost:", hre.ethers.formatEther(actualCost), "TAO");
+  console.log("Registry:", registryFile(hre.network.name));
   console.log("=========================================\n");
 
+  await verifyOnExplorer(hre, "TAOColosseum", taoColosseum.deploymentTransaction());
+
   // Verify initial state
   console.log("Verifying contract state...");
   const fee = await taoColosseum.PLATFORM_FEE();
@@ -0,0 +1,86 @@
+/**
+ * Deployment registry (lib/deployments.js): list what is recorded for a network, import a contract deployed
+ * elsewhere, or (re)run explorer verification of the recorded contracts.
+ *
+ * Usage:
+ *   npx hardhat run scripts/deployments.js --network bittensor                                   # list
+ *   ACTION=import CONTRACT=TAOColosseum ADDRESS=0x... TX_HASH=0x... npx hardhat run scripts/deployments.js --network bittensor
+ *   ACTION=import CONTRACT=RPS_Tournament ADDRESS=0x... CONSTRUCTOR_ARGS='["0x<sn38 hotkey>"]' npx hardhat run scripts/deployments.js --network bittensor
+ *   ACTION=verify [CONTRACT=RPS_Tournament] npx hardhat run scripts/deployments.js --network bittensor
+ *
+ * Optional: FORMAT=text|json (list).
+ */
+const hre = require("hardhat");
+const { toJson, fmtErr } = require("../lib");
+const { loadRegistry, registryFile, importDeployment, verifyDeployment, explorerFor } = require("../lib/deployments");
+
+const CONTRACTS = ["TAOColosseum", "RPS_Tournament"];
+
+function usage() {
+  console.error("Usage: [ACTION=list|import|verify] [CONTRACT=TAOColosseum|RPS_Tournament] [ADDRESS=0x... TX_HASH=0x... CONSTRUCTOR_ARGS='[...]']");
+  console.error("       npx hardhat run scripts/deployments.js --network <name>");
+  process.exit(1);
+}
+
+function list(registry) {
+  console.log(`\n=== Deployments on ${registry.network} (chainId ${registry.chainId ?? "?"}) ===\n`);
+  console.log("Registry:", registryFile(registry.network), "\n");
+  const names = Object.keys(registry.contracts);
+  if (names.length === 0) console.log("Nothing recorded yet.");
+  for (const name of names) {
+    const e = registry.contracts[name];
+    console.log(`${name}: ${e.address}`);
+    console.log(`  tx ${e.txHash || "-"} · block ${e.blockNumber ?? "-"} · deployer ${e.deployer || "-"}`);
+    if (e.constructorArgs && e.constructorArgs.length > 0) console.log(`  constructor args ${toJson(e.constructorArgs)}`);
+    console.log(`  solc ${e.solcVersion || "-"} · settings ${e.settingsHash || "-"}`);
+    console.log(`  ${e.deployedAt ? `deployed ${e.deployedAt}` : `imported ${e.importedAt}`} · ${e.verified ? `verified ${e.verified.url}` : "not verified"}`);
+    if (e.history.length > 0) console.log(`  previous: ${e.history.map((h) => h.address).join(", ")}`);
+  }
+  console.log("");
+}
+
+async function main() {
+  const action = process.env.ACTION || "list";
+  const contract = process.env.CONTRACT;
+  if (!["list", "import", "verify"].includes(action) || (contract && !CONTRACTS.includes(contract))) usage();
+
+  if (action === "list") {
+    const registry = loadRegistry(hre.network.name);
+    if (process.env.FORMAT === "json") console.log(toJson(registry, 2));
+    else list(registry);
+    return;
+  }
+
+  if (action === "import") {
+    if (!contract || !process.env.ADDRESS) usage();
+    const entry = await importDeployment(hre, contract, {
+      address: hre.ethers.getAddress(process.env.ADDRESS),
+      txHash: process.env.TX_HASH,
+      constructorArgs: process.env.CONSTRUCTOR_ARGS ? JSON.parse(process.env.CONSTRUCTOR_ARGS) : [],
+    });
+    console.log(`Recorded ${contract} at ${entry.address} in ${registryFile(hre.network.name)}`);
+    return;
+  }
+
+  const explorer = explorerFor(hre);
+  if (!explorer) {
+    console.error(`No explorer is configured for ${hre.network.name} (chainId ${hre.network.config.chainId}) in hardhat.config.js etherscan.customChains.`);
+    process.exit(1);
+  }
+  const registry = loadRegistry(hre.network.name);
+  const names = contract ? [contract] : Object.keys(registry.contracts);
+  let failed = 0;
+  for (const name of names) {
+    const r = await verifyDeployment(hre, name);
+    console.log(r.verified ? `✅ ${name} verified on ${r.explorer}: ${r.url}` : `❌ ${name}: ${r.error}`);
+    if (!r.verified) failed++;
+  }
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(fmtErr(error));
+    process.exit(1);
+  });
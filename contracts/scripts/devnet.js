@@ -0,0 +1,101 @@
+/**
+ * Fully mocked local Bittensor devnet: installs the precompile stand-ins (staking 0x0805, storage 0x0807,
+ * drand 0x080D/0x080E; see lib/devnet.js), deploys TAOColosseum and RPS_Tournament (recorded in
+ * deployments/localhost.json, so other scripts find them), then keeps producing blocks BLOCK_TIME_SECONDS
+ * apart and feeding drand rounds that follow block time.
+ *
+ * Usage:
+ *   npx hardhat node                                              # terminal 1
+ *   npx hardhat run scripts/devnet.js --network localhost         # terminal 2
+ *
+ * While it runs, type commands to inject drand faults:
+ *   pause | resume | lag <seconds> | skip <rounds> | skipround <round> | wipe | status
+ *
+ * Optional: NO_DRAND_PRECOMPILE=1 (contracts read drand through the storage precompile only),
+ * NO_DEPLOY=1 (stand-ins and feeder only), BLOCK_INTERVAL_MS (wall-clock ms per simulated block,
+ * default 1000; 0 = don't mine, only feed), DRAND_LAG_SECONDS (initial lag), DRAND_PAUSED=1 (start with drand
+ * uninitialized until `resume`).
+ */
+const hre = require("hardhat");
+const readline = require("readline");
+const { COLOSSEUM, fmtErr } = require("../lib");
+const { startDevnet } = require("../lib/devnet");
+const { recordDeployment } = require("../lib/deployments");
+
+async function deploy(name, args = []) {
+  const contract = await (await hre.ethers.getContractFactory(name)).deploy(...args);
+  await contract.waitForDeployment();
+  await recordDeployment(hre, name, args, contract);
+  return contract.getAddress();
+}
+
+async function main() {
+  if (hre.network.name !== "hardhat" && hre.network.name !== "localhost") {
+    console.error("scripts/devnet.js only runs against a Hardhat network (--network localhost).");
+    process.exit(1);
+  }
+  const intervalMs = process.env.BLOCK_INTERVAL_MS ? parseInt(process.env.BLOCK_INTERVAL_MS, 10) : 1000;
+  const log = (msg) => console.log(`[${new Date().toISOString()}] ${msg}`);
+
+  const devnet = await startDevnet(hre, {
+    drandPrecompile: process.env.NO_DRAND_PRECOMPILE !== "1",
+    lagSeconds: process.env.DRAND_LAG_SECONDS ? Number(process.env.DRAND_LAG_SECONDS) : 0,
+    paused: process.env.DRAND_PAUSED === "1",
+    log,
+  });
+
+  console.log("\n=== Local devnet ===\n");
+  console.log("Network:", hre.network.name);
+  console.log("Drand stand-ins:", devnet.drandTargets.join(", "));
+  console.log("Drand round:", devnet.feeder.status().lastFedRound, devnet.feeder.status().paused ? "(paused)" : "");
+  if (process.env.NO_DEPLOY !== "1") {
+    const colosseum = await deploy("TAOColosseum");
+    const rps = await deploy("RPS_Tournament", [hre.ethers.ZeroHash]);
+    console.log("TAOColosseum:", colosseum);
+    console.log("RPS_Tournament:", rps);
+    console.log("");
+    console.log(`  CONTRACT_ADDRESS=${colosseum} RPS_CONTRACT_ADDRESS=${rps}`);
+  }
+  console.log(intervalMs > 0 ? `\nMining a block every ${intervalMs} ms (${COLOSSEUM.BLOCK_TIME_SECONDS}s of chain time)` : "\nNot mining; feeding drand only");
+  console.log("Commands: pause | resume | lag <seconds> | skip <rounds> | skipround <round> | wipe | status\n");
+
+  const rl = readline.createInterface({ input: process.stdin });
+  rl.on("line", async (line) => {
+    const [cmd, arg] = line.trim().split(/\s+/);
+    try {
+      if (cmd === "pause") devnet.feeder.pause();
+      else if (cmd === "resume") devnet.feeder.resume();
+      else if (cmd === "lag") devnet.feeder.setLag(Number(arg));
+      else if (cmd === "skip") devnet.feeder.skip(arg ? parseInt(arg, 10) : 1);
+      else if (cmd === "skipround") devnet.feeder.skipRound(parseInt(arg, 10));
+      else if (cmd === "wipe") await devnet.feeder.wipe();
+      else if (cmd && cmd !== "status") throw new Error(`Unknown command: ${cmd}`);
+      if (cmd) console.log(JSON.stringify(devnet.feeder.status()));
+    } catch (e) {
+      console.error(fmtErr(e));
+    }
+  });
+
+  let stopped = false;
+  process.on("SIGINT", () => {
+    log("Stopping...");
+    stopped = true;
+    rl.close();
+  });
+  while (!stopped) {
+    try {
+      const fed = intervalMs > 0 ? await devnet.mine(1) : await devnet.feeder.tick();
+      if (fed.advanced) log(`block ${await hre.ethers.provider.getBlockNumber()}: drand round ${fed.round}`);
+    } catch (e) {
+      log(`devnet tick failed: ${fmtErr(e)}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, intervalMs || 1000));
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(fmtErr(error));
+    process.exit(1);
+  });
@@ -1,5 +1,5 @@
 /**
- * Diagnose why RPS flushFeesToSubnetAndBurn() reverts.
+ * Diagnose why RPS flushFeesToSubnetAndBurn() reverts or does nothing.
  *
  * Usage:
  *   RPS_CONTRACT_ADDRESS=0x... npx hardhat run scripts/diagnose-rps-flush.js --network bittensor
@@ -7,29 +7,18 @@
  *   TEST_STAKING_PRECOMPILE=1 TEST_TAO=0.000001 ...  (tries direct addStake/burnAlpha from signer)
  */
 const hre = require("hardhat");
-
-const STAKING_PRECOMPILE = "0x0000000000000000000000000000000000000805";
-const NETUID_SN38 = 38n;
-
-const STAKING_ABI = [
-  "function getTotalAlphaStaked(bytes32 hotkey, uint256 netuid) view returns (uint256)",
-  "function addStake(bytes32 hotkey, uint256 amount, uint256 netuid) payable",
-  "function burnAlpha(bytes32 hotkey, uint256 amount, uint256 netuid) payable",
-];
-
-function fmtErr(e) {
-  return e?.reason || e?.shortMessage || e?.message || String(e);
-}
+const { STAKING_PRECOMPILE, STAKING_ABI, NETUID_SN38, createRpsClient, fmtErr, formatTao, parseRao } = require("../lib");
+const { resolveAddress } = require("../lib/deployments");
+const { diagnoseFlush } = require("../lib/rps-fee-flusher");
 
 async function main() {
-  const address = process.env.RPS_CONTRACT_ADDRESS;
+  const address = resolveAddress(hre.network.name, "RPS_Tournament");
   if (!address) {
-    console.error("Set RPS_CONTRACT_ADDRESS=0x...");
+    console.error("Set RPS_CONTRACT_ADDRESS=0x... or record the deployment in deployments/<network>.json (scripts/deployments.js).");
     process.exit(1);
   }
 
   const [signer] = await hre.ethers.getSigners();
-  const rps = await hre.ethers.getContractAt("RPS_Tournament", address);
   const staking = new hre.ethers.Contract(STAKING_PRECOMPILE, STAKING_ABI, signer);
 
   console.log("Network:", hre.network.name);
@@ -37,35 +26,21 @@ async function main() {
   console.log("RPS:", address);
   console.log("");
 
+  const client = createRpsClient(address, signer);
+  const rps = client.contract;
   const hotkey = await rps.sn38OwnerHotkey();
-  const fees = await rps.accumulatedFees();
-  const rpsBal = await hre.ethers.provider.getBalance(address);
   const signerBal = await hre.ethers.provider.getBalance(signer.address);
-
-  console.log("sn38OwnerHotkey (bytes32):", hotkey);
-  console.log("accumulatedFees:", hre.ethers.formatEther(fees), "TAO");
-  console.log("RPS balance:", hre.ethers.formatEther(rpsBal), "TAO");
-  console.log("Signer balance:", hre.ethers.formatEther(signerBal), "TAO");
+  console.log("Signer balance:", formatTao(signerBal), "TAO");
   console.log("");
 
-  try {
-    const alpha = await staking.getTotalAlphaStaked(hotkey, NETUID_SN38);
-    console.log("getTotalAlphaStaked(hotkey,38):", alpha.toString());
-  } catch (e) {
-    console.log("getTotalAlphaStaked failed:", fmtErr(e));
-  }
-
-  console.log("");
-  try {
-    const gas = await rps.flushFeesToSubnetAndBurn.estimateGas();
-    console.log("flushFeesToSubnetAndBurn estimateGas:", gas.toString());
-  } catch (e) {
-    console.log("flushFeesToSubnetAndBurn estimateGas failed:", fmtErr(e));
+  // The same checks the fee flusher (scripts/rps-fee-flusher.js) records when a flush is blocked or a no-op
+  for (const c of await diagnoseFlush({ client, from: signer.address })) {
+    console.log(`${c.ok ? "ok  " : "FAIL"} ${c.name}: ${c.detail}`);
   }
 
   if (process.env.TEST_STAKING_PRECOMPILE === "1") {
     const testTao = process.env.TEST_TAO || "0.000001";
-    const amountRao = hre.ethers.parseUnits(testTao, 9);
+    const amountRao = parseRao(testTao);
     console.log("\n--- Direct precompile probe (from signer) ---");
     console.log("TEST_TAO:", testTao);
     console.log("TEST_RAO:", amountRao.toString());
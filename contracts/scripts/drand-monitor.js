@@ -0,0 +1,70 @@
+/**
+ * Continuous drand health monitor (see lib/drand-monitor.js for the alerts): follows lastStoredRound against the
+ * clock, compares the drand precompile and storage precompile read paths, and lists live TAOColosseum games and
+ * RPS matches whose drand round is missing. Replaces running check-drand*.js by hand.
+ *
+ * Usage:
+ *   CONTRACT_ADDRESS=0x... RPS_CONTRACT_ADDRESS=0x... npx hardhat run scripts/drand-monitor.js --network bittensor
+ *   ALERT_SINKS="stdout,file=./drand-alerts.jsonl,webhook=https://hooks.example/..." npx hardhat run scripts/drand-monitor.js --network bittensor
+ *   ONCE=1 npx hardhat run scripts/drand-monitor.js --network bittensor     # one check, exit 1 when unhealthy
+ *   CHAIN_CLOCK=1 npx hardhat run scripts/drand-monitor.js --network localhost   # devnet: block time, not wall time
+ *
+ * Both contract addresses are optional; without them only drand itself is watched.
+ * Optional: ALERT_SINKS (default "stdout"; comma-separated stdout, webhook=<url>, file=<path>), POLL_MS (default 15000),
+ * GRACE_SECONDS (default 60), LAG_SECONDS (default CHAIN_LAG_GRACE_SECONDS), MAX_TICKS.
+ * Status lines go to stderr so the stdout sink stays one JSON event per line.
+ */
+const hre = require("hardhat");
+const { createColosseumClient, createRpsClient, createDrandMonitor, fmtErr } = require("../lib");
+const { parseSinks } = require("../lib/alert-sinks");
+const { resolveAddress } = require("../lib/deployments");
+
+async function main() {
+  const provider = hre.ethers.provider;
+  const colosseumAddress = resolveAddress(hre.network.name, "TAOColosseum");
+  const rpsAddress = resolveAddress(hre.network.name, "RPS_Tournament");
+  const once = process.env.ONCE === "1";
+  const pollMs = process.env.POLL_MS ? parseInt(process.env.POLL_MS, 10) : 15000;
+  const maxTicks = process.env.MAX_TICKS ? parseInt(process.env.MAX_TICKS, 10) : Infinity;
+
+  const log = (msg) => console.error(`[${new Date().toISOString()}] ${msg}`);
+  const monitor = createDrandMonitor({
+    provider,
+    colosseum: colosseumAddress ? createColosseumClient(colosseumAddress, provider) : undefined,
+    rps: rpsAddress ? createRpsClient(rpsAddress, provider) : undefined,
+    sinks: parseSinks(process.env.ALERT_SINKS || "stdout"),
+    graceSeconds: process.env.GRACE_SECONDS ? parseInt(process.env.GRACE_SECONDS, 10) : undefined,
+    lagSeconds: process.env.LAG_SECONDS ? parseInt(process.env.LAG_SECONDS, 10) : undefined,
+    chainClock: process.env.CHAIN_CLOCK === "1",
+    log,
+  });
+
+  console.error("\n=== Drand monitor ===\n");
+  console.error("Network:", hre.network.name);
+  console.error("TAOColosseum:", colosseumAddress || "(not watched)");
+  console.error("RPS_Tournament:", rpsAddress || "(not watched)");
+  console.error("Sinks:", process.env.ALERT_SINKS || "stdout", "\n");
+
+  if (once) {
+    const r = await monitor.check();
+    const s = r.snapshot;
+    console.error(`Last stored round: ${s.lastRound} (expected ${s.expectedRound}, ${r.drandLagSeconds}s behind)`);
+    console.error(`Read paths: ${Object.entries(s.lastRounds).map(([k, v]) => `${k} ${v ?? "-"}`).join(", ")}`);
+    for (const item of s.live) console.error(`${item.label}: round ${item.round} ${item.stored ? "stored" : "NOT stored"}`);
+    console.error(r.healthy ? "\n=== HEALTHY ===\n" : `\n=== ${r.alerts.length} ALERT(S) ===\n`);
+    process.exit(r.healthy ? 0 : 1);
+  }
+
+  process.on("SIGINT", () => {
+    log("Stopping after the current check...");
+    monitor.stop();
+  });
+  await monitor.run({ pollMs, maxTicks });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(fmtErr(error));
+    process.exit(1);
+  });
@@ -3,19 +3,24 @@
  * Usage: RPS_CONTRACT_ADDRESS=0x... npx hardhat run scripts/flush-rps-fees.js [--network bittensorTestnet]
  */
 const hre = require("hardhat");
+const { createRpsClient, formatTao, fmtErr } = require("../lib");
+const { resolveAddress } = require("../lib/deployments");
 
 async function main() {
-  const address = process.env.RPS_CONTRACT_ADDRESS;
+  const address = resolveAddress(hre.network.name, "RPS_Tournament");
   if (!address) {
-    console.error("Set RPS_CONTRACT_ADDRESS=0x...");
+    console.error("Set RPS_CONTRACT_ADDRESS=0x... or record the deployment in deployments/<network>.json (scripts/deployments.js).");
     process.exit(1);
   }
 
-  const rps = await hre.ethers.getContractAt("RPS_Tournament", address);
-  const fees = await rps.accumulatedFees();
-  const weiPerRao = await rps.WEI_PER_RAO();
-  const prizeLiability = await rps.totalPrizeLiability();
-  const pendingLiability = await rps.totalPendingWithdrawalLiability();
+  const [signer] = await hre.ethers.getSigners();
+  const rps = createRpsClient(address, signer);
+  const {
+    accumulatedFees: fees,
+    totalPrizeLiability: prizeLiability,
+    totalPendingWithdrawalLiability: pendingLiability,
+  } = await rps.getLiabilities();
+  const weiPerRao = await rps.contract.WEI_PER_RAO();
 
   if (fees === 0n) {
     console.log("No accumulated fees. Exiting.");
@@ -27,12 +32,12 @@ async function main() {
   const free = balance > liabilities ? balance - liabilities : 0n;
   const flushBase = fees < free ? fees : free;
   const flushWei = (flushBase / weiPerRao) * weiPerRao;
-  console.log("Accumulated fees:", hre.ethers.formatEther(fees), "TAO");
-  console.log("Contract balance:", hre.ethers.formatEther(balance), "TAO");
-  console.log("Prize liability:", hre.ethers.formatEther(prizeLiability), "TAO");
-  console.log("Pending liability:", hre.ethers.formatEther(pendingLiability), "TAO");
-  console.log("Free balance:", hre.ethers.formatEther(free), "TAO");
-  console.log("Flushable now:", hre.ethers.formatEther(flushWei), "TAO");
+  console.log("Accumulated fees:", formatTao(fees), "TAO");
+  console.log("Contract balance:", formatTao(balance), "TAO");
+  console.log("Prize liability:", formatTao(prizeLiability), "TAO");
+  console.log("Pending liability:", formatTao(pendingLiability), "TAO");
+  console.log("Free balance:", formatTao(free), "TAO");
+  console.log("Flushable now:", formatTao(flushWei), "TAO");
   if (flushWei === 0n) {
     console.log("Nothing flushable yet (either liabilities consume balance or only sub-RAO dust remains).");
     return;
@@ -45,7 +50,7 @@ async function main() {
     console.log("Tx hash:", tx.hash);
     console.log("Done.");
   } catch (e) {
-    const reason = e.reason || e.message;
+    const reason = fmtErr(e);
     const data = e.data || e.error?.data || e.transaction?.data;
     console.error("Revert reason:", reason);
     if (data && typeof data === "string" && data.length > 10) {
@@ -0,0 +1,118 @@
+/**
+ * Mainnet-fork rehearsal (lib/fork-rehearsal.js): forks Bittensor EVM at a block into the in-process Hardhat
+ * network, installs recorded-response stand-ins at the precompile addresses (0x0805, 0x0807, 0x080D/0x080E),
+ * impersonates the owner and players and runs a scenario against the real contracts:
+ *   resolve-game   finish and resolve the live TAOColosseum game, claim every position, withdraw fees
+ *   flush-fees     RPS_Tournament flushFeesToSubnetAndBurn against the real staking precompile's answers
+ *   claim-prizes   RPS_Tournament claimPrize / withdrawPending for everything unclaimed
+ *
+ * The first run captures the precompile answers from the archive node into FIXTURE_FILE; later runs with the
+ * same fixture replay them and, with Hardhat's fork cache for the pinned block, need no network at all.
+ * Nothing is ever sent to the real chain. Run without --network.
+ *
+ * Usage:
+ *   SCENARIO=flush-fees FORK_BLOCK=4812345 npx hardhat run scripts/fork-rehearsal.js          # capture + rehearse
+ *   SCENARIO=flush-fees FORK_BLOCK=4812345 npx hardhat run scripts/fork-rehearsal.js          # again: replays the fixture
+ *   SCENARIO=resolve-game FIXTURE_FILE=./fork-fixtures/resolve-game.bittensorArchive.4812345.json npx hardhat run scripts/fork-rehearsal.js
+ *
+ * Optional: FORK_NETWORK (default bittensorArchive; any network with a url in hardhat.config.js),
+ * FORK_BLOCK (default the node's latest), CAPTURE_BLOCK (drand answers; default the node's latest),
+ * FIXTURE_FILE (default fork-fixtures/<scenario>.<network>.<forkBlock>.json), RECAPTURE=1 (overwrite it),
+ * CONTRACT_ADDRESS / RPS_CONTRACT_ADDRESS (default: the bittensor registry, see REGISTRY_NETWORK),
+ * FORMAT=text|json. Exits 1 when a step fails.
+ *
+ * flush-fees: eth_call cannot capture what getTotalAlphaStaked answers after the flush's addStake, so without
+ * help the replay sees no new alpha, never reaches burnAlpha and the step FAILS as not rehearsed. Supply the
+ * alpha the stake yields when capturing: ALPHA_RECEIVED=<alpha>, or FLUSH_TX=<hash of a real flush> to apply
+ * that flush's alpha per TAO. Both also record burnAlpha as succeeding (responses with "afterWrites": 1, served
+ * after the first mutating call; a fixture can be edited the same way by hand). These answers are marked
+ * "synthetic": true in the fixture and the flush step says it ran against them.
+ */
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { RPS_TOURNAMENT_ABI, toJson, fmtErr } = require("../lib");
+const { resolveAddress } = require("../lib/deployments");
+const { SCENARIOS, forkNetwork, capturePrecompileFixture, runRehearsal } = require("../lib/fork-rehearsal");
+
+/** PostStakeAlpha for flush-fees from ALPHA_RECEIVED or FLUSH_TX (read on the archive node), or null. */
+async function postStakeAlpha(archive) {
+  if (process.env.ALPHA_RECEIVED) return { alphaReceived: BigInt(process.env.ALPHA_RECEIVED) };
+  if (!process.env.FLUSH_TX) return null;
+  const receipt = await archive.getTransactionReceipt(process.env.FLUSH_TX);
+  if (!receipt) throw new Error(`Flush transaction ${process.env.FLUSH_TX} not found`);
+  const iface = new hre.ethers.Interface(RPS_TOURNAMENT_ABI);
+  const event = receipt.logs.map((l) => iface.parseLog(l)).find((e) => e && e.name === "FeesFlushedToSn38AndBurned");
+  if (!event || event.args.taoAmount === 0n) throw new Error(`${process.env.FLUSH_TX} has no FeesFlushedToSn38AndBurned event that staked TAO`);
+  return { fromFlush: { txHash: receipt.hash, taoAmount: event.args.taoAmount, alphaBurned: event.args.alphaBurned } };
+}
+
+function usage() {
+  console.error(`Usage: SCENARIO=${Object.keys(SCENARIOS).join("|")} [FORK_BLOCK=<n>] [FIXTURE_FILE=...] npx hardhat run scripts/fork-rehearsal.js`);
+  process.exit(1);
+}
+
+async function main() {
+  const scenario = process.env.SCENARIO;
+  if (!SCENARIOS[scenario]) usage();
+  if (hre.network.name !== "hardhat") {
+    console.error("scripts/fork-rehearsal.js forks into the in-process hardhat network; run it without --network.");
+    process.exit(1);
+  }
+  const network = process.env.FORK_NETWORK || "bittensorArchive";
+  const log = (msg) => console.error(`[${new Date().toISOString()}] ${msg}`);
+  const fixtureFile = (forkBlock) =>
+    process.env.FIXTURE_FILE || path.join(__dirname, "..", "fork-fixtures", `${scenario}.${network}.${forkBlock}.json`);
+
+  let fixture = null;
+  let forkBlock = process.env.FORK_BLOCK ? parseInt(process.env.FORK_BLOCK, 10) : null;
+  if (process.env.RECAPTURE !== "1" && (process.env.FIXTURE_FILE || forkBlock != null) && fs.existsSync(fixtureFile(forkBlock))) {
+    fixture = JSON.parse(fs.readFileSync(fixtureFile(forkBlock), "utf8"));
+    forkBlock = fixture.forkBlock;
+    log(`Replaying ${fixtureFile(forkBlock)} (captured ${fixture.capturedAt} at block ${fixture.captureBlock})`);
+  }
+
+  const { url, blockNumber } = await forkNetwork(hre, { network, blockNumber: forkBlock });
+  log(`Forked ${network} at block ${blockNumber}`);
+
+  if (!fixture) {
+    const archive = new hre.ethers.JsonRpcProvider(url);
+    const registry = process.env.REGISTRY_NETWORK || "bittensor";
+    const captureBlock = process.env.CAPTURE_BLOCK ? parseInt(process.env.CAPTURE_BLOCK, 10) : await archive.getBlockNumber();
+    fixture = await capturePrecompileFixture(hre, {
+      scenario,
+      provider: archive,
+      forkBlock: blockNumber,
+      captureBlock,
+      network,
+      postStakeAlpha: scenario === "flush-fees" ? await postStakeAlpha(archive) : null,
+      addresses: {
+        TAOColosseum: resolveAddress(registry, "TAOColosseum"),
+        RPS_Tournament: resolveAddress(registry, "RPS_Tournament"),
+      },
+    });
+    const file = fixtureFile(blockNumber);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, toJson(fixture, 2) + "\n");
+    log(`Captured ${fixture.responses.length} precompile response(s) into ${file}`);
+  }
+
+  const result = await runRehearsal(hre, { scenario, fixture, log });
+  if (process.env.FORMAT === "json") {
+    console.log(toJson(result, 2));
+  } else {
+    console.log(`\n=== Fork rehearsal: ${scenario} @ ${network} block ${fixture.forkBlock} ===\n`);
+    for (const r of fixture.responses) console.log(`  recorded ${r.label}: ${r.success ? "ok" : "reverts"} (${r.output.length / 2 - 1} bytes${r.synthetic ? ", synthetic" : ""})`);
+    if (fixture.responses.length > 0) console.log("");
+    for (const s of result.steps) console.log(`${s.ok ? "✅" : "❌"} ${s.name}: ${s.detail}`);
+    console.log(result.ok ? "\nRehearsal passed.\n" : "\nRehearsal FAILED.\n");
+  }
+  process.exit(result.ok ? 0 : 1);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(fmtErr(error));
+    process.exit(1);
+  });
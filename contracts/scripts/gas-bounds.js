@@ -0,0 +1,46 @@
+/**
+ * Worst-case block gas analysis (lib/gas-bounds.js): builds the adversarial state at the bound of every loop
+ * that grows with participants (TAOColosseum _calculateValidPools and _updateLeaderboard, RPS_Tournament
+ * _checkRoundAdvance and cancelStalledTournament) on the in-process Hardhat network, measures the call that
+ * runs it and reports the headroom against the Bittensor EVM block gas limit. A call over the limit can never
+ * be mined: whoever builds that state can make the game unresolvable. Run before a release, without --network.
+ *
+ * Usage:
+ *   npx hardhat run scripts/gas-bounds.js
+ *   ONLY=colosseum-leaderboard,rps-stalled-cancel npx hardhat run scripts/gas-bounds.js
+ *
+ * Optional: BLOCK_GAS_LIMIT (default BITTENSOR_BLOCK_GAS_LIMIT; the live value is any block's gasLimit),
+ * FORMAT=text|json, OUT_FILE (default stdout). Exits 1 when any call does not fit a block.
+ */
+const fs = require("fs");
+const hre = require("hardhat");
+const { toJson, fmtErr } = require("../lib");
+const { BOUNDED_LOOPS, analyzeGasBounds, renderGasBounds } = require("../lib/gas-bounds");
+
+function usage() {
+  console.error(`Usage: [ONLY=${BOUNDED_LOOPS.map((l) => l.id).join(",")}] [BLOCK_GAS_LIMIT=<gas>] [FORMAT=text|json] [OUT_FILE=...]`);
+  console.error("       npx hardhat run scripts/gas-bounds.js");
+  process.exit(1);
+}
+
+async function main() {
+  const format = process.env.FORMAT || "text";
+  if (!["text", "json"].includes(format)) usage();
+  const only = process.env.ONLY ? process.env.ONLY.split(",").map((s) => s.trim()) : undefined;
+  if (only && only.some((name) => !BOUNDED_LOOPS.some((l) => l.id === name))) usage();
+  const opts = { only, log: (msg) => console.error(msg) };
+  if (process.env.BLOCK_GAS_LIMIT) opts.blockGasLimit = BigInt(process.env.BLOCK_GAS_LIMIT);
+
+  const report = await analyzeGasBounds(hre, opts);
+  const output = format === "json" ? toJson(report, 2) + "\n" : renderGasBounds(report) + "\n";
+  if (process.env.OUT_FILE) fs.writeFileSync(process.env.OUT_FILE, output);
+  else process.stdout.write(output);
+  process.exit(report.ok ? 0 : 1);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(fmtErr(error));
+    process.exit(1);
+  });
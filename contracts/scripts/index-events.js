@@ -0,0 +1,67 @@
+/**
+ * Index TAOColosseum and/or RPS_Tournament events into a local SQLite file.
+ * Resumes from the last indexed block; rolls back and re-indexes on reorgs.
+ *
+ * Usage:
+ *   CONTRACT_ADDRESS=0x... RPS_CONTRACT_ADDRESS=0x... START_BLOCK=1234567 \
+ *     npx hardhat run scripts/index-events.js --network bittensor
+ *   FOLLOW=1 CONTRACT_ADDRESS=0x... npx hardhat run scripts/index-events.js --network bittensor   # keep following head
+ *
+ * Optional: INDEX_DB (default data/events-<network>.sqlite), START_BLOCK (deployment block; default 0,
+ * only used for an empty DB), BATCH_SIZE (default 2000), CONFIRMATIONS (default 0), POLL_MS (default 6000).
+ * Query the result with scripts/query-events.js.
+ */
+const path = require("path");
+const hre = require("hardhat");
+const { createEventIndexer, fmtErr } = require("../lib");
+const { openEventDb } = require("../lib/event-db");
+const { resolveAddress } = require("../lib/deployments");
+
+function intEnv(name, fallback) {
+  return process.env[name] ? parseInt(process.env[name], 10) : fallback;
+}
+
+async function main() {
+  const colosseumAddress = resolveAddress(hre.network.name, "TAOColosseum");
+  const rpsAddress = resolveAddress(hre.network.name, "RPS_Tournament");
+  if (!colosseumAddress && !rpsAddress) {
+    console.error("Usage: [CONTRACT_ADDRESS=0x...] [RPS_CONTRACT_ADDRESS=0x...] [START_BLOCK=n] [FOLLOW=1] npx hardhat run scripts/index-events.js [--network <name>]");
+    process.exit(1);
+  }
+  const dbPath = process.env.INDEX_DB || path.join("data", `events-${hre.network.name}.sqlite`);
+  const db = await openEventDb(dbPath);
+  const indexer = createEventIndexer({
+    provider: hre.ethers.provider,
+    db,
+    colosseumAddress,
+    rpsAddress,
+    startBlock: intEnv("START_BLOCK", 0),
+    batchSize: intEnv("BATCH_SIZE", 2000),
+    confirmations: intEnv("CONFIRMATIONS", 0),
+    log: (msg) => console.log(`[${new Date().toISOString()}] ${msg}`),
+  });
+
+  console.log("\n=== Event indexer ===\n");
+  console.log("Network:", hre.network.name);
+  if (colosseumAddress) console.log("TAOColosseum:", colosseumAddress);
+  if (rpsAddress) console.log("RPS_Tournament:", rpsAddress);
+  console.log("DB:", dbPath);
+  console.log("Resuming after block:", db.getLastBlock() ?? "(empty)", "\n");
+
+  if (process.env.FOLLOW === "1") {
+    process.on("SIGINT", () => indexer.stop());
+    await indexer.run({ pollMs: intEnv("POLL_MS", 6000) });
+  } else {
+    const r = await indexer.sync();
+    console.log(`Indexed ${r.events} event(s) in blocks ${r.fromBlock}..${r.toBlock}${r.reorgedTo != null ? ` (rolled back to ${r.reorgedTo})` : ""}`);
+  }
+  console.log("Total events:", db.countEvents());
+  db.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(fmtErr(error));
+    process.exit(1);
+  });
@@ -12,24 +12,13 @@
  *   NETUID=38
  */
 const hre = require("hardhat");
-
-const STAKING_PRECOMPILE = "0x0000000000000000000000000000000000000805";
-
-const STAKING_ABI = [
-  "function addStake(bytes32 hotkey, uint256 amount, uint256 netuid) payable",
-  "function getTotalAlphaStaked(bytes32 hotkey, uint256 netuid) view returns (uint256)",
-  "function burnAlpha(bytes32 hotkey, uint256 amount, uint256 netuid) payable",
-];
+const { STAKING_PRECOMPILE, STAKING_ABI, fmtErr, formatTao, parseRao } = require("../lib");
 
 function fail(msg) {
   console.error(msg);
   process.exit(1);
 }
 
-function fmtErr(e) {
-  return e?.reason || e?.shortMessage || e?.message || String(e);
-}
-
 async function main() {
   const hotkey = process.env.SN38_OWNER_HOTKEY;
   if (!hotkey || !/^0x[0-9a-fA-F]{64}$/.test(hotkey)) {
@@ -38,7 +27,7 @@ async function main() {
 
   const amountTao = process.env.AMOUNT_TAO;
   if (!amountTao) fail("Set AMOUNT_TAO, e.g. AMOUNT_TAO=0.2");
-  const amountRao = hre.ethers.parseUnits(amountTao, 9); // staking precompile expects RAO
+  const amountRao = parseRao(amountTao); // staking precompile expects RAO
   if (amountRao <= 0n) fail("AMOUNT_TAO must be > 0");
 
   const netuid = BigInt(process.env.NETUID || "38");
@@ -55,7 +44,7 @@ async function main() {
   console.log("");
 
   const signerBal = await hre.ethers.provider.getBalance(signer.address);
-  console.log("Signer balance:", hre.ethers.formatEther(signerBal), "TAO");
+  console.log("Signer balance:", formatTao(signerBal), "TAO");
   // if (signerBal < amountRao * 1000000000n) {
   //   fail("Signer balance is lower than AMOUNT_TAO.");
   // }
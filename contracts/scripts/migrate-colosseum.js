@@ -0,0 +1,143 @@
+/**
+ * TAOColosseum migration (lib/colosseum-migration.js). Steps, run in the order given by STEP (comma-separated):
+ *   snapshot   read the old contract (games, open claims, unsettled bets, fees, leaderboard, userStats) into SNAPSHOT_FILE
+ *   wind-down  keeper without auto-start until the current game is settled, withdraw fees, re-snapshot
+ *   report     per-user "still to claim" report from SNAPSHOT_FILE
+ *   stats      write the leaderboard/userStats history from SNAPSHOT_FILE to STATS_FILE, to publish off-chain next to
+ *              the new deployment (which starts with empty stats)
+ *
+ * Usage:
+ *   CONTRACT_ADDRESS=0x... STEP=snapshot npx hardhat run scripts/migrate-colosseum.js --network bittensor
+ *   CONTRACT_ADDRESS=0x... STEP=wind-down,report OUT_FILE=./claims.md npx hardhat run scripts/migrate-colosseum.js --network bittensor
+ *   STEP=stats npx hardhat run scripts/migrate-colosseum.js --network bittensor
+ *
+ * Rehearsal on a local fork (everything in one run; nothing is sent to the real chain):
+ *   FORK_URL=https://archive.chain.opentensor.ai [FORK_BLOCK=<n>] CONTRACT_ADDRESS=0x... \
+ *     STEP=snapshot,wind-down,report,stats npx hardhat run scripts/migrate-colosseum.js
+ * On the in-process hardhat network the owner is impersonated, the precompile stand-ins of lib/devnet.js
+ * replace drand (the fork has no native precompiles) and blocks are mined instead of waited for.
+ *
+ * The signer (first account, PRIVATE_KEY) must be the owner of the old contract (withdrawFees). Optional:
+ * SNAPSHOT_FILE (default colosseum-snapshot.<network>.json), FORMAT=markdown|json and OUT_FILE (report; default
+ * stdout), POLL_MS (default 6000) and MAX_TICKS (default 600) for wind-down, KEEP_FEES=1 (don't withdraw fees),
+ * STATS_FILE (default colosseum-legacy-stats.<network>.json).
+ */
+const fs = require("fs");
+const hre = require("hardhat");
+const {
+  createColosseumClient,
+  createTxSender,
+  snapshotColosseum,
+  migrationStatus,
+  windDownColosseum,
+  buildClaimsReport,
+  renderClaimsMarkdown,
+  buildLegacyStats,
+  formatTao,
+  toJson,
+  fmtErr,
+} = require("../lib");
+const { resolveAddress } = require("../lib/deployments");
+const { startDevnet } = require("../lib/devnet");
+
+const STEPS = ["snapshot", "wind-down", "report", "stats"];
+const rehearsal = hre.network.name === "hardhat";
+
+function usage() {
+  console.error(`Usage: CONTRACT_ADDRESS=0x... STEP=${STEPS.join("|")}[,...] [SNAPSHOT_FILE=...] [STATS_FILE=...]`);
+  console.error("       npx hardhat run scripts/migrate-colosseum.js [--network <name>]");
+  process.exit(1);
+}
+
+/** The owner of `address`: the configured signer, or (rehearsal only) the impersonated on-chain owner. */
+async function ownerSigner(address) {
+  const owner = await createColosseumClient(address, hre.ethers.provider).contract.owner();
+  if (rehearsal) {
+    await hre.ethers.provider.send("hardhat_impersonateAccount", [owner]);
+    await hre.ethers.provider.send("hardhat_setBalance", [owner, hre.ethers.toQuantity(hre.ethers.parseEther("100"))]);
+    return hre.ethers.getSigner(owner);
+  }
+  const [signer] = await hre.ethers.getSigners();
+  if (!signer || signer.address.toLowerCase() !== owner.toLowerCase()) {
+    throw new Error(`Signer ${signer ? signer.address : "(none)"} is not the owner of ${address} (${owner})`);
+  }
+  return signer;
+}
+
+function printSnapshot(snapshot) {
+  const t = snapshot.totals;
+  const status = migrationStatus(snapshot);
+  console.log(`Block ${snapshot.blockNumber}: ${snapshot.games.length} game(s), ${snapshot.userStats.length} user(s), leaderboard ${snapshot.leaderboard.length}`);
+  console.log(`Balance ${formatTao(snapshot.balance)} TAO = claimable ${formatTao(t.claimable)} + unsettled ${formatTao(t.pending)} + fees ${formatTao(t.accumulatedFees)} + surplus ${formatTao(t.surplus)}`);
+  console.log(status.terminal ? "Terminal: nothing left to settle or withdraw" : `Not terminal: ${status.blockers.join("; ")}`);
+}
+
+async function main() {
+  const steps = (process.env.STEP || "snapshot").split(",").map((s) => s.trim());
+  if (steps.some((s) => !STEPS.includes(s))) usage();
+  const snapshotFile = process.env.SNAPSHOT_FILE || `colosseum-snapshot.${hre.network.name}.json`;
+  const address = resolveAddress(hre.network.name, "TAOColosseum");
+  if (!address && steps.some((s) => s === "snapshot" || s === "wind-down")) usage();
+  const log = (msg) => console.log(`[${new Date().toISOString()}] ${msg}`);
+
+  console.log("\n=== TAOColosseum migration ===\n");
+  console.log("Network:", hre.network.name, rehearsal ? (hre.network.config.forking ? "(fork rehearsal)" : "(rehearsal)") : "");
+  if (address) console.log("Old contract:", address);
+  console.log("Snapshot file:", snapshotFile, "\n");
+
+  // Drand is fed from the last local account so it never races the owner's nonces
+  const devnet = rehearsal ? await startDevnet(hre, { signer: (await hre.ethers.getSigners()).at(-1) }) : null;
+  let snapshot = null;
+  const takeSnapshot = async () => {
+    snapshot = await snapshotColosseum(createColosseumClient(address, hre.ethers.provider), { log });
+    fs.writeFileSync(snapshotFile, toJson(snapshot, 2) + "\n");
+    printSnapshot(snapshot);
+  };
+  const readSnapshot = () => {
+    if (!snapshot) snapshot = JSON.parse(fs.readFileSync(snapshotFile, "utf8"));
+    return snapshot;
+  };
+
+  for (const step of steps) {
+    console.log(`\n--- ${step} ---\n`);
+    if (step === "snapshot") {
+      await takeSnapshot();
+    } else if (step === "wind-down") {
+      const pollMs = process.env.POLL_MS ? parseInt(process.env.POLL_MS, 10) : 6000;
+      const result = await windDownColosseum({
+        client: createColosseumClient(address, hre.ethers.provider),
+        sender: createTxSender({ signer: await ownerSigner(address), log }),
+        advance: () => (devnet ? devnet.mine(1) : new Promise((resolve) => setTimeout(resolve, pollMs))),
+        maxTicks: process.env.MAX_TICKS ? parseInt(process.env.MAX_TICKS, 10) : 600,
+        withdrawFees: process.env.KEEP_FEES !== "1",
+        log,
+      });
+      console.log(result.settled ? `Settled after ${result.ticks} tick(s)` : `Not settled after ${result.ticks} tick(s): ${result.last && result.last.reason}`);
+      console.log("Fees withdrawn:", formatTao(result.feesWithdrawn), "TAO\n");
+      await takeSnapshot();
+    } else if (step === "report") {
+      const report = buildClaimsReport(readSnapshot());
+      const output = process.env.FORMAT === "json" ? toJson(report, 2) + "\n" : renderClaimsMarkdown(report);
+      if (process.env.OUT_FILE) {
+        fs.writeFileSync(process.env.OUT_FILE, output);
+        console.log(`${report.users.length} user(s) with open claims; report written to ${process.env.OUT_FILE}`);
+      } else {
+        process.stdout.write(output);
+      }
+    } else if (step === "stats") {
+      const statsFile = process.env.STATS_FILE || `colosseum-legacy-stats.${hre.network.name}.json`;
+      const legacy = buildLegacyStats(readSnapshot());
+      fs.writeFileSync(statsFile, toJson(legacy, 2) + "\n");
+      console.log(`Leaderboard (${legacy.leaderboard.length}) and userStats of ${legacy.userStats.length} user(s) written to ${statsFile}`);
+    }
+  }
+  if (devnet) await devnet.stop();
+  console.log("");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(fmtErr(error));
+    process.exit(1);
+  });
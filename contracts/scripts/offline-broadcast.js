@@ -0,0 +1,70 @@
+/**
+ * Step 3 of the offline signing workflow (see lib/offline-tx.js): send a bundle signed by scripts/offline-sign.js
+ * in nonce order, wait for each receipt and track the outcome in STATUS_FILE. Safe to re-run: transactions that
+ * are already mined are reported, not resent. Contracts a bundle deployed are recorded in the deployments registry.
+ *
+ * Usage:
+ *   BUNDLE_FILE=./offline-bundle.signed.json npx hardhat run scripts/offline-broadcast.js --network bittensor
+ *
+ * Optional: STATUS_FILE (default: BUNDLE_FILE with .status.json), CONFIRMATIONS (default 1),
+ * TIMEOUT_MS (per transaction, default 600000). Exits 1 unless every transaction was mined successfully.
+ */
+const fs = require("fs");
+const hre = require("hardhat");
+const { broadcastOfflineBundle, toJson, fmtErr } = require("../lib");
+const { importDeployment } = require("../lib/deployments");
+
+async function main() {
+  const bundleFile = process.env.BUNDLE_FILE;
+  if (!bundleFile) {
+    console.error("Usage: BUNDLE_FILE=./offline-bundle.signed.json npx hardhat run scripts/offline-broadcast.js --network <name>");
+    process.exit(1);
+  }
+  const bundle = JSON.parse(fs.readFileSync(bundleFile, "utf8"));
+  const statusFile = process.env.STATUS_FILE || bundleFile.replace(/(\.signed)?(\.json)?$/, ".status.json");
+  if (bundle.network !== hre.network.name) {
+    console.log(`Note: the bundle was built on network "${bundle.network}", broadcasting on "${hre.network.name}".`);
+  }
+
+  console.log("\n=== Offline transaction broadcast ===\n");
+  console.log("Bundle:", bundleFile, `(signed ${bundle.signedAt || "-"})`);
+  console.log("Network:", hre.network.name);
+  console.log("From:", bundle.from);
+  console.log("Status file:", statusFile);
+  console.log("");
+
+  const status = { bundle: bundleFile, network: hre.network.name, from: bundle.from, startedAt: new Date().toISOString(), results: [] };
+  const results = await broadcastOfflineBundle({
+    provider: hre.ethers.provider,
+    bundle,
+    confirmations: process.env.CONFIRMATIONS ? parseInt(process.env.CONFIRMATIONS, 10) : 1,
+    timeoutMs: process.env.TIMEOUT_MS ? parseInt(process.env.TIMEOUT_MS, 10) : 600000,
+    onResult: (result) => {
+      status.results.push(result);
+      status.updatedAt = new Date().toISOString();
+      fs.writeFileSync(statusFile, toJson(status, 2) + "\n");
+      const where = result.blockNumber != null ? `block ${result.blockNumber}, gas ${result.gasUsed}` : result.error;
+      console.log(`  nonce ${result.nonce}  ${result.label}: ${result.status} (${where})  ${result.hash}`);
+      if (result.blockNumber != null && result.error) console.log(`    ${result.error}`);
+    },
+  });
+
+  for (const [i, tx] of bundle.transactions.entries()) {
+    const result = results[i];
+    if (!tx.deploy || !["mined", "already-mined"].includes(result.status) || !result.contractAddress) continue;
+    const { name, constructorArgs } = tx.deploy;
+    await importDeployment(hre, name, { address: result.contractAddress, txHash: result.hash, constructorArgs });
+    console.log(`\nRecorded ${name} at ${result.contractAddress} in the deployments registry.`);
+  }
+
+  const failed = results.filter((r) => !["mined", "already-mined"].includes(r.status));
+  console.log(failed.length === 0 ? "\nAll transactions mined." : `\n${failed.length} transaction(s) not mined successfully; see ${statusFile}.`);
+  if (failed.length > 0) process.exit(1);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(fmtErr(error));
+    process.exit(1);
+  });
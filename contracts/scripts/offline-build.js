@@ -0,0 +1,105 @@
+/**
+ * Step 1 of the offline signing workflow (see lib/offline-tx.js): build unsigned owner/treasury transactions with
+ * nonce, gas limit, gas price and chainId pinned into a portable JSON bundle. Runs on a networked machine and needs
+ * no key. Sign the bundle with scripts/offline-sign.js, send it with scripts/offline-broadcast.js.
+ *
+ * Usage:
+ *   FROM=0xOwner OPS=withdrawFees npx hardhat run scripts/offline-build.js --network bittensor
+ *   FROM=0xOwner OPS=transferOwnership=0xSafe,flush npx hardhat run scripts/offline-build.js --network bittensor
+ *   FROM=0xDeployer OPS=deploy=RPS_Tournament SN38_OWNER_HOTKEY=0x... npx hardhat run scripts/offline-build.js --network bittensor
+ *   SAFE_ADDRESS=0xSafe OPS=withdrawFees npx hardhat run scripts/offline-build.js --network bittensor
+ *
+ * OPS (comma-separated, built in this order): withdrawFees, flush, transferOwnership=<address>,
+ * deploy=TAOColosseum|RPS_Tournament. Contract addresses come from CONTRACT_ADDRESS / RPS_CONTRACT_ADDRESS or the
+ * deployments registry.
+ * Optional: BUNDLE_FILE (default ./offline-bundle.json), CHAIN_ID (default 964, Bittensor mainnet), NONCE (default:
+ * the pending nonce of FROM), GAS_PRICE_GWEI (default: the network's), GAS_BUFFER_PERCENT (default 20).
+ * With SAFE_ADDRESS the calls are estimated from the Safe and written as a Safe Transaction Builder batch to
+ * SAFE_BATCH_FILE (default ./safe-batch.json) instead: load it in the Safe app's Transaction Builder.
+ */
+const fs = require("fs");
+const hre = require("hardhat");
+const {
+  BITTENSOR_CHAIN_ID,
+  parseOfflineOps,
+  resolveOfflineOps,
+  buildOfflineBundle,
+  toSafeBatch,
+  formatTao,
+  toJson,
+  fmtErr,
+} = require("../lib");
+const { resolveAddress } = require("../lib/deployments");
+
+async function deployTransaction(name) {
+  let constructorArgs = [];
+  if (name === "RPS_Tournament") {
+    const hotkey = process.env.SN38_OWNER_HOTKEY;
+    if (!hotkey || !/^0x[0-9a-fA-F]{64}$/.test(hotkey)) throw new Error("deploy=RPS_Tournament needs SN38_OWNER_HOTKEY (0x + 64 hex chars)");
+    constructorArgs = [hotkey];
+  }
+  const factory = await hre.ethers.getContractFactory(name);
+  const { data } = await factory.getDeployTransaction(...constructorArgs);
+  return { data, constructorArgs };
+}
+
+async function main() {
+  const safeAddress = process.env.SAFE_ADDRESS;
+  const from = safeAddress || process.env.FROM;
+  if (!process.env.OPS || !from) {
+    console.error("Usage: FROM=0x... OPS=withdrawFees[,flush,transferOwnership=0x...,deploy=<contract>] npx hardhat run scripts/offline-build.js --network <name>");
+    console.error("       SAFE_ADDRESS=0x... OPS=... (Safe Transaction Builder batch instead of a signable bundle)");
+    process.exit(1);
+  }
+  const chainId = process.env.CHAIN_ID ? parseInt(process.env.CHAIN_ID, 10) : BITTENSOR_CHAIN_ID;
+  const addresses = {
+    TAOColosseum: resolveAddress(hre.network.name, "TAOColosseum"),
+    RPS_Tournament: resolveAddress(hre.network.name, "RPS_Tournament"),
+  };
+  const calls = await resolveOfflineOps(parseOfflineOps(process.env.OPS), { addresses, deployTransaction });
+
+  console.log("\n=== Offline transaction build ===\n");
+  console.log("Network:", hre.network.name, `(chainId ${chainId})`);
+  console.log(safeAddress ? "Safe:" : "From:", from);
+  console.log("");
+
+  const bundle = await buildOfflineBundle({
+    provider: hre.ethers.provider,
+    from,
+    network: hre.network.name,
+    calls,
+    chainId,
+    gasBufferPercent: process.env.GAS_BUFFER_PERCENT ? parseInt(process.env.GAS_BUFFER_PERCENT, 10) : 20,
+    gasPrice: process.env.GAS_PRICE_GWEI ? hre.ethers.parseUnits(process.env.GAS_PRICE_GWEI, "gwei") : undefined,
+    nonce: process.env.NONCE ? parseInt(process.env.NONCE, 10) : undefined,
+  });
+  let maxCost = 0n;
+  for (const tx of bundle.transactions) {
+    maxCost += tx.gasLimit * tx.gasPrice + tx.value;
+    console.log(`  ${safeAddress ? "" : `nonce ${tx.nonce}  `}${tx.label}  gas ${tx.gasLimit}${tx.deploy ? `  -> ${tx.deploy.address}` : ""}`);
+  }
+  console.log("");
+
+  if (safeAddress) {
+    const outFile = process.env.SAFE_BATCH_FILE || "./safe-batch.json";
+    fs.writeFileSync(outFile, JSON.stringify(toSafeBatch(calls, { safeAddress, chainId }), null, 2) + "\n");
+    console.log("Safe batch written to", outFile);
+    console.log("Load it in the Safe app: Apps -> Transaction Builder -> drag and drop, then collect the signatures.");
+    return;
+  }
+
+  const balance = await hre.ethers.provider.getBalance(bundle.from);
+  console.log("Max gas cost:", formatTao(maxCost), "TAO (balance", formatTao(balance), "TAO)");
+  if (balance < maxCost) console.log("Warning: the balance does not cover the bundle's gas at the pinned price.");
+  const outFile = process.env.BUNDLE_FILE || "./offline-bundle.json";
+  fs.writeFileSync(outFile, toJson(bundle, 2) + "\n");
+  console.log("Unsigned bundle written to", outFile);
+  console.log("Next, on the signing machine: BUNDLE_FILE=" + outFile + " KEYSTORE=<keystore.json> node scripts/offline-sign.js");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(fmtErr(error));
+    process.exit(1);
+  });
@@ -0,0 +1,145 @@
+/**
+ * Step 2 of the offline signing workflow (see lib/offline-tx.js): sign a bundle from scripts/offline-build.js with
+ * an encrypted JSON keystore. Makes no network connection and does not load Hardhat or ../.env: run it with plain
+ * node on the air-gapped machine, then carry the signed bundle back for scripts/offline-broadcast.js.
+ *
+ * Usage:
+ *   BUNDLE_FILE=./offline-bundle.json KEYSTORE=./owner.keystore.json node scripts/offline-sign.js
+ *   ACTION=keystore PRIVATE_KEY=0x... KEYSTORE=./owner.keystore.json node scripts/offline-sign.js
+ *
+ * ACTION=sign (default) prints every transaction and asks before signing (YES=1 skips the question); the signed
+ * bundle goes to OUT (default: BUNDLE_FILE with .signed.json). Refuses a bundle whose chainId is not EXPECT_CHAIN_ID
+ * (default 964, Bittensor mainnet) or that was built for another address than the keystore's.
+ * ACTION=keystore encrypts PRIVATE_KEY into KEYSTORE once, so the raw key can leave ../.env.
+ * The keystore password is read from the terminal without echo (twice for ACTION=keystore). KEYSTORE_PASSWORD is
+ * for automation only: it lands in shell history and the process environment, which the air gap is meant to protect.
+ */
+const fs = require("fs");
+const readline = require("readline");
+const { Wallet, formatUnits } = require("ethers");
+const { BITTENSOR_CHAIN_ID, signOfflineBundle, checkOfflineBundle, formatTao, toJson, fmtErr } = require("../lib");
+
+function askQuestion(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+/**
+ * Like askQuestion, but the answers are not echoed (readline still handles editing keys) and are not trimmed.
+ * One interface for all questions, so typed-ahead or piped lines are not lost between them.
+ */
+function askHidden(...questions) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal: true,
+  });
+  let muted = false;
+  rl._writeToOutput = (text) => {
+    if (!muted) process.stdout.write(text);
+  };
+
+  const answers = [];
+  return new Promise((resolve, reject) => {
+    rl.on("SIGINT", () => rl.close());
+    rl.on("close", () => {
+      if (answers.length < questions.length) reject(new Error("No password entered"));
+    });
+    const next = () => {
+      if (answers.length === questions.length) {
+        rl.close();
+        resolve(answers);
+        return;
+      }
+      muted = false;
+      rl.question(questions[answers.length], (answer) => {
+        process.stdout.write("\n");
+        answers.push(answer);
+        next();
+      });
+      muted = true;
+    };
+    next();
+  });
+}
+
+async function password({ confirm = false } = {}) {
+  if (process.env.KEYSTORE_PASSWORD) return process.env.KEYSTORE_PASSWORD;
+  const [value, repeat] = await askHidden("Keystore password: ", ...(confirm ? ["Repeat password: "] : []));
+  if (!value) throw new Error("Empty keystore password");
+  if (confirm && repeat !== value) throw new Error("Passwords do not match");
+  return value;
+}
+
+async function writeKeystore(keystoreFile) {
+  if (!process.env.PRIVATE_KEY) {
+    console.error("Usage: ACTION=keystore PRIVATE_KEY=0x... KEYSTORE=./owner.keystore.json node scripts/offline-sign.js");
+    process.exit(1);
+  }
+  if (fs.existsSync(keystoreFile)) {
+    console.error(`${keystoreFile} already exists; not overwriting it.`);
+    process.exit(1);
+  }
+  const wallet = new Wallet(process.env.PRIVATE_KEY);
+  fs.writeFileSync(keystoreFile, (await wallet.encrypt(await password({ confirm: true }))) + "\n", { mode: 0o600 });
+  console.log(`Keystore for ${wallet.address} written to ${keystoreFile}. Remove PRIVATE_KEY from ../.env.`);
+}
+
+async function main() {
+  const keystoreFile = process.env.KEYSTORE;
+  const action = process.env.ACTION || "sign";
+  if (!keystoreFile) {
+    console.error("Usage: BUNDLE_FILE=./offline-bundle.json KEYSTORE=./owner.keystore.json node scripts/offline-sign.js");
+    process.exit(1);
+  }
+  if (action === "keystore") return writeKeystore(keystoreFile);
+
+  const bundleFile = process.env.BUNDLE_FILE || "./offline-bundle.json";
+  const bundle = JSON.parse(fs.readFileSync(bundleFile, "utf8"));
+  const chainId = process.env.EXPECT_CHAIN_ID ? parseInt(process.env.EXPECT_CHAIN_ID, 10) : BITTENSOR_CHAIN_ID;
+  checkOfflineBundle(bundle, { chainId });
+
+  console.log("\n=== Offline signing ===\n");
+  console.log("Bundle:", bundleFile, `(built ${bundle.createdAt} on ${bundle.network})`);
+  console.log("Chain ID:", bundle.chainId);
+  console.log("From:", bundle.from);
+  console.log("");
+  for (const tx of bundle.transactions) {
+    console.log(`  nonce ${tx.nonce}  ${tx.label}`);
+    console.log(`    to ${tx.to || "(contract creation)"}  value ${formatTao(BigInt(tx.value))} TAO  gas ${tx.gasLimit} @ ${formatUnits(BigInt(tx.gasPrice), "gwei")} gwei`);
+    if (tx.deploy) console.log(`    creates ${tx.deploy.address}  constructor args ${JSON.stringify(tx.deploy.constructorArgs)}`);
+  }
+  console.log("");
+
+  if (process.env.YES !== "1") {
+    const answer = await askQuestion(`Sign ${bundle.transactions.length} transaction(s)? (yes/no): `);
+    if (answer.toLowerCase() !== "yes" && answer.toLowerCase() !== "y") {
+      console.log("Not signed.");
+      return;
+    }
+  }
+
+  const wallet = await Wallet.fromEncryptedJson(fs.readFileSync(keystoreFile, "utf8"), await password());
+  const signed = await signOfflineBundle(bundle, wallet, { chainId });
+  const outFile = process.env.OUT || bundleFile.replace(/(\.json)?$/, ".signed.json");
+  fs.writeFileSync(outFile, toJson(signed, 2) + "\n");
+  for (const s of signed.signed) console.log(`  nonce ${s.nonce}  ${s.hash}`);
+  console.log("\nSigned bundle written to", outFile);
+  console.log("Next, on a networked machine: BUNDLE_FILE=" + outFile + " npx hardhat run scripts/offline-broadcast.js --network " + bundle.network);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(fmtErr(error));
+    process.exit(1);
+  });
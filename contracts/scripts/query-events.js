@@ -0,0 +1,48 @@
+/**
+ * Print indexed history from the SQLite file written by scripts/index-events.js. No RPC calls.
+ *
+ * Usage:
+ *   GAME_ID=12 node scripts/query-events.js
+ *   TOURNAMENT_ID=3 node scripts/query-events.js
+ *   ADDRESS=0x... node scripts/query-events.js
+ *   node scripts/query-events.js                      # summary: indexed block, game and tournament ids
+ *
+ * Optional: INDEX_DB (default data/events-bittensor.sqlite), LIMIT (default 100), JSON=1 (raw JSON output).
+ */
+const path = require("path");
+const { openEventDb } = require("../lib/event-db");
+
+async function main() {
+  const dbPath = process.env.INDEX_DB || path.join("data", "events-bittensor.sqlite");
+  const db = await openEventDb(dbPath);
+  const limit = process.env.LIMIT ? parseInt(process.env.LIMIT, 10) : 100;
+
+  let events;
+  if (process.env.GAME_ID) events = db.getEvents({ contract: "colosseum", gameId: process.env.GAME_ID, limit });
+  else if (process.env.TOURNAMENT_ID) events = db.getEvents({ contract: "rps", tournamentId: process.env.TOURNAMENT_ID, limit });
+  else if (process.env.ADDRESS) events = db.getEvents({ account: process.env.ADDRESS, limit, order: "desc" });
+
+  if (!events) {
+    console.log("DB:", dbPath);
+    console.log("Indexed up to block:", db.getLastBlock() ?? "(nothing yet)");
+    console.log("Events:", db.countEvents());
+    console.log("Games:", db.listGameIds().join(", ") || "-");
+    console.log("Tournaments:", db.listTournamentIds().join(", ") || "-");
+  } else if (process.env.JSON === "1") {
+    console.log(JSON.stringify(events, null, 2));
+  } else {
+    if (events.length === 0) console.log("No events.");
+    for (const e of events) {
+      const args = Object.entries(e.args).map(([k, v]) => `${k}=${v}`).join(" ");
+      console.log(`#${e.blockNumber} ${e.contract}.${e.name} ${args}  (tx ${e.txHash})`);
+    }
+  }
+  db.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error.message || error);
+    process.exit(1);
+  });
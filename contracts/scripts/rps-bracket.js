@@ -0,0 +1,49 @@
+/**
+ * Bracket explorer: the whole bracket of an RPS tournament, with every match's commit/reveal state per
+ * rpsRound, replays, drand seed round, winners and blocks left in each window (lib/rps-bracket.js).
+ *
+ * Usage:
+ *   RPS_CONTRACT_ADDRESS=0x... TOURNAMENT_ID=1 npx hardhat run scripts/rps-bracket.js [--network <name>]
+ *   RPS_CONTRACT_ADDRESS=0x... TOURNAMENT_ID=1 FORMAT=json npx hardhat run scripts/rps-bracket.js --network bittensor > bracket.json
+ *
+ * Optional: FORMAT=tree|json (default tree), FULL_ADDRESSES=1 (tree), NO_MOVES=1 (skip commit/reveal reads),
+ * WATCH_MS (tree: redraw every N ms until Ctrl-C).
+ */
+const hre = require("hardhat");
+const { createRpsClient, loadBracket, renderBracket, toJson, fmtErr } = require("../lib");
+const { resolveAddress } = require("../lib/deployments");
+
+async function main() {
+  const contractAddress = resolveAddress(hre.network.name, "RPS_Tournament");
+  const tournamentId = process.env.TOURNAMENT_ID ? parseInt(process.env.TOURNAMENT_ID, 10) : NaN;
+  const format = process.env.FORMAT || "tree";
+  if (!contractAddress || isNaN(tournamentId) || tournamentId < 1 || !["tree", "json"].includes(format)) {
+    console.error("Usage: RPS_CONTRACT_ADDRESS=0x... TOURNAMENT_ID=<id> [FORMAT=tree|json] npx hardhat run scripts/rps-bracket.js [--network <name>]");
+    process.exit(1);
+  }
+  const watchMs = process.env.WATCH_MS ? parseInt(process.env.WATCH_MS, 10) : 0;
+  const rps = createRpsClient(contractAddress, hre.ethers.provider);
+
+  for (;;) {
+    const bracket = await loadBracket(rps, tournamentId, { moves: process.env.NO_MOVES !== "1" });
+    if (!bracket) {
+      console.error(`Tournament ${tournamentId} does not exist on ${hre.network.name} at ${contractAddress}.`);
+      process.exit(1);
+    }
+    if (format === "json") {
+      console.log(toJson(bracket, 2));
+      return;
+    }
+    if (watchMs > 0) console.clear();
+    console.log(renderBracket(bracket, { fullAddresses: process.env.FULL_ADDRESSES === "1" }));
+    if (!(watchMs > 0)) return;
+    await new Promise((resolve) => setTimeout(resolve, watchMs));
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(fmtErr(error));
+    process.exit(1);
+  });
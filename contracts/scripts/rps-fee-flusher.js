@@ -0,0 +1,88 @@
+/**
+ * Scheduled RPS_Tournament fee flush (see lib/rps-fee-flusher.js): every POLL_MS, flushes once the fees
+ * flushFeesToSubnetAndBurn would stake reach THRESHOLD_TAO, after an estimateGas and getTotalAlphaStaked preflight.
+ * Verifies FeesFlushedToSn38AndBurned and its amounts, appends every attempt to LEDGER_FILE, and runs the
+ * diagnose-rps-flush.js checks when a flush is blocked, reverts or does nothing. Replaces running
+ * flush-rps-fees.js by hand.
+ *
+ * Usage:
+ *   RPS_CONTRACT_ADDRESS=0x... THRESHOLD_TAO=1 npx hardhat run scripts/rps-fee-flusher.js --network bittensor
+ *   RPS_CONTRACT_ADDRESS=0x... DRY_RUN=1 ONCE=1 npx hardhat run scripts/rps-fee-flusher.js --network bittensor
+ *
+ * Signer: KEEPER_PRIVATE_KEY if set, otherwise the first account of the selected network (PRIVATE_KEY).
+ * In DRY_RUN mode KEEPER_ADDRESS alone is enough (the flush is simulated from that address).
+ * Optional: THRESHOLD_TAO (default 1), POLL_MS (default 3600000), MAX_TICKS, ONCE=1 (one tick; exit 1 unless it
+ * flushed, dry-ran or was below the threshold), LEDGER_FILE (default ./rps-flush-ledger.jsonl),
+ * MIN_ALPHA_PER_TAO / MAX_ALPHA_PER_TAO (sane alpha burned per TAO; outside it the flush is reported suspicious).
+ */
+const hre = require("hardhat");
+const { createRpsClient, createTxSender, parseTao, fmtErr } = require("../lib");
+const { resolveAddress } = require("../lib/deployments");
+const { createFeeFlusher } = require("../lib/rps-fee-flusher");
+
+async function resolveSigner(dryRun) {
+  const provider = hre.ethers.provider;
+  if (process.env.KEEPER_PRIVATE_KEY) return new hre.ethers.Wallet(process.env.KEEPER_PRIVATE_KEY, provider);
+  if (dryRun && process.env.KEEPER_ADDRESS) return new hre.ethers.VoidSigner(process.env.KEEPER_ADDRESS, provider);
+  const signers = await hre.ethers.getSigners();
+  if (signers.length === 0) {
+    console.error("No signer: set KEEPER_PRIVATE_KEY (or PRIVATE_KEY in .env), or KEEPER_ADDRESS with DRY_RUN=1.");
+    process.exit(1);
+  }
+  return signers[0];
+}
+
+async function main() {
+  const contractAddress = resolveAddress(hre.network.name, "RPS_Tournament");
+  if (!contractAddress) {
+    console.error("Usage: RPS_CONTRACT_ADDRESS=0x... [THRESHOLD_TAO=1] [DRY_RUN=1] npx hardhat run scripts/rps-fee-flusher.js [--network <name>]");
+    process.exit(1);
+  }
+  const dryRun = process.env.DRY_RUN === "1";
+  const once = process.env.ONCE === "1";
+  const pollMs = process.env.POLL_MS ? parseInt(process.env.POLL_MS, 10) : 3600000;
+  const maxTicks = process.env.MAX_TICKS ? parseInt(process.env.MAX_TICKS, 10) : Infinity;
+  const thresholdWei = parseTao(process.env.THRESHOLD_TAO || "1");
+  const ledgerFile = process.env.LEDGER_FILE || "./rps-flush-ledger.jsonl";
+  const alphaPerTao = {};
+  if (process.env.MIN_ALPHA_PER_TAO) alphaPerTao.min = Number(process.env.MIN_ALPHA_PER_TAO);
+  if (process.env.MAX_ALPHA_PER_TAO) alphaPerTao.max = Number(process.env.MAX_ALPHA_PER_TAO);
+
+  const signer = await resolveSigner(dryRun);
+  const log = (msg) => console.log(`[${new Date().toISOString()}] ${msg}`);
+  const flusher = createFeeFlusher({
+    client: createRpsClient(contractAddress, hre.ethers.provider),
+    sender: createTxSender({ signer, dryRun, log }),
+    thresholdWei,
+    ledgerFile,
+    alphaPerTao,
+    log,
+  });
+
+  console.log("\n=== RPS_Tournament fee flusher ===\n");
+  console.log("Contract:", contractAddress);
+  console.log("Network:", hre.network.name);
+  console.log("Caller:", await signer.getAddress(), dryRun ? "(dry-run)" : "");
+  console.log("Threshold:", process.env.THRESHOLD_TAO || "1", "TAO");
+  console.log("Ledger:", ledgerFile);
+  if (!once) console.log("Poll interval:", pollMs, "ms");
+  console.log("");
+
+  if (once) {
+    const entry = await flusher.tick();
+    process.exit(["flushed", "dry-run", "below-threshold"].includes(entry.outcome) ? 0 : 1);
+  }
+
+  process.on("SIGINT", () => {
+    log("Stopping after the current tick...");
+    flusher.stop();
+  });
+  await flusher.run({ pollMs, maxTicks });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(fmtErr(error));
+    process.exit(1);
+  });
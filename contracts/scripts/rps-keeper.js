@@ -0,0 +1,85 @@
+/**
+ * Long-running keeper for RPS_Tournament: starts full/ended tournaments, resolves matches after their
+ * reveal window (including tie replays), cancels tournaments that can't start or have stalled, and backs
+ * off while drand is unavailable. Prints what each open tournament is waiting on after every scan.
+ *
+ * Usage:
+ *   RPS_CONTRACT_ADDRESS=0x... npx hardhat run scripts/rps-keeper.js --network bittensor
+ *   RPS_CONTRACT_ADDRESS=0x... DRY_RUN=1 npx hardhat run scripts/rps-keeper.js --network bittensor
+ *
+ * Signer: KEEPER_PRIVATE_KEY if set, otherwise the first account of the selected network (PRIVATE_KEY).
+ * In DRY_RUN mode KEEPER_ADDRESS alone is enough (calls are simulated from that address).
+ * Optional: POLL_MS (default 6000), MAX_TICKS, BACKOFF_MS (default 30000, doubles up to 10 min),
+ * STATUS_FILE (write the per-tournament status summary as JSON after every scan).
+ */
+const fs = require("fs");
+const hre = require("hardhat");
+const { createRpsClient, createRpsKeeper, createTxSender, fmtErr } = require("../lib");
+const { resolveAddress } = require("../lib/deployments");
+
+async function resolveSigner(dryRun) {
+  const provider = hre.ethers.provider;
+  if (process.env.KEEPER_PRIVATE_KEY) return new hre.ethers.Wallet(process.env.KEEPER_PRIVATE_KEY, provider);
+  if (dryRun && process.env.KEEPER_ADDRESS) return new hre.ethers.VoidSigner(process.env.KEEPER_ADDRESS, provider);
+  const signers = await hre.ethers.getSigners();
+  if (signers.length === 0) {
+    console.error("No signer: set KEEPER_PRIVATE_KEY (or PRIVATE_KEY in .env), or KEEPER_ADDRESS with DRY_RUN=1.");
+    process.exit(1);
+  }
+  return signers[0];
+}
+
+async function main() {
+  const contractAddress = resolveAddress(hre.network.name, "RPS_Tournament");
+  if (!contractAddress) {
+    console.error("Usage: RPS_CONTRACT_ADDRESS=0x... [DRY_RUN=1] npx hardhat run scripts/rps-keeper.js [--network <name>]");
+    process.exit(1);
+  }
+  const dryRun = process.env.DRY_RUN === "1";
+  const pollMs = process.env.POLL_MS ? parseInt(process.env.POLL_MS, 10) : 6000;
+  const maxTicks = process.env.MAX_TICKS ? parseInt(process.env.MAX_TICKS, 10) : Infinity;
+  const statusFile = process.env.STATUS_FILE;
+
+  const signer = await resolveSigner(dryRun);
+  const log = (msg) => console.log(`[${new Date().toISOString()}] ${msg}`);
+  const keeper = createRpsKeeper({
+    client: createRpsClient(contractAddress, hre.ethers.provider),
+    sender: createTxSender({ signer, dryRun, log }),
+    backoffMs: process.env.BACKOFF_MS ? parseInt(process.env.BACKOFF_MS, 10) : undefined,
+    log,
+  });
+
+  console.log("\n=== RPS_Tournament keeper ===\n");
+  console.log("Contract:", contractAddress);
+  console.log("Network:", hre.network.name);
+  console.log("Keeper:", await signer.getAddress(), dryRun ? "(dry-run)" : "");
+  console.log("Poll interval:", pollMs, "ms\n");
+
+  process.on("SIGINT", () => {
+    log("Stopping after the current scan...");
+    keeper.stop();
+  });
+
+  await keeper.run({
+    pollMs,
+    maxTicks,
+    onTick: () => {
+      const status = keeper.getStatus();
+      for (const s of status) {
+        const failed = s.results.filter((r) => r.outcome === "failed");
+        log(`#${s.id} ${s.phaseName}: ${s.waitingOn}${failed.length ? ` [${failed.map((r) => `${r.label}: ${r.error}`).join("; ")}]` : ""}`);
+      }
+      if (statusFile) {
+        const json = JSON.stringify({ updatedAt: new Date().toISOString(), tournaments: status }, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+        fs.writeFileSync(statusFile, json);
+      }
+    },
+  });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(fmtErr(error));
+    process.exit(1);
+  });
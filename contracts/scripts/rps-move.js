@@ -0,0 +1,137 @@
+/**
+ * Commit an RPS move and reveal it automatically in the reveal window.
+ * Choice and salt are kept in an encrypted local vault so a restart never loses a reveal.
+ *
+ * Usage:
+ *   # commit (round and match default to your match in the current round)
+ *   RPS_CONTRACT_ADDRESS=0x... VAULT_PASSPHRASE=... ACTION=commit TOURNAMENT_ID=1 CHOICE=rock \
+ *     npx hardhat run scripts/rps-move.js --network bittensor
+ *   # reveal whatever is due right now
+ *   RPS_CONTRACT_ADDRESS=0x... VAULT_PASSPHRASE=... ACTION=reveal npx hardhat run scripts/rps-move.js --network bittensor
+ *   # keep polling and reveal each pending move as soon as its reveal window opens
+ *   RPS_CONTRACT_ADDRESS=0x... VAULT_PASSPHRASE=... ACTION=watch npx hardhat run scripts/rps-move.js --network bittensor
+ *   # list pending vault entries
+ *   RPS_CONTRACT_ADDRESS=0x... VAULT_PASSPHRASE=... ACTION=status npx hardhat run scripts/rps-move.js --network bittensor
+ *
+ * Optional: ROUND, MATCH_INDEX, SALT_VAULT_PATH (default ~/.tao-colosseum/rps-salt-vault.json),
+ * WARN_BLOCKS (default 3), POLL_MS (watch mode, default 6000).
+ * ACTION=commit also waits for the reveal window and reveals unless NO_AUTO_REVEAL=1.
+ */
+const hre = require("hardhat");
+const { createRpsClient, createMoveManager, fmtErr } = require("../lib");
+const { openSaltVault, DEFAULT_VAULT_PATH } = require("../lib/salt-vault");
+const { resolveAddress } = require("../lib/deployments");
+
+const ACTIONS = ["commit", "reveal", "watch", "status"];
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function optionalInt(name) {
+  const v = process.env[name];
+  if (v == null || v === "") return undefined;
+  const n = parseInt(v, 10);
+  if (isNaN(n) || n < 0) {
+    console.error(`${name} must be a non-negative integer.`);
+    process.exit(1);
+  }
+  return n;
+}
+
+function printResults(results) {
+  for (const r of results) {
+    if (r.status === "failed") console.log(`  ${r.key}: failed (${fmtErr(r.error)})`);
+    else console.log(`  ${r.key}: ${r.status}${r.txHash ? ` tx ${r.txHash}` : ""}`);
+  }
+}
+
+/**
+ * Reveal pending entries until none are left; returns when everything is revealed or stale.
+ * A failed poll (RPC hiccup) is logged and retried on the next tick, so the reveal window is not missed.
+ */
+async function watch(moves, pollMs) {
+  while (moves.pending().length > 0) {
+    try {
+      const results = await moves.revealDue();
+      printResults(results.filter((r) => r.status !== "waiting"));
+    } catch (e) {
+      console.log(`[${new Date().toISOString()}] poll failed, retrying: ${fmtErr(e)}`);
+    }
+    if (moves.pending().length === 0) break;
+    await sleep(pollMs);
+  }
+  console.log("No pending reveals left.");
+}
+
+async function main() {
+  const contractAddress = resolveAddress(hre.network.name, "RPS_Tournament");
+  const action = (process.env.ACTION || "").toLowerCase();
+  if (!contractAddress || !ACTIONS.includes(action) || !process.env.VAULT_PASSPHRASE) {
+    console.error(`Usage: RPS_CONTRACT_ADDRESS=0x... VAULT_PASSPHRASE=... ACTION=${ACTIONS.join("|")} [TOURNAMENT_ID=id CHOICE=rock] npx hardhat run scripts/rps-move.js [--network <name>]`);
+    process.exit(1);
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const vault = openSaltVault({ path: process.env.SALT_VAULT_PATH || DEFAULT_VAULT_PATH, passphrase: process.env.VAULT_PASSPHRASE });
+  const moves = createMoveManager({
+    rps: createRpsClient(contractAddress, signer),
+    vault,
+    player: signer.address,
+    warnBlocks: optionalInt("WARN_BLOCKS") ?? 3,
+  });
+  const pollMs = optionalInt("POLL_MS") ?? 6000;
+
+  console.log("Contract:", contractAddress);
+  console.log("Network:", hre.network.name);
+  console.log("Player:", signer.address);
+  console.log("Vault:", vault.path);
+  console.log("");
+
+  if (action === "status") {
+    const pending = moves.pending();
+    if (pending.length === 0) console.log("No pending reveals.");
+    for (const e of pending) {
+      console.log(`  ${e.key}: ${e.choice}, reveal window ${BigInt(e.commitEndBlock) + 1n}..${e.revealEndBlock}`);
+    }
+    return;
+  }
+
+  if (action === "reveal") {
+    const results = await moves.revealDue();
+    if (results.length === 0) console.log("Nothing to reveal.");
+    printResults(results);
+    return;
+  }
+
+  if (action === "watch") {
+    await watch(moves, pollMs);
+    return;
+  }
+
+  const tournamentId = optionalInt("TOURNAMENT_ID");
+  if (!tournamentId || !process.env.CHOICE) {
+    console.error("ACTION=commit needs TOURNAMENT_ID and CHOICE (rock, paper or scissors).");
+    process.exit(1);
+  }
+  const { key, commitHash, tx } = await moves.commit(tournamentId, process.env.CHOICE, {
+    round: optionalInt("ROUND"),
+    matchIndex: optionalInt("MATCH_INDEX"),
+  });
+  console.log("Committed", key);
+  console.log("  commitHash:", commitHash);
+  console.log("  tx:", tx.hash);
+  await tx.wait();
+  console.log("  confirmed");
+
+  if (process.env.NO_AUTO_REVEAL === "1") return;
+  console.log("\nWaiting for the reveal window (Ctrl+C is safe; run ACTION=watch later to resume)...");
+  await watch(moves, pollMs);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(fmtErr(error));
+    process.exit(1);
+  });
@@ -0,0 +1,84 @@
+/**
+ * Continuous solvency monitor (see lib/solvency-monitor.js for the alerts): reconciles each contract's balance
+ * against what it owes. RPS_Tournament: prize, pending-withdrawal and fee liabilities. TAOColosseum: fees,
+ * open games' gameBalance + gameFees, and unclaimed winnings / refunds derived from sideBets.
+ * Complements flush-rps-fees.js and withdraw-fees.js, which only check at the moment they run.
+ *
+ * Usage:
+ *   CONTRACT_ADDRESS=0x... RPS_CONTRACT_ADDRESS=0x... npx hardhat run scripts/solvency-monitor.js --network bittensor
+ *   ALERT_SINKS="stdout,file=./solvency-alerts.jsonl,webhook=https://hooks.example/..." npx hardhat run scripts/solvency-monitor.js --network bittensor
+ *   ONCE=1 npx hardhat run scripts/solvency-monitor.js --network localhost     # one check, exit 1 when not healthy
+ *
+ * At least one contract address is required.
+ * Optional: ALERT_SINKS (default "stdout"; comma-separated stdout, webhook=<url>, file=<path>), POLL_MS (default 60000),
+ * TOLERANCE_WEI (unexplained surplus that is not alerted, default 0), MAX_TICKS.
+ * Status lines go to stderr so the stdout sink stays one JSON event per line.
+ */
+const hre = require("hardhat");
+const { createColosseumClient, createRpsClient, createSolvencyMonitor, formatTao, fmtErr } = require("../lib");
+const { parseSinks } = require("../lib/alert-sinks");
+const { resolveAddress } = require("../lib/deployments");
+
+async function main() {
+  const provider = hre.ethers.provider;
+  const colosseumAddress = resolveAddress(hre.network.name, "TAOColosseum");
+  const rpsAddress = resolveAddress(hre.network.name, "RPS_Tournament");
+  if (!colosseumAddress && !rpsAddress) {
+    console.error("Set CONTRACT_ADDRESS and/or RPS_CONTRACT_ADDRESS, or record the deployments in deployments/<network>.json (scripts/deployments.js).");
+    process.exit(1);
+  }
+  const once = process.env.ONCE === "1";
+  const pollMs = process.env.POLL_MS ? parseInt(process.env.POLL_MS, 10) : 60000;
+  const maxTicks = process.env.MAX_TICKS ? parseInt(process.env.MAX_TICKS, 10) : Infinity;
+
+  const log = (msg) => console.error(`[${new Date().toISOString()}] ${msg}`);
+  const monitor = createSolvencyMonitor({
+    provider,
+    colosseum: colosseumAddress ? createColosseumClient(colosseumAddress, provider) : undefined,
+    rps: rpsAddress ? createRpsClient(rpsAddress, provider) : undefined,
+    sinks: parseSinks(process.env.ALERT_SINKS || "stdout"),
+    toleranceWei: process.env.TOLERANCE_WEI ? BigInt(process.env.TOLERANCE_WEI) : undefined,
+    log,
+  });
+
+  console.error("\n=== Solvency monitor ===\n");
+  console.error("Network:", hre.network.name);
+  console.error("TAOColosseum:", colosseumAddress || "(not watched)");
+  console.error("RPS_Tournament:", rpsAddress || "(not watched)");
+  console.error("Sinks:", process.env.ALERT_SINKS || "stdout", "\n");
+
+  if (once) {
+    const r = await monitor.check();
+    const s = r.snapshot;
+    console.error("Block:", s.blockNumber);
+    if (r.colosseum) {
+      const open = s.colosseum.games.filter((g) => g.open || g.unclaimed > 0);
+      console.error(`TAOColosseum: holds ${formatTao(r.colosseum.balance)} TAO, owes ${formatTao(r.colosseum.owed)} TAO (fees ${formatTao(s.colosseum.accumulatedFees)}, dust ${r.colosseum.dust} wei)`);
+      for (const g of open) {
+        console.error(`  game ${g.id} (${g.phaseName}): ${formatTao(g.gameBalance + g.gameFees)} held, ${formatTao(g.owed)} owed on ${g.unclaimed}/${g.positions} position(s)`);
+      }
+    }
+    if (r.rps) {
+      console.error(
+        `RPS_Tournament: holds ${formatTao(r.rps.balance)} TAO, owes ${formatTao(r.rps.owed)} TAO ` +
+          `(prizes ${formatTao(s.rps.totalPrizeLiability)}, pending ${formatTao(s.rps.totalPendingWithdrawalLiability)}, fees ${formatTao(s.rps.accumulatedFees)})`,
+      );
+    }
+    for (const a of r.alerts) console.error(`[${a.severity}] ${a.message}`);
+    console.error(r.healthy ? "\n=== SOLVENT ===\n" : `\n=== ${r.alerts.length} ALERT(S) ===\n`);
+    process.exit(r.healthy ? 0 : 1);
+  }
+
+  process.on("SIGINT", () => {
+    log("Stopping after the current check...");
+    monitor.stop();
+  });
+  await monitor.run({ pollMs, maxTicks });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(fmtErr(error));
+    process.exit(1);
+  });
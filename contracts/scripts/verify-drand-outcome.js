@@ -0,0 +1,134 @@
+/**
+ * Verify the drand randomness behind a TAOColosseum game or an RPS tiebreak against a saved quicknet beacon
+ * (lib/drand-verify.js): BLS signature, randomness = sha256(signature), storage key, and the recomputed
+ * actualEndBlock / tiebreak winner. Beacons come from files only; nothing is fetched from drand.
+ *
+ * Usage (game / match read from chain; the stored pulse is cross-checked through the storage precompile):
+ *   CONTRACT_ADDRESS=0x... GAME_ID=7 BEACON_FILE=./beacon.json npx hardhat run scripts/verify-drand-outcome.js --network bittensor
+ *   RPS_CONTRACT_ADDRESS=0x... TOURNAMENT_ID=1 ROUND=0 MATCH_INDEX=0 BEACON_DIR=./beacons npx hardhat run scripts/verify-drand-outcome.js --network bittensor
+ * Fully offline (saved records, default in-process network):
+ *   GAME_FILE=./game-7.json BEACON_FILE=./beacon.json npx hardhat run scripts/verify-drand-outcome.js
+ *   MATCH_FILE=./match.json BEACON_DIR=./beacons npx hardhat run scripts/verify-drand-outcome.js
+ *
+ * Beacon JSON is drand's HTTP API format: curl https://api.drand.sh/52db9ba70e0cc0f6eaf7803dd07447a1f5477735fd3f661792ba94600c84e971/public/<round>
+ * BEACON_DIR holds <round>.json files. GAME_FILE: { id, endBlock, targetDrandRound, actualEndBlock, randomness };
+ * MATCH_FILE: { tournamentId, round, matchIndex, playerA, playerB, seedRound, winner, rpsRound, moves? }.
+ * Optional: SAVE_FILE (write the record read from chain, for later offline runs), FORMAT=text|json,
+ * DRAND_PUBLIC_KEY (default quicknet). Exits 1 unless every check that ran passed.
+ */
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  STORAGE_PRECOMPILE,
+  createColosseumClient,
+  createRpsClient,
+  drandPulseKey,
+  parseBeacon,
+  verifyColosseumOutcome,
+  verifyRpsTiebreak,
+  renderVerification,
+  toJson,
+  fmtErr,
+  revertName,
+} = require("../lib");
+const { resolveAddress } = require("../lib/deployments");
+
+function usage() {
+  console.error("Usage: (GAME_FILE=... | CONTRACT_ADDRESS=0x... GAME_ID=<id>) (BEACON_FILE=... | BEACON_DIR=...)");
+  console.error("   or: (MATCH_FILE=... | RPS_CONTRACT_ADDRESS=0x... TOURNAMENT_ID=<id> ROUND=<r> MATCH_INDEX=<i>) (BEACON_FILE=... | BEACON_DIR=...)");
+  console.error("       npx hardhat run scripts/verify-drand-outcome.js [--network <name>]");
+  process.exit(1);
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function loadBeacon(round) {
+  if (process.env.BEACON_FILE) return parseBeacon(readJson(process.env.BEACON_FILE));
+  const file = path.join(process.env.BEACON_DIR, `${round}.json`);
+  if (!fs.existsSync(file)) throw new Error(`No beacon for round ${round}: ${file} is missing`);
+  return parseBeacon(readJson(file));
+}
+
+async function readGame(address) {
+  const colosseum = createColosseumClient(address, hre.ethers.provider);
+  let game;
+  try {
+    game = await colosseum.getGame(process.env.GAME_ID);
+  } catch (e) {
+    if (revertName(e) === "GameNotFound") throw new Error(`No such game: ${process.env.GAME_ID}`);
+    throw e;
+  }
+  const contract = colosseum.contract;
+  const events = await contract.queryFilter(contract.filters.RandomnessUsed(game.id), Number(game.endBlock), game.resolvedBlock > 0n ? Number(game.resolvedBlock) : "latest");
+  return {
+    id: game.id,
+    endBlock: game.endBlock,
+    targetDrandRound: game.targetDrandRound,
+    actualEndBlock: game.actualEndBlock,
+    randomness: events.length > 0 ? events[0].args.randomness : null,
+  };
+}
+
+async function readMatch(address) {
+  const rps = createRpsClient(address, hre.ethers.provider);
+  const [tid, round, matchIndex] = [process.env.TOURNAMENT_ID, process.env.ROUND, parseInt(process.env.MATCH_INDEX, 10)];
+  const [t, m] = await Promise.all([rps.getTournament(tid), rps.getMatch(tid, round, matchIndex)]);
+  if (!t || !m.playerA || m.playerA === hre.ethers.ZeroAddress) throw new Error(`Match ${tid}/${round}/${matchIndex} does not exist`);
+  const [a, b] = await Promise.all([
+    rps.getPlayerMove(tid, round, matchIndex, m.rpsRound, m.playerA),
+    rps.getPlayerMove(tid, round, matchIndex, m.rpsRound, m.playerB),
+  ]);
+  return {
+    tournamentId: m.tournamentId,
+    round: m.round,
+    matchIndex: m.matchIndex,
+    playerA: m.playerA,
+    playerB: m.playerB,
+    seedRound: m.seedRound,
+    winner: m.winner,
+    rpsRound: m.rpsRound,
+    moves: {
+      playerA: { committed: a.committed, choice: a.choice },
+      playerB: { committed: b.committed, choice: b.choice },
+      maxRPSRoundsPerMatch: t.config.maxRPSRoundsPerMatch,
+    },
+  };
+}
+
+async function main() {
+  const colosseumAddress = resolveAddress(hre.network.name, "TAOColosseum");
+  const rpsAddress = resolveAddress(hre.network.name, "RPS_Tournament");
+  const isGame = process.env.GAME_FILE || (colosseumAddress && process.env.GAME_ID);
+  const isMatch = process.env.MATCH_FILE || (rpsAddress && process.env.TOURNAMENT_ID && process.env.ROUND && process.env.MATCH_INDEX);
+  const format = process.env.FORMAT || "text";
+  if (!isGame === !isMatch || !(process.env.BEACON_FILE || process.env.BEACON_DIR) || !["text", "json"].includes(format)) usage();
+  const offline = Boolean(process.env.GAME_FILE || process.env.MATCH_FILE);
+  const publicKey = process.env.DRAND_PUBLIC_KEY || undefined;
+
+  let record;
+  if (isGame) record = process.env.GAME_FILE ? readJson(process.env.GAME_FILE) : await readGame(colosseumAddress);
+  else record = process.env.MATCH_FILE ? readJson(process.env.MATCH_FILE) : await readMatch(rpsAddress);
+  if (!offline && process.env.SAVE_FILE) fs.writeFileSync(process.env.SAVE_FILE, toJson(record, 2) + "\n");
+
+  const round = isGame ? record.targetDrandRound : record.seedRound;
+  const beacon = loadBeacon(round);
+  const storedPulse = offline ? undefined : await hre.ethers.provider.call({ to: STORAGE_PRECOMPILE, data: drandPulseKey(round) });
+
+  const report = isGame
+    ? verifyColosseumOutcome({ game: record, beacon, publicKey, storedPulse })
+    : verifyRpsTiebreak({ match: record, beacon, moves: record.moves, publicKey, storedPulse });
+
+  if (format === "json") console.log(toJson({ record, report }, 2));
+  else console.log(`\n${renderVerification(report)}\n`);
+  process.exit(report.ok ? 0 : 1);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(fmtErr(error));
+    process.exit(1);
+  });
@@ -7,11 +7,16 @@
  *
  * Example:
  *   CONTRACT_ADDRESS=0x016013CfE6E68590A986C519d869264faa7d2BAB npx hardhat run scripts/withdraw-fees.js --network bittensor
+ *
+ * Signs with PRIVATE_KEY from ../.env. To keep the owner key offline (keystore on an air-gapped machine, or a Safe
+ * holding ownership), use OPS=withdrawFees with scripts/offline-build.js, offline-sign.js and offline-broadcast.js.
  */
 const hre = require("hardhat");
+const { createColosseumClient, formatTao } = require("../lib");
+const { resolveAddress } = require("../lib/deployments");
 
 async function main() {
-  const contractAddress = process.env.CONTRACT_ADDRESS;
+  const contractAddress = resolveAddress(hre.network.name, "TAOColosseum");
   if (!contractAddress) {
     console.error("Usage: CONTRACT_ADDRESS=0x... npx hardhat run scripts/withdraw-fees.js [--network <name>]");
     process.exit(1);
@@ -25,20 +30,20 @@ async function main() {
   const [signer] = await hre.ethers.getSigners();
   console.log("Signer (must be owner):", signer.address);
 
-  const colosseum = await hre.ethers.getContractAt("TAOColosseum", contractAddress);
-  const owner = await colosseum.owner();
+  const colosseum = createColosseumClient(contractAddress, signer);
+  const owner = await colosseum.contract.owner();
   if (owner.toLowerCase() !== signer.address.toLowerCase()) {
     console.error("\nError: Signer is not the contract owner. Owner:", owner);
     process.exit(1);
   }
 
-  const accumulated = await colosseum.getAccumulatedFees();
+  const accumulated = await colosseum.contract.getAccumulatedFees();
   if (accumulated === 0n) {
     console.log("\nNo fees to withdraw (accumulatedFees is 0).");
     process.exit(0);
   }
 
-  console.log("Accumulated fees:", hre.ethers.formatEther(accumulated), "TAO");
+  console.log("Accumulated fees:", formatTao(accumulated), "TAO");
   console.log("\nSending withdrawFees()...");
 
   const tx = await colosseum.withdrawFees();
@@ -46,8 +51,8 @@ async function main() {
   await tx.wait();
   console.log("Confirmed.\n");
 
-  const after = await colosseum.getAccumulatedFees();
-  console.log("Accumulated fees after withdraw:", hre.ethers.formatEther(after), "TAO");
+  const after = await colosseum.contract.getAccumulatedFees();
+  console.log("Accumulated fees after withdraw:", formatTao(after), "TAO");
   console.log("\nDone.");
 }
 
@@ -1,5 +1,18 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+    COLOSSEUM_DRAND_PRECOMPILE,
+    DRAND_PRECOMPILE_ABI,
+    createGasReport,
+    compareGasReports,
+    renderGasDiff,
+    mergeGasBaseline,
+    toJson,
+} = require("../lib");
+const { installRecordedPrecompiles, removeRecordedPrecompiles } = require("../lib/precompile-recorder");
 
 /**
  * Gas Consumption Simulation Tests
@@ -14,21 +27,36 @@ const { ethers } = require("hardhat");
  * - MAX_BETTORS_PER_GAME = 500
  * - BETTING_BLOCKS = 100
  * - FINAL_CALL_BLOCKS = 25 (blocks 75-99 are "final call" window)
+ *
+ * Gas report: every measured call (placeBet, both resolveGame phases, claimWinnings, ...) is recorded per
+ * scenario (lib/gas-report.js), written to cache/gas-report.json (GAS_REPORT_FILE) and compared with
+ * test/gas-baseline.json (GAS_BASELINE). A resolveGame or claimWinnings regression beyond its tolerance fails
+ * the suite with a diff; GAS_TOLERANCE=0.05 replaces every tolerance for one run.
+ *   UPDATE_GAS_BASELINE=1 npx hardhat test test/GasSimulation.test.js     # accept the current numbers
+ *   GAS_STRESS=1 npx hardhat test test/GasSimulation.test.js --grep Stress  # 500 bettors x 5000 entries
+ *
+ * Wallets have fixed keys and each game's drand pulse is a recorded response at 0x080D chosen to put the
+ * cutoff (actualEndBlock) where the scenario says, so the same bets are filtered and the numbers repeat.
+ * Gas includes the stand-in's own cost for getPulse, not the real precompile's.
  */
 
 describe("Gas Consumption Simulation", function () {
     let colosseum;
     let owner;
     let signers;
+    let installed = [];
     
     // Constants matching contract
     const MIN_BET_AMOUNT = ethers.parseEther("0.001");
     const BET_AMOUNT = ethers.parseEther("0.01");
     const BETTING_BLOCKS = 100;
     const FINAL_CALL_BLOCKS = 25;
+    const BLOCK_GAS_LIMIT = 30_000_000n;
+    const STRESS = process.env.GAS_STRESS === "1";
     
-    // Mock drand storage for testing
-    let mockDrandRound = 1000n;
+    const report = createGasReport();
+    const BASELINE_FILE = process.env.GAS_BASELINE || path.join(__dirname, "gas-baseline.json");
+    const REPORT_FILE = process.env.GAS_REPORT_FILE || path.join(hre.config.paths.cache, "gas-report.json");
     
     beforeEach(async function () {
         // Get signers - we need 500+ for full simulation
@@ -45,22 +73,41 @@ describe("Gas Consumption Simulation", function () {
         console.log(`  Contract deployed at: ${await colosseum.getAddress()}`);
     });
     
+    afterEach(async function () {
+        if (installed.length > 0) await removeRecordedPrecompiles(hre, installed);
+        installed = [];
+    });
+    
+    after(function () {
+        const current = report.toJSON();
+        if (current.entries.length === 0) return;
+        fs.mkdirSync(path.dirname(REPORT_FILE), { recursive: true });
+        fs.writeFileSync(REPORT_FILE, toJson(current, 2) + "\n");
+        const baseline = fs.existsSync(BASELINE_FILE) ? JSON.parse(fs.readFileSync(BASELINE_FILE, "utf8")) : null;
+        if (process.env.UPDATE_GAS_BASELINE === "1") {
+            fs.writeFileSync(BASELINE_FILE, toJson(mergeGasBaseline(baseline, current), 2) + "\n");
+            console.log(`\n  Gas baseline updated: ${BASELINE_FILE}`);
+            return;
+        }
+        if (!baseline) throw new Error(`No gas baseline at ${BASELINE_FILE}; create it with UPDATE_GAS_BASELINE=1`);
+        const against = process.env.GAS_TOLERANCE ? { ...baseline, tolerances: { default: Number(process.env.GAS_TOLERANCE) } } : baseline;
+        const diff = compareGasReports(against, current);
+        console.log(`\n  === GAS REPORT (${REPORT_FILE}) ===\n${renderGasDiff(diff)}`);
+        if (!diff.ok) throw new Error(`Gas regression against ${BASELINE_FILE}:\n${renderGasDiff(diff)}`);
+    });
+    
     /**
      * Helper: Create multiple wallets and fund them
+     * Fixed keys and balances: the same addresses every run, so gas compares with the baseline
      */
     async function createFundedWallets(count) {
         const wallets = [];
-        const fundAmount = ethers.parseEther("1");
+        const fundAmount = ethers.toQuantity(ethers.parseEther("1"));
         
         for (let i = 0; i < count; i++) {
-            const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+            const wallet = new ethers.Wallet(ethers.id(`gas-simulation wallet ${i}`), ethers.provider);
             wallets.push(wallet);
-            
-            // Fund the wallet from owner
-            await owner.sendTransaction({
-                to: wallet.address,
-                value: fundAmount
-            });
+            await ethers.provider.send("hardhat_setBalance", [wallet.address, fundAmount]);
         }
         
         return wallets;
@@ -75,6 +122,64 @@ describe("Gas Consumption Simulation", function () {
         }
     }
     
+    /**
+     * Helper: Wait for a transaction and record its gas under (scenario, fn)
+     */
+    async function measure(scenario, fn, txPromise) {
+        const receipt = await (await txPromise).wait();
+        report.record(scenario, fn, receipt.gasUsed);
+        return receipt;
+    }
+    
+    /**
+     * Helper: Answer the game's drand round with a pulse whose randomness puts actualEndBlock at
+     * finalCallStart + offset (a recorded response at 0x080D, removed after the test)
+     */
+    async function pinDrandCutoff(game, offset) {
+        const drand = new ethers.Interface(DRAND_PRECOMPILE_ABI);
+        const responses = [{
+            label: `getPulse(${game.targetDrandRound})`,
+            address: COLOSSEUM_DRAND_PRECOMPILE,
+            input: drand.encodeFunctionData("getPulse", [game.targetDrandRound]),
+            success: true,
+            output: drand.encodeFunctionResult("getPulse", [true, ethers.toBeHex(offset, 32)]),
+            mutating: false,
+            afterWrites: 0,
+        }];
+        installed = await installRecordedPrecompiles(hre, { version: 1, responses });
+    }
+    
+    /**
+     * Helper: Both resolveGame phases (Betting -> Calculating -> Resolved/Finalized), gas recorded
+     */
+    async function resolveBothPhases(scenario, gameId) {
+        const phase1 = await measure(scenario, "resolveGame:betting", colosseum.resolveGame(gameId));
+        const phase2 = await measure(scenario, "resolveGame:drand", colosseum.resolveGame(gameId));
+        const game = await colosseum.getGame(gameId);
+        console.log(`    Phase 1 gas: ${phase1.gasUsed.toString()}`);
+        console.log(`    Phase 2 gas: ${phase2.gasUsed.toString()} (actual end block ${game.actualEndBlock}, ${game.hasWinner ? (game.winningSide === 0n ? "Red" : "Blue") + " wins" : "cancelled"})`);
+        return { phase1, phase2, game };
+    }
+    
+    /**
+     * Helper: claimWinnings for every bet of every bettor; gas recorded per outcome (win, loss, refund)
+     */
+    async function claimAll(scenario, gameId, wallets) {
+        const game = await colosseum.getGame(gameId);
+        const bySigner = new Map([owner, ...wallets].map((w) => [w.address, w]));
+        let max = 0n;
+        for (const bettor of await colosseum.getGameBettors(gameId)) {
+            for (const side of [0, 1]) {
+                const bet = await colosseum.getUserSideBet(gameId, bettor, side);
+                if (bet.amount === 0n) continue;
+                const outcome = !game.hasWinner ? "refund" : BigInt(side) === game.winningSide ? "win" : "loss";
+                const receipt = await measure(scenario, `claimWinnings:${outcome}`, colosseum.connect(bySigner.get(bettor)).claimWinnings(gameId, side));
+                if (receipt.gasUsed > max) max = receipt.gasUsed;
+            }
+        }
+        console.log(`    Max claimWinnings gas: ${max.toString()}`);
+    }
+    
     /**
      * Helper: Place bets from multiple wallets
      * @param wallets - Array of wallet signers
@@ -82,8 +187,9 @@ describe("Gas Consumption Simulation", function () {
      * @param side - 0 for Red, 1 for Blue
      * @param startIndex - Start index in wallets array
      * @param count - Number of bets to place
+     * @param scenario - Records placeBet gas under this scenario
      */
-    async function placeBets(wallets, gameId, side, startIndex, count) {
+    async function placeBets(wallets, gameId, side, startIndex, count, scenario) {
         const bets = [];
         for (let i = startIndex; i < startIndex + count && i < wallets.length; i++) {
             const tx = await colosseum.connect(wallets[i]).placeBet(gameId, side, {
@@ -92,14 +198,45 @@ describe("Gas Consumption Simulation", function () {
             bets.push(tx);
         }
         // Wait for all bets to be mined
-        await Promise.all(bets.map(tx => tx.wait()));
+        const receipts = await Promise.all(bets.map(tx => tx.wait()));
+        for (const r of receipts) report.record(scenario, "placeBet", r.gasUsed);
         return bets.length;
     }
     
+    /**
+     * Helper: Queue bets with automine off and mine them together (as many per block as the block gas limit
+     * allows), so a whole batch lands inside the final call window
+     * @param bets - Array of { wallet, side }, sent in order
+     * @returns Block of the last mined bet
+     */
+    async function placeBetsBatched(gameId, bets, scenario) {
+        const fees = { gasLimit: 500_000, maxFeePerGas: ethers.parseUnits("100", "gwei"), maxPriorityFeePerGas: 0 };
+        const nonces = new Map();
+        const txs = [];
+        await ethers.provider.send("evm_setAutomine", [false]);
+        try {
+            for (const { wallet, side } of bets) {
+                const nonce = nonces.has(wallet.address) ? nonces.get(wallet.address) : await ethers.provider.getTransactionCount(wallet.address);
+                nonces.set(wallet.address, nonce + 1);
+                txs.push(await colosseum.connect(wallet).placeBet(gameId, side, { value: BET_AMOUNT, nonce, ...fees }));
+            }
+            let pending = txs.length;
+            while (pending > 0) {
+                await ethers.provider.send("evm_mine", []);
+                pending = (await ethers.provider.send("eth_getBlockByNumber", ["pending", false])).transactions.length;
+            }
+        } finally {
+            await ethers.provider.send("evm_setAutomine", [true]);
+        }
+        const receipts = await Promise.all(txs.map(tx => tx.wait()));
+        for (const r of receipts) report.record(scenario, "placeBet", r.gasUsed);
+        return Math.max(...receipts.map(r => r.blockNumber));
+    }
+    
     /**
      * Helper: Place dual bets (Red AND Blue) from wallets
      */
-    async function placeDualBets(wallets, gameId, startIndex, count) {
+    async function placeDualBets(wallets, gameId, startIndex, count, scenario) {
         const bets = [];
         for (let i = startIndex; i < startIndex + count && i < wallets.length; i++) {
             // Bet on Red
@@ -112,7 +249,8 @@ describe("Gas Consumption Simulation", function () {
             });
             bets.push(txRed, txBlue);
         }
-        await Promise.all(bets.map(tx => tx.wait()));
+        const receipts = await Promise.all(bets.map(tx => tx.wait()));
+        for (const r of receipts) report.record(scenario, "placeBet", r.gasUsed);
         return count;
     }
 
@@ -149,38 +287,31 @@ describe("Gas Consumption Simulation", function () {
             console.log(`    Game ${gameId} started at block ${game.startBlock}`);
             console.log(`    End block: ${game.endBlock}`);
             console.log(`    Target drand round: ${game.targetDrandRound}`);
+            await pinDrandCutoff(game, FINAL_CALL_BLOCKS - 1); // end block 99
             
             // Place all bets early (before final call window)
             // All bets on Red side (single side scenario)
             console.log(`    Placing ${USER_COUNT} bets on Red (early)...`);
-            const betCount = await placeBets(wallets, gameId, 0, 0, USER_COUNT);
+            const betCount = await placeBets(wallets, gameId, 0, 0, USER_COUNT, "optimistic");
             console.log(`    Placed ${betCount} bets`);
             
-            // Also place some Blue bets to avoid "insufficient participation"
+            // Also place some Blue bets to avoid "insufficient participation" (and a tie: Red is the underdog)
             console.log("    Placing minimum Blue bets for game validity...");
-            await colosseum.connect(owner).placeBet(gameId, 1, { value: ethers.parseEther("0.5") });
+            await colosseum.connect(owner).placeBet(gameId, 1, { value: ethers.parseEther("0.6") });
             
             // Mine blocks to end betting period
             console.log("    Mining blocks to end betting period...");
             await mineBlocks(BETTING_BLOCKS + 5);
             
-            // Phase 1: Transition to Calculating
-            console.log("    Executing resolveGame phase 1 (Betting -> Calculating)...");
-            const phase1Tx = await colosseum.resolveGame(gameId);
-            const phase1Receipt = await phase1Tx.wait();
-            console.log(`    Phase 1 gas used: ${phase1Receipt.gasUsed.toString()}`);
-            
-            // Note: Phase 2 requires actual drand randomness which we can't mock easily
-            // In a real test environment, you'd need to either:
-            // 1. Use a local testnet with drand integration
-            // 2. Mock the storage precompile
-            // 3. Deploy a modified contract for testing
+            // Phase 1 (Betting -> Calculating), then phase 2 with the pinned drand pulse
+            console.log("    Executing resolveGame phases 1 and 2...");
+            const { game: resolved } = await resolveBothPhases("optimistic", gameId);
+            expect(resolved.validRedPool).to.equal(BET_AMOUNT * BigInt(USER_COUNT));
+            await claimAll("optimistic", gameId, wallets);
             
             console.log("\n    === SCENARIO 1 RESULTS ===");
             console.log(`    Users: ${USER_COUNT}`);
             console.log(`    Bet distribution: 100% valid (before final call)`);
-            console.log(`    Phase 1 gas: ${phase1Receipt.gasUsed.toString()}`);
-            console.log("    Note: Phase 2 requires drand randomness (not available in hardhat)");
         });
     });
 
@@ -211,6 +342,7 @@ describe("Gas Consumption Simulation", function () {
             const game = await colosseum.getGame(gameId);
             
             console.log(`    Game ${gameId}: blocks ${game.startBlock} to ${game.endBlock}`);
+            await pinDrandCutoff(game, 13); // end block 88
             
             // Calculate final call window start (block 75 relative to start)
             const finalCallStart = Number(game.endBlock) - FINAL_CALL_BLOCKS;
@@ -219,7 +351,7 @@ describe("Gas Consumption Simulation", function () {
             // Place 50% bets EARLY (before final call window)
             const earlyCount = Math.floor(USER_COUNT / 2);
             console.log(`    Placing ${earlyCount} EARLY bets on Red...`);
-            await placeBets(wallets, gameId, 0, 0, earlyCount);
+            await placeBets(wallets, gameId, 0, 0, earlyCount, "neutral");
             
             // Add Blue bets for game validity
             await colosseum.connect(owner).placeBet(gameId, 1, { value: ethers.parseEther("0.5") });
@@ -243,7 +375,7 @@ describe("Gas Consumption Simulation", function () {
                 // Place 50% bets LATE (in final call window - may be invalidated)
                 const lateCount = USER_COUNT - earlyCount;
                 console.log(`    Placing ${lateCount} LATE bets on Red (in final call)...`);
-                await placeBets(wallets, gameId, 0, earlyCount, lateCount);
+                await placeBets(wallets, gameId, 0, earlyCount, lateCount, "neutral");
             } else {
                 console.log("    Skipping late bets - too close to end block");
             }
@@ -253,15 +385,13 @@ describe("Gas Consumption Simulation", function () {
             const remainingBlocks = Number(game.endBlock) - currentBlock + 5;
             await mineBlocks(remainingBlocks);
             
-            // Phase 1
-            console.log("    Executing resolveGame phase 1...");
-            const phase1Tx = await colosseum.resolveGame(gameId);
-            const phase1Receipt = await phase1Tx.wait();
+            console.log("    Executing resolveGame phases 1 and 2...");
+            await resolveBothPhases("neutral", gameId);
+            await claimAll("neutral", gameId, wallets);
             
             console.log("\n    === SCENARIO 2 RESULTS ===");
             console.log(`    Users: ${USER_COUNT}`);
             console.log(`    Early bets: ${earlyCount}`);
-            console.log(`    Phase 1 gas: ${phase1Receipt.gasUsed.toString()}`);
         });
     });
 
@@ -296,11 +426,12 @@ describe("Gas Consumption Simulation", function () {
             const finalCallStart = Number(game.endBlock) - FINAL_CALL_BLOCKS;
             console.log(`    Final call window starts at block: ${finalCallStart}`);
             console.log(`    End block: ${game.endBlock}`);
+            await pinDrandCutoff(game, 13); // end block 88
             
             // Place 50% dual bets EARLY
             const earlyCount = Math.floor(USER_COUNT / 2);
             console.log(`    Placing ${earlyCount} EARLY dual bets (Red+Blue each)...`);
-            await placeDualBets(wallets, gameId, 0, earlyCount);
+            await placeDualBets(wallets, gameId, 0, earlyCount, "pessimistic");
             
             // Mine to final call window (but stay within betting period)
             let currentBlock = await ethers.provider.getBlockNumber();
@@ -321,7 +452,7 @@ describe("Gas Consumption Simulation", function () {
             
             if (currentBlock < Number(game.endBlock) - neededBlocks) {
                 console.log(`    Placing ${lateCount} LATE dual bets (in final call)...`);
-                await placeDualBets(wallets, gameId, earlyCount, lateCount);
+                await placeDualBets(wallets, gameId, earlyCount, lateCount, "pessimistic");
             } else {
                 console.log("    Skipping late bets - too close to end block");
             }
@@ -331,15 +462,14 @@ describe("Gas Consumption Simulation", function () {
             const remainingBlocks = Number(game.endBlock) - currentBlock + 5;
             await mineBlocks(remainingBlocks);
             
-            // Phase 1
-            console.log("    Executing resolveGame phase 1...");
-            const phase1Tx = await colosseum.resolveGame(gameId);
-            const phase1Receipt = await phase1Tx.wait();
+            // Equal valid pools: the game is cancelled as a tie and every bet is refunded
+            console.log("    Executing resolveGame phases 1 and 2...");
+            await resolveBothPhases("pessimistic", gameId);
+            await claimAll("pessimistic", gameId, wallets);
             
             console.log("\n    === SCENARIO 3 RESULTS ===");
             console.log(`    Users: ${USER_COUNT} (${USER_COUNT * 2} total bets)`);
             console.log(`    Early dual bets: ${earlyCount}`);
-            console.log(`    Phase 1 gas: ${phase1Receipt.gasUsed.toString()}`);
         });
     });
 
@@ -378,94 +508,96 @@ describe("Gas Consumption Simulation", function () {
             
             const finalCallStart = Number(game.endBlock) - FINAL_CALL_BLOCKS;
             console.log(`    Final call window: blocks ${finalCallStart} to ${game.endBlock}`);
+            await pinDrandCutoff(game, 0); // end block = start of the final call window
             
-            // Calculate safe mining amount to stay within betting period
+            // Enter the final call window
             let currentBlock = await ethers.provider.getBlockNumber();
-            const neededBlocks = USER_COUNT * 2 + 10; // Blocks for dual bets + buffer
-            const targetBlock = finalCallStart + 5; // Enter final call window
-            const maxMineBlocks = Number(game.endBlock) - neededBlocks - currentBlock;
-            const blocksToMine = Math.min(targetBlock - currentBlock, maxMineBlocks);
-            
-            if (blocksToMine > 0) {
-                console.log(`    Mining ${blocksToMine} blocks to approach final call window...`);
-                await mineBlocks(blocksToMine);
-            }
-            
-            currentBlock = await ethers.provider.getBlockNumber();
-            console.log(`    Current block: ${currentBlock}, End block: ${game.endBlock}`);
+            const blocksToMine = finalCallStart + 5 - currentBlock;
+            console.log(`    Mining ${blocksToMine} blocks into the final call window...`);
+            await mineBlocks(blocksToMine);
             
-            // Place ALL dual bets (these will be "late" if actualEndBlock is before them)
+            // Place ALL dual bets in one batch, after the pinned cutoff
             console.log(`    Placing ${USER_COUNT} dual bets in final call period...`);
-            await placeDualBets(wallets, gameId, 0, USER_COUNT);
+            const bets = wallets.flatMap((wallet) => [{ wallet, side: 0 }, { wallet, side: 1 }]);
+            const lastBetBlock = await placeBetsBatched(gameId, bets, "all-late");
+            console.log(`    Bets mined by block ${lastBetBlock}, End block: ${game.endBlock}`);
             
             // Mine to end betting
             currentBlock = await ethers.provider.getBlockNumber();
             const remainingBlocks = Number(game.endBlock) - currentBlock + 5;
             await mineBlocks(remainingBlocks);
             
-            // Phase 1
-            console.log("    Executing resolveGame phase 1...");
-            const phase1Tx = await colosseum.resolveGame(gameId);
-            const phase1Receipt = await phase1Tx.wait();
+            // Every entry is late: one SSTORE per entry in _calculateValidPools, then a full refund
+            console.log("    Executing resolveGame phases 1 and 2...");
+            const { game: resolved } = await resolveBothPhases("all-late", gameId);
+            expect(resolved.validRedPool + resolved.validBluePool).to.equal(0n);
+            await claimAll("all-late", gameId, wallets);
             
             console.log("\n    === SCENARIO 4 RESULTS ===");
             console.log(`    Users: ${USER_COUNT} (${USER_COUNT * 2} total bets)`);
             console.log(`    All bets placed in final call window`);
-            console.log(`    Phase 1 gas: ${phase1Receipt.gasUsed.toString()}`);
-            console.log("    Note: Actual late determination depends on drand randomness");
         });
     });
 
     /**
-     * Full Scale Test - Run with 500 users
+     * Stress Test - MAX_BETTORS_PER_GAME bettors filling MAX_BET_ENTRIES, every entry late
      * WARNING: This test takes a long time and uses significant resources
-     * Only enable for actual gas benchmarking
+     * Only runs with GAS_STRESS=1 (dedicated mode for gas benchmarking)
+     *
+     * Bets are mined many per block (placeBetsBatched) so all entries land inside the 25-block final call
+     * window. The cutoff is pinned to the start of that window: _calculateValidPools writes every entry, the
+     * worst case. The raised block gas limit covers the betting phase only: resolution has to fit a real
+     * block (headroom against the Bittensor limit: scripts/gas-bounds.js).
      */
-    describe.skip("Full Scale Benchmark (500 users)", function () {
-        const USER_COUNT = 500;
+    (STRESS ? describe : describe.skip)("Stress: MAX_BETTORS_PER_GAME x MAX_BET_ENTRIES (GAS_STRESS=1)", function () {
+        afterEach(async function () {
+            await ethers.provider.send("evm_setBlockGasLimit", [ethers.toQuantity(BLOCK_GAS_LIMIT)]);
+        });
         
-        it("Scenario 3 Full: 500 users, dual-sided, 50/50 split", async function () {
+        it("should resolve a full game within the block gas limit", async function () {
             this.timeout(3600000); // 1 hour
             
-            console.log(`\n    === FULL SCALE BENCHMARK ===`);
-            console.log(`    Creating ${USER_COUNT} funded wallets...`);
+            const maxBettors = Number(await colosseum.MAX_BETTORS_PER_GAME());
+            const maxEntries = Number(await colosseum.MAX_BET_ENTRIES());
+            const entriesPerBettor = maxEntries / maxBettors;
             
-            const wallets = await createFundedWallets(USER_COUNT);
+            console.log(`\n    === STRESS BENCHMARK ===`);
+            console.log(`    Creating ${maxBettors} funded wallets (${entriesPerBettor} entries each)...`);
+            const wallets = await createFundedWallets(maxBettors);
             
             await colosseum.startNewGame();
             const gameId = await colosseum.currentGameId();
             const game = await colosseum.getGame(gameId);
-            
             const finalCallStart = Number(game.endBlock) - FINAL_CALL_BLOCKS;
+            await pinDrandCutoff(game, 0);
+            await mineBlocks(finalCallStart - (await ethers.provider.getBlockNumber()));
+            
+            console.log(`    Queueing ${maxEntries} bets in the final call window...`);
+            await ethers.provider.send("evm_setBlockGasLimit", [ethers.toQuantity(BLOCK_GAS_LIMIT * 10n)]);
+            const bets = [];
+            for (let n = 0; n < entriesPerBettor; n++) {
+                for (const wallet of wallets) bets.push({ wallet, side: n % 2 });
+            }
+            const lastBetBlock = await placeBetsBatched(gameId, bets, "stress");
             
-            // Early bets (250 users, 500 bets)
-            console.log("    Placing 250 early dual bets...");
-            await placeDualBets(wallets, gameId, 0, 250);
-            
-            // Mine to final call
-            const currentBlock = await ethers.provider.getBlockNumber();
-            await mineBlocks(finalCallStart - currentBlock + 5);
-            
-            // Late bets (250 users, 500 bets)
-            console.log("    Placing 250 late dual bets...");
-            await placeDualBets(wallets, gameId, 250, 250);
-            
-            // End betting
-            await mineBlocks(FINAL_CALL_BLOCKS + 5);
+            console.log(`    Bets mined in blocks ${finalCallStart + 1}-${lastBetBlock} (end block ${game.endBlock})`);
+            expect(lastBetBlock).to.be.lessThan(Number(game.endBlock));
+            expect((await colosseum.getGameBettors(gameId)).length).to.equal(maxBettors);
             
-            // Resolve
+            await mineBlocks(Number(game.endBlock) - lastBetBlock);
             console.log("    Resolving game...");
-            const tx = await colosseum.resolveGame(gameId);
-            const receipt = await tx.wait();
+            await ethers.provider.send("evm_setBlockGasLimit", [ethers.toQuantity(BLOCK_GAS_LIMIT)]);
+            const { phase2, game: resolved } = await resolveBothPhases("stress", gameId);
+            expect(resolved.validRedPool + resolved.validBluePool).to.equal(0n);
+            await claimAll("stress", gameId, wallets);
             
-            console.log(`\n    === FULL SCALE RESULTS ===`);
-            console.log(`    Total users: ${USER_COUNT}`);
-            console.log(`    Total bets: ${USER_COUNT * 2}`);
-            console.log(`    Phase 1 gas: ${receipt.gasUsed.toString()}`);
+            console.log(`\n    === STRESS RESULTS ===`);
+            console.log(`    Total users: ${maxBettors}`);
+            console.log(`    Total bets: ${maxEntries}`);
+            console.log(`    Phase 2 gas: ${phase2.gasUsed} of a ${BLOCK_GAS_LIMIT} block (${(Number(phase2.gasUsed * 10000n / BLOCK_GAS_LIMIT) / 100).toFixed(2)}%)`);
             
             // Check if gas is within block limit (30M for most chains)
-            const BLOCK_GAS_LIMIT = 30_000_000n;
-            expect(receipt.gasUsed).to.be.lessThan(BLOCK_GAS_LIMIT);
+            expect(phase2.gasUsed, "resolveGame phase 2 exceeds the block gas limit").to.be.lessThan(BLOCK_GAS_LIMIT);
         });
     });
 
@@ -508,8 +640,7 @@ describe("Gas Consumption Simulation", function () {
             
             // Try emergency withdraw
             console.log("    Testing emergency withdraw gas...");
-            const tx = await colosseum.connect(wallet).withdrawEmergency(gameId);
-            const receipt = await tx.wait();
+            const receipt = await measure("emergency", "withdrawEmergency", colosseum.connect(wallet).withdrawEmergency(gameId));
             
             console.log(`    Emergency withdraw gas: ${receipt.gasUsed.toString()}`);
         });
@@ -543,8 +674,7 @@ describe("Gas Consumption Simulation", function () {
             }
             
             console.log("\n    Testing voidCompromisedGame gas...");
-            const tx = await colosseum.voidCompromisedGame(gameId);
-            const receipt = await tx.wait();
+            const receipt = await measure("circuit-breaker", "voidCompromisedGame", colosseum.voidCompromisedGame(gameId));
             
             console.log(`    voidCompromisedGame gas: ${receipt.gasUsed.toString()}`);
         });
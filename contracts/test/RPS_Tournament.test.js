@@ -332,6 +332,55 @@ describe("RPS_Tournament", function () {
         });
     });
 
+    describe("tiebreak seed refresh", function () {
+        it("should move a seed known during commit to a future round, then resolve on its pulse", async function () {
+            await installMockDrandPrecompile();
+            const drand = await ethers.getContractAt("MockDrandPrecompile", DRAND_PRECOMPILE);
+            await rps.createTournament(4, 20, MIN_ENTRY);
+            for (let i = 1; i <= 2; i++) await rps.connect(signers[i]).register(1, { value: MIN_ENTRY });
+            const t = await rps.tournaments(1);
+            await mineTo(Number(t.registrationEndBlock));
+            // Fed mode: rounds above the last stored one have no pulse, as on the real pallet
+            await drand.setLastStoredRound(1_000_000);
+            await rps.startTournament(1);
+
+            try {
+                let m = await rps.matches(1, 0, 0);
+                const offset = m.seedRound - 1_000_000n;
+                // The seed's pulse is out before anyone commits: it must not decide the tiebreak
+                await drand.setLastStoredRound(m.seedRound);
+                for (const player of [m.playerA, m.playerB]) {
+                    const signer = signers.find((s) => s.address === player);
+                    await rps.connect(signer).commitMove(1, 0, 0, ethers.id(`commit-${player}`));
+                }
+                expect((await rps.matches(1, 0, 0)).seedCompromised).to.equal(true);
+                await mineTo(Number(m.revealEndBlock) + 1);
+
+                // Nobody revealed: drand tiebreak, on a fresh round
+                const newSeedRound = m.seedRound + offset;
+                await expect(rps.tryRevealMatch(1, 0, 0))
+                    .to.emit(rps, "TiebreakSeedRefreshed")
+                    .withArgs(1, 0, 0, newSeedRound)
+                    .and.to.not.emit(rps, "MatchResolved");
+                m = await rps.matches(1, 0, 0);
+                expect(m.winner).to.equal(ethers.ZeroAddress);
+                expect(m.seedCompromised).to.equal(false);
+                expect(m.seedRound).to.equal(newSeedRound);
+                await expect(rps.tryRevealMatch(1, 0, 0)).to.be.revertedWithCustomError(rps, "DrandUnavailable");
+
+                await drand.setLastStoredRound(newSeedRound);
+                const rand = BigInt(await drand.getRandomness(newSeedRound));
+                const expectedWinner = rand % 2n === 0n ? m.playerA : m.playerB;
+                await expect(rps.tryRevealMatch(1, 0, 0))
+                    .to.emit(rps, "MatchResolved")
+                    .withArgs(1, 0, 0, 0, expectedWinner)
+                    .and.to.not.emit(rps, "TiebreakSeedRefreshed");
+            } finally {
+                await drand.reset();
+            }
+        });
+    });
+
     describe("fee accounting safety", function () {
         it("should allow full unregister refund even if flush is attempted during registration", async function () {
             await installMockStakingPrecompile();
@@ -408,6 +457,9 @@ describe("RPS_Tournament", function () {
             await expect(rps.flushFeesToSubnetAndBurn()).to.not.be.reverted;
             expect(await rps.accumulatedFees()).to.equal(0);
 
+            // Stalled cancels need drand to be down: remove the precompile (no storage fallback either)
+            await ethers.provider.send("hardhat_setCode", [DRAND_PRECOMPILE, "0x"]);
+
             const stalled = await rps.tournaments(1);
             const stallBlocks = await rps.STALL_BLOCKS();
             await mineTo(Number(stalled.roundStartBlock + stallBlocks + 1n));
@@ -0,0 +1,652 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { STORAGE_PRECOMPILE, COLOSSEUM_DRAND_PRECOMPILE, drandPulseKey } = require("../lib");
+
+// Behavioural specification of TAOColosseum. Drand is read through a MockStoragePrecompile at 0x0807 (the
+// drand precompile at 0x080D is absent, as on mainnet), and pulses are injected as raw SCALE values so every
+// test pins the drawn end block.
+describe("TAOColosseum", function () {
+    let colosseum;
+    let storage;
+    let owner;
+    let alice;
+    let bob;
+    let carol;
+    let dave;
+    const RED = 0;
+    const BLUE = 1;
+    const PHASE = { Betting: 1, Calculating: 2, Resolved: 3, Finalized: 4 };
+    const LAST_ROUND = 1_000_000n;
+    const TARGET_ROUND = LAST_ROUND + 400n + 3n; // 100 blocks x 12s / 3s per round + buffer
+    const EMERGENCY_TIMEOUT = 7n * 24n * 3600n;
+    const CHAIN_LAG_GRACE = 600n;
+    const LEAK_REASON = "Randomness leaked - drand pulse available before game end";
+    const LAG_REASON = "Chain lagging behind real-time - randomness potentially compromised";
+    const THIN_REASON = "Insufficient valid participation after anti-snipe filter";
+    const TIE_REASON = "Exact tie - refunding all bets";
+    // Declared for ABI compatibility but never raised by the contract
+    const UNRAISED = ["LateBetRefundOnly", "DrandPulseNotAvailable", "DrandPrecompileCallFailed", "RandomnessAlreadyLeaked", "ChainLaggingBehindRealTime"];
+    // Storage slots (ReentrancyGuard._status 0, Ownable._owner 1, then TAOColosseum state in declaration order)
+    const SLOT = { gameBettors: 7n, gameBalance: 8n, gameFees: 9n, betEntries: 14n };
+    const tao = (value) => ethers.parseEther(value);
+    const fee = (amount) => (amount * 150n) / 10000n;
+    const raised = new Set();
+    const emitted = new Set();
+    const injectedKeys = [];
+
+    function reverts(promise, name) {
+        raised.add(name);
+        return expect(promise).to.be.revertedWithCustomError(colosseum, name);
+    }
+
+    function emits(promise, name) {
+        emitted.add(name);
+        return expect(promise).to.emit(colosseum, name);
+    }
+
+    function le64(n) {
+        const buf = Buffer.alloc(8);
+        buf.writeBigUInt64LE(BigInt(n));
+        return buf;
+    }
+
+    // Randomness whose value mod FINAL_CALL_BLOCKS is `offset`, i.e. actualEndBlock = endBlock - 25 + offset
+    function randomnessForOffset(offset) {
+        return ethers.toBeHex(25n * 987654321987654321n + BigInt(offset), 32);
+    }
+
+    async function injectPulse(round, randomness, compact = "0x80") {
+        const key = drandPulseKey(round);
+        injectedKeys.push(key);
+        await storage.setRaw(key, ethers.concat([le64(round), compact, randomness, "0x00"]));
+    }
+
+    async function mineTo(block) {
+        const count = Number(block) - (await ethers.provider.getBlockNumber());
+        if (count > 0) await ethers.provider.send("hardhat_mine", [ethers.toQuantity(count)]);
+    }
+
+    async function mineAt(timestamp) {
+        await ethers.provider.send("evm_setNextBlockTimestamp", [Number(timestamp)]);
+        await ethers.provider.send("evm_mine", []);
+    }
+
+    function bet(signer, side, value, gameId = 1) {
+        return colosseum.connect(signer).placeBet(gameId, side, { value });
+    }
+
+    // Lands the bet in exactly `block`
+    async function betAt(block, signer, side, value) {
+        await mineTo(Number(block) - 1);
+        return bet(signer, side, value);
+    }
+
+    async function startGame() {
+        await colosseum.startNewGame();
+        return colosseum.getCurrentGame();
+    }
+
+    async function endBetting(game) {
+        await mineTo(game.endBlock);
+        await colosseum.resolveGame(game.id);
+    }
+
+    async function resolveWithOffset(game, offset) {
+        await endBetting(game);
+        await injectPulse(game.targetDrandRound, randomnessForOffset(offset));
+        return colosseum.resolveGame(game.id);
+    }
+
+    function mappingSlot(key, slot) {
+        return BigInt(ethers.solidityPackedKeccak256(["uint256", "uint256"], [key, slot]));
+    }
+
+    async function readSlot(slot) {
+        return BigInt(await ethers.provider.getStorage(colosseum.target, slot));
+    }
+
+    async function writeSlot(slot, value) {
+        await ethers.provider.send("hardhat_setStorageAt", [colosseum.target, ethers.toQuantity(slot), ethers.toBeHex(value, 32)]);
+    }
+
+    async function deployReceiver() {
+        const receiver = await (await ethers.getContractFactory("MockRejectingReceiver")).deploy();
+        await receiver.waitForDeployment();
+        return receiver;
+    }
+
+    function via(receiver, method, args, value = 0n) {
+        return receiver.execute(colosseum.target, colosseum.interface.encodeFunctionData(method, args), { value });
+    }
+
+    before(async function () {
+        [owner, alice, bob, carol, dave] = await ethers.getSigners();
+    });
+
+    beforeEach(async function () {
+        const mock = await (await ethers.getContractFactory("MockStoragePrecompile")).deploy();
+        await mock.waitForDeployment();
+        await ethers.provider.send("hardhat_setCode", [STORAGE_PRECOMPILE, await ethers.provider.getCode(mock.target)]);
+        await ethers.provider.send("hardhat_setCode", [COLOSSEUM_DRAND_PRECOMPILE, "0x"]);
+        storage = await ethers.getContractAt("MockStoragePrecompile", STORAGE_PRECOMPILE);
+        await storage.reset();
+        await storage.setLastStoredRound(LAST_ROUND);
+
+        colosseum = await (await ethers.getContractFactory("TAOColosseum")).deploy();
+        await colosseum.waitForDeployment();
+    });
+
+    afterEach(async function () {
+        // Raw values survive setCode and reset(); clear them so other suites see an empty precompile
+        for (const key of injectedKeys.splice(0)) await storage.setRaw(key, "0x");
+        await storage.reset();
+        await ethers.provider.send("hardhat_setCode", [STORAGE_PRECOMPILE, "0x"]);
+    });
+
+    describe("startNewGame", function () {
+        it("should open a 100-block game committed to a drand round one game-length ahead", async function () {
+            const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+            await emits(colosseum.startNewGame(), "GameCreated").withArgs(1, startBlock, startBlock + 100);
+
+            const { timestamp } = await ethers.provider.getBlock(startBlock);
+            const game = await colosseum.getGame(1);
+            expect(game.phase).to.equal(PHASE.Betting);
+            expect(game.targetDrandRound).to.equal(TARGET_ROUND);
+            expect(game.predictedDrandTimestamp).to.equal(BigInt(timestamp) + 403n * 3n);
+            expect(game.actualEndBlock).to.equal(0);
+            expect(await colosseum.currentGameId()).to.equal(1);
+            expect(await colosseum.getGameCount()).to.equal(1);
+            expect((await colosseum.getCurrentGame()).id).to.equal(1);
+        });
+
+        it("should refuse a new game while the current one is betting or calculating", async function () {
+            const game = await startGame();
+            await bet(alice, RED, tao("0.4"));
+            await bet(bob, BLUE, tao("0.6"));
+            await reverts(colosseum.startNewGame(), "GameStillActive");
+            await endBetting(game);
+            await reverts(colosseum.startNewGame(), "GameStillActive");
+            await injectPulse(game.targetDrandRound, randomnessForOffset(0));
+            await colosseum.resolveGame(1);
+
+            // The next game commits to a later round and starts with no bet entries
+            await storage.setLastStoredRound(LAST_ROUND + 1000n);
+            expect(await readSlot(SLOT.betEntries)).to.equal(2);
+            const next = await startGame();
+            expect(next.id).to.equal(2);
+            expect(next.targetDrandRound).to.equal(TARGET_ROUND + 1000n);
+            expect(await readSlot(SLOT.betEntries)).to.equal(0);
+        });
+
+        it("should report NoActiveGame and GameNotFound before the first game", async function () {
+            await reverts(colosseum.getCurrentGame(), "NoActiveGame");
+            await reverts(colosseum.getGame(0), "GameNotFound");
+            await reverts(colosseum.getGame(1), "GameNotFound");
+        });
+    });
+
+    describe("placeBet", function () {
+        it("should split the fee, grow the side pool and count each bettor once per side", async function () {
+            await startGame();
+            await emits(bet(alice, RED, tao("1")), "BetPlaced").withArgs(1, alice.address, RED, tao("1"), tao("1"));
+            await emits(bet(alice, RED, tao("0.5")), "BetPlaced").withArgs(1, alice.address, RED, tao("0.5"), tao("1.5"));
+            await emits(bet(alice, BLUE, tao("0.2")), "BetPlaced").withArgs(1, alice.address, BLUE, tao("0.2"), tao("0.2"));
+            await expect(bet(bob, BLUE, tao("0.3"))).to.changeEtherBalances([bob, colosseum], [-tao("0.3"), tao("0.3")]);
+
+            const total = tao("2");
+            const game = await colosseum.getGame(1);
+            expect([game.redPool, game.bluePool, game.redBettors, game.blueBettors]).to.deep.equal([tao("1.5"), tao("0.5"), 1n, 2n]);
+            expect(game.totalLiquidity).to.equal(total - fee(total));
+            expect(await colosseum.getGameFees(1)).to.equal(fee(total));
+            expect(await colosseum.getGameBalance(1)).to.equal(total - fee(total));
+            expect(await colosseum.getGameBettors(1)).to.deep.equal([alice.address, bob.address]);
+            expect((await colosseum.getUserStats(alice.address)).totalBets).to.equal(3);
+
+            const bets = await colosseum.getUserBets(1, alice.address);
+            expect(bets.redBet.amount).to.equal(tao("1.5"));
+            expect(bets.blueBet.amount).to.equal(tao("0.2"));
+            expect(bets.redBet.claimed).to.equal(false);
+        });
+
+        it("should reject empty, dust and unknown-game bets", async function () {
+            await reverts(bet(alice, RED, tao("0.1")), "GameNotFound");
+            await startGame();
+            await reverts(bet(alice, RED, 0n), "InvalidBetAmount");
+            await reverts(bet(alice, RED, tao("0.001") - 1n), "BetTooSmall");
+            await reverts(bet(alice, RED, tao("0.1"), 0), "GameNotFound");
+            await reverts(bet(alice, RED, tao("0.1"), 2), "GameNotFound");
+            await expect(bet(alice, RED, tao("0.001"))).to.emit(colosseum, "BetPlaced");
+        });
+
+        it("should close betting at the end block and once the game leaves the betting phase", async function () {
+            const game = await startGame();
+            await betAt(game.endBlock - 1n, alice, RED, tao("0.1"));
+            await reverts(bet(alice, RED, tao("0.1")), "BettingPeriodEnded");
+            await colosseum.resolveGame(1);
+            await reverts(bet(alice, RED, tao("0.1")), "GameNotInBettingPhase");
+        });
+
+        it("should cap bettors and bet entries per game", async function () {
+            await startGame();
+            await bet(alice, RED, tao("0.1"));
+            // Layout guard for the slots written below
+            expect(await readSlot(SLOT.betEntries)).to.equal(1);
+            expect(await readSlot(mappingSlot(1, SLOT.gameBettors))).to.equal(1);
+            expect(await readSlot(mappingSlot(1, SLOT.gameBalance))).to.equal(await colosseum.getGameBalance(1));
+            expect(await readSlot(mappingSlot(1, SLOT.gameFees))).to.equal(await colosseum.getGameFees(1));
+
+            // MAX_BETTORS_PER_GAME: new bettors are refused, existing ones can still add
+            await writeSlot(mappingSlot(1, SLOT.gameBettors), 500);
+            await reverts(bet(bob, BLUE, tao("0.1")), "TooManyBettors");
+            await bet(alice, BLUE, tao("0.1"));
+
+            // MAX_BET_ENTRIES: nobody can add an entry
+            await writeSlot(SLOT.betEntries, 5000);
+            await reverts(bet(alice, RED, tao("0.1")), "TooManyBettors");
+        });
+    });
+
+    describe("resolveGame", function () {
+        it("should move to Calculating at the end block and wait for the committed pulse", async function () {
+            const game = await startGame();
+            await bet(alice, RED, tao("0.4"));
+            await bet(bob, BLUE, tao("0.6"));
+            await reverts(colosseum.resolveGame(1), "BettingPeriodNotEnded");
+            await reverts(colosseum.resolveGame(0), "GameNotFound");
+            await reverts(colosseum.resolveGame(2), "GameNotFound");
+
+            await mineTo(game.endBlock);
+            await expect(colosseum.resolveGame(1)).not.to.emit(colosseum, "RandomnessUsed");
+            expect(await colosseum.getResolutionStatus(1)).to.deep.equal([BigInt(PHASE.Calculating), TARGET_ROUND, 0n, false]);
+            await reverts(colosseum.resolveGame(1), "WaitingForRandomness");
+
+            // A pulse whose randomness is not 32 bytes is treated as missing
+            await injectPulse(TARGET_ROUND, ethers.toBeHex(1, 32), "0x40");
+            expect(await colosseum.isDrandRoundAvailable(TARGET_ROUND)).to.equal(false);
+            await reverts(colosseum.resolveGame(1), "WaitingForRandomness");
+        });
+
+        it("should draw the end block from the stored pulse and let the underdog win", async function () {
+            const game = await startGame();
+            await bet(alice, RED, tao("1"));
+            await bet(bob, BLUE, tao("2"));
+            await bet(carol, BLUE, tao("1"));
+            await endBetting(game);
+
+            // Feed the target round: the stand-in now serves its derived pulse under the real key
+            await storage.setLastStoredRound(TARGET_ROUND);
+            expect((await colosseum.getResolutionStatus(1)).canFinalize).to.equal(true);
+            const randomness = await storage.getRandomness(TARGET_ROUND);
+            const actualEndBlock = game.endBlock - 25n + (BigInt(randomness) % 25n);
+
+            const tx = colosseum.resolveGame(1);
+            await emits(tx, "RandomnessUsed").withArgs(1, TARGET_ROUND, randomness);
+            await emits(tx, "ActualEndBlockSet").withArgs(1, actualEndBlock, tao("1"), tao("3"));
+            await emits(tx, "FeesReleased").withArgs(1, fee(tao("4")));
+            await emits(tx, "GameResolved").withArgs(1, RED, tao("1"), tao("3"), 1, 2);
+
+            const resolved = await colosseum.getGame(1);
+            expect(resolved.phase).to.equal(PHASE.Resolved);
+            expect(resolved.hasWinner).to.equal(true);
+            expect(resolved.winningSide).to.equal(RED);
+            expect(resolved.resolvedBlock).to.equal(await ethers.provider.getBlockNumber());
+            expect(resolved.validLiquidity).to.equal(tao("4") - fee(tao("4")));
+            expect(await colosseum.getAccumulatedFees()).to.equal(fee(tao("4")));
+            expect(await colosseum.getGameFees(1)).to.equal(0);
+            expect((await colosseum.getResolutionStatus(1)).actualEndBlock).to.equal(actualEndBlock);
+            await reverts(colosseum.resolveGame(1), "GameAlreadyResolved");
+        });
+
+        it("should refund bets placed at or after the drawn end block in full", async function () {
+            const game = await startGame();
+            const actualEndBlock = game.endBlock - 25n + 10n;
+            await bet(alice, RED, tao("1"));
+            await bet(bob, BLUE, tao("2"));
+            await betAt(actualEndBlock - 1n, carol, BLUE, tao("0.4"));
+            await betAt(actualEndBlock, alice, RED, tao("0.5"));
+            await betAt(actualEndBlock + 1n, dave, BLUE, tao("0.3"));
+
+            const valid = tao("3.4");
+            const validFees = fee(tao("1")) + fee(tao("2")) + fee(tao("0.4"));
+            const lateFees = fee(tao("0.5")) + fee(tao("0.3"));
+            const tx = await resolveWithOffset(game, 10);
+            await emits(tx, "ActualEndBlockSet").withArgs(1, actualEndBlock, tao("1"), tao("2.4"));
+            await emits(tx, "FeesReleased").withArgs(1, validFees);
+            await emits(tx, "GameResolved").withArgs(1, RED, tao("1"), tao("2.4"), 1, 3);
+            expect(await colosseum.isBetLate(1, alice.address, RED)).to.equal(true);
+            expect(await colosseum.isBetLate(1, carol.address, BLUE)).to.equal(false);
+            expect((await colosseum.getUserSideBet(1, alice.address, RED)).lateAmount).to.equal(tao("0.5"));
+            expect(await colosseum.getGameBalance(1)).to.equal(tao("4.2") - fee(tao("4.2")) + lateFees);
+
+            // The winner gets the late part back plus the whole valid liquidity (sole valid Red bettor)
+            const winnings = valid - validFees;
+            const claim = colosseum.connect(alice).claimWinnings(1, RED);
+            await emits(claim, "LateBetRefunded").withArgs(1, alice.address, RED, tao("0.5"));
+            await emits(claim, "WinningsClaimed").withArgs(1, alice.address, RED, tao("1.5"), winnings);
+            await expect(claim).to.changeEtherBalance(alice, tao("0.5") + winnings);
+
+            // A late loser gets the late part back; a valid loser gets nothing
+            const lateLoss = colosseum.connect(dave).claimWinnings(1, BLUE);
+            await expect(lateLoss).to.emit(colosseum, "LateBetRefunded").withArgs(1, dave.address, BLUE, tao("0.3"));
+            await expect(lateLoss).to.changeEtherBalance(dave, tao("0.3"));
+            await expect(colosseum.connect(bob).claimWinnings(1, BLUE)).to.changeEtherBalance(bob, 0);
+            await colosseum.connect(carol).claimWinnings(1, BLUE);
+            expect((await colosseum.getUserStats(dave.address)).totalLosses).to.equal(1);
+            expect((await colosseum.getUserStats(bob.address)).totalLosses).to.equal(1);
+
+            expect(await colosseum.getGameBalance(1)).to.equal(0);
+            expect(await ethers.provider.getBalance(colosseum.target)).to.equal(validFees);
+        });
+
+        it("should cancel when too little valid liquidity survives the cutoff", async function () {
+            const game = await startGame();
+            const actualEndBlock = game.endBlock - 25n;
+            await bet(alice, RED, tao("0.2"));
+            await bet(bob, BLUE, tao("0.2"));
+            await betAt(actualEndBlock, carol, RED, tao("1"));
+
+            const tx = await resolveWithOffset(game, 0);
+            await emits(tx, "ActualEndBlockSet").withArgs(1, actualEndBlock, tao("0.2"), tao("0.2"));
+            await emits(tx, "GameCancelled").withArgs(1, THIN_REASON);
+            await expect(tx).not.to.emit(colosseum, "GameTied");
+            await expect(tx).not.to.emit(colosseum, "FeesReleased");
+
+            const cancelled = await colosseum.getGame(1);
+            expect(cancelled.phase).to.equal(PHASE.Finalized);
+            expect(cancelled.hasWinner).to.equal(false);
+            expect(cancelled.totalLiquidity).to.equal(tao("1.4"));
+            expect(await colosseum.getGameFees(1)).to.equal(0);
+            expect(await colosseum.getGameBalance(1)).to.equal(tao("1.4"));
+            expect(await colosseum.getAccumulatedFees()).to.equal(0);
+
+            // Every bet, late or not, is refunded including its fee
+            const refund = colosseum.connect(carol).claimWinnings(1, RED);
+            await emits(refund, "RefundClaimed").withArgs(1, carol.address, RED, tao("1"));
+            await expect(refund).to.changeEtherBalance(carol, tao("1"));
+            await colosseum.connect(alice).claimAllWinnings(1);
+            await colosseum.connect(bob).claimAllWinnings(1);
+            expect(await colosseum.getGameBalance(1)).to.equal(0);
+        });
+
+        it("should cancel a game with no valid bet on one side", async function () {
+            const game = await startGame();
+            await bet(alice, RED, tao("1"));
+            await emits(resolveWithOffset(game, 24), "GameCancelled").withArgs(1, THIN_REASON);
+            await expect(colosseum.connect(alice).claimWinnings(1, RED)).to.changeEtherBalance(alice, tao("1"));
+        });
+
+        it("should cancel an exact tie and refund all bets", async function () {
+            const game = await startGame();
+            await bet(alice, RED, tao("0.5"));
+            await bet(bob, BLUE, tao("0.25"));
+            await bet(carol, BLUE, tao("0.25"));
+
+            const tx = await resolveWithOffset(game, 3);
+            await emits(tx, "GameTied").withArgs(1, tao("0.5"), tao("0.5"));
+            await emits(tx, "GameCancelled").withArgs(1, TIE_REASON);
+            await expect(colosseum.connect(alice).claimAllWinnings(1))
+                .to.emit(colosseum, "RefundClaimed").withArgs(1, alice.address, RED, tao("0.5"));
+        });
+    });
+
+    describe("claims", function () {
+        it("should refuse claims before resolution, without a bet and twice", async function () {
+            const game = await startGame();
+            await bet(alice, RED, tao("0.4"));
+            await bet(bob, BLUE, tao("0.6"));
+            await reverts(colosseum.connect(alice).claimWinnings(1, RED), "GameNotResolved");
+            await endBetting(game);
+            await reverts(colosseum.connect(alice).claimWinnings(1, RED), "GameNotResolved");
+            await reverts(colosseum.connect(alice).claimAllWinnings(1), "GameNotResolved");
+
+            await injectPulse(game.targetDrandRound, randomnessForOffset(7));
+            await colosseum.resolveGame(1);
+            await reverts(colosseum.connect(alice).claimWinnings(1, BLUE), "NoBetToClaim");
+            await reverts(colosseum.connect(carol).claimWinnings(1, RED), "NoBetToClaim");
+            await reverts(colosseum.connect(alice).claimWinnings(2, RED), "GameNotFound");
+            await colosseum.connect(alice).claimWinnings(1, RED);
+            await reverts(colosseum.connect(alice).claimWinnings(1, RED), "AlreadyClaimed");
+            await colosseum.connect(bob).claimWinnings(1, BLUE);
+            await reverts(colosseum.connect(bob).claimWinnings(1, BLUE), "AlreadyClaimed");
+
+            // claimAllWinnings skips claimed and empty sides
+            await expect(colosseum.connect(alice).claimAllWinnings(1)).to.changeEtherBalance(alice, 0);
+            await expect(colosseum.connect(carol).claimAllWinnings(1)).not.to.be.reverted;
+        });
+
+        it("should pay both sides in one claimAllWinnings and rank the leaderboard by winnings", async function () {
+            let game = await startGame();
+            await bet(alice, RED, tao("1"));
+            await bet(alice, BLUE, tao("0.5"));
+            await bet(bob, BLUE, tao("2"));
+            await bet(carol, RED, tao("1"));
+            await resolveWithOffset(game, 12);
+
+            const liquidity = tao("4.5") - fee(tao("4.5"));
+            const half = liquidity / 2n; // alice and carol each hold half of the valid Red pool
+            const claim = colosseum.connect(alice).claimAllWinnings(1);
+            await expect(claim).to.emit(colosseum, "WinningsClaimed").withArgs(1, alice.address, RED, tao("1"), half);
+            await expect(claim).to.changeEtherBalance(alice, half);
+            expect(await colosseum.getUserStats(alice.address)).to.deep.equal([2n, 1n, half, 1n]);
+            expect((await colosseum.getUserBets(1, alice.address)).blueBet.claimed).to.equal(true);
+
+            await colosseum.connect(carol).claimAllWinnings(1);
+            expect(await colosseum.getLeaderboard()).to.deep.equal([alice.address, carol.address]);
+
+            // A bigger win moves bob to the top
+            await storage.setLastStoredRound(LAST_ROUND + 1000n);
+            game = await startGame();
+            await bet(bob, RED, tao("1"), 2);
+            await bet(dave, BLUE, tao("2"), 2);
+            await resolveWithOffset(game, 5);
+            await colosseum.connect(bob).claimWinnings(2, RED);
+            const bobWinnings = tao("3") - fee(tao("3"));
+            expect(await colosseum.getLeaderboard()).to.deep.equal([bob.address, alice.address, carol.address]);
+            expect(await colosseum.getLeaderboardWithStats(2)).to.deep.equal([[bob.address, alice.address], [bobWinnings, half], [1n, 1n]]);
+        });
+
+        it("should revert the claim when the recipient rejects TAO", async function () {
+            const receiver = await deployReceiver();
+            const game = await startGame();
+            await via(receiver, "placeBet", [1, RED], tao("0.4"));
+            await bet(bob, BLUE, tao("0.6"));
+            await resolveWithOffset(game, 1);
+
+            await receiver.setAccepting(false);
+            await reverts(via(receiver, "claimWinnings", [1, RED]), "TransferFailed");
+            await receiver.setAccepting(true);
+            await expect(via(receiver, "claimWinnings", [1, RED]))
+                .to.emit(colosseum, "WinningsClaimed").withArgs(1, receiver.target, RED, tao("0.4"), tao("1") - fee(tao("1")));
+        });
+
+        it("should never pay a refund the game balance does not hold", async function () {
+            const game = await startGame();
+            await bet(alice, RED, tao("0.5"));
+            await bet(bob, BLUE, tao("0.5"));
+            await resolveWithOffset(game, 2);
+            expect((await colosseum.getGame(1)).phase).to.equal(PHASE.Finalized);
+
+            await writeSlot(mappingSlot(1, SLOT.gameBalance), tao("0.4"));
+            await reverts(colosseum.connect(alice).claimWinnings(1, RED), "InsufficientGameBalance");
+        });
+    });
+
+    describe("voidCompromisedGame", function () {
+        it("should void a game whose pulse is readable before betting ends", async function () {
+            const game = await startGame();
+            await bet(alice, RED, tao("0.4"));
+            await bet(bob, BLUE, tao("0.6"));
+            await reverts(colosseum.voidCompromisedGame(1), "GameNotCompromised");
+            expect(await colosseum.isGameCompromised(1)).to.equal(false);
+
+            await injectPulse(game.targetDrandRound, randomnessForOffset(4));
+            expect(await colosseum.isGameCompromised(1)).to.equal(true);
+            const tx = colosseum.voidCompromisedGame(1);
+            await emits(tx, "GameCancelled").withArgs(1, LEAK_REASON);
+            await emits(tx, "GameVoided").withArgs(1, LEAK_REASON);
+
+            expect((await colosseum.getGame(1)).phase).to.equal(PHASE.Finalized);
+            expect(await colosseum.isGameCompromised(1)).to.equal(false);
+            await reverts(colosseum.voidCompromisedGame(1), "GameAlreadyResolved");
+            await reverts(colosseum.voidCompromisedGame(2), "GameNotFound");
+            await reverts(bet(carol, RED, tao("0.1")), "GameNotInBettingPhase");
+            await expect(colosseum.connect(bob).claimWinnings(1, BLUE)).to.changeEtherBalance(bob, tao("0.6"));
+        });
+
+        it("should void a game once the chain lags past the committed round's time", async function () {
+            const game = await startGame();
+            await bet(alice, RED, tao("0.4"));
+            await bet(bob, BLUE, tao("0.6"));
+
+            // A pulse that appears after the end block is not a leak
+            await mineTo(game.endBlock);
+            await injectPulse(game.targetDrandRound, randomnessForOffset(4));
+            await reverts(colosseum.voidCompromisedGame(1), "GameNotCompromised");
+            await colosseum.resolveGame(1);
+
+            await mineAt(game.predictedDrandTimestamp + CHAIN_LAG_GRACE);
+            expect(await colosseum.isGameCompromised(1)).to.equal(false);
+            await mineAt(game.predictedDrandTimestamp + CHAIN_LAG_GRACE + 1n);
+            expect(await colosseum.isGameCompromised(1)).to.equal(true);
+            const tx = colosseum.voidCompromisedGame(1);
+            await emits(tx, "GameCancelled").withArgs(1, LAG_REASON);
+            await emits(tx, "GameVoided").withArgs(1, LAG_REASON);
+            await reverts(colosseum.resolveGame(1), "GameAlreadyResolved");
+            await expect(colosseum.connect(alice).claimWinnings(1, RED)).to.changeEtherBalance(alice, tao("0.4"));
+        });
+    });
+
+    describe("withdrawEmergency", function () {
+        it("should unlock seven days after the game started and block drand resolution afterwards", async function () {
+            const game = await startGame();
+            await bet(alice, RED, tao("1"));
+            await bet(alice, BLUE, tao("0.4"));
+            await bet(bob, BLUE, tao("2"));
+            await reverts(colosseum.connect(alice).withdrawEmergency(1), "EmergencyTimeoutNotReached");
+            await reverts(colosseum.connect(alice).withdrawEmergency(0), "GameNotFound");
+
+            await mineAt(game.predictedDrandTimestamp + EMERGENCY_TIMEOUT - 1200n);
+            await reverts(colosseum.connect(carol).withdrawEmergency(1), "NothingToWithdraw");
+            const tx = colosseum.connect(alice).withdrawEmergency(1);
+            await emits(tx, "EmergencyWithdraw").withArgs(1, alice.address, tao("1"), tao("0.4"));
+            await expect(tx).to.changeEtherBalance(alice, tao("1.4"));
+            expect(await colosseum.emergencyWithdrawalsUsed(1)).to.equal(true);
+            expect(await colosseum.getGameBalance(1)).to.equal(tao("2") - fee(tao("2")));
+            expect(await colosseum.getGameFees(1)).to.equal(fee(tao("2")));
+            await reverts(colosseum.connect(alice).withdrawEmergency(1), "NothingToWithdraw");
+
+            // Valid pools would still count alice's bets, so the drand path is closed for good
+            await endBetting(game);
+            await injectPulse(game.targetDrandRound, randomnessForOffset(9));
+            expect((await colosseum.getResolutionStatus(1)).canFinalize).to.equal(false);
+            await reverts(colosseum.resolveGame(1), "EmergencyWithdrawalsUsed");
+
+            // The remaining bettors leave through the circuit breaker
+            await emits(colosseum.voidCompromisedGame(1), "GameVoided").withArgs(1, LAG_REASON);
+            await reverts(colosseum.connect(bob).withdrawEmergency(1), "GameAlreadyResolved");
+            await expect(colosseum.connect(bob).claimWinnings(1, BLUE)).to.changeEtherBalance(bob, tao("2"));
+            expect(await colosseum.getGameBalance(1)).to.equal(0);
+        });
+
+        it("should refuse an emergency refund the game cannot pay in full", async function () {
+            const receiver = await deployReceiver();
+            const game = await startGame();
+            await bet(alice, RED, tao("1"));
+            await via(receiver, "placeBet", [1, BLUE], tao("0.5"));
+            await mineAt(game.predictedDrandTimestamp + EMERGENCY_TIMEOUT);
+
+            await receiver.setAccepting(false);
+            await reverts(via(receiver, "withdrawEmergency", [1]), "TransferFailed");
+
+            await writeSlot(mappingSlot(1, SLOT.gameFees), fee(tao("1")) - 1n);
+            await reverts(colosseum.connect(alice).withdrawEmergency(1), "InsufficientFeesForRefund");
+            await writeSlot(mappingSlot(1, SLOT.gameFees), fee(tao("1.5")));
+            await writeSlot(mappingSlot(1, SLOT.gameBalance), tao("0.9"));
+            await reverts(colosseum.connect(alice).withdrawEmergency(1), "InsufficientGameBalance");
+            expect(await colosseum.emergencyWithdrawalsUsed(1)).to.equal(false);
+        });
+    });
+
+    describe("owner functions", function () {
+        it("should let only the owner withdraw released fees", async function () {
+            await emits(colosseum.deploymentTransaction(), "OwnershipTransferred").withArgs(ethers.ZeroAddress, owner.address);
+            const game = await startGame();
+            await bet(alice, RED, tao("0.4"));
+            await bet(bob, BLUE, tao("0.6"));
+            await resolveWithOffset(game, 0);
+            const fees = fee(tao("1"));
+
+            await expect(colosseum.connect(alice).withdrawFees()).to.be.revertedWith("Ownable: caller is not the owner");
+            const receiver = await deployReceiver();
+            await colosseum.transferOwnership(receiver.target);
+            await receiver.setAccepting(false);
+            await reverts(via(receiver, "withdrawFees", []), "TransferFailed");
+            await receiver.setAccepting(true);
+            await expect(via(receiver, "withdrawFees", [])).to.changeEtherBalance(receiver, fees);
+            expect(await colosseum.getAccumulatedFees()).to.equal(0);
+            await expect(via(receiver, "withdrawFees", [])).to.changeEtherBalance(receiver, 0);
+        });
+    });
+
+    describe("views", function () {
+        it("should quote payouts, multipliers and the betting window from the live game", async function () {
+            expect(await colosseum.getCurrentMultiplier(1, RED)).to.equal(10000);
+            expect(await colosseum.calculatePotentialPayout(1, alice.address, RED, tao("1"))).to.equal(0);
+            expect(await colosseum.getBlocksRemaining(1)).to.equal(0);
+            expect(await colosseum.isInFinalCall(1)).to.equal(false);
+
+            const game = await startGame();
+            expect(await colosseum.getCurrentMultiplier(1, RED)).to.equal(0);
+            await bet(alice, RED, tao("1"));
+            await bet(bob, BLUE, tao("3"));
+            const liquidity = tao("4") - fee(tao("4"));
+            expect(await colosseum.getCurrentMultiplier(1, RED)).to.equal((liquidity * 10000n) / tao("1"));
+            expect(await colosseum.getCurrentMultiplier(1, BLUE)).to.equal((liquidity * 10000n) / tao("3"));
+            // Quote for one more TAO on Red: (existing + new) x (liquidity + net new) / (Red pool + new)
+            const quoted = liquidity + tao("1") - fee(tao("1"));
+            expect(await colosseum.calculatePotentialPayout(1, alice.address, RED, tao("1"))).to.equal(quoted);
+            expect(await colosseum.calculatePotentialPayout(1, carol.address, RED, tao("1"))).to.equal(quoted / 2n);
+
+            await mineTo(game.endBlock - 26n);
+            expect(await colosseum.getBlocksRemaining(1)).to.equal(26);
+            expect(await colosseum.isInFinalCall(1)).to.equal(false);
+            await mineTo(game.endBlock - 25n);
+            expect(await colosseum.isInFinalCall(1)).to.equal(true);
+            await mineTo(game.endBlock - 1n);
+            expect(await colosseum.getBlocksRemaining(1)).to.equal(1);
+            expect(await colosseum.isInFinalCall(1)).to.equal(true);
+            await mineTo(game.endBlock);
+            expect(await colosseum.getBlocksRemaining(1)).to.equal(0);
+            expect(await colosseum.isInFinalCall(1)).to.equal(false);
+        });
+
+        it("should read drand through the storage precompile", async function () {
+            expect(await colosseum.getDrandStatus()).to.deep.equal([LAST_ROUND, true]);
+            expect(await colosseum.getLastDrandRound()).to.equal(LAST_ROUND);
+            expect(await colosseum.getDrandRandomness(LAST_ROUND)).to.deep.equal([true, await storage.getRandomness(LAST_ROUND)]);
+            expect(await colosseum.isDrandRoundAvailable(LAST_ROUND + 1n)).to.equal(false);
+
+            // Two-byte compact length prefix for the randomness is accepted
+            const randomness = ethers.keccak256(ethers.toUtf8Bytes("two-byte compact"));
+            await injectPulse(LAST_ROUND + 1n, randomness, "0x8100");
+            expect(await colosseum.getDrandRandomness(LAST_ROUND + 1n)).to.deep.equal([true, randomness]);
+
+            await storage.setRoundSkipped(LAST_ROUND, true);
+            expect(await colosseum.isDrandRoundAvailable(LAST_ROUND)).to.equal(false);
+            await storage.setRoundSkipped(LAST_ROUND, false);
+
+            await storage.setLastStoredRound(0);
+            expect(await colosseum.getDrandStatus()).to.deep.equal([0n, false]);
+        });
+    });
+
+    describe("ABI coverage", function () {
+        it("should have exercised every custom error and event", function () {
+            if (raised.size === 0) this.skip(); // filtered run (--grep)
+            const names = (type) => colosseum.interface.fragments.filter((f) => f.type === type).map((f) => f.name);
+            expect(names("error")).to.include.members(UNRAISED);
+            expect(names("error").filter((name) => !raised.has(name) && !UNRAISED.includes(name))).to.deep.equal([]);
+            expect(names("event").filter((name) => !emitted.has(name))).to.deep.equal([]);
+        });
+    });
+});
@@ -0,0 +1,122 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { RPS_DRAND_PRECOMPILE, createEventIndexer } = require("../lib");
+const { openEventDb } = require("../lib/event-db");
+const { createApiServer } = require("../lib/api-server");
+
+describe("HTTP API", function () {
+    let colosseum;
+    let rps;
+    let signers;
+    let db;
+    let server;
+    let baseUrl;
+
+    async function installMockDrandPrecompile() {
+        const Mock = await ethers.getContractFactory("MockDrandPrecompile");
+        const mock = await Mock.deploy();
+        await mock.waitForDeployment();
+        const runtimeCode = await ethers.provider.getCode(mock.target);
+        await ethers.provider.send("hardhat_setCode", [RPS_DRAND_PRECOMPILE, runtimeCode]);
+    }
+
+    async function get(path, headers = {}) {
+        const res = await fetch(`${baseUrl}${path}`, { headers });
+        return { status: res.status, etag: res.headers.get("etag"), body: res.status === 304 ? null : await res.json() };
+    }
+
+    async function listen(opts) {
+        server = createApiServer({ provider: ethers.provider, colosseumAddress: colosseum.target, rpsAddress: rps.target, ...opts });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    }
+
+    beforeEach(async function () {
+        signers = await ethers.getSigners();
+        const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+        colosseum = await (await ethers.getContractFactory("TAOColosseum")).deploy();
+        rps = await (await ethers.getContractFactory("RPS_Tournament")).deploy(ethers.ZeroHash);
+        await Promise.all([colosseum.waitForDeployment(), rps.waitForDeployment()]);
+        db = await openEventDb(null);
+        db.indexer = createEventIndexer({
+            provider: ethers.provider, db, colosseumAddress: colosseum.target, rpsAddress: rps.target, startBlock, log: () => {},
+        });
+    });
+
+    afterEach(async function () {
+        await new Promise((resolve) => server.close(resolve));
+        await ethers.provider.send("hardhat_setCode", [RPS_DRAND_PRECOMPILE, "0x"]);
+    });
+
+    it("should serve the current game with live pools and user positions", async function () {
+        await listen({ db });
+        expect((await get("/v1/games/current")).status).to.equal(404);
+
+        await colosseum.startNewGame();
+        await colosseum.connect(signers[1]).placeBet(1, 0, { value: ethers.parseEther("0.2") });
+        const { status, body } = await get("/v1/games/current");
+        expect(status).to.equal(200);
+        expect(body.game.redPool).to.equal(ethers.parseEther("0.2").toString());
+        expect(body.game.inFinalCall).to.equal(false);
+        expect(Number(body.game.blocksRemaining)).to.be.gt(0);
+
+        const position = await get(`/v1/users/${signers[1].address}/games/1`);
+        expect(position.body.claims.red.kind).to.equal("pending");
+        expect((await get("/v1/users/0x1234/games/1")).status).to.equal(400);
+        const malformed = await get("/v1/games/%E0");
+        expect(malformed.status).to.equal(400);
+        expect(malformed.body.error).to.equal("Malformed id in path");
+        expect((await get("/v1/health")).status).to.equal(200);
+        expect((await get("/v1/games/7")).status).to.equal(404);
+    });
+
+    it("should paginate indexed history and answer 304 for a matching ETag", async function () {
+        await listen({ db });
+        for (let i = 0; i < 3; i++) {
+            await colosseum.startNewGame();
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine", []);
+            await colosseum.voidCompromisedGame(i + 1);
+        }
+        await db.indexer.sync();
+
+        const first = await get("/v1/games?limit=2");
+        expect(first.body.total).to.equal(3);
+        expect(first.body.items.map((g) => g.id)).to.deep.equal([3, 2]);
+        expect(first.body.items[0].status).to.equal("cancelled");
+        expect((await get("/v1/games?limit=2&offset=2")).body.items.map((g) => g.id)).to.deep.equal([1]);
+        expect((await get("/v1/games?limit=500")).status).to.equal(400);
+
+        const again = await get("/v1/games?limit=2", { "If-None-Match": first.etag });
+        expect(again.status).to.equal(304);
+
+        const events = await get("/v1/games/2/events");
+        expect(events.body.items.map((e) => e.name)).to.deep.equal(["GameVoided", "GameCancelled", "GameCreated"]);
+    });
+
+    it("should return the tournament bracket with match states", async function () {
+        await installMockDrandPrecompile();
+        await listen({ db });
+        await rps.createTournament(4, 20, ethers.parseEther("0.5"));
+        for (let i = 1; i <= 4; i++) await rps.connect(signers[i]).register(1, { value: ethers.parseEther("0.5") });
+        await rps.startTournament(1);
+
+        const { body } = await get("/v1/tournaments/1");
+        expect(body.tournament.phaseName).to.equal("Active");
+        expect(body.players).to.have.length(4);
+        expect(body.rounds).to.have.length(1);
+        expect(body.rounds[0].matches.map((m) => m.state)).to.deep.equal(["commit", "commit"]);
+
+        await db.indexer.sync();
+        const list = await get("/v1/tournaments");
+        expect(list.body.items[0]).to.include({ id: 1, status: "active", playerCount: 4 });
+    });
+
+    it("should answer 503 on history routes without an event index", async function () {
+        await listen({});
+        expect((await get("/v1/games")).status).to.equal(503);
+        const health = await get("/v1/health");
+        expect(health.body.indexedBlock).to.equal(null);
+        expect((await get("/v1/nope")).status).to.equal(404);
+    });
+});
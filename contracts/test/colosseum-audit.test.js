@@ -0,0 +1,167 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createColosseumClient, loadGameRecord, auditGame, renderAuditMarkdown, replayGame, toJson } = require("../lib");
+const { startDevnet } = require("../lib/devnet");
+
+describe("TAOColosseum outcome audit", function () {
+    const RED = 0;
+    const BLUE = 1;
+    const tao = (v) => ethers.parseEther(v);
+
+    describe("replayGame", function () {
+        const early = 10;
+        const endBlock = 100n;
+        const bet = (bettor, side, amount, blockNumber = early) => ({ bettor, side, amount: tao(amount), blockNumber });
+
+        it("should filter bets at or after actualEndBlock and apply the participation, tie and underdog rules", function () {
+            // randomness % 25 == 3 -> actualEndBlock 78
+            const randomness = ethers.toBeHex(28n, 32);
+            const bets = [bet("0xA", RED, "0.3"), bet("0xB", BLUE, "0.5"), bet("0xa", RED, "0.1", 77), bet("0xC", BLUE, "1", 78)];
+            const r = replayGame({ endBlock, bets, randomness });
+            expect(r.redPool).to.equal(tao("0.4"));
+            expect(r.bluePool).to.equal(tao("1.5"));
+            expect([r.redBettors, r.blueBettors]).to.deep.equal([1n, 2n]); // 0xA and 0xa are one bettor
+            expect(r.resolution).to.deep.include({ actualEndBlock: 78n, validRedPool: tao("0.4"), validBluePool: tao("0.5"), outcome: "resolved", winningSide: RED });
+            expect(r.resolution.lateFees).to.equal((tao("1") * 150n) / 10000n);
+            expect(r.positions.get("0xc:1").lateAmount).to.equal(tao("1"));
+
+            expect(replayGame({ endBlock, bets: [bet("0xA", RED, "0.3"), bet("0xB", BLUE, "0.3")], randomness }).resolution.outcome).to.equal("tied");
+            expect(replayGame({ endBlock, bets: [bet("0xA", RED, "0.2"), bet("0xB", BLUE, "0.1")], randomness }).resolution.outcome).to.equal("cancelled");
+            expect(replayGame({ endBlock, bets: [bet("0xA", RED, "0.3"), bet("0xB", BLUE, "0.5", 90)], randomness }).resolution.outcome).to.equal("cancelled");
+            expect(replayGame({ endBlock, bets }).resolution).to.equal(null);
+        });
+    });
+
+    describe("on a devnet", function () {
+        let signers;
+        let devnet;
+        let colosseum;
+        let client;
+
+        beforeEach(async function () {
+            signers = await ethers.getSigners();
+            devnet = await startDevnet(hre);
+            colosseum = await (await ethers.getContractFactory("TAOColosseum")).deploy();
+            await colosseum.waitForDeployment();
+            client = createColosseumClient(colosseum.target, ethers.provider);
+        });
+
+        afterEach(async function () {
+            await devnet.stop();
+        });
+
+        async function finalize(gameId) {
+            const game = await colosseum.getGame(gameId);
+            await devnet.mine(Number(game.endBlock) - (await ethers.provider.getBlockNumber()));
+            await colosseum.resolveGame(gameId);
+            while (devnet.feeder.status().lastFedRound < Number(game.targetDrandRound)) await devnet.mine(1);
+            await colosseum.resolveGame(gameId);
+        }
+
+        it("should recompute a resolved game with late bets and match every pool, SideBet and claim", async function () {
+            await colosseum.startNewGame();
+            await colosseum.connect(signers[1]).placeBet(1, RED, { value: tao("0.3") });
+            await colosseum.connect(signers[2]).placeBet(1, BLUE, { value: tao("0.5") });
+            await colosseum.connect(signers[3]).placeBet(1, RED, { value: tao("0.1") });
+            // endBlock - 1 is after any actualEndBlock: both bets are late, one on each side
+            const { endBlock } = await colosseum.getGame(1);
+            await devnet.mine(Number(endBlock) - 2 - (await ethers.provider.getBlockNumber()));
+            await ethers.provider.send("evm_setAutomine", [false]);
+            try {
+                await colosseum.connect(signers[2]).placeBet(1, RED, { value: tao("0.1") });
+                await colosseum.connect(signers[4]).placeBet(1, BLUE, { value: tao("1") });
+                await ethers.provider.send("evm_mine", []);
+            } finally {
+                await ethers.provider.send("evm_setAutomine", [true]);
+            }
+            await finalize(1);
+            for (const i of [1, 2, 4]) await colosseum.connect(signers[i]).claimAllWinnings(1);
+
+            const record = await loadGameRecord(client, 1);
+            const report = auditGame(record);
+            const game = await client.getGame(1);
+            expect(await loadGameRecord(client, 2)).to.equal(null);
+            expect(report.ok).to.equal(true);
+            expect(report.outcome).to.equal("resolved");
+            expect(report.recomputed).to.include({ actualEndBlock: game.actualEndBlock, validRedPool: tao("0.4"), validBluePool: tao("0.5"), winningSide: RED });
+            expect(report.checks.map((c) => c.name)).to.deep.equal([
+                "redPool",
+                "bluePool",
+                "redBettors",
+                "blueBettors",
+                "totalLiquidity",
+                "actualEndBlock",
+                "validRedPool",
+                "validBluePool",
+                "validLiquidity",
+                "outcome",
+            ]);
+
+            const byKey = Object.fromEntries(report.positions.map((p) => [`${p.bettor}:${p.side}`, p]));
+            expect(byKey[`${signers[2].address}:${RED}`]).to.include({ kind: "win", lateAmount: tao("0.1"), expectedPayout: tao("0.1"), paid: tao("0.1") });
+            expect(byKey[`${signers[4].address}:${BLUE}`]).to.include({ kind: "late-refund", expectedPayout: tao("1"), paid: tao("1") });
+            expect(byKey[`${signers[3].address}:${RED}`]).to.include({ kind: "win", claimed: false, paid: null });
+            const winnings = byKey[`${signers[1].address}:${RED}`];
+            expect(winnings.paid).to.equal(winnings.expectedPayout);
+            expect(winnings.expectedPayout).to.equal((game.validLiquidity * ((tao("0.3") * 10n ** 18n) / tao("0.4"))) / 10n ** 18n);
+
+            // A saved record audits the same offline
+            expect(toJson(auditGame(JSON.parse(toJson(record))))).to.equal(toJson(report));
+            const markdown = renderAuditMarkdown([report]);
+            expect(markdown).to.contain("1 game(s) audited, 0 with mismatches.");
+            expect(markdown).to.contain(`| 1 | resolved (Red wins) | ${game.targetDrandRound} | ok |`);
+            expect(markdown).to.contain(`| ${signers[4].address} | Blue | 1.0 | 1.0 | 1.0 (late-refund) | 1.0 | ok |`);
+        });
+
+        it("should flag randomness, bets and payouts that disagree with the chain", async function () {
+            await colosseum.startNewGame();
+            await colosseum.connect(signers[1]).placeBet(1, RED, { value: tao("0.3") });
+            await colosseum.connect(signers[2]).placeBet(1, BLUE, { value: tao("0.5") });
+            await finalize(1);
+            await colosseum.connect(signers[1]).claimAllWinnings(1);
+            const record = await loadGameRecord(client, 1);
+
+            const randomness = ethers.toBeHex(BigInt(record.randomness.randomness) ^ 1n, 32);
+            const shifted = auditGame({ ...record, randomness: { ...record.randomness, randomness } });
+            expect(shifted.ok).to.equal(false);
+            expect(shifted.checks.filter((c) => !c.ok).map((c) => c.name)).to.deep.equal(["actualEndBlock"]);
+
+            const missingBet = auditGame({ ...record, bets: record.bets.slice(1) });
+            expect(missingBet.checks.filter((c) => !c.ok).map((c) => c.name)).to.deep.equal([
+                "redPool",
+                "redBettors",
+                "totalLiquidity",
+                "validRedPool",
+                "validLiquidity",
+                "outcome",
+                `SideBet ${signers[1].address} Red`,
+            ]);
+
+            const overpaid = auditGame({ ...record, payouts: record.payouts.map((p) => ({ ...p, amount: p.amount + 1n })) });
+            expect(overpaid.positions[0].problems).to.deep.equal([`paid ${record.payouts[0].amount + 1n}`]);
+            expect(renderAuditMarkdown([overpaid])).to.contain("| 1 | resolved (Red wins) |").and.to.contain("**MISMATCH**");
+        });
+
+        it("should audit cancelled and voided games as full refunds", async function () {
+            await colosseum.startNewGame();
+            await colosseum.connect(signers[1]).placeBet(1, RED, { value: tao("0.6") });
+            await finalize(1);
+            await colosseum.connect(signers[1]).claimAllWinnings(1);
+            const cancelled = auditGame(await loadGameRecord(client, 1));
+            expect(cancelled).to.include({ outcome: "cancelled", chainOutcome: "cancelled", ok: true });
+            expect(cancelled.positions[0]).to.include({ kind: "refund", expectedPayout: tao("0.6"), paid: tao("0.6") });
+
+            // Chain lag past the grace period voids game 2 before any randomness is used
+            await colosseum.startNewGame();
+            await colosseum.connect(signers[2]).placeBet(2, BLUE, { value: tao("0.2") });
+            const { predictedDrandTimestamp } = await colosseum.getGame(2);
+            await ethers.provider.send("evm_setNextBlockTimestamp", [Number(predictedDrandTimestamp) + 601]);
+            await colosseum.voidCompromisedGame(2);
+            const voided = auditGame(await loadGameRecord(client, 2));
+            expect(voided).to.include({ outcome: "voided", chainOutcome: "voided", drandRound: null, ok: true });
+            expect(voided.checks.find((c) => c.name === "totalLiquidity")).to.include({ expected: tao("0.2").toString(), ok: true });
+            expect(voided.positions[0]).to.include({ kind: "refund", claimed: false, paid: null });
+        });
+    });
+});
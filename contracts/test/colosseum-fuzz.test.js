@@ -0,0 +1,347 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { STORAGE_PRECOMPILE, drandPulseKey, encodePulse } = require("../lib");
+const { installPrecompileStandIns, removePrecompileStandIns } = require("../lib/devnet");
+
+// Property-based run of the Underdog accounting: random bettors, sides, amounts and bet blocks (inside and
+// outside the final call window), random drand outcomes, voids and emergency withdrawals over many games,
+// with the invariants checked after every step. FUZZ_SEED reproduces a failing run, FUZZ_GAMES runs longer.
+describe("TAOColosseum accounting fuzz", function () {
+    const SEED = Number(process.env.FUZZ_SEED || 0x5eed);
+    const GAMES = Number(process.env.FUZZ_GAMES || 12);
+    const RED = 0;
+    const BLUE = 1;
+    const BETTING = 1;
+    const CALCULATING = 2;
+    const RESOLVED = 3;
+    const FINALIZED = 4;
+    const PLATFORM_FEE = 150n;
+    const FEE_DENOMINATOR = 10000n;
+    const WAD = 10n ** 18n;
+
+    let colosseum;
+    let storage;
+    let signers;
+    let owner;
+    let rng;
+    let drandRound;
+    const pulseKeys = [];
+    // gameId -> { entries: [{ bettor, side, amount, block }], bets: Map(key -> { signer, side }), paid, winningsPaid, dust, settled }
+    const model = new Map();
+    let releasedFees;
+    let withdrawnFees;
+
+    // mulberry32: small deterministic PRNG, so a seed fully determines a run
+    function createRng(seed) {
+        let a = seed >>> 0;
+        return function next() {
+            a = (a + 0x6d2b79f5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function int(lo, hi) {
+        return lo + Math.floor(rng() * (hi - lo + 1));
+    }
+
+    function chance(p) {
+        return rng() < p;
+    }
+
+    function pick(items) {
+        return items[int(0, items.length - 1)];
+    }
+
+    /** Uniform-ish wei amount in [lo, hi), down to the last wei so payouts round. */
+    function randomWei(lo, hi) {
+        const r = BigInt(int(0, 999999999)) * 1000000000n + BigInt(int(0, 999999999));
+        return lo + ((hi - lo) * r) / WAD;
+    }
+
+    function fee(amount) {
+        return (amount * PLATFORM_FEE) / FEE_DENOMINATOR;
+    }
+
+    async function mine(count) {
+        if (count > 0) await ethers.provider.send("hardhat_mine", ["0x" + count.toString(16)]);
+    }
+
+    async function mineTo(block) {
+        await mine(Number(block) - (await ethers.provider.getBlockNumber()));
+    }
+
+    async function increaseTimePast(timestamp) {
+        const latest = await ethers.provider.getBlock("latest");
+        if (latest.timestamp <= Number(timestamp)) await ethers.provider.send("evm_increaseTime", [Number(timestamp) - latest.timestamp + 1]);
+    }
+
+    async function publishPulse(round, randomness) {
+        const key = drandPulseKey(round);
+        pulseKeys.push(key);
+        await storage.setRaw(key, encodePulse({ round, randomness }));
+    }
+
+    /** What claimWinnings pays for this side bet right now (0 once claimed), per the Underdog rules. */
+    function expectedPayout(game, bet, side) {
+        if (bet.amount === 0n || bet.claimed) return 0n;
+        if (!game.hasWinner && Number(game.phase) === FINALIZED) return bet.amount;
+        if (Number(game.phase) !== RESOLVED) return 0n;
+        let payout = bet.isLateBet ? bet.lateAmount : 0n;
+        if (side === Number(game.winningSide)) {
+            const winningPool = side === RED ? game.validRedPool : game.validBluePool;
+            if (winningPool > 0n && game.validLiquidity > 0n) {
+                payout += (game.validLiquidity * (((bet.amount - bet.lateAmount) * WAD) / winningPool)) / WAD;
+            }
+        }
+        return payout;
+    }
+
+    async function sideBets(gameId) {
+        const out = [];
+        for (const { signer, side } of model.get(gameId).bets.values()) {
+            out.push({ signer, side, bet: await colosseum.getUserSideBet(gameId, signer.address, side) });
+        }
+        return out;
+    }
+
+    async function checkInvariants(step) {
+        const where = `seed ${SEED}, ${step}`;
+        let held = 0n;
+        for (const [gameId, m] of model) {
+            const game = await colosseum.getGame(gameId);
+            const balance = await colosseum.getGameBalance(gameId);
+            const fees = await colosseum.getGameFees(gameId);
+            held += balance + fees;
+
+            const deposits = game.redPool + game.bluePool;
+            expect(m.paid, `${where}: game ${gameId} paid out more than its pools`).to.be.at.most(deposits);
+            if (m.settled) continue;
+            let owed = 0n;
+            let unclaimed = 0n;
+            let open = 0;
+            for (const { side, bet } of await sideBets(gameId)) {
+                if (bet.claimed || bet.amount === 0n) continue;
+                owed += expectedPayout(game, bet, side);
+                unclaimed += bet.amount;
+                open++;
+            }
+            const phase = Number(game.phase);
+            if (phase === BETTING || phase === CALCULATING) {
+                expect(balance + fees, `${where}: game ${gameId} open bets not fully backed`).to.equal(unclaimed);
+            } else if (phase === FINALIZED) {
+                expect(fees, `${where}: cancelled game ${gameId} kept fees`).to.equal(0n);
+                expect(balance, `${where}: cancelled game ${gameId} refunds not backed`).to.equal(unclaimed);
+            } else {
+                expect(fees, `${where}: resolved game ${gameId} kept unreleased fees`).to.equal(0n);
+                expect(balance, `${where}: resolved game ${gameId} cannot pay its claims`).to.be.at.least(owed);
+                expect(balance - owed, `${where}: resolved game ${gameId} leaks more than rounding dust`).to.be.at.most(m.dust);
+                expect(m.winningsPaid, `${where}: game ${gameId} paid more winnings than valid liquidity`).to.be.at.most(game.validLiquidity);
+            }
+            // Fully claimed games can only change through the global balance check below
+            if (open === 0 && (phase === RESOLVED || phase === FINALIZED)) m.settled = true;
+        }
+        const accumulated = await colosseum.getAccumulatedFees();
+        expect(accumulated, `${where}: accumulated fees`).to.equal(releasedFees - withdrawnFees);
+        expect(await ethers.provider.getBalance(colosseum.target), `${where}: contract balance`).to.equal(held + accumulated);
+    }
+
+    async function placeBets(gameId, game) {
+        const m = model.get(gameId);
+        const count = int(2, 14);
+        const finalCallStart = Number(game.endBlock) - 25;
+        const blocks = [];
+        for (let i = 0; i < count; i++) {
+            blocks.push(chance(0.4) ? int(finalCallStart, Number(game.endBlock) - 1) : int(Number(game.startBlock) + 1, finalCallStart - 1));
+        }
+        blocks.sort((a, b) => a - b);
+        for (const block of blocks) {
+            if ((await ethers.provider.getBlockNumber()) + 1 >= Number(game.endBlock)) break;
+            await mineTo(block - 1);
+            const signer = pick(signers.slice(1, 13));
+            const side = int(RED, BLUE);
+            if (chance(0.05)) {
+                await expect(colosseum.connect(signer).placeBet(gameId, side, { value: randomWei(1n, 10n ** 15n - 1n) }))
+                    .to.be.revertedWithCustomError(colosseum, "BetTooSmall");
+                continue;
+            }
+            const amount = randomWei(10n ** 15n, 3n * WAD);
+            const receipt = await (await colosseum.connect(signer).placeBet(gameId, side, { value: amount })).wait();
+            m.entries.push({ bettor: signer.address, side, amount, block: receipt.blockNumber });
+            m.bets.set(`${signer.address}:${side}`, { signer, side });
+            await checkInvariants(`game ${gameId} bet at block ${receipt.blockNumber}`);
+        }
+    }
+
+    async function resolveWithDrand(gameId, game) {
+        const m = model.get(gameId);
+        await mineTo(game.endBlock);
+        await colosseum.resolveGame(gameId);
+        await expect(colosseum.resolveGame(gameId)).to.be.revertedWithCustomError(colosseum, "WaitingForRandomness");
+        await publishPulse(game.targetDrandRound, ethers.hexlify(randomBytes32()));
+        const receipt = await (await colosseum.resolveGame(gameId)).wait();
+
+        const resolved = await colosseum.getGame(gameId);
+        let validRed = 0n;
+        let validBlue = 0n;
+        let validFees = 0n;
+        for (const e of m.entries) {
+            if (BigInt(e.block) >= resolved.actualEndBlock) continue;
+            if (e.side === RED) validRed += e.amount;
+            else validBlue += e.amount;
+            validFees += fee(e.amount);
+        }
+        expect(resolved.validRedPool, `seed ${SEED}: game ${gameId} valid red pool`).to.equal(validRed);
+        expect(resolved.validBluePool, `seed ${SEED}: game ${gameId} valid blue pool`).to.equal(validBlue);
+        const released = receipt.logs.map((log) => colosseum.interface.parseLog(log)).find((ev) => ev && ev.name === "FeesReleased");
+        if (resolved.hasWinner) {
+            expect(released.args.platformFees).to.equal(validFees);
+            releasedFees += validFees;
+            const winners = m.entries.filter((e) => e.side === Number(resolved.winningSide)).length;
+            m.dust = BigInt(winners) * (resolved.validLiquidity / WAD + 1n);
+        } else {
+            expect(released).to.equal(undefined);
+        }
+    }
+
+    function randomBytes32() {
+        const bytes = new Uint8Array(32);
+        for (let i = 0; i < 32; i++) bytes[i] = int(0, 255);
+        return bytes;
+    }
+
+    async function voidAfterGrace(gameId, game) {
+        await mineTo(game.endBlock);
+        if (chance(0.5)) await colosseum.resolveGame(gameId);
+        await increaseTimePast(game.predictedDrandTimestamp + (await colosseum.CHAIN_LAG_GRACE_SECONDS()));
+        await expect(colosseum.voidCompromisedGame(gameId)).to.emit(colosseum, "GameVoided");
+    }
+
+    async function emergencyThenVoid(gameId, game) {
+        const m = model.get(gameId);
+        await mineTo(game.endBlock);
+        const calculating = chance(0.5);
+        if (calculating) await colosseum.resolveGame(gameId);
+        await increaseTimePast(game.predictedDrandTimestamp + (await colosseum.EMERGENCY_TIMEOUT()));
+
+        const bettors = [...new Set(m.entries.map((e) => e.bettor))];
+        let withdrew = false;
+        for (const address of bettors) {
+            if (!chance(0.5)) continue;
+            const signer = signers.find((s) => s.address === address);
+            const before = await ethers.provider.getBalance(colosseum.target);
+            const bets = await colosseum.getUserBets(gameId, address);
+            await colosseum.connect(signer).withdrawEmergency(gameId);
+            const paid = before - (await ethers.provider.getBalance(colosseum.target));
+            expect(paid, `seed ${SEED}: emergency withdrawal of game ${gameId}`).to.equal(bets.redBet.amount + bets.blueBet.amount);
+            m.paid += paid;
+            withdrew = true;
+            await expect(colosseum.connect(signer).withdrawEmergency(gameId)).to.be.revertedWithCustomError(colosseum, "NothingToWithdraw");
+            await checkInvariants(`game ${gameId} emergency withdrawal by ${address}`);
+        }
+        if (withdrew && calculating) {
+            await expect(colosseum.resolveGame(gameId)).to.be.revertedWithCustomError(colosseum, "EmergencyWithdrawalsUsed");
+        }
+        await expect(colosseum.voidCompromisedGame(gameId)).to.emit(colosseum, "GameVoided");
+    }
+
+    async function claim(gameId, signer, sides) {
+        const m = model.get(gameId);
+        const game = await colosseum.getGame(gameId);
+        let expected = 0n;
+        let winnings = 0n;
+        for (const side of sides) {
+            const bet = await colosseum.getUserSideBet(gameId, signer.address, side);
+            const payout = expectedPayout(game, bet, side);
+            expected += payout;
+            if (Number(game.phase) === RESOLVED) winnings += payout - (bet.isLateBet ? bet.lateAmount : 0n);
+        }
+        const before = await ethers.provider.getBalance(colosseum.target);
+        if (sides.length === 2) await colosseum.connect(signer).claimAllWinnings(gameId);
+        else await colosseum.connect(signer).claimWinnings(gameId, sides[0]);
+        const paid = before - (await ethers.provider.getBalance(colosseum.target));
+        expect(paid, `seed ${SEED}: claim of game ${gameId} by ${signer.address}`).to.equal(expected);
+        m.paid += paid;
+        m.winningsPaid += winnings;
+
+        for (const side of sides) {
+            await expect(colosseum.connect(signer).claimWinnings(gameId, side)).to.be.revertedWithCustomError(colosseum, "AlreadyClaimed");
+        }
+        await checkInvariants(`game ${gameId} claim by ${signer.address}`);
+    }
+
+    /** Claim a random share (or, with everything=true, all) of the open claims of finished games. */
+    async function claimSome(everything = false) {
+        for (const gameId of model.keys()) {
+            const phase = Number((await colosseum.getGame(gameId)).phase);
+            if (phase !== RESOLVED && phase !== FINALIZED) continue;
+            const open = (await sideBets(gameId)).filter(({ bet }) => bet.amount > 0n && !bet.claimed);
+            const bySigner = new Map();
+            for (const { signer, side } of open) bySigner.set(signer.address, [...(bySigner.get(signer.address) || []), { signer, side }]);
+            for (const claims of bySigner.values()) {
+                if (!everything && !chance(0.6)) continue;
+                if (claims.length === 2 && chance(0.5)) await claim(gameId, claims[0].signer, [RED, BLUE]);
+                else for (const { signer, side } of claims) await claim(gameId, signer, [side]);
+            }
+        }
+    }
+
+    async function withdrawFees() {
+        const accumulated = await colosseum.getAccumulatedFees();
+        await colosseum.connect(owner).withdrawFees();
+        withdrawnFees += accumulated;
+        await checkInvariants("fee withdrawal");
+    }
+
+    before(async function () {
+        signers = await ethers.getSigners();
+        owner = signers[0];
+        rng = createRng(SEED);
+        await installPrecompileStandIns(hre, { drandPrecompile: false });
+        storage = await ethers.getContractAt("MockStoragePrecompile", STORAGE_PRECOMPILE);
+        drandRound = 1_000_000;
+        colosseum = await (await ethers.getContractFactory("TAOColosseum")).deploy();
+        await colosseum.waitForDeployment();
+        releasedFees = 0n;
+        withdrawnFees = 0n;
+    });
+
+    after(async function () {
+        for (const key of pulseKeys) await storage.setRaw(key, "0x");
+        await removePrecompileStandIns(hre);
+    });
+
+    it(`should keep pools, refunds and fees adding up over ${GAMES} random games`, async function () {
+        for (let i = 0; i < GAMES; i++) {
+            // A fresh round each game so no earlier pulse override matches the new target
+            drandRound += 1000;
+            await storage.setLastStoredRound(drandRound);
+            await colosseum.startNewGame();
+            const gameId = Number(await colosseum.currentGameId());
+            model.set(gameId, { entries: [], bets: new Map(), paid: 0n, winningsPaid: 0n, dust: 0n, settled: false });
+            const game = await colosseum.getGame(gameId);
+
+            await placeBets(gameId, game);
+            const outcome = rng();
+            if (outcome < 0.6) await resolveWithDrand(gameId, game);
+            else if (outcome < 0.8) await voidAfterGrace(gameId, game);
+            else await emergencyThenVoid(gameId, game);
+            await checkInvariants(`game ${gameId} outcome`);
+
+            await claimSome();
+            if (chance(0.3)) await withdrawFees();
+        }
+
+        await claimSome(true);
+        await withdrawFees();
+        let dust = 0n;
+        for (const [gameId, m] of model) {
+            expect(await colosseum.getGameBalance(gameId), `seed ${SEED}: game ${gameId} left over`).to.be.at.most(m.dust);
+            dust += await colosseum.getGameBalance(gameId);
+        }
+        expect(await ethers.provider.getBalance(colosseum.target)).to.equal(dust);
+    });
+});
@@ -0,0 +1,106 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    COLOSSEUM_DRAND_PRECOMPILE,
+    createColosseumClient,
+    createColosseumKeeper,
+    createTxSender,
+    planColosseumAction,
+} = require("../lib");
+
+describe("TAOColosseum keeper", function () {
+    let colosseum;
+    let signers;
+    let drand;
+
+    async function installMockDrandPrecompile() {
+        const Mock = await ethers.getContractFactory("MockDrandPrecompile");
+        const mock = await Mock.deploy();
+        await mock.waitForDeployment();
+        const runtimeCode = await ethers.provider.getCode(mock.target);
+        await ethers.provider.send("hardhat_setCode", [COLOSSEUM_DRAND_PRECOMPILE, runtimeCode]);
+        return ethers.getContractAt("MockDrandPrecompile", COLOSSEUM_DRAND_PRECOMPILE);
+    }
+
+    async function mineTo(targetBlock) {
+        while ((await ethers.provider.getBlockNumber()) < targetBlock) {
+            await ethers.provider.send("evm_mine", []);
+        }
+    }
+
+    function keeperFor(signer, opts = {}) {
+        return createColosseumKeeper({
+            client: createColosseumClient(colosseum.target, ethers.provider),
+            sender: createTxSender({ signer, dryRun: opts.dryRun, log: () => {} }),
+            autoStart: opts.autoStart,
+            log: () => {},
+        });
+    }
+
+    beforeEach(async function () {
+        signers = await ethers.getSigners();
+        drand = await installMockDrandPrecompile();
+        const TAOColosseum = await ethers.getContractFactory("TAOColosseum");
+        colosseum = await TAOColosseum.deploy();
+        await colosseum.waitForDeployment();
+    });
+
+    it("should start, resolve once drand is stored, and start the next game", async function () {
+        const keeper = keeperFor(signers[9]);
+        expect((await keeper.tick()).action).to.equal("start");
+        const game = await colosseum.getCurrentGame();
+        expect(game.id).to.equal(1);
+
+        await colosseum.connect(signers[1]).placeBet(1, 0, { value: ethers.parseEther("0.3") });
+        await colosseum.connect(signers[2]).placeBet(1, 1, { value: ethers.parseEther("0.5") });
+        expect((await keeper.tick()).outcome).to.equal("waiting");
+
+        await mineTo(Number(game.endBlock));
+        const phase1 = await keeper.tick();
+        expect(phase1.action).to.equal("resolve");
+        expect(phase1.outcome).to.equal("sent");
+
+        // target round not stored yet: keep waiting instead of sending a reverting resolveGame
+        const waiting = await keeper.tick();
+        expect(waiting.outcome).to.equal("waiting");
+        expect(waiting.reason).to.include(`drand round ${game.targetDrandRound}`);
+
+        const lastRound = await drand.getLastStoredRound();
+        await drand.advanceRounds(game.targetDrandRound - lastRound);
+        expect((await keeper.tick()).action).to.equal("finalize");
+        const resolved = await colosseum.getGame(1);
+        expect(resolved.hasWinner).to.equal(true);
+        expect(resolved.winningSide).to.equal(0); // Red is the underdog
+
+        expect((await keeper.tick()).action).to.equal("start");
+        expect((await colosseum.getCurrentGame()).id).to.equal(2);
+    });
+
+    it("should void a game once the chain lags behind the predicted drand time", async function () {
+        const keeper = keeperFor(signers[9]);
+        await keeper.tick();
+        const game = await colosseum.getCurrentGame();
+        const latest = await ethers.provider.getBlock("latest");
+        await ethers.provider.send("evm_increaseTime", [Number(game.predictedDrandTimestamp) - latest.timestamp + 601]);
+        await ethers.provider.send("evm_mine", []);
+
+        const r = await keeper.tick();
+        expect(r.action).to.equal("void");
+        expect(r.outcome).to.equal("sent");
+        expect((await colosseum.getGame(1)).phase).to.equal(4); // Finalized
+    });
+
+    it("should only simulate in dry-run mode with an address-only signer", async function () {
+        const keeper = keeperFor(new ethers.VoidSigner(signers[9].address, ethers.provider), { dryRun: true });
+        const r = await keeper.tick();
+        expect(r.action).to.equal("start");
+        expect(r.outcome).to.equal("dry-run");
+        expect(await colosseum.nextGameId()).to.equal(1);
+    });
+
+    it("should stay idle after a settled game when auto-start is disabled", function () {
+        const game = { id: 3n, phase: 4, phaseName: "Finalized" };
+        expect(planColosseumAction({ game, blockNumber: 10 }, false).action).to.equal("idle");
+        expect(planColosseumAction({ game, blockNumber: 10 }, true).action).to.equal("start");
+    });
+});
@@ -0,0 +1,166 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+    createColosseumClient,
+    createTxSender,
+    snapshotColosseum,
+    migrationStatus,
+    windDownColosseum,
+    buildClaimsReport,
+    renderClaimsMarkdown,
+    buildLegacyStats,
+    loadImportedStats,
+    estimateClaim,
+    toJson,
+} = require("../lib");
+const { startDevnet } = require("../lib/devnet");
+
+describe("TAOColosseum migration", function () {
+    const RED = 0;
+    const BLUE = 1;
+    const tao = (v) => ethers.parseEther(v);
+    let signers;
+    let devnet;
+    let colosseum;
+    let client;
+
+    beforeEach(async function () {
+        signers = await ethers.getSigners();
+        // The owner's sender keeps its own nonces; feed drand from another account
+        devnet = await startDevnet(hre, { signer: signers[19] });
+        colosseum = await (await ethers.getContractFactory("TAOColosseum")).deploy();
+        await colosseum.waitForDeployment();
+        client = createColosseumClient(colosseum.target, ethers.provider);
+    });
+
+    afterEach(async function () {
+        await devnet.stop();
+    });
+
+    async function finalize(gameId) {
+        const game = await colosseum.getGame(gameId);
+        await devnet.mine(Number(game.endBlock) - (await ethers.provider.getBlockNumber()));
+        await colosseum.resolveGame(gameId);
+        while (devnet.feeder.status().lastFedRound < Number(game.targetDrandRound)) await devnet.mine(1);
+        await colosseum.resolveGame(gameId);
+    }
+
+    // Game 1: Red (underdog) wins, winner 1 has not claimed. Game 2: cancelled, 4 has not taken the refund.
+    // Game 3: still open with bets from 1 (Red) and 5 (Blue).
+    async function playHistory() {
+        const bet = (i, gameId, side, amount) => colosseum.connect(signers[i]).placeBet(gameId, side, { value: tao(amount) });
+        await colosseum.startNewGame();
+        await bet(1, 1, RED, "0.3");
+        await bet(2, 1, BLUE, "0.5");
+        await finalize(1);
+        await colosseum.connect(signers[2]).claimAllWinnings(1);
+
+        await colosseum.startNewGame();
+        await bet(3, 2, RED, "0.1");
+        await bet(4, 2, BLUE, "0.1");
+        await finalize(2);
+        await colosseum.connect(signers[3]).claimAllWinnings(2);
+
+        await colosseum.startNewGame();
+        await bet(1, 3, RED, "0.6");
+        await bet(5, 3, BLUE, "0.4");
+    }
+
+    it("should snapshot open claims, unsettled bets and fees and report them per user", async function () {
+        await playHistory();
+        const snapshot = await snapshotColosseum(client);
+        const game1 = await client.getGame(1);
+        const win = estimateClaim(game1, (await client.getUserBets(1, signers[1].address)).red, RED).payout;
+
+        expect(snapshot).to.include({ address: colosseum.target, chainId: 1337, owner: signers[0].address });
+        expect(snapshot.games.map((g) => g.phaseName)).to.deep.equal(["Resolved", "Finalized", "Betting"]);
+        expect(snapshot.games[0].positions.map((p) => [p.bettor, p.kind, p.owed])).to.deep.equal([
+            [signers[1].address, "win", win],
+            [signers[2].address, "claimed", 0n],
+        ]);
+        expect(snapshot.totals).to.include({ claimable: win + tao("0.1"), pending: tao("1"), accumulatedFees: await colosseum.accumulatedFees() });
+        // Winner payouts round down, so the contract may keep a few wei
+        expect(snapshot.totals.surplus >= 0n && snapshot.totals.surplus < 1000n).to.equal(true);
+        expect(snapshot.userStats.map((s) => [s.user, s.totalBets])).to.deep.equal([1, 2, 3, 4, 5].map((i) => [signers[i].address, i === 1 ? 2n : 1n]));
+        expect(migrationStatus(snapshot).blockers).to.deep.equal([
+            "game 3 is still Betting",
+            `${ethers.formatEther(snapshot.totals.accumulatedFees)} TAO of fees not withdrawn`,
+        ]);
+
+        // Reports also work from a snapshot saved as JSON (amounts as strings)
+        const report = buildClaimsReport(JSON.parse(toJson(snapshot)));
+        expect(report.users.map((u) => [u.user, u.claimable, u.pending])).to.deep.equal([
+            [signers[1].address, win, tao("0.6")],
+            [signers[5].address, 0n, tao("0.4")],
+            [signers[4].address, tao("0.1"), 0n],
+        ]);
+        expect(report.users[2].items).to.deep.equal([{ gameId: 2n, side: BLUE, kind: "refund", amount: tao("0.1"), action: "claimWinnings(2, 1)" }]);
+        expect(report.users[1].items[0].action).to.match(/^withdrawEmergency\(3\) from \d{4}-/);
+        const markdown = renderClaimsMarkdown(report);
+        expect(markdown).to.include("3 user(s) with open claims.");
+        expect(markdown).to.include(`| ${signers[4].address} | 0.1 | 0.0 | 0.1 |`);
+    });
+
+    it("should wind the old contract down to a terminal state without moving user funds", async function () {
+        await playHistory();
+        const owner = signers[0];
+        const feesBefore = await colosseum.accumulatedFees();
+        const result = await windDownColosseum({
+            client,
+            sender: createTxSender({ signer: owner, log: () => {} }),
+            advance: () => devnet.mine(10),
+            log: () => {},
+        });
+        expect(result.settled).to.equal(true);
+        expect(result.last.reason).to.equal("game 3 is Resolved; auto-start disabled");
+        expect(await colosseum.getGameCount()).to.equal(3n); // no new game was started
+        expect(result.feesWithdrawn).to.equal(feesBefore + (tao("1") * 150n) / 10000n);
+
+        const snapshot = await snapshotColosseum(client);
+        expect(migrationStatus(snapshot)).to.deep.equal({ terminal: true, blockers: [] });
+        expect(snapshot.totals).to.include({ pending: 0n, accumulatedFees: 0n });
+        // Everything left on the contract is claimable by users
+        expect(snapshot.totals.surplus >= 0n && snapshot.totals.surplus < 1000n).to.equal(true);
+        const report = buildClaimsReport(snapshot);
+        expect(report.users.map((u) => u.user)).to.have.members([signers[1].address, signers[4].address, signers[5].address]);
+        for (const u of report.users) {
+            const user = await ethers.getSigner(u.user);
+            const before = await ethers.provider.getBalance(u.user);
+            let gas = 0n;
+            for (const gameId of new Set(u.items.map((i) => i.gameId))) {
+                gas += (await (await colosseum.connect(user).claimAllWinnings(gameId)).wait()).fee;
+            }
+            expect(await ethers.provider.getBalance(u.user)).to.equal(before + u.total - gas);
+        }
+        expect(await ethers.provider.getBalance(colosseum.target)).to.equal(snapshot.totals.surplus);
+    });
+
+    it("should keep the old leaderboard and userStats as an off-chain record", async function () {
+        await playHistory();
+        await windDownColosseum({ client, sender: createTxSender({ signer: signers[0], log: () => {} }), advance: () => devnet.mine(10), log: () => {} });
+        for (const [i, gameId] of [[1, 1], [1, 3], [4, 2], [5, 3]]) await colosseum.connect(signers[i]).claimAllWinnings(gameId);
+        const snapshot = await snapshotColosseum(client);
+        expect(snapshot.leaderboard).to.have.members([signers[1].address, signers[5].address]);
+
+        const legacy = buildLegacyStats(snapshot);
+        expect(legacy).to.include({ address: colosseum.target, chainId: 1337, blockNumber: snapshot.blockNumber });
+        expect(legacy.leaderboard).to.deep.equal((await client.getLeaderboard()).map((e) => e.address));
+        // Ranked users first, then the rest by winnings
+        expect(legacy.userStats.map((s) => s.user).slice(0, 2)).to.deep.equal(snapshot.leaderboard);
+        expect(legacy.userStats.map((s) => s.user)).to.have.members([1, 2, 3, 4, 5].map((i) => signers[i].address));
+        for (const s of legacy.userStats) {
+            const onChain = await client.getUserStats(s.user);
+            expect([s.totalBets, s.totalWins, s.totalWinnings, s.totalLosses]).to.deep.equal([
+                onChain.totalBets,
+                onChain.totalWins,
+                onChain.totalWinnings,
+                onChain.totalLosses,
+            ]);
+        }
+
+        // Saved as JSON (amounts as strings) and read back
+        expect(loadImportedStats(toJson(legacy, 2))).to.deep.equal(legacy);
+        expect(() => loadImportedStats({ leaderboard: [] })).to.throw("Legacy stats need leaderboard and userStats");
+    });
+});
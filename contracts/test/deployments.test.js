@@ -0,0 +1,145 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+    REGISTRY_VERSION,
+    registryFile,
+    loadRegistry,
+    resolveAddress,
+    requireAddress,
+    findDeployment,
+    recordDeployment,
+    importDeployment,
+    explorerFor,
+    verifyDeployment,
+    verifyOnExplorer,
+} = require("../lib/deployments");
+
+describe("Deployment registry", function () {
+    const HOTKEY = ethers.id("sn38 owner hotkey");
+    let dir;
+    let opts;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+        opts = { dir, persist: true };
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function deployRps(hotkey = HOTKEY) {
+        const rps = await (await ethers.getContractFactory("RPS_Tournament")).deploy(hotkey);
+        await rps.waitForDeployment();
+        return rps;
+    }
+
+    it("should record deployments with their metadata and skip redeploys of identical init code", async function () {
+        const [deployer] = await ethers.getSigners();
+        expect(await findDeployment(hre, "RPS_Tournament", [HOTKEY], opts)).to.equal(null);
+
+        const rps = await deployRps();
+        const entry = await recordDeployment(hre, "RPS_Tournament", [HOTKEY], rps, opts);
+        const receipt = await rps.deploymentTransaction().wait();
+        expect(entry).to.include({
+            address: rps.target,
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            deployer: deployer.address,
+            solcVersion: "0.8.19",
+            verified: null,
+        });
+        expect(entry.constructorArgs).to.deep.equal([HOTKEY]);
+        expect(entry.settingsHash).to.match(/^0x[0-9a-f]{64}$/);
+        expect(entry.history).to.deep.equal([]);
+
+        const registry = JSON.parse(fs.readFileSync(registryFile("hardhat", dir), "utf8"));
+        expect(registry).to.include({ version: REGISTRY_VERSION, network: "hardhat", chainId: 1337 });
+        expect(registry.contracts.RPS_Tournament.address).to.equal(rps.target);
+
+        // Same bytecode and args: reuse; another hotkey or no code at the address: deploy
+        expect((await findDeployment(hre, "RPS_Tournament", [HOTKEY], opts)).address).to.equal(rps.target);
+        expect(await findDeployment(hre, "RPS_Tournament", [ethers.ZeroHash], opts)).to.equal(null);
+        await ethers.provider.send("hardhat_setCode", [rps.target, "0x"]);
+        expect(await findDeployment(hre, "RPS_Tournament", [HOTKEY], opts)).to.equal(null);
+
+        const next = await deployRps(ethers.ZeroHash);
+        const current = await recordDeployment(hre, "RPS_Tournament", [ethers.ZeroHash], next, opts);
+        expect(current.history.map((h) => h.address)).to.deep.equal([rps.target]);
+        expect(current.history[0]).to.not.have.property("history");
+        expect(loadRegistry("hardhat", opts).contracts.RPS_Tournament.address).to.equal(next.target);
+    });
+
+    it("should resolve addresses from env vars first, then the network's registry", async function () {
+        const rps = await deployRps();
+        await recordDeployment(hre, "RPS_Tournament", [HOTKEY], rps, opts);
+
+        expect(resolveAddress("hardhat", "RPS_Tournament", { dir, env: {} })).to.equal(rps.target);
+        expect(resolveAddress("hardhat", "RPS_Tournament", { dir, env: { RPS_CONTRACT_ADDRESS: "0x01" } })).to.equal("0x01");
+        expect(resolveAddress("bittensor", "RPS_Tournament", { dir, env: {} })).to.equal(null);
+        expect(resolveAddress("bittensor", "TAOColosseum", { dir, env: {}, fallback: "0x02" })).to.equal("0x02");
+        expect(resolveAddress("hardhat", "RPS_Tournament", { dir, env: {}, fallback: "0x02" })).to.equal(rps.target);
+        expect(() => requireAddress("bittensor", "TAOColosseum", { dir, env: {} })).to.throw(
+            `CONTRACT_ADDRESS is not set and no TAOColosseum deployment is recorded for network bittensor (${registryFile("bittensor", dir)})`,
+        );
+
+        fs.writeFileSync(registryFile("future", dir), JSON.stringify({ version: REGISTRY_VERSION + 1, network: "future", contracts: {} }));
+        expect(() => loadRegistry("future", { dir })).to.throw("registry version 2");
+        expect(() => loadRegistry("hardhat", { dir, chainId: 964 })).to.throw("is for chainId 1337, but network hardhat is chainId 964");
+    });
+
+    it("should import an existing deployment from its creation transaction", async function () {
+        const colosseum = await (await ethers.getContractFactory("TAOColosseum")).deploy();
+        await colosseum.waitForDeployment();
+        const txHash = colosseum.deploymentTransaction().hash;
+
+        const entry = await importDeployment(hre, "TAOColosseum", { address: colosseum.target, txHash }, opts);
+        expect(entry).to.include({ address: colosseum.target, txHash, deployedAt: null });
+        expect(entry.importedAt).to.be.a("string");
+        // The creation tx carries the init code, so the import is recognised as the current build
+        expect((await findDeployment(hre, "TAOColosseum", [], opts)).address).to.equal(colosseum.target);
+
+        const [signer] = await ethers.getSigners();
+        await expect(importDeployment(hre, "TAOColosseum", { address: signer.address }, opts)).to.be.rejectedWith("No contract code at");
+    });
+
+    it("should verify through the taostats explorer config and record the result", async function () {
+        const rps = await deployRps();
+        await recordDeployment(hre, "RPS_Tournament", [HOTKEY], rps, opts);
+        expect(explorerFor(hre)).to.equal(null); // chainId 1337 has no explorer
+
+        const chainId = hre.network.config.chainId;
+        hre.network.config.chainId = 964;
+        try {
+            expect(explorerFor(hre).network).to.equal("taostats");
+            const calls = [];
+            let result = await verifyDeployment(hre, "RPS_Tournament", {
+                ...opts,
+                run: async (task, args) => {
+                    calls.push([task, args]);
+                    throw new Error("Contract source code already verified");
+                },
+            });
+            expect(calls).to.deep.equal([["verify:verify", { address: rps.target, constructorArguments: [HOTKEY] }]]);
+            expect(result).to.deep.equal({ verified: true, explorer: "taostats", url: `https://evm.taostats.io/address/${rps.target}` });
+            expect(loadRegistry("hardhat", opts).contracts.RPS_Tournament.verified).to.include({ explorer: "taostats" });
+
+            result = await verifyDeployment(hre, "RPS_Tournament", { ...opts, run: async () => { throw new Error("Bytecode does not match"); } });
+            expect(result).to.include({ verified: false, error: "Bytecode does not match" });
+
+            const logs = [];
+            const log = (msg) => logs.push(msg);
+            await verifyOnExplorer(hre, "RPS_Tournament", null, { ...opts, env: { NO_VERIFY: "1" }, log, run: async () => { throw new Error("unexpected"); } });
+            expect(logs).to.deep.equal([]);
+            await verifyOnExplorer(hre, "RPS_Tournament", null, { ...opts, env: {}, log, run: async () => { throw new Error("Bytecode does not match"); } });
+            expect(logs).to.have.length(1);
+            expect(logs[0]).to.include("Verification failed: Bytecode does not match");
+        } finally {
+            hre.network.config.chainId = chainId;
+        }
+    });
+});
@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { drandRoundAt, QUICKNET_GENESIS_TIME, COLOSSEUM_DRAND_PRECOMPILE, STAKING_PRECOMPILE } = require("../lib");
+const { startDevnet } = require("../lib/devnet");
+
+describe("Local devnet", function () {
+    const MIN_ENTRY = ethers.parseEther("0.5");
+    let signers;
+    let devnet;
+
+    function mockRandomness(round) {
+        return ethers.solidityPackedKeccak256(["string", "uint64"], ["mock-drand", round]);
+    }
+
+    async function playColosseumGame() {
+        const colosseum = await (await ethers.getContractFactory("TAOColosseum")).deploy();
+        await colosseum.waitForDeployment();
+        await colosseum.startNewGame();
+        await colosseum.connect(signers[1]).placeBet(1, 0, { value: ethers.parseEther("0.4") });
+        await colosseum.connect(signers[2]).placeBet(1, 1, { value: ethers.parseEther("0.6") });
+        const game = await colosseum.getGame(1);
+
+        await devnet.mine(Number(game.endBlock) - (await ethers.provider.getBlockNumber()));
+        await colosseum.resolveGame(1);
+        await expect(colosseum.resolveGame(1)).to.be.revertedWithCustomError(colosseum, "WaitingForRandomness");
+        return { colosseum, game };
+    }
+
+    beforeEach(async function () {
+        signers = await ethers.getSigners();
+    });
+
+    afterEach(async function () {
+        await devnet.stop();
+    });
+
+    it("should resolve a TAOColosseum game through the drand precompile once the target round is fed", async function () {
+        devnet = await startDevnet(hre);
+        const { colosseum, game } = await playColosseumGame();
+
+        while (devnet.feeder.status().lastFedRound < Number(game.targetDrandRound)) await devnet.mine(1);
+        await expect(colosseum.resolveGame(1))
+            .to.emit(colosseum, "RandomnessUsed")
+            .withArgs(1, game.targetDrandRound, mockRandomness(game.targetDrandRound))
+            .and.to.emit(colosseum, "GameResolved");
+        expect((await colosseum.getGame(1)).hasWinner).to.equal(true);
+    });
+
+    it("should resolve through the storage precompile with blake2b pulse keys when no drand precompile exists", async function () {
+        devnet = await startDevnet(hre, { drandPrecompile: false });
+        expect(await ethers.provider.getCode(COLOSSEUM_DRAND_PRECOMPILE)).to.equal("0x");
+        const { colosseum, game } = await playColosseumGame();
+
+        while (devnet.feeder.status().lastFedRound < Number(game.targetDrandRound)) await devnet.mine(1);
+        await expect(colosseum.resolveGame(1))
+            .to.emit(colosseum, "RandomnessUsed")
+            .withArgs(1, game.targetDrandRound, mockRandomness(game.targetDrandRound));
+    });
+
+    it("should run an RPS tournament to a drand tiebreak, prize claim and fee flush", async function () {
+        devnet = await startDevnet(hre);
+        const rps = await (await ethers.getContractFactory("RPS_Tournament")).deploy(ethers.ZeroHash);
+        await rps.waitForDeployment();
+        await rps.createTournament(4, 10, MIN_ENTRY);
+        await rps.connect(signers[1]).register(1, { value: MIN_ENTRY });
+        await rps.connect(signers[2]).register(1, { value: MIN_ENTRY });
+        const t = await rps.tournaments(1);
+        await devnet.mine(Number(t.registrationEndBlock) - (await ethers.provider.getBlockNumber()));
+        await rps.startTournament(1);
+
+        // Nobody reveals: the match is decided by the seed round, which is drawn past the reveal window
+        const m = await rps.matches(1, 0, 0);
+        await devnet.mine(Number(m.revealEndBlock) + 1 - (await ethers.provider.getBlockNumber()));
+        await expect(rps.tryRevealMatch(1, 0, 0)).to.be.revertedWithCustomError(rps, "DrandUnavailable");
+        while (devnet.feeder.status().lastFedRound < Number(m.seedRound)) await devnet.mine(1);
+        await expect(rps.tryRevealMatch(1, 0, 0)).to.emit(rps, "TournamentCompleted");
+
+        const { winner: winnerAddress } = await rps.tournaments(1);
+        const winner = signers.find((s) => s.address === winnerAddress);
+        await rps.connect(winner).claimPrize(1);
+        await expect(rps.flushFeesToSubnetAndBurn()).to.emit(rps, "FeesFlushedToSn38AndBurned");
+        const staking = await ethers.getContractAt("MockStakingPrecompile", STAKING_PRECOMPILE);
+        expect(await staking.getTotalAlphaStaked(ethers.ZeroHash, 38)).to.equal(0);
+        expect(await rps.accumulatedFees()).to.equal(0);
+    });
+
+    it("should pause, lag and skip drand rounds on request", async function () {
+        devnet = await startDevnet(hre);
+        const drand = await ethers.getContractAt("MockDrandPrecompile", COLOSSEUM_DRAND_PRECOMPILE);
+        const start = Number(await drand.getLastStoredRound());
+        const head = await ethers.provider.getBlock("latest");
+        expect(start).to.equal(devnet.feeder.status().lastFedRound);
+        expect(start).to.be.within(drandRoundAt(head.timestamp) - 1, drandRoundAt(head.timestamp));
+
+        devnet.feeder.pause();
+        await devnet.mine(5);
+        expect(Number(await drand.getLastStoredRound())).to.equal(start);
+        devnet.feeder.resume();
+        await devnet.mine(1);
+        const resumed = Number(await drand.getLastStoredRound());
+        expect(resumed).to.be.at.least(start + 24);
+
+        devnet.feeder.skip(2);
+        await devnet.mine(1);
+        const [skipped] = devnet.feeder.status().skippedRounds;
+        expect(skipped).to.equal(resumed + 1);
+        expect((await drand.getPulse(skipped)).exists).to.equal(false);
+        expect(await drand.getRandomness(skipped)).to.equal(ethers.ZeroHash);
+        expect((await drand.getPulse(skipped + 2)).exists).to.equal(true);
+
+        devnet.feeder.setLag(60);
+        const lagged = await devnet.mine(10);
+        expect(lagged.round).to.equal(drandRoundAt(lagged.blockTimestamp - 60));
+        expect(drandRoundAt(QUICKNET_GENESIS_TIME)).to.equal(1);
+    });
+});
@@ -0,0 +1,301 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { STORAGE_PRECOMPILE, drandPulseKey, encodePulse } = require("../lib");
+const { startDevnet, mineBlocks } = require("../lib/devnet");
+
+// Scripted drand faults (lib/drand-feeder.js) against both contracts on the devnet stand-ins;
+// see docs/drand-failure-scenarios.puml.
+describe("Drand fault injection", function () {
+    const RED = 0;
+    const BLUE = 1;
+    const MIN_ENTRY = ethers.parseEther("0.5");
+    let signers;
+    let devnet;
+
+    async function mineUntilFed(round) {
+        while (devnet.feeder.status().lastFedRound < Number(round)) await devnet.mine(1);
+    }
+
+    async function mineTo(block) {
+        const count = Number(block) - (await ethers.provider.getBlockNumber());
+        if (count > 0) await devnet.mine(count);
+    }
+
+    async function mineUntilTimestamp(timestamp) {
+        while ((await ethers.provider.getBlock("latest")).timestamp <= Number(timestamp)) await devnet.mine(1);
+    }
+
+    describe("TAOColosseum", function () {
+        let colosseum;
+        const BETS = [
+            [1, RED, ethers.parseEther("0.4")],
+            [2, BLUE, ethers.parseEther("0.6")],
+        ];
+
+        async function startGame() {
+            colosseum = await (await ethers.getContractFactory("TAOColosseum")).deploy();
+            await colosseum.waitForDeployment();
+            await colosseum.startNewGame();
+            for (const [i, side, value] of BETS) await colosseum.connect(signers[i]).placeBet(1, side, { value });
+            return colosseum.getGame(1);
+        }
+
+        async function endBetting(game) {
+            await mineTo(game.endBlock);
+            await colosseum.resolveGame(1);
+            expect((await colosseum.getGame(1)).phase).to.equal(2); // Calculating
+        }
+
+        async function expectVoidedWithRefunds(reason) {
+            await expect(colosseum.voidCompromisedGame(1))
+                .to.emit(colosseum, "GameCancelled")
+                .withArgs(1, reason)
+                .and.to.emit(colosseum, "GameVoided")
+                .withArgs(1, reason);
+            for (const [i, side, value] of BETS) {
+                const tx = colosseum.connect(signers[i]).claimWinnings(1, side);
+                await expect(tx).to.emit(colosseum, "RefundClaimed").withArgs(1, signers[i].address, side, value);
+                await expect(tx).to.changeEtherBalance(signers[i], value);
+            }
+            expect(await colosseum.getGameBalance(1)).to.equal(0);
+            expect(await colosseum.getAccumulatedFees()).to.equal(0);
+        }
+
+        beforeEach(async function () {
+            signers = await ethers.getSigners();
+        });
+
+        afterEach(async function () {
+            await devnet.stop();
+        });
+
+        it("should wait out a relayer lag that stays within the grace period and resolve normally", async function () {
+            devnet = await startDevnet(hre);
+            const game = await startGame();
+            devnet.feeder.setLag(300);
+
+            await endBetting(game);
+            await expect(colosseum.resolveGame(1)).to.be.revertedWithCustomError(colosseum, "WaitingForRandomness");
+            await mineUntilTimestamp(game.predictedDrandTimestamp);
+            await expect(colosseum.resolveGame(1)).to.be.revertedWithCustomError(colosseum, "WaitingForRandomness");
+            expect(await colosseum.isGameCompromised(1)).to.equal(false);
+            await expect(colosseum.voidCompromisedGame(1)).to.be.revertedWithCustomError(colosseum, "GameNotCompromised");
+
+            await mineUntilFed(game.targetDrandRound);
+            const latest = await ethers.provider.getBlock("latest");
+            expect(latest.timestamp).to.be.at.most(Number(game.predictedDrandTimestamp + (await colosseum.CHAIN_LAG_GRACE_SECONDS())));
+            await expect(colosseum.resolveGame(1))
+                .to.emit(colosseum, "RandomnessUsed")
+                .withArgs(1, game.targetDrandRound, ethers.solidityPackedKeccak256(["string", "uint64"], ["mock-drand", game.targetDrandRound]))
+                .and.to.emit(colosseum, "GameResolved");
+        });
+
+        it("should void a game stuck on a drand outage only once the grace period after the predicted pulse has passed", async function () {
+            devnet = await startDevnet(hre);
+            const game = await startGame();
+            devnet.feeder.pause();
+
+            await endBetting(game);
+            await expect(colosseum.resolveGame(1)).to.be.revertedWithCustomError(colosseum, "WaitingForRandomness");
+            await expect(colosseum.voidCompromisedGame(1)).to.be.revertedWithCustomError(colosseum, "GameNotCompromised");
+            await expect(colosseum.withdrawEmergency(1)).to.be.revertedWithCustomError(colosseum, "EmergencyTimeoutNotReached");
+
+            const deadline = game.predictedDrandTimestamp + (await colosseum.CHAIN_LAG_GRACE_SECONDS());
+            await mineUntilTimestamp(deadline);
+            await expect(colosseum.resolveGame(1)).to.be.revertedWithCustomError(colosseum, "WaitingForRandomness");
+            expect(await colosseum.isGameCompromised(1)).to.equal(true);
+            await expectVoidedWithRefunds("Chain lagging behind real-time - randomness potentially compromised");
+
+            // Drand coming back afterwards changes nothing for the voided game
+            devnet.feeder.resume();
+            await mineUntilFed(game.targetDrandRound);
+            await expect(colosseum.resolveGame(1)).to.be.revertedWithCustomError(colosseum, "GameAlreadyResolved");
+        });
+
+        it("should target round 403 when drand was never initialized and void after the grace period", async function () {
+            devnet = await startDevnet(hre, { paused: true });
+            const game = await startGame();
+            expect(await colosseum.getLastDrandRound()).to.equal(0);
+            expect(game.targetDrandRound).to.equal(403n); // 0 + 100 blocks * 12s / 3s + DRAND_ROUND_BUFFER
+
+            await endBetting(game);
+            await expect(colosseum.resolveGame(1)).to.be.revertedWithCustomError(colosseum, "WaitingForRandomness");
+            await mineUntilTimestamp(game.predictedDrandTimestamp + (await colosseum.CHAIN_LAG_GRACE_SECONDS()));
+            await expectVoidedWithRefunds("Chain lagging behind real-time - randomness potentially compromised");
+        });
+
+        it("should void as leaked when drand jumps ahead past the target round during betting", async function () {
+            // Lagging by more than the 403 rounds (1209s) the target sits ahead of the round seen at start
+            devnet = await startDevnet(hre, { lagSeconds: 1500 });
+            const game = await startGame();
+            await expect(colosseum.voidCompromisedGame(1)).to.be.revertedWithCustomError(colosseum, "GameNotCompromised");
+
+            devnet.feeder.setLag(0);
+            await devnet.mine(1);
+            expect(devnet.feeder.status().lastFedRound).to.be.greaterThan(Number(game.targetDrandRound));
+            expect(await ethers.provider.getBlockNumber()).to.be.lessThan(Number(game.endBlock));
+            expect(await colosseum.isGameCompromised(1)).to.equal(true);
+            await expectVoidedWithRefunds("Randomness leaked - drand pulse available before game end");
+        });
+
+        it("should never resolve on a skipped target round and void after the grace period", async function () {
+            devnet = await startDevnet(hre);
+            const game = await startGame();
+            devnet.feeder.skipRound(Number(game.targetDrandRound));
+
+            await endBetting(game);
+            await mineUntilFed(game.targetDrandRound + 5n);
+            expect(devnet.feeder.status().skippedRounds).to.deep.equal([Number(game.targetDrandRound)]);
+            expect(await colosseum.isDrandRoundAvailable(game.targetDrandRound + 1n)).to.equal(true);
+            await expect(colosseum.resolveGame(1)).to.be.revertedWithCustomError(colosseum, "WaitingForRandomness");
+
+            await mineUntilTimestamp(game.predictedDrandTimestamp + (await colosseum.CHAIN_LAG_GRACE_SECONDS()));
+            await expectVoidedWithRefunds("Chain lagging behind real-time - randomness potentially compromised");
+        });
+
+        it("should accept an all-zero randomness pulse from the storage precompile", async function () {
+            devnet = await startDevnet(hre, { drandPrecompile: false });
+            const game = await startGame();
+            const key = drandPulseKey(game.targetDrandRound);
+            const pulse = encodePulse({ round: game.targetDrandRound, randomness: ethers.ZeroHash });
+            const storage = await ethers.getContractAt("MockStoragePrecompile", STORAGE_PRECOMPILE);
+            await storage.setRaw(key, pulse);
+            try {
+                await endBetting(game);
+                await mineUntilFed(game.targetDrandRound);
+                await expect(colosseum.resolveGame(1))
+                    .to.emit(colosseum, "RandomnessUsed")
+                    .withArgs(1, game.targetDrandRound, ethers.ZeroHash)
+                    .and.to.emit(colosseum, "GameResolved");
+                const resolved = await colosseum.getGame(1);
+                expect(resolved.actualEndBlock).to.equal(game.endBlock - (await colosseum.FINAL_CALL_BLOCKS()));
+                expect(resolved.winningSide).to.equal(RED);
+            } finally {
+                await storage.setRaw(key, "0x");
+            }
+        });
+    });
+
+    describe("RPS_Tournament", function () {
+        let rps;
+        let stallBlocks;
+
+        async function createAndFill() {
+            rps = await (await ethers.getContractFactory("RPS_Tournament")).deploy(ethers.ZeroHash);
+            await rps.waitForDeployment();
+            stallBlocks = await rps.STALL_BLOCKS();
+            await rps.createTournament(4, 10, MIN_ENTRY);
+            await rps.connect(signers[1]).register(1, { value: MIN_ENTRY });
+            await rps.connect(signers[2]).register(1, { value: MIN_ENTRY });
+            const t = await rps.tournaments(1);
+            await mineTo(t.registrationEndBlock);
+        }
+
+        async function expectCanceledWithRefunds(tx) {
+            await expect(tx).to.emit(rps, "TournamentCanceled").withArgs(1);
+            for (const i of [1, 2]) {
+                expect(await rps.pendingWithdrawals(signers[i].address)).to.equal(MIN_ENTRY);
+                await expect(rps.connect(signers[i]).withdrawPending()).to.changeEtherBalance(signers[i], MIN_ENTRY);
+            }
+            expect(await rps.totalPrizeLiability()).to.equal(0);
+            expect(await ethers.provider.getBalance(rps.target)).to.equal(0);
+        }
+
+        function commitFor(player, m, choice, salt) {
+            return ethers.keccak256(
+                ethers.AbiCoder.defaultAbiCoder().encode(
+                    ["uint256", "uint256", "uint256", "uint8", "address", "uint8", "bytes32"],
+                    [1, 0, 0, m.rpsRound, player, choice, salt]
+                )
+            );
+        }
+
+        beforeEach(async function () {
+            signers = await ethers.getSigners();
+        });
+
+        afterEach(async function () {
+            await devnet.stop();
+        });
+
+        it("should refresh a seed round that was already known at commit before the drand tiebreak", async function () {
+            // Lagging by more than the seed offset (100 rounds = 300s), so the seed drawn at start is already past
+            devnet = await startDevnet(hre, { lagSeconds: 600 });
+            await createAndFill();
+            await rps.startTournament(1);
+            const m = await rps.matches(1, 0, 0);
+            devnet.feeder.setLag(0);
+            await devnet.mine(1);
+            expect(devnet.feeder.status().lastFedRound).to.be.at.least(Number(m.seedRound));
+
+            // Both commit, nobody reveals: a drand tiebreak on a seed everyone could read during commit
+            for (const i of [1, 2]) {
+                const salt = ethers.id(`salt-${i}`);
+                await rps.connect(signers[i]).commitMove(1, 0, 0, commitFor(signers[i].address, m, 1, salt));
+            }
+            expect((await rps.matches(1, 0, 0)).seedCompromised).to.equal(true);
+            await mineTo(m.revealEndBlock + 1n);
+
+            const newSeedRound = BigInt(devnet.feeder.status().lastFedRound) + 100n;
+            await expect(rps.tryRevealMatch(1, 0, 0))
+                .to.emit(rps, "TiebreakSeedRefreshed")
+                .withArgs(1, 0, 0, newSeedRound)
+                .and.to.not.emit(rps, "MatchResolved");
+            const refreshed = await rps.matches(1, 0, 0);
+            expect(refreshed.seedCompromised).to.equal(false);
+            expect(refreshed.seedRound).to.equal(newSeedRound);
+            await expect(rps.tryRevealMatch(1, 0, 0)).to.be.revertedWithCustomError(rps, "DrandUnavailable");
+
+            await mineUntilFed(refreshed.seedRound);
+            await expect(rps.tryRevealMatch(1, 0, 0))
+                .to.emit(rps, "MatchResolved")
+                .and.to.emit(rps, "TournamentCompleted");
+        });
+
+        it("should refuse to start without drand and let anyone cancel and refund after STALL_BLOCKS", async function () {
+            devnet = await startDevnet(hre, { paused: true });
+            await createAndFill();
+            await expect(rps.startTournament(1)).to.be.revertedWithCustomError(rps, "DrandUnavailable");
+            await expect(rps.cancelTournament(1)).to.be.revertedWithCustomError(rps, "CannotCancel");
+            await expect(rps.cancelUnstartableTournament(1)).to.be.revertedWithCustomError(rps, "NotCancelableYet");
+
+            const t = await rps.tournaments(1);
+            await mineBlocks(hre, Number(t.registrationEndBlock + stallBlocks) + 1 - (await ethers.provider.getBlockNumber()));
+            await expectCanceledWithRefunds(rps.connect(signers[3]).cancelUnstartableTournament(1));
+        });
+
+        it("should keep a stalled tournament uncancelable while the last pulse is still readable, then resolve on resume", async function () {
+            devnet = await startDevnet(hre);
+            await createAndFill();
+            await rps.startTournament(1);
+            devnet.feeder.pause();
+
+            const m = await rps.matches(1, 0, 0);
+            await mineTo(m.revealEndBlock + 1n);
+            await expect(rps.tryRevealMatch(1, 0, 0)).to.be.revertedWithCustomError(rps, "DrandUnavailable");
+            const { roundStartBlock } = await rps.tournaments(1);
+            await mineBlocks(hre, Number(roundStartBlock + stallBlocks) + 1 - (await ethers.provider.getBlockNumber()));
+            await expect(rps.cancelStalledTournament(1)).to.be.revertedWithCustomError(rps, "DrandStillAvailable");
+
+            devnet.feeder.resume();
+            await mineUntilFed(m.seedRound);
+            await expect(rps.tryRevealMatch(1, 0, 0)).to.emit(rps, "TournamentCompleted");
+        });
+
+        it("should cancel a stalled tournament with refunds once drand storage is wiped", async function () {
+            devnet = await startDevnet(hre);
+            await createAndFill();
+            await rps.startTournament(1);
+            await devnet.feeder.wipe();
+
+            const m = await rps.matches(1, 0, 0);
+            await mineTo(m.revealEndBlock + 1n);
+            await expect(rps.tryRevealMatch(1, 0, 0)).to.be.revertedWithCustomError(rps, "DrandUnavailable");
+            const { roundStartBlock } = await rps.tournaments(1);
+            await expect(rps.cancelStalledTournament(1)).to.be.revertedWithCustomError(rps, "NotCancelableYet");
+            await mineBlocks(hre, Number(roundStartBlock + stallBlocks) + 1 - (await ethers.provider.getBlockNumber()));
+            await expectCanceledWithRefunds(rps.cancelStalledTournament(1));
+        });
+    });
+});
@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+    STORAGE_PRECOMPILE,
+    drandPulseKey,
+    createColosseumClient,
+    createRpsClient,
+    createDrandMonitor,
+    assessDrandHealth,
+} = require("../lib");
+const { startDevnet } = require("../lib/devnet");
+const { createStdoutSink, createFileSink, createWebhookSink, parseSinks } = require("../lib/alert-sinks");
+
+describe("Drand health monitor", function () {
+    const MIN_ENTRY = ethers.parseEther("0.5");
+
+    describe("assessDrandHealth", function () {
+        const healthy = {
+            now: 1_800_000_000,
+            blockNumber: 100,
+            blockTimestamp: 1_800_000_000,
+            expectedRound: 1000n,
+            lastRound: 1000n,
+            lastRounds: { colosseumPrecompile: 1000n, rpsPrecompile: 1000n, storage: 1000n },
+            secondsSinceAdvance: 3,
+            pulses: [],
+            readErrors: [],
+            live: [],
+        };
+
+        it("should report nothing for a healthy snapshot and flag overdue rounds only past the grace period", function () {
+            const game = { key: "colosseum-game:1", label: "game 1", round: 990n, stored: false, voidAt: healthy.now + 100 };
+            expect(assessDrandHealth(healthy).alerts).to.deep.equal([]);
+            // round 990 was due 30s ago: within the 60s grace
+            expect(assessDrandHealth({ ...healthy, live: [game] }).atRisk).to.deep.equal([]);
+            const r = assessDrandHealth({ ...healthy, live: [game] }, { graceSeconds: 20 });
+            expect(r.atRisk).to.deep.equal([game]);
+            expect(r.alerts[0]).to.include({ key: "at-risk:colosseum-game:1", type: "at-risk", severity: "warning" });
+            expect(r.alerts[0].message).to.contain("compromised in 100s");
+        });
+
+        it("should classify blake2f reverts, lag severities and games past their void deadline", function () {
+            const r = assessDrandHealth({
+                ...healthy,
+                now: healthy.now + 700,
+                expectedRound: 1000n + 700n / 3n,
+                readErrors: [
+                    { contract: "TAOColosseum", call: "isDrandRoundAvailable(1403)", error: "blake2f failed", blake2f: true },
+                    { contract: "TAOColosseum", call: "getDrandStatus()", error: "missing revert data", blake2f: false },
+                ],
+                live: [{ key: "colosseum-game:2", label: "game 2", round: 1403n, stored: false, voidAt: healthy.now - 1 }],
+            });
+            const byType = Object.fromEntries(r.alerts.map((a) => [a.type, a]));
+            expect(byType["blake2f-failure"].severity).to.equal("critical");
+            expect(byType["blake2f-failure"].message).to.contain("TAOColosseum.isDrandRoundAvailable(1403)");
+            expect(byType["drand-read-failed"].message).to.contain("getDrandStatus(): missing revert data");
+            expect(byType["drand-lag"]).to.include({ severity: "critical" });
+            expect(byType["chain-lag"]).to.include({ severity: "critical" });
+            // drand is down, so a game waiting for a future round is at risk too; its deadline has passed
+            expect(byType["at-risk"]).to.include({ severity: "critical" });
+            expect(byType["at-risk"].message).to.contain("past its void deadline");
+            expect(r.healthy).to.equal(false);
+            expect(r.outage).to.equal(true);
+        });
+    });
+
+    describe("on a devnet", function () {
+        let signers;
+        let devnet;
+        let tmpDir;
+
+        beforeEach(async function () {
+            signers = await ethers.getSigners();
+            devnet = await startDevnet(hre);
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "drand-monitor-"));
+        });
+
+        afterEach(async function () {
+            await devnet.stop();
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        async function liveGameAndMatch() {
+            const colosseum = await (await ethers.getContractFactory("TAOColosseum")).deploy();
+            await colosseum.waitForDeployment();
+            const rps = await (await ethers.getContractFactory("RPS_Tournament")).deploy(ethers.ZeroHash);
+            await rps.waitForDeployment();
+
+            await rps.createTournament(4, 10, MIN_ENTRY);
+            await rps.connect(signers[1]).register(1, { value: MIN_ENTRY });
+            await rps.connect(signers[2]).register(1, { value: MIN_ENTRY });
+            const t = await rps.tournaments(1);
+            await devnet.mine(Number(t.registrationEndBlock) - (await ethers.provider.getBlockNumber()));
+            await rps.startTournament(1);
+            await colosseum.startNewGame();
+            await colosseum.connect(signers[3]).placeBet(1, 0, { value: ethers.parseEther("0.1") });
+            return { colosseum, rps };
+        }
+
+        it("should raise edge-triggered stall, lag and at-risk alerts through every sink and resolve them when drand resumes", async function () {
+            const { colosseum, rps } = await liveGameAndMatch();
+            const lines = [];
+            const file = path.join(tmpDir, "alerts", "drand.jsonl");
+            const monitor = createDrandMonitor({
+                provider: ethers.provider,
+                colosseum: createColosseumClient(colosseum.target, ethers.provider),
+                rps: createRpsClient(rps.target, ethers.provider),
+                sinks: [createStdoutSink({ stream: { write: (s) => lines.push(s) } }), createFileSink(file)],
+                chainClock: true,
+                log: () => {},
+            });
+
+            let r = await monitor.check();
+            const fed = BigInt(devnet.feeder.status().lastFedRound);
+            expect(r.healthy).to.equal(true);
+            expect(r.events).to.deep.equal([]);
+            expect(r.snapshot.lastRounds).to.deep.equal({ colosseumPrecompile: fed, rpsPrecompile: fed, storage: fed });
+            expect(Object.values(r.snapshot.pulses[0].paths).every((p) => p && p.exists)).to.equal(true);
+            expect(r.snapshot.live.map((i) => [i.key, i.stored])).to.deep.equal([
+                ["colosseum-game:1", false],
+                ["rps-match:1:0:0", false],
+            ]);
+
+            devnet.feeder.pause();
+            await devnet.mine(6); // 72s without a new round
+            r = await monitor.check();
+            expect(r.events.map((e) => [e.event, e.key, e.severity])).to.deep.equal([
+                ["alert", "drand-stalled", "critical"],
+                ["alert", "drand-lag", "warning"],
+                ["alert", "at-risk:colosseum-game:1", "warning"],
+                ["alert", "at-risk:rps-match:1:0:0", "warning"],
+            ]);
+            expect(r.events[0].message).to.equal(`drand stuck at round ${fed} for 72s`);
+
+            await devnet.mine(1);
+            r = await monitor.check();
+            expect(r.alerts).to.have.length(4);
+            expect(r.events).to.deep.equal([]);
+
+            devnet.feeder.resume();
+            await devnet.mine(1);
+            r = await monitor.check();
+            expect(r.healthy).to.equal(true);
+            expect(r.events.map((e) => [e.event, e.key])).to.deep.equal([
+                ["resolved", "drand-stalled"],
+                ["resolved", "drand-lag"],
+                ["resolved", "at-risk:colosseum-game:1"],
+                ["resolved", "at-risk:rps-match:1:0:0"],
+            ]);
+
+            const written = fs.readFileSync(file, "utf8").trim().split("\n");
+            expect(written).to.have.length(8);
+            expect(lines.join("")).to.equal(written.join("\n") + "\n");
+            expect(JSON.parse(written[0])).to.include({ event: "alert", type: "drand-stalled", lastRound: fed.toString() });
+        });
+
+        it("should flag a pulse the storage precompile serves differently from the drand precompile", async function () {
+            const monitor = createDrandMonitor({ provider: ethers.provider, chainClock: true, log: () => {} });
+            const round = BigInt(devnet.feeder.status().lastFedRound);
+            const storage = await ethers.getContractAt("MockStoragePrecompile", STORAGE_PRECOMPILE);
+            const le = Buffer.alloc(8);
+            le.writeBigUInt64LE(round);
+            const forged = ethers.hexlify(ethers.randomBytes(32));
+            await storage.setRaw(drandPulseKey(round), ethers.concat([le, "0x80", forged, "0x00"]));
+            try {
+                const r = await monitor.check();
+                const [mismatch] = r.alerts;
+                expect(r.alerts).to.have.length(1);
+                expect(mismatch).to.include({ type: "pulse-mismatch", severity: "critical" });
+                expect(mismatch.message).to.equal(`drand read paths disagree on pulse for round ${round}`);
+                expect(mismatch.details.pulses[0].paths.storage).to.deep.equal({ exists: true, randomness: forged });
+                expect(mismatch.details.pulses[0].paths.colosseumPrecompile.randomness).to.not.equal(forged);
+            } finally {
+                await storage.setRaw(drandPulseKey(round), "0x");
+            }
+        });
+    });
+
+    describe("alert sinks", function () {
+        it("should POST events to a webhook and reject unknown sink specs", async function () {
+            const calls = [];
+            const fetch = async (url, init) => {
+                calls.push({ url, init });
+                return { ok: calls.length === 1, status: 502 };
+            };
+            const sink = createWebhookSink("https://hooks.example/drand", { fetch, headers: { authorization: "Bearer x" } });
+            await sink.send({ event: "alert", type: "drand-stalled", lastRound: 5n });
+            expect(calls[0].url).to.equal("https://hooks.example/drand");
+            expect(calls[0].init.method).to.equal("POST");
+            expect(calls[0].init.headers).to.deep.equal({ "content-type": "application/json", authorization: "Bearer x" });
+            expect(JSON.parse(calls[0].init.body)).to.deep.equal({ event: "alert", type: "drand-stalled", lastRound: "5" });
+            await expect(sink.send({ event: "resolved" })).to.be.rejectedWith("webhook responded 502");
+
+            expect(parseSinks("stdout, file=/tmp/a.jsonl,webhook=https://h.example/x").map((s) => s.name)).to.deep.equal([
+                "stdout",
+                "file /tmp/a.jsonl",
+                "webhook h.example",
+            ]);
+            expect(() => parseSinks("email=ops@example.com")).to.throw('Unknown alert sink "email=ops@example.com"');
+        });
+    });
+});
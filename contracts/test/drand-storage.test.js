@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const blake2b = require("blake2b");
+const {
+    STORAGE_PRECOMPILE,
+    COLOSSEUM_DRAND_PRECOMPILE,
+    RPS_DRAND_PRECOMPILE,
+    DRAND_LAST_ROUND_KEY,
+    DRAND_PULSES_PREFIX,
+    drandPulseKey,
+    decodePulse,
+    decodePulseScale,
+    decodeLastStoredRound,
+    encodePulse,
+    readDrandPulse,
+    readLastStoredRound,
+} = require("../lib");
+
+// Differential run of lib/drand-storage.js against the pure-Solidity blake2b keys, SCALE pulse decoding and
+// lastStoredRound reads of both contracts (contracts/mocks/DrandStorageHarness.sol), with the blake2b package as
+// an independent third hash. DRAND_DIFF_SEED reproduces a failing run, DRAND_DIFF_ROUNDS hashes more rounds.
+describe("Drand storage reference", function () {
+    const SEED = Number(process.env.DRAND_DIFF_SEED || 0x5eed);
+    const ROUNDS = Number(process.env.DRAND_DIFF_ROUNDS || 2048);
+    const PAYLOADS = 200;
+    const BATCH = 16; // keys per eth_call (~7.6M gas: each key grows memory, so gas is quadratic in the batch)
+    const ROUND = 26145524n;
+    let harnesses;
+    let storage;
+    let rng;
+    const injectedKeys = [];
+
+    // mulberry32: small deterministic PRNG, so a seed fully determines a run
+    function createRng(seed) {
+        let a = seed >>> 0;
+        return function next() {
+            a = (a + 0x6d2b79f5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function int(lo, hi) {
+        return lo + Math.floor(rng() * (hi - lo + 1));
+    }
+
+    function randomBytes(length) {
+        const bytes = new Uint8Array(length);
+        for (let i = 0; i < length; i++) bytes[i] = int(0, 255);
+        return bytes;
+    }
+
+    function le64(n) {
+        const buf = Buffer.alloc(8);
+        buf.writeBigUInt64LE(BigInt(n));
+        return buf;
+    }
+
+    // Uniform u64, or a small/realistic round, or one near a byte boundary
+    function randomRound() {
+        const kind = int(0, 3);
+        if (kind === 0) return BigInt(ethers.hexlify(randomBytes(8)));
+        if (kind === 1) return BigInt(int(0, 1000));
+        if (kind === 2) return 20_000_000n + BigInt(int(0, 20_000_000));
+        return (1n << BigInt(8 * int(1, 7))) + BigInt(int(-2, 2));
+    }
+
+    // A value the contracts must reject or accept: well-formed pulses, broken compact lengths, short/long values
+    function randomPayload(round) {
+        const r = le64(round);
+        switch (int(0, 6)) {
+            case 0:
+                return encodePulse({ round, randomness: randomBytes(32), signature: randomBytes(int(0, 144)) });
+            case 1: // two-byte compact length for the randomness
+                return ethers.concat([r, "0x8100", randomBytes(32), "0x00"]);
+            case 2: // any compact prefix byte(s)
+                return ethers.concat([r, randomBytes(int(1, 2)), randomBytes(int(28, 36))]);
+            case 3: // randomness of the wrong length
+                return encodePulse({ round, randomness: randomBytes(int(0, 40)) });
+            case 4: // truncated around the 41-byte minimum
+                return ethers.dataSlice(encodePulse({ round, randomness: randomBytes(32) }), 0, int(0, 42));
+            case 5: // four-byte and big-integer compact modes
+                return ethers.concat([r, Uint8Array.of(int(0, 63) * 4 + int(2, 3)), randomBytes(int(32, 40))]);
+            default:
+                return ethers.hexlify(randomBytes(int(0, 80)));
+        }
+    }
+
+    async function setStored(key, value) {
+        injectedKeys.push(key);
+        await storage.setRaw(key, value);
+    }
+
+    before(async function () {
+        rng = createRng(SEED);
+        const Storage = await ethers.getContractFactory("MockStoragePrecompile");
+        const mock = await Storage.deploy();
+        await mock.waitForDeployment();
+        await ethers.provider.send("hardhat_setCode", [STORAGE_PRECOMPILE, await ethers.provider.getCode(mock.target)]);
+        for (const address of [COLOSSEUM_DRAND_PRECOMPILE, RPS_DRAND_PRECOMPILE]) {
+            await ethers.provider.send("hardhat_setCode", [address, "0x"]);
+        }
+        storage = Storage.attach(STORAGE_PRECOMPILE);
+        await storage.reset();
+
+        harnesses = [];
+        for (const name of ["TAOColosseumDrandHarness", "RPSTournamentDrandHarness"]) {
+            const harness = await (await ethers.getContractFactory(name)).deploy();
+            await harness.waitForDeployment();
+            harnesses.push([name, harness]);
+        }
+    });
+
+    after(async function () {
+        for (const key of injectedKeys.splice(0)) await storage.setRaw(key, "0x");
+        await storage.reset();
+        await ethers.provider.send("hardhat_setCode", [STORAGE_PRECOMPILE, "0x"]);
+    });
+
+    it("should build the same drand.pulses keys as both contracts for thousands of rounds", async function () {
+        this.timeout(600000);
+        const edges = [0n, 1n, 255n, 256n, 65535n, 65536n, 2n ** 32n - 1n, 2n ** 32n, 2n ** 63n, 2n ** 64n - 1n, ROUND];
+        const rounds = [...edges];
+        while (rounds.length < ROUNDS) rounds.push(randomRound());
+
+        for (let start = 0; start < rounds.length; start += BATCH) {
+            const batch = rounds.slice(start, start + BATCH);
+            const onChain = await Promise.all(harnesses.map(([, harness]) => harness.buildDrandPulseKeys(batch)));
+            batch.forEach((round, i) => {
+                const key = drandPulseKey(round);
+                const r = le64(round);
+                const where = `seed ${SEED}: round ${round}`;
+                expect(key, `${where} (blake2b package)`).to.equal(ethers.hexlify(ethers.concat([DRAND_PULSES_PREFIX, blake2b(16).update(r).digest(), r])));
+                harnesses.forEach(([name], h) => expect(onChain[h][i], `${where} (${name})`).to.equal(key));
+            });
+        }
+    });
+
+    it("should decode stored pulses exactly as both contracts do", async function () {
+        this.timeout(300000);
+        const key = drandPulseKey(ROUND);
+        const payloads = ["0x", encodePulse({ round: ROUND, randomness: ethers.ZeroHash })];
+        while (payloads.length < PAYLOADS) payloads.push(randomPayload(ROUND));
+
+        let accepted = 0;
+        for (const payload of payloads) {
+            await setStored(key, payload);
+            const expected = decodePulse(payload);
+            const where = `seed ${SEED}: pulse ${payload}`;
+            for (const [name, harness] of harnesses) {
+                const [exists, randomness] = await harness.drandRandomness(ROUND);
+                expect(exists, `${where} (${name})`).to.equal(expected.exists);
+                if (exists) expect(randomness, `${where} (${name})`).to.equal(expected.randomness);
+            }
+            // What the storage precompile returns is what readDrandPulse decodes
+            const read = await readDrandPulse(ethers.provider, ROUND);
+            expect(read).to.include({ key, exists: expected.exists, randomness: expected.randomness });
+            if (read.pulse) expect(expected).to.deep.equal({ exists: true, randomness: read.pulse.randomness });
+            if (expected.exists) accepted++;
+        }
+        // Both outcomes were exercised
+        expect(accepted).to.be.within(10, PAYLOADS - 10);
+    });
+
+    it("should read drand.lastStoredRound as both contracts do", async function () {
+        this.timeout(120000);
+        const values = ["0x", "0x01", ethers.hexlify(le64(ROUND)), ethers.concat([le64(2n ** 64n - 1n), "0xff"])];
+        while (values.length < 40) values.push(ethers.hexlify(randomBytes(int(0, 12))));
+
+        for (const value of values) {
+            // The stand-in answers lastStoredRound from setRaw ahead of its own counter
+            await setStored(DRAND_LAST_ROUND_KEY, value);
+            const expected = decodeLastStoredRound(value);
+            for (const [name, harness] of harnesses) {
+                expect(await harness.lastStoredRound(), `seed ${SEED}: lastStoredRound ${value} (${name})`).to.equal(expected);
+            }
+            expect(await readLastStoredRound(ethers.provider)).to.equal(expected);
+        }
+    });
+
+    it("should decode the whole Pulse strictly and round-trip encodePulse", function () {
+        const signature = ethers.hexlify(randomBytes(96));
+        const randomness = ethers.hexlify(randomBytes(32));
+        const encoded = encodePulse({ round: ROUND, randomness, signature });
+        expect(ethers.dataLength(encoded)).to.equal(8 + 1 + 32 + 2 + 96); // 96 needs a two-byte compact length
+        expect(decodePulseScale(encoded)).to.deep.equal({ round: ROUND, randomness, signature });
+        expect(decodePulseScale("0x")).to.equal(null);
+
+        // Values the contracts accept but that are not a well-formed Pulse
+        const noSignature = ethers.concat([le64(ROUND), "0x80", randomness]);
+        expect(decodePulse(noSignature).exists).to.equal(true);
+        expect(() => decodePulseScale(noSignature)).to.throw("Malformed drand pulse: compact length truncated at byte 41");
+        expect(() => decodePulseScale(ethers.concat([encoded, "0x00"]))).to.throw("1 trailing bytes");
+        expect(() => decodePulseScale(encodePulse({ round: 1, randomness: "0x1234" }))).to.throw("randomness is 2 bytes");
+        expect(() => decodePulseScale(ethers.dataSlice(encoded, 0, 60))).to.throw("signature of 96 bytes truncated");
+        expect(() => decodePulseScale(ethers.concat([le64(ROUND), "0x8100", randomness, "0x00"]))).to.throw("non-canonical compact length 32");
+    });
+});
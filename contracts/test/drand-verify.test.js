@@ -0,0 +1,211 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { bls12_381: bls } = require("@noble/curves/bls12-381");
+const { sha256 } = require("@noble/hashes/sha2");
+const {
+    STORAGE_PRECOMPILE,
+    QUICKNET_CHAIN_HASH,
+    QUICKNET_PUBLIC_KEY,
+    createColosseumClient,
+    createRpsClient,
+    drandPulseKey,
+    parseBeacon,
+    verifyBeacon,
+    decidedByTiebreak,
+    verifyColosseumOutcome,
+    verifyRpsTiebreak,
+    renderVerification,
+} = require("../lib");
+const { startDevnet } = require("../lib/devnet");
+
+describe("Drand outcome verifier", function () {
+    const MIN_ENTRY = ethers.parseEther("0.5");
+    // A local beacon key: same scheme as quicknet (G1 signatures over sha256(round_be)), so tests run offline
+    const secretKey = bls.utils.randomSecretKey();
+    const publicKey = ethers.hexlify(bls.shortSignatures.getPublicKey(secretKey).toBytes());
+
+    /** Beacon JSON as drand's HTTP API serves it (hex without 0x). */
+    function signBeacon(round, sk = secretKey) {
+        const msg = bls.shortSignatures.hash(sha256(ethers.getBytes(ethers.zeroPadValue(ethers.toBeHex(round), 8))));
+        const signature = bls.shortSignatures.sign(msg, sk).toBytes();
+        return { round: Number(round), randomness: ethers.hexlify(sha256(signature)).slice(2), signature: ethers.hexlify(signature).slice(2) };
+    }
+
+    function pass(report) {
+        return Object.fromEntries(report.checks.map((c) => [c.name, c.ok]));
+    }
+
+    describe("beacons", function () {
+        it("should verify the BLS signature and randomness, and reject other keys, rounds and tampered randomness", function () {
+            const beacon = parseBeacon(JSON.stringify({ ...signBeacon(1234), previous_signature: "" }));
+            expect(beacon.round).to.equal(1234n);
+            expect(beacon.randomness).to.match(/^0x[0-9a-f]{64}$/);
+            expect(verifyBeacon(beacon, { publicKey })).to.deep.equal({ signatureValid: true, randomnessValid: true });
+
+            expect(verifyBeacon(beacon).signatureValid).to.equal(false); // quicknet did not sign it
+            expect(verifyBeacon({ ...beacon, round: 1235n }, { publicKey }).signatureValid).to.equal(false);
+            expect(verifyBeacon({ ...beacon, randomness: ethers.ZeroHash }, { publicKey }).randomnessValid).to.equal(false);
+            expect(verifyBeacon({ ...beacon, signature: "0x1234" }, { publicKey }).signatureValid).to.equal(false);
+            expect(() => parseBeacon({ round: 1 })).to.throw("Beacon JSON needs round, randomness and signature");
+        });
+
+        it("should ship a quicknet public key that is a valid G2 point", function () {
+            expect(() => bls.G2.Point.fromHex(QUICKNET_PUBLIC_KEY.slice(2)).assertValidity()).to.not.throw();
+        });
+
+        it("should ship the public key quicknet's chain hash commits to", function () {
+            // drand chain hash: sha256(period u32 BE || genesis_time i64 BE || public key || genesis seed || beacon id),
+            // with quicknet's published chain info (/info: period 3, genesis_time 1692803367, groupHash as genesis seed)
+            const header = Buffer.alloc(12);
+            header.writeUInt32BE(3, 0);
+            header.writeBigInt64BE(1692803367n, 4);
+            const info = ethers.concat([
+                header,
+                QUICKNET_PUBLIC_KEY,
+                "0xf477d5c89f21a17c863a7f937c6a6d15859414d2be09cd448d4279af331c5d3e",
+                ethers.toUtf8Bytes("quicknet"),
+            ]);
+            expect(ethers.hexlify(sha256(ethers.getBytes(info))).slice(2)).to.equal(QUICKNET_CHAIN_HASH);
+        });
+
+        it("should reject beacons quicknet did not sign against the real key", function () {
+            const local = parseBeacon(signBeacon(4150000));
+            expect(verifyBeacon(local)).to.deep.equal({ signatureValid: false, randomnessValid: true });
+            // The G1 identity is a well-formed point that must never verify
+            const identity = `0xc0${"00".repeat(47)}`;
+            expect(verifyBeacon({ round: 4150000n, signature: identity, randomness: ethers.hexlify(sha256(ethers.getBytes(identity))) }).signatureValid).to.equal(false);
+            // A real beacon from drand's old chained testnet (G2 signature, other key): not a quicknet signature
+            const chained = parseBeacon({
+                round: 367,
+                signature: "b62dd642e939191af1f9e15bef0f0b0e9562a5f570a12a231864afe468377e2a6424a92ccfc34ef1471cbd58c37c6b020cf75ce9446d2aa1252a090250b2b1441f8a2a0d22208dcc09332eaa0143c4a508be13de63978dbed273e3b9813130d5",
+                randomness: "d7aed3686bf2be657e6d38c20999831308ee6244b68c8825676db580e7e3bec6",
+            });
+            expect(verifyBeacon(chained).signatureValid).to.equal(false);
+        });
+
+        it("should tell drand tiebreaks from matches decided by moves", function () {
+            const none = { committed: false, choice: 0 };
+            const hidden = { committed: true, choice: 0 };
+            const rock = { committed: true, choice: 1 };
+            const paper = { committed: true, choice: 2 };
+            expect(decidedByTiebreak(none, none, 0, 3)).to.equal(true);
+            expect(decidedByTiebreak(hidden, hidden, 0, 3)).to.equal(true);
+            expect(decidedByTiebreak(rock, none, 0, 3)).to.equal(false);
+            expect(decidedByTiebreak(rock, hidden, 0, 3)).to.equal(false);
+            expect(decidedByTiebreak(rock, paper, 2, 3)).to.equal(false);
+            expect(decidedByTiebreak(rock, rock, 1, 3)).to.equal(false);
+            expect(decidedByTiebreak(rock, rock, 2, 3)).to.equal(true);
+        });
+    });
+
+    describe("against resolved outcomes", function () {
+        let signers;
+        let devnet;
+        let storage;
+        const pulseKeys = [];
+
+        // The storage path only: the published pulse carries the beacon's randomness, as subtensor stores it
+        async function publishBeacon(beacon) {
+            const le = Buffer.alloc(8);
+            le.writeBigUInt64LE(BigInt(beacon.round));
+            const key = drandPulseKey(beacon.round);
+            pulseKeys.push(key);
+            const sig = ethers.getBytes(`0x${beacon.signature}`);
+            await storage.setRaw(key, ethers.concat([le, "0x80", `0x${beacon.randomness}`, "0xc000", sig]));
+        }
+
+        beforeEach(async function () {
+            signers = await ethers.getSigners();
+            devnet = await startDevnet(hre, { drandPrecompile: false });
+            storage = await ethers.getContractAt("MockStoragePrecompile", STORAGE_PRECOMPILE);
+        });
+
+        afterEach(async function () {
+            for (const key of pulseKeys.splice(0)) await storage.setRaw(key, "0x");
+            await devnet.stop();
+        });
+
+        it("should recompute a TAOColosseum game's actualEndBlock from the beacon behind RandomnessUsed", async function () {
+            const colosseum = await (await ethers.getContractFactory("TAOColosseum")).deploy();
+            await colosseum.waitForDeployment();
+            await colosseum.startNewGame();
+            await colosseum.connect(signers[1]).placeBet(1, 0, { value: ethers.parseEther("0.4") });
+            await colosseum.connect(signers[2]).placeBet(1, 1, { value: ethers.parseEther("0.6") });
+            const { endBlock, targetDrandRound } = await colosseum.getGame(1);
+            await devnet.mine(Number(endBlock) - (await ethers.provider.getBlockNumber()));
+            await colosseum.resolveGame(1);
+
+            const json = signBeacon(targetDrandRound);
+            await publishBeacon(json);
+            await expect(colosseum.resolveGame(1))
+                .to.emit(colosseum, "RandomnessUsed")
+                .withArgs(1, targetDrandRound, `0x${json.randomness}`);
+
+            const game = await createColosseumClient(colosseum.target, ethers.provider).getGame(1);
+            const [event] = await colosseum.queryFilter(colosseum.filters.RandomnessUsed(1));
+            const record = { id: 1, endBlock: game.endBlock, targetDrandRound, actualEndBlock: game.actualEndBlock, randomness: event.args.randomness };
+            const storedPulse = await ethers.provider.call({ to: STORAGE_PRECOMPILE, data: drandPulseKey(targetDrandRound) });
+            const beacon = parseBeacon(json);
+
+            const report = verifyColosseumOutcome({ game: record, beacon, publicKey, storedPulse });
+            expect(report.ok).to.equal(true);
+            expect(report.actualEndBlock).to.equal(game.actualEndBlock);
+            expect(report.storageKey).to.equal(drandPulseKey(targetDrandRound));
+            expect(pass(report)).to.deep.equal({
+                "beacon round": true,
+                "BLS signature": true,
+                "randomness = sha256(signature)": true,
+                "stored pulse": true,
+                RandomnessUsed: true,
+                actualEndBlock: true,
+            });
+            expect(renderVerification(report)).to.contain(`[PASS] actualEndBlock: recomputed ${game.actualEndBlock}, contract ${game.actualEndBlock}`);
+
+            // Offline: no stored pulse; a beacon from another key or round does not verify
+            expect(pass(verifyColosseumOutcome({ game: record, beacon, publicKey }))["stored pulse"]).to.equal(null);
+            const forged = verifyColosseumOutcome({ game: record, beacon, publicKey: ethers.hexlify(bls.shortSignatures.getPublicKey(bls.utils.randomSecretKey()).toBytes()) });
+            expect(forged.ok).to.equal(false);
+            expect(pass(forged)["BLS signature"]).to.equal(false);
+            const other = verifyColosseumOutcome({ game: record, beacon: parseBeacon(signBeacon(targetDrandRound + 1n)), publicKey, storedPulse });
+            expect(pass(other)).to.include({ "beacon round": false, "stored pulse": false, RandomnessUsed: false });
+            expect(renderVerification(other)).to.match(/NOT VERIFIED$/);
+        });
+
+        it("should recompute the winner of an RPS match decided by the drand tiebreak", async function () {
+            const rps = await (await ethers.getContractFactory("RPS_Tournament")).deploy(ethers.ZeroHash);
+            await rps.waitForDeployment();
+            await rps.createTournament(4, 10, MIN_ENTRY);
+            await rps.connect(signers[1]).register(1, { value: MIN_ENTRY });
+            await rps.connect(signers[2]).register(1, { value: MIN_ENTRY });
+            const t = await rps.tournaments(1);
+            await devnet.mine(Number(t.registrationEndBlock) - (await ethers.provider.getBlockNumber()));
+            await rps.startTournament(1);
+
+            // Nobody commits: the seed round decides
+            const client = createRpsClient(rps.target, ethers.provider);
+            let m = await client.getMatch(1, 0, 0);
+            await devnet.mine(Number(m.revealEndBlock) + 1 - (await ethers.provider.getBlockNumber()));
+            const json = signBeacon(m.seedRound);
+            await publishBeacon(json);
+            await expect(rps.tryRevealMatch(1, 0, 0)).to.emit(rps, "MatchResolved");
+
+            m = await client.getMatch(1, 0, 0);
+            const expectedWinner = BigInt(`0x${json.randomness}`) % 2n === 0n ? m.playerA : m.playerB;
+            expect(m.winner).to.equal(expectedWinner);
+            const moves = {
+                playerA: await client.getPlayerMove(1, 0, 0, m.rpsRound, m.playerA),
+                playerB: await client.getPlayerMove(1, 0, 0, m.rpsRound, m.playerB),
+                maxRPSRoundsPerMatch: 3,
+            };
+            const report = verifyRpsTiebreak({ match: m, beacon: parseBeacon(json), moves, publicKey });
+            expect(report.ok).to.equal(true);
+            expect(report.tiebreakWinner).to.equal(m.winner);
+            expect(pass(report)).to.include({ "decided by drand": true, "tiebreak winner": true });
+
+            // A winner other than the beacon's pick is caught
+            const loser = m.winner === m.playerA ? m.playerB : m.playerA;
+            expect(pass(verifyRpsTiebreak({ match: { ...m, winner: loser }, beacon: parseBeacon(json), publicKey }))["tiebreak winner"]).to.equal(false);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createEventIndexer } = require("../lib");
+const { openEventDb } = require("../lib/event-db");
+
+describe("Event indexer", function () {
+    let colosseum;
+    let rps;
+    let signers;
+    let startBlock;
+
+    async function newIndexer(db) {
+        return createEventIndexer({
+            provider: ethers.provider,
+            db,
+            colosseumAddress: colosseum.target,
+            rpsAddress: rps.target,
+            startBlock,
+            batchSize: 5,
+            log: () => {},
+        });
+    }
+
+    beforeEach(async function () {
+        signers = await ethers.getSigners();
+        startBlock = (await ethers.provider.getBlockNumber()) + 1;
+        colosseum = await (await ethers.getContractFactory("TAOColosseum")).deploy();
+        rps = await (await ethers.getContractFactory("RPS_Tournament")).deploy(ethers.ZeroHash);
+        await Promise.all([colosseum.waitForDeployment(), rps.waitForDeployment()]);
+    });
+
+    it("should index both contracts and answer per-game, per-tournament and per-address queries", async function () {
+        await colosseum.startNewGame();
+        await colosseum.connect(signers[1]).placeBet(1, 0, { value: ethers.parseEther("0.2") });
+        await colosseum.connect(signers[2]).placeBet(1, 1, { value: ethers.parseEther("0.1") });
+        await rps.createTournament(4, 20, ethers.parseEther("0.5"));
+        await rps.connect(signers[1]).register(1, { value: ethers.parseEther("0.5") });
+
+        const db = await openEventDb(null);
+        const r = await (await newIndexer(db)).sync();
+        expect(r.events).to.equal(6); // OwnershipTransferred, GameCreated, 2x BetPlaced, TournamentCreated, PlayerRegistered
+
+        const game = db.getEvents({ gameId: 1 });
+        expect(game.map((e) => e.name)).to.deep.equal(["GameCreated", "BetPlaced", "BetPlaced"]);
+        expect(game[1].args.amount).to.equal(ethers.parseEther("0.2").toString());
+        expect(db.getEvents({ tournamentId: 1 }).map((e) => e.name)).to.deep.equal(["TournamentCreated", "PlayerRegistered"]);
+
+        const mine = db.getEvents({ account: signers[1].address.toLowerCase() });
+        expect(mine.map((e) => `${e.contract}.${e.name}`)).to.deep.equal(["colosseum.BetPlaced", "rps.PlayerRegistered"]);
+        expect(db.listGameIds()).to.deep.equal([1]);
+        expect(db.listTournamentIds()).to.deep.equal([1]);
+    });
+
+    it("should resume from the saved file without re-indexing", async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "event-db-"));
+        const file = path.join(dir, "events.sqlite");
+        try {
+            await colosseum.startNewGame();
+            let db = await openEventDb(file);
+            await (await newIndexer(db)).sync();
+            const indexedTo = db.getLastBlock();
+            db.close();
+
+            await colosseum.connect(signers[1]).placeBet(1, 0, { value: ethers.parseEther("0.01") });
+            db = await openEventDb(file);
+            const r = await (await newIndexer(db)).sync();
+            expect(r.fromBlock).to.equal(indexedTo + 1);
+            expect(r.events).to.equal(1);
+            expect(db.getEvents({ contract: "colosseum" }).map((e) => e.name)).to.deep.equal(["OwnershipTransferred", "GameCreated", "BetPlaced"]);
+            db.close();
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it("should roll back events from reorged blocks and index the new chain", async function () {
+        await colosseum.startNewGame();
+        const db = await openEventDb(null);
+        const indexer = await newIndexer(db);
+        await indexer.sync();
+
+        const snapshot = await ethers.provider.send("evm_snapshot", []);
+        await colosseum.connect(signers[1]).placeBet(1, 0, { value: ethers.parseEther("0.3") });
+        await indexer.sync();
+        expect(db.getEvents({ name: "BetPlaced" })).to.have.length(1);
+
+        // replace the block holding that bet with a different one
+        await ethers.provider.send("evm_revert", [snapshot]);
+        await ethers.provider.send("evm_mine", []);
+        await colosseum.connect(signers[2]).placeBet(1, 1, { value: ethers.parseEther("0.05") });
+        const r = await indexer.sync();
+
+        expect(r.reorgedTo).to.not.equal(null);
+        const bets = db.getEvents({ name: "BetPlaced" });
+        expect(bets).to.have.length(1);
+        expect(bets[0].args.bettor).to.equal(signers[2].address);
+        expect(db.getEvents({ account: signers[1].address })).to.have.length(0);
+    });
+});
@@ -0,0 +1,152 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { STAKING_PRECOMPILE, STORAGE_PRECOMPILE, COLOSSEUM_DRAND_PRECOMPILE } = require("../lib");
+const { startDevnet } = require("../lib/devnet");
+const { capturePrecompileFixture, runRehearsal } = require("../lib/fork-rehearsal");
+
+// No archive node in CI: the local devnet plays the live chain. Its stand-ins answer the capture, are removed
+// (as on a fork, where the precompile addresses are empty), and the rehearsal replays the recorded answers.
+describe("Fork rehearsal", function () {
+    const RED = 0;
+    const BLUE = 1;
+    const HOTKEY = ethers.id("sn38 owner hotkey");
+    const tao = (v) => ethers.parseEther(v);
+    let signers;
+    let devnet;
+
+    beforeEach(async function () {
+        signers = await ethers.getSigners();
+        devnet = await startDevnet(hre, { signer: signers[19] });
+    });
+
+    afterEach(async function () {
+        if (devnet) await devnet.stop();
+    });
+
+    async function stopDevnet() {
+        await devnet.stop();
+        devnet = null;
+    }
+
+    it("should resolve a live game with drand answers captured after the fork block", async function () {
+        const colosseum = await (await ethers.getContractFactory("TAOColosseum")).deploy();
+        await colosseum.waitForDeployment();
+        await colosseum.startNewGame();
+        await colosseum.connect(signers[1]).placeBet(1, RED, { value: tao("0.3") });
+        await colosseum.connect(signers[2]).placeBet(1, BLUE, { value: tao("0.5") });
+        const forkBlock = await ethers.provider.getBlockNumber();
+        const fork = await ethers.provider.send("evm_snapshot", []);
+
+        // The "live chain" moves on until the game's drand round is stored
+        const game = await colosseum.getGame(1);
+        await devnet.mine(Number(game.endBlock) - forkBlock);
+        while (devnet.feeder.status().lastFedRound < Number(game.targetDrandRound)) await devnet.mine(1);
+        const captureBlock = await ethers.provider.getBlockNumber();
+        const fixture = await capturePrecompileFixture(hre, {
+            scenario: "resolve-game",
+            provider: ethers.provider,
+            forkBlock,
+            captureBlock,
+            addresses: { TAOColosseum: colosseum.target },
+        });
+        expect(fixture).to.include({ version: 1, scenario: "resolve-game", chainId: 1337, forkBlock, captureBlock });
+        expect(fixture.responses.map((r) => [r.address, r.success, r.blockNumber])).to.deep.equal([
+            [COLOSSEUM_DRAND_PRECOMPILE, true, captureBlock],
+            [COLOSSEUM_DRAND_PRECOMPILE, true, captureBlock],
+            [STORAGE_PRECOMPILE, true, captureBlock],
+            [STORAGE_PRECOMPILE, true, captureBlock],
+        ]);
+
+        await ethers.provider.send("evm_revert", [fork]);
+        await stopDevnet();
+        const ownerBefore = await ethers.provider.getBalance(signers[0].address);
+        const result = await runRehearsal(hre, { scenario: "resolve-game", fixture });
+        expect(result.steps.map((s) => [s.name, s.ok])).to.deep.equal([
+            ["resolveGame(1) phase 1", true],
+            ["resolveGame(1) phase 2", true],
+            [`claim ${signers[1].address}`, true],
+            ["withdrawFees as owner", true],
+        ]);
+        expect(result.ok).to.equal(true);
+        expect(result.steps[1].detail).to.equal(`Resolved: Red wins (drand round ${game.targetDrandRound})`);
+
+        const [used] = await colosseum.queryFilter(colosseum.filters.RandomnessUsed(1));
+        expect(used.args.randomness).to.equal(ethers.solidityPackedKeccak256(["string", "uint64"], ["mock-drand", game.targetDrandRound]));
+        expect(await ethers.provider.getBalance(signers[0].address)).to.be.greaterThan(ownerBefore);
+        expect(await ethers.provider.getCode(COLOSSEUM_DRAND_PRECOMPILE)).to.equal("0x");
+    });
+
+    it("should claim RPS prizes and replay a fee flush, including a staking revert and the burn path only with a post-stake alpha answer", async function () {
+        const rps = await (await ethers.getContractFactory("RPS_Tournament")).deploy(HOTKEY);
+        await rps.waitForDeployment();
+        const minEntry = ethers.parseEther("0.5");
+        await rps.createTournament(4, 10, minEntry);
+        await rps.connect(signers[1]).register(1, { value: minEntry });
+        await rps.connect(signers[2]).register(1, { value: minEntry });
+        const t = await rps.tournaments(1);
+        await devnet.mine(Number(t.registrationEndBlock) - (await ethers.provider.getBlockNumber()));
+        await rps.startTournament(1);
+        const m = await rps.matches(1, 0, 0);
+        await devnet.mine(Number(m.revealEndBlock) + 1 - (await ethers.provider.getBlockNumber()));
+        while (devnet.feeder.status().lastFedRound < Number(m.seedRound)) await devnet.mine(1);
+        await rps.tryRevealMatch(1, 0, 0);
+        const { winner } = await rps.tournaments(1);
+
+        const block = await ethers.provider.getBlockNumber();
+        const capture = (scenario) =>
+            capturePrecompileFixture(hre, { scenario, provider: ethers.provider, forkBlock: block, captureBlock: block, addresses: { RPS_Tournament: rps.target } });
+        const claims = await capture("claim-prizes");
+        expect(claims.responses).to.deep.equal([]);
+        const claimed = await runRehearsal(hre, { scenario: "claim-prizes", fixture: claims });
+        expect(claimed.steps.map((s) => [s.name, s.ok])).to.deep.equal([[`claimPrize(1) ${winner}`, true]]);
+
+        const fees = await rps.accumulatedFees();
+        const flush = await capture("flush-fees");
+        const amountRao = fees / 10n ** 9n;
+        expect(flush.responses.map((r) => [r.label, r.from, r.mutating, r.success])).to.deep.equal([
+            ["getTotalAlphaStaked(sn38 hotkey, 38)", rps.target, false, true],
+            [`addStake(sn38 hotkey, ${amountRao} RAO, 38)`, rps.target, true, true],
+        ]);
+        // The alpha the stake yields, supplied or taken from a real flush (10000 alpha for twice this flush's TAO)
+        const postStake = (postStakeAlpha) =>
+            capturePrecompileFixture(hre, { scenario: "flush-fees", provider: ethers.provider, forkBlock: block, captureBlock: block, addresses: { RPS_Tournament: rps.target }, postStakeAlpha });
+        const supplied = await postStake({ alphaReceived: 5000n });
+        expect(supplied.responses.slice(1).map((r) => [r.label, r.mutating, r.afterWrites, r.blockNumber, Boolean(r.synthetic)])).to.deep.equal([
+            [`addStake(sn38 hotkey, ${amountRao} RAO, 38)`, true, 0, block, false],
+            ["getTotalAlphaStaked after addStake: +5000 alpha (supplied)", false, 1, null, true],
+            ["burnAlpha(sn38 hotkey, 5000, 38) succeeds (supplied)", true, 1, null, true],
+        ]);
+        const fromFlush = await postStake({ fromFlush: { txHash: ethers.ZeroHash, taoAmount: 2n * amountRao * 10n ** 9n, alphaBurned: 10000n } });
+        expect(fromFlush.responses[2].label).to.equal(`getTotalAlphaStaked after addStake: +5000 alpha (as in flush ${ethers.ZeroHash})`);
+        expect(fromFlush.responses.slice(2).map((r) => r.output)).to.deep.equal(supplied.responses.slice(2).map((r) => r.output));
+        await stopDevnet();
+
+        // What mainnet answered when the flush broke: addStake reverts, and the flush with it
+        const reverting = {
+            ...flush,
+            responses: flush.responses.map((r) => (r.mutating ? { ...r, success: false, output: ethers.id("Error(string)").slice(0, 10) + ethers.AbiCoder.defaultAbiCoder().encode(["string"], ["insufficient balance"]).slice(2) } : r)),
+        };
+        const failed = await runRehearsal(hre, { scenario: "flush-fees", fixture: reverting });
+        expect(failed.ok).to.equal(false);
+        expect(failed.steps[0].detail).to.equal("Error: insufficient balance");
+        expect(await rps.accumulatedFees()).to.equal(fees);
+
+        // Without a post-stake answer the stake goes through but burnAlpha is never reached: not a pass
+        const beforeFlush = await ethers.provider.send("evm_snapshot", []);
+        const unverified = await runRehearsal(hre, { scenario: "flush-fees", fixture: flush });
+        expect(unverified.ok).to.equal(false);
+        expect(unverified.steps[0].detail).to.contain("no alpha received: burnAlpha not rehearsed");
+        await ethers.provider.send("evm_revert", [beforeFlush]);
+
+        // With it, the flush burns what the stake yielded, and the step says the answers were synthesized
+        const flushed = await runRehearsal(hre, { scenario: "flush-fees", fixture: supplied });
+        expect(flushed.steps).to.deep.equal([{
+            name: "flushFeesToSubnetAndBurn",
+            ok: true,
+            detail: `staked ${ethers.formatEther(amountRao * 10n ** 9n)} TAO, burned 5000 alpha (against 2 synthetic precompile answer(s), not a captured replay)`,
+        }]);
+        expect(await rps.accumulatedFees()).to.equal(fees - amountRao * 10n ** 9n);
+        expect(await ethers.provider.getCode(STAKING_PRECOMPILE)).to.equal("0x");
+    });
+});
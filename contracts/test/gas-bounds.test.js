@@ -0,0 +1,44 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { STAKING_PRECOMPILE, BITTENSOR_BLOCK_GAS_LIMIT } = require("../lib");
+const { BOUNDED_LOOPS, analyzeGasBounds, renderGasBounds } = require("../lib/gas-bounds");
+
+/**
+ * The analyzer on the cheap bounds. colosseum-valid-pools (5000 late entries) takes minutes and is left to
+ * scripts/gas-bounds.js.
+ */
+describe("Gas bounds analyzer", function () {
+    it("should build each state at its bound and report headroom against the block gas limit", async function () {
+        this.timeout(300000);
+        const gasLimit = (await ethers.provider.getBlock("latest")).gasLimit;
+        const only = ["colosseum-leaderboard", "rps-round-advance", "rps-stalled-cancel"];
+        const report = await analyzeGasBounds(hre, { only });
+
+        expect(report).to.include({ network: "hardhat", blockGasLimit: BITTENSOR_BLOCK_GAS_LIMIT, ok: true });
+        expect(report.results.map((r) => r.id)).to.deep.equal(only);
+        for (const r of report.results) {
+            expect(r.gasUsed).to.be.greaterThan(0n);
+            expect(r.headroom).to.equal(BITTENSOR_BLOCK_GAS_LIMIT - r.gasUsed);
+            expect(r.fits).to.equal(true);
+        }
+        const [leaderboard, advance, cancel] = report.results;
+        expect(leaderboard.detail).to.include("100 entries on the board");
+        expect(advance.detail).to.equal("8 matches checked, 4 round-1 matches created");
+        expect(cancel).to.include({ detail: "16 refunds accrued", stake: ethers.parseEther("8") });
+
+        // Network left as it was found
+        expect((await ethers.provider.getBlock("latest")).gasLimit).to.equal(gasLimit);
+        expect(await ethers.provider.getCode(STAKING_PRECOMPILE)).to.equal("0x");
+
+        // Against a block too small for the leaderboard claim
+        const tight = await analyzeGasBounds(hre, { only: ["colosseum-leaderboard"], blockGasLimit: leaderboard.gasUsed });
+        expect(tight.ok).to.equal(false);
+        expect(renderGasBounds(tight)).to.include("✗ TAOColosseum.claimWinnings · _updateLeaderboard").and.include("1 call(s) cannot be mined: colosseum-leaderboard");
+    });
+
+    it("should refuse unknown bounds", async function () {
+        expect(BOUNDED_LOOPS.map((l) => l.id)).to.include("colosseum-valid-pools");
+        await expect(analyzeGasBounds(hre, { only: ["nope"] })).to.be.rejectedWith('Unknown gas bound "nope"');
+    });
+});
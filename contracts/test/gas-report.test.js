@@ -0,0 +1,69 @@
+const { expect } = require("chai");
+const { createGasReport, compareGasReports, renderGasDiff, mergeGasBaseline } = require("../lib");
+
+describe("Gas report", function () {
+    function reportOf(samples) {
+        const report = createGasReport();
+        for (const [scenario, fn, gas] of samples) report.record(scenario, fn, gas);
+        return report.toJSON();
+    }
+
+    const baseline = {
+        version: 1,
+        tolerances: { default: 0.05, resolveGame: 0.01, "neutral/claimWinnings:win": 0.1 },
+        entries: reportOf([
+            ["neutral", "resolveGame:drand", 500000],
+            ["neutral", "claimWinnings:win", 100000],
+            ["neutral", "placeBet", 300000],
+            ["stress", "resolveGame:drand", 9000000],
+        ]).entries,
+    };
+
+    it("should summarise samples per scenario and function", function () {
+        const report = reportOf([
+            ["neutral", "placeBet", 300000n],
+            ["neutral", "placeBet", 340000n],
+            ["all-late", "resolveGame:betting", 31723n],
+        ]);
+        expect(report).to.deep.equal({
+            version: 1,
+            entries: [
+                { scenario: "all-late", fn: "resolveGame:betting", count: 1, min: 31723, max: 31723, mean: 31723 },
+                { scenario: "neutral", fn: "placeBet", count: 2, min: 300000, max: 340000, mean: 320000 },
+            ],
+        });
+    });
+
+    it("should fail only on gated regressions beyond their tolerance", function () {
+        const report = reportOf([
+            ["neutral", "resolveGame:drand", 506000], // +1.2% > 1% (resolveGame)
+            ["neutral", "claimWinnings:win", 108000], // +8% < 10% (scenario/fn)
+            ["neutral", "placeBet", 360000], // +20%, not gated
+            ["optimistic", "resolveGame:drand", 600000],
+        ]);
+        const diff = compareGasReports(baseline, report);
+        const status = Object.fromEntries(diff.rows.map((r) => [`${r.scenario}/${r.fn}`, r.status]));
+        expect(status).to.deep.equal({
+            "neutral/resolveGame:drand": "regressed",
+            "neutral/claimWinnings:win": "ok",
+            "neutral/placeBet": "regressed",
+            "optimistic/resolveGame:drand": "new",
+            "stress/resolveGame:drand": "not measured",
+        });
+        expect(diff.ok).to.equal(false);
+        expect(diff.failures.map((f) => f.scenario + "/" + f.fn)).to.deep.equal(["neutral/resolveGame:drand"]);
+        expect(renderGasDiff(diff)).to.include("✗ regressed  neutral/resolveGame:drand").and.include("1 gated regression(s)");
+
+        expect(compareGasReports(baseline, report, { tolerances: { resolveGame: 0.02 } }).ok).to.equal(true);
+
+        const updated = mergeGasBaseline(baseline, report);
+        expect(updated.tolerances).to.deep.equal(baseline.tolerances);
+        expect(updated.entries.map((e) => `${e.scenario}/${e.fn}=${e.max}`)).to.deep.equal([
+            "neutral/claimWinnings:win=108000",
+            "neutral/placeBet=360000",
+            "neutral/resolveGame:drand=506000",
+            "optimistic/resolveGame:drand=600000",
+            "stress/resolveGame:drand=9000000",
+        ]);
+    });
+});
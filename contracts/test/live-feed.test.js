@@ -0,0 +1,157 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+const WebSocket = require("ws");
+const { createLiveFeed, computeCommitHash, COLOSSEUM, RPS_DRAND_PRECOMPILE } = require("../lib");
+const { attachFeedServer, parseTopic } = require("../lib/feed-server");
+
+describe("Live feed", function () {
+    let colosseum;
+    let rps;
+    let signers;
+    let feed;
+
+    async function installMockDrandPrecompile() {
+        const Mock = await ethers.getContractFactory("MockDrandPrecompile");
+        const mock = await Mock.deploy();
+        await mock.waitForDeployment();
+        const runtimeCode = await ethers.provider.getCode(mock.target);
+        await ethers.provider.send("hardhat_setCode", [RPS_DRAND_PRECOMPILE, runtimeCode]);
+    }
+
+    async function mineTo(targetBlock) {
+        while ((await ethers.provider.getBlockNumber()) < targetBlock) {
+            await ethers.provider.send("evm_mine", []);
+        }
+    }
+
+    const types = (messages) => messages.map((m) => m.type);
+
+    beforeEach(async function () {
+        signers = await ethers.getSigners();
+        colosseum = await (await ethers.getContractFactory("TAOColosseum")).deploy();
+        rps = await (await ethers.getContractFactory("RPS_Tournament")).deploy(ethers.ZeroHash);
+        await Promise.all([colosseum.waitForDeployment(), rps.waitForDeployment()]);
+        feed = createLiveFeed({ provider: ethers.provider, colosseumAddress: colosseum.target, rpsAddress: rps.target, log: () => {} });
+        await feed.poll();
+    });
+
+    afterEach(async function () {
+        await ethers.provider.send("hardhat_setCode", [RPS_DRAND_PRECOMPILE, "0x"]);
+    });
+
+    it("should push pool updates, the new game phase and final-call start once", async function () {
+        await colosseum.startNewGame();
+        await colosseum.connect(signers[1]).placeBet(1, 0, { value: ethers.parseEther("0.3") });
+        await colosseum.connect(signers[2]).placeBet(1, 1, { value: ethers.parseEther("0.1") });
+
+        const first = await feed.poll();
+        expect(types(first)).to.deep.equal(["block", "pool", "pool", "phase"]);
+        expect(first[1]).to.include({ gameId: 1, side: "Red", amount: ethers.parseEther("0.3").toString() });
+        expect(first[1].redPool).to.equal(ethers.parseEther("0.3").toString());
+        expect(first[2].bluePool).to.equal(ethers.parseEther("0.1").toString());
+        expect(first[2].topics).to.deep.equal(["game:1", `address:${signers[2].address.toLowerCase()}`]);
+        expect(first[3]).to.include({ gameId: 1, from: null, to: "Betting" });
+
+        const game = await colosseum.getGame(1);
+        await mineTo(Number(game.endBlock) - COLOSSEUM.FINAL_CALL_BLOCKS + 1);
+        const finalCall = (await feed.poll()).find((m) => m.type === "finalCall");
+        expect(finalCall).to.include({ gameId: 1, endBlock: Number(game.endBlock) });
+        expect(finalCall.blocksRemaining).to.be.at.most(COLOSSEUM.FINAL_CALL_BLOCKS);
+
+        await ethers.provider.send("evm_mine", []);
+        expect(types(await feed.poll())).to.deep.equal(["block"]);
+    });
+
+    it("should push RPS moves and commit/reveal window changes", async function () {
+        await installMockDrandPrecompile();
+        await rps.createTournament(4, 20, ethers.parseEther("0.5"));
+        for (let i = 1; i <= 4; i++) await rps.connect(signers[i]).register(1, { value: ethers.parseEther("0.5") });
+        await rps.startTournament(1);
+
+        const started = await feed.poll();
+        expect(started.find((m) => m.type === "tournamentPhase")).to.include({ tournamentId: 1, to: "Active" });
+        expect(started.filter((m) => m.type === "matchWindow").map((m) => m.to)).to.deep.equal(["commit", "commit"]);
+
+        const m = await rps.matches(1, 0, 0);
+        const player = signers.find((s) => s.address === m.playerA);
+        const salt = ethers.hexlify(ethers.randomBytes(32));
+        const hash = computeCommitHash({ tournamentId: 1, round: 0, matchIndex: 0, rpsRound: m.rpsRound, player: player.address, choice: "Rock", salt });
+        await rps.connect(player).commitMove(1, 0, 0, hash);
+        const committed = await feed.poll();
+        expect(types(committed)).to.deep.equal(["block", "moveCommitted"]);
+        expect(committed[1]).to.include({ tournamentId: 1, round: 0, matchIndex: 0, player: player.address });
+        expect(committed[1].topics).to.include(`address:${player.address.toLowerCase()}`);
+
+        await mineTo(Number(m.commitEndBlock) + 1);
+        const windows = (await feed.poll()).filter((msg) => msg.type === "matchWindow");
+        expect(windows.map((w) => [w.matchIndex, w.from, w.to])).to.deep.equal([[0, "commit", "reveal"], [1, "commit", "reveal"]]);
+    });
+
+    it("should keep polling when a client tracks a tournament id that does not exist", async function () {
+        await installMockDrandPrecompile();
+        for (const id of ["99999999999999999999", 2n ** 300n, "0", "x", 1]) feed.track(id);
+        await ethers.provider.send("evm_mine", []);
+        expect(types(await feed.poll())).to.deep.equal(["block"]);
+
+        // Tournament 1 did not exist at that poll, so it was dropped; its start event tracks it again
+        await rps.createTournament(4, 20, ethers.parseEther("0.5"));
+        for (let i = 1; i <= 4; i++) await rps.connect(signers[i]).register(1, { value: ethers.parseEther("0.5") });
+        await rps.startTournament(1);
+        feed.track("99999999999999999999");
+        const started = await feed.poll();
+        expect(started.filter((m) => m.type === "matchWindow").map((m) => [m.tournamentId, m.to])).to.deep.equal([[1, "commit"], [1, "commit"]]);
+    });
+
+    it("should deliver messages over WebSocket by topic", async function () {
+        const server = http.createServer((req, res) => res.end());
+        const feedServer = attachFeedServer({ server, feed });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        const url = `ws://127.0.0.1:${server.address().port}/v1/ws`;
+
+        async function connect(query) {
+            const ws = new WebSocket(`${url}${query}`);
+            ws.received = [];
+            ws.on("message", (data) => ws.received.push(JSON.parse(data.toString())));
+            await new Promise((resolve, reject) => ws.once("open", resolve).once("error", reject));
+            return ws;
+        }
+        async function settle(ws, count) {
+            for (let i = 0; i < 100 && ws.received.length < count; i++) await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+
+        try {
+            const bettor = await connect(`?topics=address:${signers[1].address}`);
+            const everything = await connect("?topics=game:*");
+            const other = await connect("");
+            other.send(JSON.stringify({ op: "subscribe", topics: ["tournament:9", "game:x"] }));
+            other.send(JSON.stringify({ op: "subscribe", topics: ["game:2"] }));
+            await Promise.all([settle(bettor, 1), settle(everything, 1), settle(other, 2)]);
+            expect(other.received.map((m) => m.type)).to.deep.equal(["error", "subscribed"]);
+            expect(other.received[1].topics).to.deep.equal(["game:2"]);
+
+            await colosseum.startNewGame();
+            await colosseum.connect(signers[1]).placeBet(1, 0, { value: ethers.parseEther("0.2") });
+            await colosseum.connect(signers[2]).placeBet(1, 1, { value: ethers.parseEther("0.2") });
+            await feed.poll();
+            await Promise.all([settle(bettor, 3), settle(everything, 5), settle(other, 3)]);
+
+            expect(types(bettor.received)).to.deep.equal(["subscribed", "block", "pool"]);
+            expect(bettor.received[2].bettor).to.equal(signers[1].address);
+            expect(types(everything.received)).to.deep.equal(["subscribed", "block", "pool", "pool", "phase"]);
+            expect(types(other.received)).to.deep.equal(["error", "subscribed", "block"]);
+            for (const ws of [bettor, everything, other]) ws.close();
+        } finally {
+            await feedServer.close();
+            await new Promise((resolve) => server.close(resolve));
+        }
+    });
+
+    it("should canonicalise topics", function () {
+        expect(parseTopic("game:007")).to.equal("game:7");
+        expect(parseTopic("tournament:*")).to.equal("tournament:*");
+        expect(parseTopic(`address:${signers[1].address}`)).to.equal(`address:${signers[1].address.toLowerCase()}`);
+        expect(parseTopic("address:0x12")).to.equal(null);
+        expect(parseTopic("user:1")).to.equal(null);
+    });
+});
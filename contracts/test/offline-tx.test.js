@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+    parseOfflineOps,
+    resolveOfflineOps,
+    buildOfflineBundle,
+    signOfflineBundle,
+    broadcastOfflineBundle,
+    toSafeBatch,
+    toJson,
+} = require("../lib");
+
+describe("Offline transactions", function () {
+    const SAFE = "0x00000000000000000000000000000000000005af";
+    const CHAIN_ID = 1337; // hardhat network; bundles for Bittensor mainnet pin 964
+
+    // What the file written by one step looks like to the next
+    const viaFile = (bundle) => JSON.parse(toJson(bundle));
+
+    describe("ops and Safe batches", function () {
+        it("should parse operations and encode the owner calls as a Safe Transaction Builder batch", async function () {
+            expect(parseOfflineOps(" withdrawFees, transferOwnership=" + SAFE + ",deploy=RPS_Tournament")).to.deep.equal([
+                { op: "withdrawFees", arg: null },
+                { op: "transferOwnership", arg: SAFE },
+                { op: "deploy", arg: "RPS_Tournament" },
+            ]);
+            for (const bad of ["withdraw", "transferOwnership", "flush=1", "deploy=Token"]) {
+                expect(() => parseOfflineOps(bad)).to.throw(`Unknown offline operation "${bad}"`);
+            }
+
+            const colosseum = "0x" + "c".repeat(40);
+            const ops = parseOfflineOps("withdrawFees,transferOwnership=" + SAFE);
+            await expect(resolveOfflineOps(ops, { addresses: {} })).to.be.rejectedWith("withdrawFees needs the TAOColosseum address");
+            const calls = await resolveOfflineOps(ops, { addresses: { TAOColosseum: colosseum } });
+            expect(calls.map((c) => c.label)).to.deep.equal(["TAOColosseum.withdrawFees()", `TAOColosseum.transferOwnership(${ethers.getAddress(SAFE)})`]);
+
+            const batch = toSafeBatch(calls, { safeAddress: SAFE, createdAt: 1 });
+            expect(batch).to.deep.include({ version: "1.0", chainId: "964", createdAt: 1 });
+            expect(batch.meta).to.include({ createdFromSafeAddress: ethers.getAddress(SAFE), description: calls.map((c) => c.label).join(", ") });
+            expect(batch.transactions).to.deep.equal(
+                calls.map((c) => ({ to: ethers.getAddress(colosseum), value: "0", data: c.data, contractMethod: null, contractInputsValues: null })),
+            );
+            expect(() => toSafeBatch([{ label: "deploy TAOColosseum", to: null, data: "0x", value: 0n }], { safeAddress: SAFE })).to.throw(
+                "A Safe batch cannot deploy contracts (deploy TAOColosseum)",
+            );
+        });
+    });
+
+    describe("build, sign and broadcast", function () {
+        let owner;
+
+        beforeEach(async function () {
+            // The owner key only exists as a keystore; cheap scrypt parameters keep the test fast
+            const keystore = ethers.encryptKeystoreJsonSync(ethers.Wallet.createRandom(), "pw", { scrypt: { N: 1 << 10 } });
+            owner = await ethers.Wallet.fromEncryptedJson(keystore, "pw");
+            await ethers.provider.send("hardhat_setBalance", [owner.address, ethers.toQuantity(ethers.parseEther("10"))]);
+        });
+
+        async function deployTransaction(name) {
+            const { data } = await (await ethers.getContractFactory(name)).getDeployTransaction();
+            return { data, constructorArgs: [] };
+        }
+
+        async function signedBundle(spec, addresses = {}) {
+            const calls = await resolveOfflineOps(parseOfflineOps(spec), { addresses, deployTransaction });
+            const bundle = viaFile(await buildOfflineBundle({ provider: ethers.provider, from: owner.address, network: "hardhat", calls, chainId: CHAIN_ID }));
+            return viaFile(await signOfflineBundle(bundle, owner, { chainId: CHAIN_ID }));
+        }
+
+        it("should deploy, withdraw fees and hand ownership to a Safe, and skip what is already mined", async function () {
+            const deploy = await signedBundle("deploy=TAOColosseum");
+            expect(deploy.transactions[0]).to.include({ type: 0, chainId: CHAIN_ID, nonce: 0, to: null });
+            expect(deploy.signed[0].nonce).to.equal(0);
+            const [deployed] = await broadcastOfflineBundle({ provider: ethers.provider, bundle: deploy });
+            expect(deployed).to.include({ status: "mined", contractAddress: deploy.transactions[0].deploy.address });
+            expect(deployed.error).to.equal(undefined);
+            const colosseum = await ethers.getContractAt("TAOColosseum", deployed.contractAddress);
+            expect(await colosseum.owner()).to.equal(owner.address);
+
+            const bundle = await signedBundle("withdrawFees,transferOwnership=" + SAFE, { TAOColosseum: colosseum.target });
+            expect(bundle.transactions.map((t) => [t.nonce, t.to])).to.deep.equal([
+                [1, colosseum.target],
+                [2, colosseum.target],
+            ]);
+            const results = await broadcastOfflineBundle({ provider: ethers.provider, bundle });
+            expect(results.map((r) => r.status)).to.deep.equal(["mined", "mined"]);
+            expect(results.map((r) => r.hash)).to.deep.equal(bundle.signed.map((s) => s.hash));
+            expect(await colosseum.owner()).to.equal(ethers.getAddress(SAFE));
+
+            const again = await broadcastOfflineBundle({ provider: ethers.provider, bundle });
+            expect(again.map((r) => r.status)).to.deep.equal(["already-mined", "already-mined"]);
+            expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(3);
+        });
+
+        it("should refuse the wrong chain, the wrong key, an edited bundle and a nonce already used", async function () {
+            const calls = await resolveOfflineOps(parseOfflineOps("deploy=TAOColosseum"), { addresses: {}, deployTransaction });
+            await expect(buildOfflineBundle({ provider: ethers.provider, from: owner.address, network: "hardhat", calls })).to.be.rejectedWith(
+                "Provider is on chainId 1337; the bundle pins chainId 964",
+            );
+            const bundle = viaFile(await buildOfflineBundle({ provider: ethers.provider, from: owner.address, network: "hardhat", calls, chainId: CHAIN_ID }));
+            await expect(signOfflineBundle(bundle, owner)).to.be.rejectedWith("Bundle pins chainId 1337, expected 964");
+            await expect(signOfflineBundle(bundle, ethers.Wallet.createRandom(), { chainId: CHAIN_ID })).to.be.rejectedWith(
+                `but the bundle was built for ${owner.address}`,
+            );
+            await expect(broadcastOfflineBundle({ provider: ethers.provider, bundle })).to.be.rejectedWith("Bundle is not signed");
+
+            const signed = viaFile(await signOfflineBundle(bundle, owner, { chainId: CHAIN_ID }));
+            const edited = { ...signed, transactions: [{ ...signed.transactions[0], gasLimit: "21000" }] };
+            await expect(broadcastOfflineBundle({ provider: ethers.provider, bundle: edited })).to.be.rejectedWith(
+                "deploy TAOColosseum: signed transaction differs from the bundle in gasLimit",
+            );
+
+            // The owner sends something else first: nonce 0 is gone, the deploy must be rebuilt
+            const [funder] = await ethers.getSigners();
+            await (await owner.connect(ethers.provider).sendTransaction({ to: funder.address, value: 1n })).wait();
+            const [result] = await broadcastOfflineBundle({ provider: ethers.provider, bundle: signed });
+            expect(result).to.include({ status: "failed", error: `nonce 0 of ${owner.address} was used by another transaction; rebuild the bundle` });
+        });
+    });
+});
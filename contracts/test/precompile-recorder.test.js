@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+    STAKING_PRECOMPILE,
+    STORAGE_PRECOMPILE,
+    COLOSSEUM_DRAND_PRECOMPILE,
+    RPS_DRAND_PRECOMPILE,
+    DRAND_PRECOMPILE_ABI,
+    createDrandMonitor,
+} = require("../lib");
+const { startDevnet } = require("../lib/devnet");
+const {
+    recordPrecompileCalls,
+    selectResponses,
+    installRecordedPrecompiles,
+    removeRecordedPrecompiles,
+} = require("../lib/precompile-recorder");
+
+describe("Precompile recorder", function () {
+    const HOTKEY = ethers.id("precompile recorder hotkey");
+    let devnet;
+    let drand;
+
+    beforeEach(async function () {
+        const signers = await ethers.getSigners();
+        devnet = await startDevnet(hre, { signer: signers[19] });
+        drand = new ethers.Contract(COLOSSEUM_DRAND_PRECOMPILE, DRAND_PRECOMPILE_ABI, ethers.provider);
+    });
+
+    afterEach(async function () {
+        if (devnet) await devnet.stop();
+    });
+
+    it("should record a drand monitor check and replay it with no precompiles on the network", async function () {
+        await devnet.mine(3);
+        const recorder = recordPrecompileCalls(hre.network.provider);
+        let live;
+        try {
+            live = await createDrandMonitor({ provider: ethers.provider, chainClock: true, log: () => {} }).check();
+        } finally {
+            recorder.stop();
+        }
+        const round = live.snapshot.lastRound;
+        const fixture = recorder.fixture({ network: "hardhat" });
+        expect(fixture).to.include({ version: 1, network: "hardhat", chainId: 1337 });
+        expect(fixture.responses.map((r) => r.label)).to.include.members([
+            "0x080D getLastStoredRound()",
+            "0x080E getLastStoredRound()",
+            "drand.lastStoredRound",
+            `0x080D getPulse(${round})`,
+            `0x080E getRandomness(${round})`,
+            `drand.pulses(${round})`,
+        ]);
+        expect(fixture.responses.every((r) => r.success && !r.mutating && r.blockNumber === live.snapshot.blockNumber)).to.equal(true);
+
+        await devnet.stop();
+        devnet = null;
+        const installed = await installRecordedPrecompiles(hre, fixture);
+        try {
+            expect(installed).to.have.members([COLOSSEUM_DRAND_PRECOMPILE, RPS_DRAND_PRECOMPILE, STORAGE_PRECOMPILE].map(ethers.getAddress));
+            const replayed = await createDrandMonitor({ provider: ethers.provider, chainClock: true, log: () => {} }).check();
+            expect(replayed.snapshot.lastRounds).to.deep.equal(live.snapshot.lastRounds);
+            expect(replayed.snapshot.pulses).to.deep.equal(live.snapshot.pulses);
+
+            const standIn = await ethers.getContractAt("RecordedPrecompile", COLOSSEUM_DRAND_PRECOMPILE);
+            await expect(drand.getPulse(round + 1n)).to.be.revertedWithCustomError(standIn, "UnrecordedCall");
+        } finally {
+            await removeRecordedPrecompiles(hre, installed);
+        }
+        expect(await ethers.provider.getCode(COLOSSEUM_DRAND_PRECOMPILE)).to.equal("0x");
+    });
+
+    it("should record reverts and pick the answer at a block", async function () {
+        const staking = await ethers.getContractAt("MockStakingPrecompile", STAKING_PRECOMPILE);
+        const recorder = recordPrecompileCalls(hre.network.provider);
+        const first = await ethers.provider.getBlockNumber();
+        const before = await drand.getLastStoredRound();
+        await devnet.mine(5);
+        const after = await drand.getLastStoredRound();
+        await expect(staking.burnAlpha.staticCall(HOTKEY, 1, 38)).to.be.revertedWith("insufficient alpha");
+        recorder.stop();
+
+        expect(after).to.be.greaterThan(before);
+        const { responses } = recorder.fixture();
+        expect(responses.map((r) => [r.label, r.success, r.mutating])).to.deep.equal([
+            ["0x080D getLastStoredRound()", true, false],
+            ["0x080D getLastStoredRound()", true, false],
+            [`burnAlpha(${HOTKEY}, 1, 38)`, false, true],
+        ]);
+        expect(selectResponses(responses).map((r) => r.output)).to.deep.equal([ethers.toBeHex(after, 32), responses[2].output]);
+        expect(selectResponses(responses, { atBlock: first }).map((r) => r.output)).to.deep.equal([ethers.toBeHex(before, 32)]);
+    });
+
+    it("should overlay recorded answers on the devnet stand-ins, which compute everything else", async function () {
+        const staking = await ethers.getContractAt("MockStakingPrecompile", STAKING_PRECOMPILE);
+        const fedRound = await drand.getLastStoredRound();
+        const fixture = {
+            version: 1,
+            responses: [
+                { address: COLOSSEUM_DRAND_PRECOMPILE, input: drand.interface.encodeFunctionData("getLastStoredRound"), success: true, output: ethers.toBeHex(42, 32), mutating: false, afterWrites: 0 },
+                { address: STAKING_PRECOMPILE, input: staking.interface.encodeFunctionData("getTotalAlphaStaked", [HOTKEY, 38]), success: true, output: ethers.toBeHex(777, 32), mutating: false, afterWrites: 1 },
+            ],
+        };
+        expect(await installRecordedPrecompiles(hre, fixture, { overlay: true })).to.deep.equal([]);
+
+        expect(await drand.getLastStoredRound()).to.equal(42n);
+        expect(await drand.getPulse(fedRound)).to.deep.equal([true, ethers.solidityPackedKeccak256(["string", "uint64"], ["mock-drand", fedRound])]);
+
+        // The recorded alpha answers only after the first write; the stake itself is computed by the mock
+        expect(await staking.getTotalAlphaStaked(HOTKEY, 38)).to.equal(0n);
+        await (await staking.addStake(HOTKEY, 5, 38)).wait();
+        expect(await staking.writes()).to.equal(1n);
+        expect(await staking.alphaByHotkeyAndNetuid(HOTKEY, 38)).to.equal(5n);
+        expect(await staking.getTotalAlphaStaked(HOTKEY, 38)).to.equal(777n);
+    });
+});
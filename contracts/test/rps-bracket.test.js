@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    RPS_DRAND_PRECOMPILE,
+    createRpsClient,
+    computeCommitHash,
+    parseChoice,
+    loadBracket,
+    renderBracket,
+    toJson,
+} = require("../lib");
+
+describe("RPS bracket explorer", function () {
+    const MIN_ENTRY = ethers.parseEther("0.5");
+    let rps;
+    let client;
+    let signers;
+
+    async function installMockDrandPrecompile() {
+        const Mock = await ethers.getContractFactory("MockDrandPrecompile");
+        const mock = await Mock.deploy();
+        await mock.waitForDeployment();
+        const runtimeCode = await ethers.provider.getCode(mock.target);
+        await ethers.provider.send("hardhat_setCode", [RPS_DRAND_PRECOMPILE, runtimeCode]);
+    }
+
+    async function mineTo(targetBlock) {
+        const current = await ethers.provider.getBlockNumber();
+        if (current < targetBlock) await ethers.provider.send("hardhat_mine", [ethers.toQuantity(targetBlock - current)]);
+    }
+
+    function signerOf(address) {
+        return signers.find((s) => s.address === address);
+    }
+
+    async function play(round, matchIndex, rpsRound, player, choice) {
+        const salt = ethers.hexlify(ethers.randomBytes(32));
+        const hash = computeCommitHash({ tournamentId: 1, round, matchIndex, rpsRound, player, choice, salt });
+        await rps.connect(signerOf(player)).commitMove(1, round, matchIndex, hash);
+        return () => rps.connect(signerOf(player)).revealMove(1, round, matchIndex, parseChoice(choice), salt);
+    }
+
+    beforeEach(async function () {
+        signers = await ethers.getSigners();
+        await installMockDrandPrecompile();
+        rps = await (await ethers.getContractFactory("RPS_Tournament")).deploy(ethers.ZeroHash);
+        await rps.waitForDeployment();
+        client = createRpsClient(rps.target, ethers.provider);
+    });
+
+    afterEach(async function () {
+        await ethers.provider.send("hardhat_setCode", [RPS_DRAND_PRECOMPILE, "0x"]);
+    });
+
+    it("should return null for an unknown tournament and no rounds during registration", async function () {
+        expect(await loadBracket(client, 1)).to.equal(null);
+        await rps.createTournament(4, 20, MIN_ENTRY);
+        await rps.connect(signers[1]).register(1, { value: MIN_ENTRY });
+        const bracket = await loadBracket(client, 1);
+        expect(bracket.tournament.phaseName).to.equal("Registration");
+        expect(bracket.players).to.deep.equal([signers[1].address]);
+        expect(bracket.rounds).to.deep.equal([]);
+        expect(renderBracket(bracket)).to.contain("1/4 players");
+    });
+
+    it("should follow byes, replays, per-rpsRound moves, winners and window countdowns", async function () {
+        await rps.createTournament(4, 20, MIN_ENTRY);
+        for (const i of [1, 2, 3]) await rps.connect(signers[i]).register(1, { value: MIN_ENTRY });
+        await mineTo(Number((await rps.tournaments(1)).registrationEndBlock));
+        await rps.startTournament(1);
+
+        let bracket = await loadBracket(client, 1);
+        const [round0] = bracket.rounds;
+        expect(round0.bye).to.be.a("string");
+        expect(round0.matches).to.have.length(1);
+        const m = round0.matches[0];
+        expect(m.state).to.equal("commit");
+        expect(m.commitBlocksLeft).to.equal(Number(m.commitEndBlock) - bracket.blockNumber);
+        expect(m.revealBlocksLeft).to.equal(Number(m.revealEndBlock) - bracket.blockNumber);
+        expect(m.moves).to.have.length(1);
+        expect(m.moves[0].playerA.committed).to.equal(false);
+
+        // rpsRound 0: Rock vs Rock -> replay
+        const beforeCommits = bracket.blockNumber;
+        const revealA = await play(0, 0, 0, m.playerA, "Rock");
+        const revealB = await play(0, 0, 0, m.playerB, "Rock");
+        bracket = await loadBracket(client, 1);
+        expect(bracket.rounds[0].matches[0].moves[0].playerA).to.include({ committed: true, choiceName: "None" });
+        // Every read is pinned to the requested block, not just the window countdowns
+        const past = await loadBracket(client, 1, { blockNumber: beforeCommits });
+        expect(past.blockNumber).to.equal(beforeCommits);
+        expect(past.rounds[0].matches[0].moves[0].playerA.committed).to.equal(false);
+        expect(past.rounds[0].matches[0].commitBlocksLeft).to.equal(m.commitBlocksLeft);
+        await mineTo(Number(m.commitEndBlock) + 1);
+        await revealA();
+        await revealB();
+        await mineTo(Number(m.revealEndBlock) + 1);
+        await expect(rps.tryRevealMatch(1, 0, 0)).to.emit(rps, "MatchReplayed");
+
+        bracket = await loadBracket(client, 1);
+        const replayed = bracket.rounds[0].matches[0];
+        expect(replayed.replays).to.equal(1);
+        expect(replayed.moves.map((mv) => [mv.playerA.choiceName, mv.playerB.choiceName])).to.deep.equal([["Rock", "Rock"], ["None", "None"]]);
+
+        // rpsRound 1: only A plays -> A wins, the bye joins round 1
+        const revealA1 = await play(0, 0, 1, m.playerA, "Paper");
+        await mineTo(Number(replayed.commitEndBlock) + 1);
+        await revealA1();
+        await mineTo(Number(replayed.revealEndBlock) + 1);
+        await expect(rps.tryRevealMatch(1, 0, 0)).to.emit(rps, "RoundAdvanced");
+
+        bracket = await loadBracket(client, 1);
+        expect(bracket.rounds).to.have.length(2);
+        expect(bracket.rounds[0].matches[0]).to.include({ state: "resolved", winner: m.playerA, commitBlocksLeft: 0, revealBlocksLeft: 0 });
+        const final = bracket.rounds[1].matches[0];
+        expect([final.playerA, final.playerB].sort()).to.deep.equal([m.playerA, round0.bye].sort());
+        expect(final.state).to.equal("commit");
+
+        const tree = renderBracket(bracket, { fullAddresses: true });
+        expect(tree).to.contain(`Round 0 · bye ${round0.bye}`);
+        expect(tree).to.contain(`rps 0: ${m.playerA} Rock, ${m.playerB} Rock (tie)`);
+        expect(tree).to.contain(`rps 1: ${m.playerA} Paper, ${m.playerB} no commit`);
+        expect(tree).to.contain(`won by ${m.playerA} · 1 replay`);
+        expect(tree).to.match(/└─ Round 1\n   └─ Match 0: .* · commit, \d+ blocks left\n      ├─ rps 0: .* no commit, .* no commit\n      └─ drand seed round \d+/);
+
+        const json = JSON.parse(toJson(bracket));
+        expect(json.rounds[1].matches[0].seedRound).to.equal(final.seedRound.toString());
+        expect(json.rounds[0].matches[0].moves[1].playerA.choiceName).to.equal("Paper");
+    });
+});
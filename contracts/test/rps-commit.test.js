@@ -0,0 +1,145 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createRpsClient, createMoveManager, computeCommitHash, RPS_DRAND_PRECOMPILE } = require("../lib");
+const { openSaltVault } = require("../lib/salt-vault");
+
+describe("RPS commit-reveal helper", function () {
+    let rps;
+    let signers;
+    let tmpDir;
+    let vaultPath;
+
+    async function installMockDrandPrecompile() {
+        const Mock = await ethers.getContractFactory("MockDrandPrecompile");
+        const mock = await Mock.deploy();
+        await mock.waitForDeployment();
+        const runtimeCode = await ethers.provider.getCode(mock.target);
+        await ethers.provider.send("hardhat_setCode", [RPS_DRAND_PRECOMPILE, runtimeCode]);
+    }
+
+    async function mineTo(targetBlock) {
+        while ((await ethers.provider.getBlockNumber()) < targetBlock) {
+            await ethers.provider.send("evm_mine", []);
+        }
+    }
+
+    function managerFor(signer, warn = () => {}) {
+        return createMoveManager({
+            rps: createRpsClient(rps.target, signer),
+            vault: openSaltVault({ path: vaultPath, passphrase: "test passphrase" }),
+            player: signer.address,
+            warn,
+        });
+    }
+
+    beforeEach(async function () {
+        signers = await ethers.getSigners();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rps-vault-"));
+        vaultPath = path.join(tmpDir, "vault.json");
+
+        await installMockDrandPrecompile();
+        const RPS = await ethers.getContractFactory("RPS_Tournament");
+        rps = await RPS.deploy(ethers.ZeroHash);
+        await rps.waitForDeployment();
+        const owner = createRpsClient(rps.target, signers[0]);
+        await (await owner.createTournament(4, 20)).wait();
+        for (let i = 1; i <= 4; i++) await (await createRpsClient(rps.target, signers[i]).register(1)).wait();
+        await (await owner.startTournament(1)).wait();
+    });
+
+    afterEach(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("should build the same commit hash the contract verifies", function () {
+        const salt = ethers.hexlify(ethers.randomBytes(32));
+        const expected = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+            ["uint256","uint256","uint256","uint256","address","uint8","bytes32"],
+            [1, 0, 2, 1, signers[1].address, 2, salt]
+        ));
+        expect(computeCommitHash({
+            tournamentId: 1, round: 0, matchIndex: 2, rpsRound: 1, player: signers[1].address, choice: "paper", salt,
+        })).to.equal(expected);
+    });
+
+    it("should keep the vault encrypted and reject a wrong passphrase", async function () {
+        const m = await rps.matches(1, 0, 0);
+        const signer = signers.find((s) => s.address === m.playerA);
+        await managerFor(signer).commit(1, "Scissors");
+
+        const raw = fs.readFileSync(vaultPath, "utf8");
+        expect(raw).to.not.include("Scissors");
+        expect(() => openSaltVault({ path: vaultPath, passphrase: "wrong" })).to.throw("wrong passphrase");
+        const entries = openSaltVault({ path: vaultPath, passphrase: "test passphrase" }).entries();
+        expect(entries).to.have.length(1);
+        expect(entries[0][1].choice).to.equal("Scissors");
+    });
+
+    it("should refuse a second commit for the same match", async function () {
+        const m = await rps.matches(1, 0, 0);
+        const signer = signers.find((s) => s.address === m.playerA);
+        await managerFor(signer).commit(1, "Rock");
+        await expect(managerFor(signer).commit(1, "Paper")).to.be.rejectedWith("Already committed");
+    });
+
+    it("should warn when the commit window is about to close", async function () {
+        const m = await rps.matches(1, 0, 0);
+        const signer = signers.find((s) => s.address === m.playerA);
+        await mineTo(Number(m.commitEndBlock) - 2);
+        const warnings = [];
+        await managerFor(signer, (msg) => warnings.push(msg)).commit(1, "Rock");
+        expect(warnings).to.have.length(1);
+        expect(warnings[0]).to.include("commitEndBlock");
+    });
+
+    it("should reveal from the vault in the reveal window and resolve the match", async function () {
+        const m = await rps.matches(1, 0, 0);
+        const signerA = signers.find((s) => s.address === m.playerA);
+        const signerB = signers.find((s) => s.address === m.playerB);
+        await managerFor(signerA).commit(1, "Paper");
+        await managerFor(signerB).commit(1, "Rock");
+
+        const movesA = managerFor(signerA);
+        expect((await movesA.revealDue()).map((r) => r.status)).to.deep.equal(["waiting"]);
+
+        await mineTo(Number(m.commitEndBlock) + 1);
+        expect((await movesA.revealDue()).map((r) => r.status)).to.deep.equal(["revealed"]);
+        expect((await managerFor(signerB).revealDue()).map((r) => r.status)).to.deep.equal(["revealed"]);
+        expect(movesA.pending()).to.have.length(0);
+
+        await mineTo(Number(m.revealEndBlock) + 1);
+        await rps.tryRevealMatch(1, 0, 0);
+        expect((await rps.matches(1, 0, 0)).winner).to.equal(signerA.address);
+    });
+
+    it("should keep an entry pending when its status read fails and reveal it on the next call", async function () {
+        const m = await rps.matches(1, 0, 0);
+        const signer = signers.find((s) => s.address === m.playerA);
+        await managerFor(signer).commit(1, "Paper");
+        await mineTo(Number(m.commitEndBlock) + 1);
+
+        const client = createRpsClient(rps.target, signer);
+        let failures = 1;
+        const flaky = {
+            ...client,
+            getMoveStatus: async (...args) => {
+                if (failures-- > 0) throw new Error("connection reset");
+                return client.getMoveStatus(...args);
+            },
+        };
+        const moves = createMoveManager({
+            rps: flaky,
+            vault: openSaltVault({ path: vaultPath, passphrase: "test passphrase" }),
+            player: signer.address,
+            warn: () => {},
+        });
+        const [failed] = await moves.revealDue();
+        expect(failed.status).to.equal("failed");
+        expect(failed.error.message).to.equal("connection reset");
+        expect(moves.pending()).to.have.length(1);
+        expect((await moves.revealDue()).map((r) => r.status)).to.deep.equal(["revealed"]);
+    });
+});
@@ -0,0 +1,135 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { STAKING_PRECOMPILE, STAKING_ABI, NETUID_SN38, createRpsClient, createTxSender } = require("../lib");
+const { startDevnet } = require("../lib/devnet");
+const { rpsFlushable, verifyFlush, createFeeFlusher, readFlushLedger } = require("../lib/rps-fee-flusher");
+
+describe("RPS fee flusher", function () {
+    const MIN_ENTRY = ethers.parseEther("0.5");
+    const FEE = (2n * MIN_ENTRY * 150n) / 10000n; // claimPrize keeps 1.5% of a two-player prize pool
+    const RAO = 10n ** 9n;
+
+    describe("flush math", function () {
+        it("should compute what the contract would stake and judge a mined flush", function () {
+            const l = { accumulatedFees: 5n * RAO + 7n, totalPrizeLiability: 10n * RAO, totalPendingWithdrawalLiability: 0n };
+            expect(rpsFlushable(l, 20n * RAO)).to.deep.equal({ freeWei: 10n * RAO, flushableWei: 5n * RAO, amountRao: 5n });
+            expect(rpsFlushable(l, 13n * RAO)).to.deep.equal({ freeWei: 3n * RAO, flushableWei: 3n * RAO, amountRao: 3n });
+            expect(rpsFlushable(l, 10n * RAO).amountRao).to.equal(0n);
+
+            const ok = { feesBefore: 5n * RAO + 7n, feesAfter: 7n, event: { taoAmount: 5n * RAO, alphaBurned: 4n } };
+            expect(verifyFlush(ok)).to.deep.equal({ outcome: "flushed", problems: [], alphaPerTao: 0.8 });
+            const outOfRange = verifyFlush(ok, { min: 1, max: 2 });
+            expect(outOfRange.outcome).to.equal("suspicious");
+            expect(outOfRange.problems[0]).to.contain("0.8 alpha/TAO, sane range 1..2");
+            expect(verifyFlush({ ...ok, feesAfter: 0n }).problems).to.deep.equal([
+                "accumulatedFees fell by 0.000000005000000007 TAO, event reports 0.000000005 TAO",
+            ]);
+            expect(verifyFlush({ ...ok, event: null }).problems[0]).to.contain("staked without alpha to burn");
+            expect(verifyFlush({ ...ok, feesAfter: ok.feesBefore, event: null }).problems[0]).to.contain("the flush returned early");
+        });
+    });
+
+    describe("on a devnet", function () {
+        let signers;
+        let devnet;
+        let tmpDir;
+
+        beforeEach(async function () {
+            signers = await ethers.getSigners();
+            devnet = await startDevnet(hre);
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rps-flush-"));
+        });
+
+        afterEach(async function () {
+            await devnet.stop();
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        // Two two-player tournaments, both decided by the drand tiebreak; prizes not claimed yet
+        async function completedTournaments() {
+            const rps = await (await ethers.getContractFactory("RPS_Tournament")).deploy(ethers.ZeroHash);
+            await rps.waitForDeployment();
+            for (const id of [1, 2]) {
+                await rps.createTournament(4, 10, MIN_ENTRY);
+                await rps.connect(signers[2 * id - 1]).register(id, { value: MIN_ENTRY });
+                await rps.connect(signers[2 * id]).register(id, { value: MIN_ENTRY });
+            }
+            const t = await rps.tournaments(2);
+            await devnet.mine(Number(t.registrationEndBlock) - (await ethers.provider.getBlockNumber()));
+            for (const id of [1, 2]) await rps.startTournament(id);
+            const m = await rps.matches(2, 0, 0);
+            await devnet.mine(Number(m.revealEndBlock) + 1 - (await ethers.provider.getBlockNumber()));
+            while (devnet.feeder.status().lastFedRound < Number(m.seedRound)) await devnet.mine(1);
+            for (const id of [1, 2]) await rps.tryRevealMatch(id, 0, 0);
+            return rps;
+        }
+
+        async function claimPrize(rps, id) {
+            const { winner } = await rps.tournaments(id);
+            await rps.connect(signers.find((s) => s.address === winner)).claimPrize(id);
+        }
+
+        it("should wait below the threshold, report a blocked flush, then flush, verify and record it", async function () {
+            const rps = await completedTournaments();
+            await claimPrize(rps, 1);
+            const ledgerFile = path.join(tmpDir, "ledger", "flushes.jsonl");
+            const client = createRpsClient(rps.target, ethers.provider);
+            const sender = createTxSender({ signer: signers[0], log: () => {} });
+            const logs = [];
+            const flusher = createFeeFlusher({ client, sender, thresholdWei: FEE, ledgerFile, log: (m) => logs.push(m) });
+
+            expect((await createFeeFlusher({ client, sender, thresholdWei: FEE + 1n, ledgerFile, log: () => {} }).tick()).outcome).to.equal("below-threshold");
+            expect(readFlushLedger(ledgerFile)).to.deep.equal([]);
+
+            // Tournament 2's prize pool is owed, so a balance that covers only it leaves nothing free
+            const balance = await ethers.provider.getBalance(rps.target);
+            await ethers.provider.send("hardhat_setBalance", [rps.target, ethers.toQuantity(2n * MIN_ENTRY)]);
+            let entry = await flusher.tick();
+            expect(entry.outcome).to.equal("blocked");
+            expect(entry.diagnosis.filter((c) => !c.ok).map((c) => c.name)).to.deep.equal(["sn38OwnerHotkey", "free balance", "flushable RAO"]);
+            expect(logs).to.include("  check failed: flushable RAO: nothing, or only sub-RAO dust");
+            await ethers.provider.send("hardhat_setBalance", [rps.target, ethers.toQuantity(balance)]);
+
+            entry = await flusher.tick();
+            expect(entry).to.include({ outcome: "flushed", taoAmount: FEE, alphaBurned: FEE / RAO, alphaPerTao: 1, feesBefore: FEE, feesAfter: 0n });
+            expect(entry.problems).to.deep.equal([]);
+            expect(entry.gasEstimate).to.be.greaterThan(0n);
+            expect(entry.diagnosis).to.equal(undefined);
+
+            const ledger = readFlushLedger(ledgerFile);
+            expect(ledger.map((e) => e.outcome)).to.deep.equal(["blocked", "flushed"]);
+            expect(ledger[1]).to.include({ txHash: entry.txHash, taoAmount: FEE.toString(), alphaBurned: (FEE / RAO).toString() });
+        });
+
+        it("should report a mined flush that burned nothing as a no-op, with the diagnosis", async function () {
+            const rps = await completedTournaments();
+            await claimPrize(rps, 1);
+            await claimPrize(rps, 2);
+            const ledgerFile = path.join(tmpDir, "flushes.jsonl");
+            const flusher = createFeeFlusher({
+                client: createRpsClient(rps.target, ethers.provider),
+                sender: createTxSender({ signer: signers[0], log: () => {} }),
+                thresholdWei: FEE,
+                ledgerFile,
+                log: () => {},
+            });
+
+            // The staking precompile takes the stake but reports no new alpha, so there is nothing to burn
+            const staking = await ethers.getContractAt("MockStakingPrecompile", STAKING_PRECOMPILE);
+            const alphaQuery = new ethers.Interface(STAKING_ABI).encodeFunctionData("getTotalAlphaStaked", [ethers.ZeroHash, NETUID_SN38]);
+            await staking.reset();
+            for (const afterWrites of [0, 1]) await staking.setResponse(alphaQuery, afterWrites, true, false, ethers.toBeHex(0, 32));
+
+            const entry = await flusher.tick();
+            expect(entry).to.include({ outcome: "no-op", taoAmount: 0n, feesBefore: 2n * FEE, feesAfter: 0n });
+            expect(entry.problems[0]).to.contain("accumulatedFees fell by 0.03 TAO: staked without alpha to burn");
+            expect(entry.diagnosis.find((c) => c.name === "accumulatedFees")).to.include({ ok: false, detail: "0.0 TAO" });
+            expect(readFlushLedger(ledgerFile)).to.have.length(1);
+            await staking.reset();
+        });
+    });
+});
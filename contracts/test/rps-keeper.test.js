@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    RPS_DRAND_PRECOMPILE,
+    createRpsClient,
+    createRpsKeeper,
+    createTxSender,
+    computeCommitHash,
+} = require("../lib");
+
+describe("RPS_Tournament keeper", function () {
+    let rps;
+    let signers;
+    let clock;
+
+    async function installMockDrandPrecompile() {
+        const Mock = await ethers.getContractFactory("MockDrandPrecompile");
+        const mock = await Mock.deploy();
+        await mock.waitForDeployment();
+        const runtimeCode = await ethers.provider.getCode(mock.target);
+        await ethers.provider.send("hardhat_setCode", [RPS_DRAND_PRECOMPILE, runtimeCode]);
+    }
+
+    async function removeDrandPrecompile() {
+        await ethers.provider.send("hardhat_setCode", [RPS_DRAND_PRECOMPILE, "0x"]);
+    }
+
+    async function mineTo(targetBlock) {
+        const current = await ethers.provider.getBlockNumber();
+        if (current < targetBlock) await ethers.provider.send("hardhat_mine", [ethers.toQuantity(targetBlock - current)]);
+    }
+
+    function newKeeper() {
+        return createRpsKeeper({
+            client: createRpsClient(rps.target, ethers.provider),
+            sender: createTxSender({ signer: signers[9], log: () => {} }),
+            backoffMs: 1000,
+            now: () => clock,
+            log: () => {},
+        });
+    }
+
+    async function createWithPlayers(maxPlayers, count) {
+        await rps.createTournament(maxPlayers, 20, ethers.parseEther("0.5"));
+        const id = await rps.nextTournamentId() - 1n;
+        for (let i = 1; i <= count; i++) await rps.connect(signers[i]).register(id, { value: ethers.parseEther("0.5") });
+        return id;
+    }
+
+    beforeEach(async function () {
+        signers = await ethers.getSigners();
+        clock = 1_000_000;
+        const RPS = await ethers.getContractFactory("RPS_Tournament");
+        rps = await RPS.deploy(ethers.ZeroHash);
+        await rps.waitForDeployment();
+    });
+
+    afterEach(async function () {
+        await removeDrandPrecompile();
+    });
+
+    it("should start a full tournament and replay tied matches", async function () {
+        await installMockDrandPrecompile();
+        await createWithPlayers(4, 4);
+        const keeper = newKeeper();
+
+        const [started] = await keeper.tick();
+        expect(started.results.map((r) => r.outcome)).to.deep.equal(["sent"]);
+        expect((await rps.tournaments(1)).phase).to.equal(1); // Active
+        expect(keeper.getStatus()[0].waitingOn).to.equal("ready to start (4/4 players)");
+
+        const [waiting] = await keeper.tick();
+        expect(waiting.waitingOn).to.match(/round 0: match \d in commit until block/);
+
+        // both players of match 0 play Rock -> tie -> replay
+        const m = await rps.matches(1, 0, 0);
+        const salt = ethers.hexlify(ethers.randomBytes(32));
+        const players = [m.playerA, m.playerB].map((a) => signers.find((s) => s.address === a));
+        for (const p of players) {
+            const hash = computeCommitHash({ tournamentId: 1, round: 0, matchIndex: 0, rpsRound: 0, player: p.address, choice: "Rock", salt });
+            await rps.connect(p).commitMove(1, 0, 0, hash);
+        }
+        await mineTo(Number(m.commitEndBlock) + 1);
+        for (const p of players) await rps.connect(p).revealMove(1, 0, 0, 1, salt);
+        await mineTo(Number(m.revealEndBlock) + 1);
+
+        const [resolved] = await keeper.tick();
+        const events = resolved.results.flatMap((r) => r.events);
+        expect(events.some((e) => /match 0 tied, replayed as rpsRound 1/.test(e))).to.equal(true);
+        // match 1 had no commits at all -> drand tiebreak
+        expect(events.some((e) => /match 1 won by/.test(e))).to.equal(true);
+        expect((await rps.matches(1, 0, 0)).rpsRound).to.equal(1);
+    });
+
+    it("should back off on DrandUnavailable and cancel once the tournament is unstartable", async function () {
+        await createWithPlayers(4, 2);
+        const keeper = newKeeper();
+        const t = await rps.tournaments(1);
+        await mineTo(Number(t.registrationEndBlock));
+
+        const [first] = await keeper.tick();
+        expect(first.results.map((r) => r.outcome)).to.deep.equal(["drand-unavailable"]);
+        expect(first.backoffUntil).to.not.equal(null);
+
+        // still backing off: nothing is sent
+        clock += 500;
+        const [second] = await keeper.tick();
+        expect(second.results).to.have.length(0);
+        expect(second.waitingOn).to.include("drand unavailable; retrying");
+
+        await mineTo(Number(t.registrationEndBlock) + 1001);
+        clock += 10_000;
+        const [third] = await keeper.tick();
+        expect(third.results.map((r) => r.outcome)).to.deep.equal(["drand-unavailable", "sent"]);
+        expect((await rps.tournaments(1)).phase).to.equal(2); // Canceled
+        expect(await rps.pendingWithdrawals(signers[1].address)).to.equal(ethers.parseEther("0.5"));
+        // finished tournaments drop out of the status summary on the next scan
+        expect(await keeper.tick()).to.have.length(1);
+        expect(await keeper.tick()).to.have.length(0);
+        expect(keeper.getStatus()).to.have.length(0);
+    });
+
+    it("should cancel a tournament that ended registration with fewer than two players", async function () {
+        await createWithPlayers(4, 1);
+        await mineTo(Number((await rps.tournaments(1)).registrationEndBlock));
+        const [s] = await newKeeper().tick();
+        expect(s.results.map((r) => r.label)).to.deep.equal(["cancelTournament(1)"]);
+        expect((await rps.tournaments(1)).phase).to.equal(2);
+    });
+});
@@ -0,0 +1,157 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const {
+    COLOSSEUM_ABI,
+    RPS_TOURNAMENT_ABI,
+    createColosseumClient,
+    createRpsClient,
+    matchWindow,
+    parseSide,
+    parseChoice,
+    weiToRao,
+    raoToWei,
+    fmtErr,
+} = require("../lib");
+
+describe("JS client SDK", function () {
+    let signers;
+
+    beforeEach(async function () {
+        signers = await ethers.getSigners();
+    });
+
+    describe("ABIs", function () {
+        async function expectSameAbi(contractName, sdkAbi) {
+            const artifact = await artifacts.readArtifact(contractName);
+            const fromArtifact = new ethers.Interface(artifact.abi).format(false).sort();
+            const fromSdk = new ethers.Interface(sdkAbi).format(false).sort();
+            expect(fromSdk).to.deep.equal(fromArtifact);
+        }
+
+        it("should match the compiled TAOColosseum ABI", async function () {
+            await expectSameAbi("TAOColosseum", COLOSSEUM_ABI);
+        });
+
+        it("should match the compiled RPS_Tournament ABI", async function () {
+            await expectSameAbi("RPS_Tournament", RPS_TOURNAMENT_ABI);
+        });
+    });
+
+    describe("format helpers", function () {
+        it("should parse sides and choices by name or number", function () {
+            expect(parseSide("red")).to.equal(0);
+            expect(parseSide("Blue")).to.equal(1);
+            expect(parseSide(1n)).to.equal(1);
+            expect(() => parseSide("green")).to.throw("Invalid side");
+            expect(parseChoice("Scissors")).to.equal(3);
+            expect(() => parseChoice(0)).to.throw("Invalid choice");
+        });
+
+        it("should convert wei to RAO dropping sub-RAO dust", function () {
+            expect(weiToRao(ethers.parseEther("1") + 123n)).to.equal(10n ** 9n);
+            expect(raoToWei(5n)).to.equal(5n * 10n ** 9n);
+        });
+    });
+
+    describe("colosseum client", function () {
+        let colosseum;
+        let client;
+
+        beforeEach(async function () {
+            const TAOColosseum = await ethers.getContractFactory("TAOColosseum");
+            colosseum = await TAOColosseum.deploy();
+            await colosseum.waitForDeployment();
+            client = createColosseumClient(colosseum.target, signers[0]);
+        });
+
+        it("should return null current game before any game starts", async function () {
+            expect(await client.getCurrentGame()).to.equal(null);
+        });
+
+        it("should place bets and decode the game view", async function () {
+            await (await client.startNewGame()).wait();
+            const game = await client.getCurrentGame();
+            expect(game.phaseName).to.equal("Betting");
+
+            const player = createColosseumClient(colosseum.target, signers[1]);
+            await (await player.placeBet(game.id, "Red", ethers.parseEther("0.3"))).wait();
+            await (await player.placeBet(game.id, "Blue", ethers.parseEther("0.1"))).wait();
+
+            const view = await client.getGameView(game.id);
+            expect(view.redPool).to.equal(ethers.parseEther("0.3"));
+            expect(view.bluePool).to.equal(ethers.parseEther("0.1"));
+            expect(view.blocksRemaining).to.be.gt(0);
+            expect(view.inFinalCall).to.equal(false);
+            expect(view.winningSideName).to.equal(null);
+
+            const position = await client.getUserPosition(game.id, signers[1].address);
+            expect(position.bets.red.amount).to.equal(ethers.parseEther("0.3"));
+            expect(position.claims.red.kind).to.equal("pending");
+            expect(position.totalClaimable).to.equal(0n);
+        });
+
+        it("should estimate the refund of a voided game exactly", async function () {
+            await (await client.startNewGame()).wait();
+            const game = await client.getCurrentGame();
+            const player = createColosseumClient(colosseum.target, signers[1]);
+            const amount = ethers.parseEther("0.123456789");
+            await (await player.placeBet(game.id, 0, amount)).wait();
+
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine", []);
+            await (await client.voidCompromisedGame(game.id)).wait();
+
+            const position = await client.getUserPosition(game.id, signers[1].address);
+            expect(position.claims.red.kind).to.equal("refund");
+            await expect(player.claimAllWinnings(game.id)).to.changeEtherBalance(signers[1], position.totalClaimable);
+        });
+
+        it("should surface custom error names through fmtErr", async function () {
+            await (await client.startNewGame()).wait();
+            const game = await client.getCurrentGame();
+            let err;
+            try {
+                await client.placeBet(game.id, "Red", 1n);
+            } catch (e) {
+                err = e;
+            }
+            expect(fmtErr(err)).to.equal("BetTooSmall");
+        });
+    });
+
+    describe("rps client", function () {
+        let client;
+
+        beforeEach(async function () {
+            const RPS = await ethers.getContractFactory("RPS_Tournament");
+            const rps = await RPS.deploy(ethers.ZeroHash);
+            await rps.waitForDeployment();
+            client = createRpsClient(rps.target, signers[0]);
+        });
+
+        it("should create, register with the exact entry and decode the tournament", async function () {
+            expect(await client.getTournamentCount()).to.equal(0);
+            await (await client.createTournament(4, 20)).wait();
+            expect(await client.getTournament(2)).to.equal(null);
+
+            for (let i = 1; i <= 3; i++) {
+                await (await createRpsClient(client.address, signers[i]).register(1)).wait();
+            }
+
+            const t = await client.getTournament(1);
+            expect(t.phaseName).to.equal("Registration");
+            expect(t.config.maxPlayers).to.equal(4);
+            expect(t.prizePool).to.equal(t.config.minEntry * 3n);
+            expect(t.winner).to.equal(null);
+            expect(await client.getPlayers(1)).to.deep.equal([1, 2, 3].map((i) => signers[i].address));
+        });
+
+        it("should classify match windows by block", function () {
+            const m = { winner: null, commitEndBlock: 10n, revealEndBlock: 20n };
+            expect(matchWindow(m, 10)).to.equal("commit");
+            expect(matchWindow(m, 11)).to.equal("reveal");
+            expect(matchWindow(m, 21)).to.equal("resolvable");
+            expect(matchWindow({ ...m, winner: signers[1].address }, 5)).to.equal("resolved");
+        });
+    });
+});
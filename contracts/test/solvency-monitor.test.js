@@ -0,0 +1,187 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+    createColosseumClient,
+    createRpsClient,
+    createSolvencyMonitor,
+    assessSolvency,
+    gameLiability,
+} = require("../lib");
+const { startDevnet } = require("../lib/devnet");
+
+describe("Solvency monitor", function () {
+    const MIN_ENTRY = ethers.parseEther("0.5");
+    const GAME_BALANCE_SLOT = 8;
+
+    describe("assessSolvency", function () {
+        const game = { id: 1n, phaseName: "Resolved", open: false, gameBalance: 7n, gameFees: 0n, owed: 5n, dust: 2n, positions: 3, unclaimed: 1 };
+        const solvent = {
+            blockNumber: 10,
+            colosseum: { address: "0xc", balance: 107n, accumulatedFees: 100n, games: [game] },
+            rps: { address: "0xr", balance: 60n, accumulatedFees: 10n, totalPrizeLiability: 30n, totalPendingWithdrawalLiability: 20n, prizePools: 30n, tournaments: 2 },
+        };
+
+        it("should explain resolved-game dust and flag shortfalls, surpluses and ledger mismatches", function () {
+            const ok = assessSolvency(solvent);
+            expect(ok.alerts).to.deep.equal([]);
+            expect(ok).to.include({ solvent: true, healthy: true });
+            expect(ok.colosseum).to.deep.equal({ balance: 107n, owed: 105n, dust: 2n, surplus: 2n });
+            expect(ok.rps).to.deep.equal({ balance: 60n, owed: 60n, surplus: 0n });
+
+            const r = assessSolvency({
+                ...solvent,
+                colosseum: { ...solvent.colosseum, balance: 110n },
+                rps: { ...solvent.rps, balance: 59n, prizePools: 31n },
+            });
+            expect(r.alerts.map((a) => [a.key, a.severity])).to.deep.equal([
+                ["surplus:colosseum", "warning"],
+                ["ledger-mismatch:rps", "critical"],
+                ["shortfall:rps", "critical"],
+            ]);
+            expect(r.alerts[0].details).to.include({ surplus: 3n, dust: 2n });
+            expect(r.alerts[2].details.shortfall).to.equal(1n);
+            expect(r.solvent).to.equal(false);
+            // A surplus within the tolerance is not alerted
+            expect(assessSolvency({ ...solvent, rps: null, colosseum: { ...solvent.colosseum, balance: 110n } }, { toleranceWei: 3n }).healthy).to.equal(true);
+        });
+
+        it("should hold open games to gameBalance + gameFees and settled games to their claims", function () {
+            const open = { ...game, id: 2n, phaseName: "Betting", open: true, gameBalance: 985n, gameFees: 15n, owed: 1000n, dust: 0n };
+            const r = assessSolvency({ ...solvent, rps: null, colosseum: { ...solvent.colosseum, balance: 1107n, games: [game, open] } });
+            expect(r.healthy).to.equal(true);
+
+            // Game 1 keeps less than its winners can claim: their claims revert although the contract holds enough
+            const short = assessSolvency({ ...solvent, rps: null, colosseum: { ...solvent.colosseum, games: [{ ...game, gameBalance: 4n }] } });
+            expect(short.alerts.map((a) => [a.key, a.severity])).to.deep.equal([["game-mismatch:colosseum:1", "critical"]]);
+            expect(short.alerts[0].message).to.contain("and 2 wei of dust");
+            expect(short.solvent).to.equal(false);
+        });
+
+        it("should derive owed claims and the rounding dust from sideBets", function () {
+            const resolved = { phase: 3, hasWinner: true, winningSide: 0, validRedPool: 3n, validBluePool: 4n, validLiquidity: 10n };
+            const bet = (amount, claimed = false, lateAmount = 0n) => ({ amount, claimed, isLateBet: lateAmount > 0n, lateAmount });
+            // Red winners 1 + 2 of a 3-wei pool share 10 wei: 3 + 6 paid, 1 wei dust. Blue's late 5 wei is refunded.
+            const positions = [
+                { side: 0, bet: bet(1n, true) },
+                { side: 0, bet: bet(2n) },
+                { side: 1, bet: bet(4n) },
+                { side: 1, bet: bet(9n, false, 5n) },
+            ];
+            expect(gameLiability(resolved, positions)).to.deep.equal({ owed: 6n + 5n, dust: 1n, unclaimed: 2 });
+            expect(gameLiability({ ...resolved, phase: 1, hasWinner: false }, positions)).to.deep.equal({ owed: 15n, dust: 0n, unclaimed: 3 });
+        });
+    });
+
+    describe("on a devnet", function () {
+        let signers;
+        let devnet;
+
+        beforeEach(async function () {
+            signers = await ethers.getSigners();
+            devnet = await startDevnet(hre);
+        });
+
+        afterEach(async function () {
+            await devnet.stop();
+        });
+
+        function gameBalanceSlot(gameId) {
+            return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "uint256"], [gameId, GAME_BALANCE_SLOT]));
+        }
+
+        async function setStorage(address, slot, value) {
+            await ethers.provider.send("hardhat_setStorageAt", [address, slot, ethers.toBeHex(value, 32)]);
+        }
+
+        async function setBalance(address, value) {
+            await ethers.provider.send("hardhat_setBalance", [address, ethers.toQuantity(value)]);
+        }
+
+        // Game 1 resolved (Red, the underdog, wins), game 2 open with one bet; one RPS tournament with a prize pool and a refund
+        async function fundedContracts() {
+            const colosseum = await (await ethers.getContractFactory("TAOColosseum")).deploy();
+            await colosseum.waitForDeployment();
+            await colosseum.startNewGame();
+            await colosseum.connect(signers[1]).placeBet(1, 0, { value: ethers.parseEther("0.1") });
+            await colosseum.connect(signers[2]).placeBet(1, 0, { value: ethers.parseEther("0.2") });
+            await colosseum.connect(signers[3]).placeBet(1, 1, { value: ethers.parseEther("0.4") });
+            const game = await colosseum.getGame(1);
+            await devnet.mine(Number(game.endBlock) - (await ethers.provider.getBlockNumber()));
+            await colosseum.resolveGame(1);
+            while (devnet.feeder.status().lastFedRound < Number(game.targetDrandRound)) await devnet.mine(1);
+            await colosseum.resolveGame(1);
+            await colosseum.startNewGame();
+            await colosseum.connect(signers[4]).placeBet(2, 1, { value: ethers.parseEther("0.05") });
+
+            const rps = await (await ethers.getContractFactory("RPS_Tournament")).deploy(ethers.ZeroHash);
+            await rps.waitForDeployment();
+            await rps.createTournament(4, 10, MIN_ENTRY);
+            for (const s of signers.slice(1, 4)) await rps.connect(s).register(1, { value: MIN_ENTRY });
+            await rps.connect(signers[3]).unregister(1);
+            return { colosseum, rps };
+        }
+
+        it("should reconcile both contracts, alert on a shortfall, a surplus and a game ledger gap, and resolve them", async function () {
+            const { colosseum, rps } = await fundedContracts();
+            const events = [];
+            const monitor = createSolvencyMonitor({
+                provider: ethers.provider,
+                colosseum: createColosseumClient(colosseum.target, ethers.provider),
+                rps: createRpsClient(rps.target, ethers.provider),
+                sinks: [{ name: "memory", send: async (e) => events.push(e) }],
+                log: () => {},
+            });
+
+            let r = await monitor.check();
+            expect(r.alerts).to.deep.equal([]);
+            const [resolved, open] = r.snapshot.colosseum.games;
+            expect((await colosseum.getGame(1)).hasWinner).to.equal(true);
+            expect(resolved).to.include({ open: false, gameFees: 0n, positions: 3 });
+            expect(resolved.gameBalance).to.equal(resolved.owed + resolved.dust);
+            expect(open).to.include({ open: true, owed: ethers.parseEther("0.05"), unclaimed: 1 });
+            expect(r.colosseum.owed).to.equal((await colosseum.getAccumulatedFees()) + resolved.owed + ethers.parseEther("0.05"));
+            expect(r.rps).to.deep.equal({ balance: 3n * MIN_ENTRY, owed: 3n * MIN_ENTRY, surplus: 0n });
+            expect(r.snapshot.rps).to.include({ totalPrizeLiability: 2n * MIN_ENTRY, totalPendingWithdrawalLiability: MIN_ENTRY, prizePools: 2n * MIN_ENTRY });
+
+            // Winners and the loser claim: game 1 settles with only its dust left
+            for (const s of signers.slice(1, 4)) await colosseum.connect(s).claimAllWinnings(1);
+            r = await monitor.check();
+            expect(r.healthy).to.equal(true);
+            expect(r.snapshot.colosseum.games[0]).to.include({ owed: 0n, unclaimed: 0, gameBalance: resolved.dust });
+
+            const netBet = ethers.parseEther("0.05") - (ethers.parseEther("0.05") * 150n) / 10000n;
+            const colosseumBalance = await ethers.provider.getBalance(colosseum.target);
+            await setBalance(colosseum.target, colosseumBalance + 123n);
+            await setBalance(rps.target, 3n * MIN_ENTRY - 1n);
+            await setStorage(colosseum.target, gameBalanceSlot(2), ethers.parseEther("0.04"));
+            r = await monitor.check();
+            expect(r.events.map((e) => [e.event, e.key, e.severity])).to.deep.equal([
+                ["alert", "game-mismatch:colosseum:2", "critical"],
+                ["alert", "surplus:colosseum", "warning"],
+                ["alert", "shortfall:rps", "critical"],
+            ]);
+            // What game 2 no longer accounts for shows up as contract surplus, on top of the forced 123 wei
+            expect(r.alerts[1].details.surplus).to.equal(123n + netBet - ethers.parseEther("0.04"));
+            expect(r.alerts[2].message).to.contain("short 0.000000000000000001");
+            expect(r.solvent).to.equal(false);
+
+            // Unchanged conditions publish nothing
+            r = await monitor.check();
+            expect(r.events).to.deep.equal([]);
+            expect(monitor.activeAlerts()).to.have.length(3);
+
+            await setStorage(colosseum.target, gameBalanceSlot(2), netBet);
+            await setBalance(colosseum.target, colosseumBalance);
+            await setBalance(rps.target, 3n * MIN_ENTRY);
+            r = await monitor.check();
+            expect(r.healthy).to.equal(true);
+            expect(r.events.map((e) => [e.event, e.key])).to.deep.equal([
+                ["resolved", "game-mismatch:colosseum:2"],
+                ["resolved", "surplus:colosseum"],
+                ["resolved", "shortfall:rps"],
+            ]);
+            expect(events).to.have.length(6);
+        });
+    });
+});